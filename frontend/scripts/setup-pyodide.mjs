@@ -0,0 +1,90 @@
+// Self-host the Python runtime used by "Run preview".
+// Copies the Pyodide core from node_modules into public/pyodide/ and downloads the
+// wheels pandas needs (plus openpyxl for Excel files), verifying each checksum.
+// Run with `npm run setup:pyodide`; the Netlify build runs it before `npm run build`.
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const source = join(root, 'node_modules', 'pyodide');
+const target = join(root, 'public', 'pyodide');
+
+const CORE_FILES = ['pyodide.mjs', 'pyodide.asm.js', 'pyodide.asm.wasm', 'python_stdlib.zip', 'pyodide-lock.json'];
+const PACKAGES = ['pandas', 'micropip'];
+// Pure-Python wheels from PyPI that are not part of the Pyodide distribution
+const PYPI_WHEELS = [['openpyxl', '3.1.5'], ['et-xmlfile', '2.0.0']];
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// Download url to file unless a copy with the expected checksum is already there
+const download = async (url, file, expectedSha256) => {
+  const path = join(target, file);
+  if (existsSync(path) && sha256(await readFile(path)) === expectedSha256) return;
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to download ${url}: ${response.status}`);
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (sha256(buffer) !== expectedSha256) throw new Error(`Checksum mismatch for ${file}`);
+
+  await writeFile(path, buffer);
+  console.log(`  ${file} (${(buffer.length / 1024 / 1024).toFixed(1)} MB)`);
+};
+
+// Lock file entries for the packages and everything they depend on
+const resolvePackages = (lock, names) => {
+  const resolved = new Map();
+  const queue = [...names];
+  while (queue.length > 0) {
+    const name = queue.pop().toLowerCase();
+    if (resolved.has(name)) continue;
+    const entry = lock.packages[name];
+    if (!entry) throw new Error(`Package ${name} is not in the Pyodide lock file`);
+    resolved.set(name, entry);
+    queue.push(...entry.depends);
+  }
+  return [...resolved.values()];
+};
+
+const pypiWheel = async (name, version) => {
+  const response = await fetch(`https://pypi.org/pypi/${name}/${version}/json`);
+  if (!response.ok) throw new Error(`Failed to look up ${name} ${version} on PyPI: ${response.status}`);
+  const { urls } = await response.json();
+  const wheel = urls.find(file => file.packagetype === 'bdist_wheel' && file.filename.endsWith('-none-any.whl'));
+  if (!wheel) throw new Error(`No pure-Python wheel for ${name} ${version}`);
+  return wheel;
+};
+
+const main = async () => {
+  await mkdir(target, { recursive: true });
+
+  console.log('Copying Pyodide core...');
+  await Promise.all(CORE_FILES.map(file => copyFile(join(source, file), join(target, file))));
+
+  const lock = JSON.parse(await readFile(join(source, 'pyodide-lock.json'), 'utf8'));
+  const cdn = `https://cdn.jsdelivr.net/pyodide/v${lock.info.version}/full/`;
+
+  console.log(`Downloading packages for Pyodide ${lock.info.version}...`);
+  for (const entry of resolvePackages(lock, PACKAGES)) {
+    await download(cdn + entry.file_name, entry.file_name, entry.sha256);
+  }
+
+  const extraWheels = [];
+  for (const [name, version] of PYPI_WHEELS) {
+    const wheel = await pypiWheel(name, version);
+    await download(wheel.url, wheel.filename, wheel.digests.sha256);
+    extraWheels.push(wheel.filename);
+  }
+  // The runtime installs these with micropip, so it needs their file names
+  await writeFile(join(target, 'extra-wheels.json'), JSON.stringify(extraWheels, null, 2));
+
+  console.log(`Pyodide ready in ${target}`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,70 +1,135 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
-
-// Alteryx knowledge base embedded in frontend
-const ALTERYX_KNOWLEDGE = `# ALTERYX TO PYTHON CONVERSION GUIDE
-
-You are an expert at converting Alteryx workflows to Python pandas code.
-
-## CORE PRINCIPLES
-1. Use pandas as primary library
-2. Write clean, well-commented code
-3. Include error handling
-4. Make file paths configurable
-5. Add progress print statements
-6. **ALWAYS normalize column names after loading: df.columns = df.columns.str.lower().str.strip()**
-
-## COMMON TOOL MAPPINGS
-
-### Input/Output
-- Input Data → pd.read_csv() or pd.read_excel()
-- Output Data → df.to_csv() or df.to_excel()
-
-### Preparation
-- Filter → df[condition]
-- Select → df[['col1', 'col2']]
-- Sort → df.sort_values()
-- Sample → df.head() or df.sample()
-- Unique → df.drop_duplicates()
-
-### Join/Union
-- Join → pd.merge(df1, df2, on='key')
-- Union → pd.concat([df1, df2])
-
-### Transform
-- Formula → df['new'] = calculation
-- Summarize → df.groupby().agg()
-- Cross Tab → pd.pivot_table()
-
-### Data Cleansing
-- Data Cleansing → str.strip(), str.upper(), fillna()
-- Imputation → fillna(method='ffill') or fillna(mean())
-
-## CODE STRUCTURE
-
-Always include:
-1. Imports (pandas, numpy, pathlib)
-2. Configuration (file paths as variables)
-3. **Column normalization: df.columns = df.columns.str.lower().str.strip()**
-4. Error handling (try/except)
-5. Progress messages (print statements)
-6. Create output directories (Path().mkdir())
-`;
+import { WORKFLOW_EXTENSIONS, isWorkflowFile, parseWorkflowFile, describeWorkflow, topologicalOrder, summarizeConfiguration } from './lib/alteryxWorkflow.js';
+import { translateWorkflow, csvReadOptions, excelReadOptions, pyStr, STUB_START } from './lib/pandasTranslator.js';
+import { parseCsvSample } from './lib/csvParser.js';
+import { selectSheet, HEADER_SCAN_ROWS } from './lib/excelWorkbook.js';
+import { profileFile, readWorkbook } from './lib/fileProfiler.js';
+import { describeProfile, describeMemory, estimateMemory, formatBytes } from './lib/columnProfile.js';
+import { expressionHints, toolExpressions, transpileFormula, formatIssues } from './lib/formulaTranspiler.js';
+import { readEventStream, parsePartialJson } from './lib/streaming.js';
+import { runScript, stopScript } from './lib/pythonRunner.js';
+import { checkResult, runBlockers, schemaFailure, failedChecks, recordFixes, repairInput, MAX_REPAIR_ATTEMPTS } from './lib/scriptChecks.js';
+import { PROVIDERS, DEFAULT_PROVIDER, defaultModel, modelLabel, validateProviderSettings, isProviderReady } from './lib/providers.js';
+import { saveEntry, entryTitle } from './lib/historyStore.js';
+import { buildNotebook } from './lib/notebook.js';
+import { projectEntries, requirementsFor, PROJECT_FOLDER, SCRIPT_NAME, TESTS_NAME } from './lib/projectBundle.js';
+import { createZip } from './lib/zipWriter.js';
+import { TARGETS, DEFAULT_TARGET, targetOf, isPython, scriptName } from './lib/targets.js';
+import { NO_ORG, fetchSession, signIn, signOut } from './lib/teamSession.js';
+import { EMPTY_USAGE, fetchPrices, priceOf, addUsage, estimateRequest, formatCost, formatUsage, formatUsageCost } from './lib/usage.js';
+import WorkflowDiagram, { stepsToMermaid, workflowToMermaid } from './components/WorkflowDiagram.jsx';
+import HistorySidebar from './components/HistorySidebar.jsx';
+import RevisionDiff from './components/RevisionDiff.jsx';
+import RunGuide from './components/RunGuide.jsx';
+import TeamAccess from './components/TeamAccess.jsx';
+import UsageCard from './components/UsageCard.jsx';
+import { labelStyle, fieldStyle } from './components/formStyles.js';
+
+// Retry-After is either a number of seconds or an HTTP date; null when missing or unreadable
+const retryAfterSeconds = (header) => {
+  if (!header) return null;
+  const seconds = /^\d+$/.test(header.trim()) ? Number(header) : Math.ceil((Date.parse(header) - Date.now()) / 1000);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+};
+
+// Identifies an uploaded file across metadata updates
+const profilingKey = (meta) => `${meta.name}:${meta.size}`;
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// What the server's prompt templates need to know about an uploaded file. The read call and
+// profile are described here, where the parsers and profiler that produced them live.
+const fileInput = (meta) => ({
+  name: meta.name,
+  size: meta.size,
+  columns: Array.isArray(meta.columns) ? meta.columns.map(String) : [String(meta.columns)],
+  rowCount: meta.rowCount,
+  rowCountExact: Boolean(meta.rowCountExact),
+  read: meta.delimiter
+    ? `pd.read_csv(INPUT_DIR / ${pyStr(meta.name)}${csvReadOptions(meta)})`
+    : meta.sheets ? `pd.read_excel(INPUT_DIR / ${pyStr(meta.name)}${excelReadOptions(meta)})` : undefined,
+  mergedHeader: meta.sheets ? Boolean(meta.mergedHeader) : undefined,
+  sheets: meta.sheets?.map(({ name, rowCount, hidden }) => ({ name, rowCount, hidden: Boolean(hidden) })),
+  memory: meta.memory ? describeMemory(meta.memory) : undefined,
+  profile: meta.profile ? describeProfile(meta.profile) : undefined,
+  profileRows: meta.profile?.rows,
+  sample: meta.sample?.map(row => row.map(value => (value == null ? null : String(value))))
+});
 
 function App() {
   const [files, setFiles] = useState([]);
   const [fileMetadata, setFileMetadata] = useState([]);
+  const [workflow, setWorkflow] = useState(null);
   const [requirement, setRequirement] = useState('');
   const [apiKey, setApiKey] = useState('');
+  const [provider, setProvider] = useState(DEFAULT_PROVIDER);
+  const [model, setModel] = useState(defaultModel(DEFAULT_PROVIDER));
+  const [baseUrl, setBaseUrl] = useState('');
+  // What the server reports about organisation mode, where it holds the API key:
+  // { org: true, user, provider, model, budget } or NO_ORG
+  const [teamSession, setTeamSession] = useState(NO_ORG);
+  // Model prices from the server, and the tokens and cost of every request this session
+  const [prices, setPrices] = useState({});
+  const [sessionUsage, setSessionUsage] = useState(EMPTY_USAGE);
+  const [spendingBudget, setSpendingBudget] = useState({ amount: '', mode: 'warn' });
   const [loading, setLoading] = useState(false);
+  const [streamPreview, setStreamPreview] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [diagramView, setDiagramView] = useState('steps');
+  const [highlightedStep, setHighlightedStep] = useState(null);
+  const [runPreview, setRunPreview] = useState(null);
+  const [generateTests, setGenerateTests] = useState(false);
+  const [target, setTarget] = useState(DEFAULT_TARGET);
+  // Every revision of the current script, plus what it was generated from:
+  // { id, createdAt, requirement, fileMetadata, workflowName, request,
+  //   revisions: [{ result, message, basedOn, provider, model, template, usage, createdAt }], current }
+  // request is the generate task's input (text in conversations saved before v1 templates);
+  // template is the server's prompt template version, null for offline results; usage is
+  // the tokens and cost of the requests behind the revision, repairs included
+
+  const [conversation, setConversation] = useState(null);
+  const [followUp, setFollowUp] = useState('');
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Bumped after each save so an open history sidebar reloads
+  const [historySaves, setHistorySaves] = useState(0);
+
+  // Keep local history in step with the conversation on screen
+  useEffect(() => {
+    if (!conversation) return;
+    const { request, revisions, current, ...details } = conversation;
+    saveEntry({
+      ...details,
+      updatedAt: Math.max(...revisions.map(revision => revision.createdAt)),
+      conversation: { request, revisions, current }
+    })
+      .then(() => setHistorySaves(count => count + 1))
+      .catch(err => console.error('History save error:', err));
+  }, [conversation]);
+  useEffect(() => {
+    fetchSession().then(setTeamSession);
+    fetchPrices().then(setPrices);
+  }, []);
+
+  // Requests in flight read the total from here, since their render's state is out of date
+  const sessionUsageRef = useRef(EMPTY_USAGE);
+  const recordUsage = (spent) => {
+    sessionUsageRef.current = addUsage(sessionUsageRef.current, spent);
+    setSessionUsage(sessionUsageRef.current);
+  };
+
+  // Running profiling workers by file, so they can be cancelled
+  const profilingJobs = useRef(new Map());
 
   // Rate limiting state
   const [requestHistory, setRequestHistory] = useState([]);
+  // Set from a 429's Retry-After, so no request is sent before the server will accept it
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(0);
   const RATE_LIMIT = 10; // requests
   const RATE_WINDOW = 60000; // 1 minute in milliseconds
+  const MAX_WORKFLOW_DESCRIPTION = 60000; // characters of tool graph sent to the model
 
   // Validate file types and sizes
   const validateFile = (file) => {
@@ -73,14 +138,14 @@ function App() {
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     ];
-    const allowedExtensions = ['.csv', '.xls', '.xlsx'];
+    const allowedExtensions = ['.csv', '.xls', '.xlsx', ...WORKFLOW_EXTENSIONS];
     const maxSize = 100 * 1024 * 1024; // 100MB
 
     const fileName = file.name.toLowerCase();
     const hasValidExtension = allowedExtensions.some(ext => fileName.endsWith(ext));
 
     if (!hasValidExtension) {
-      throw new Error(`Invalid file type: ${file.name}. Only CSV and Excel files are allowed.`);
+      throw new Error(`Invalid file type: ${file.name}. Only CSV, Excel and Alteryx workflow (.yxmd, .yxwz) files are allowed.`);
     }
 
     if (file.size > maxSize) {
@@ -98,111 +163,42 @@ function App() {
       .trim();
   };
 
-  // Detect prompt injection attempts (enhanced)
-  const detectPromptInjection = (input) => {
-    // Normalize input to catch Unicode and HTML entity bypasses
-    const normalized = input
-      .normalize('NFKD') // Normalize Unicode
-      .replace(/&nbsp;/gi, ' ') // HTML entities
-      .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width characters
-      .toLowerCase();
-
-    const dangerousPatterns = [
-      /ign[o0]re\s*(all\s*)?(previous|prior|above)\s*(instructions?|prompts?|rules?)/i,
-      /(you\s*(are|'re)\s*now|act\s*as|pretend\s*(to\s*be|you\s*are))/i,
-      /system\s*(override|prompt|mode|instruction)/i,
-      /forget\s*(everything|all|previous|prior)/i,
-      /(new|different|updated)\s*instructions?/i,
-      /disregard\s*.*(above|prior|previous)/i,
-      /instead,?\s*(output|generate|create|write)/i,
-      /(override|bypass|disable)\s*(safety|security|filter)/i,
-      /reveal\s*(your\s*)?(prompt|instructions|system)/i
-    ];
-
-    // Also check for dangerous imports in the input
-    const dangerousCode = [
-      /import\s+(os|subprocess|sys|eval|exec)/i,
-      /__import__/i,
-      /exec\s*\(/i,
-      /eval\s*\(/i
-    ];
-
-    return dangerousPatterns.some(pattern => pattern.test(normalized)) ||
-           dangerousCode.some(pattern => pattern.test(input));
-  };
-
   // Extract metadata from uploaded files (columns, row count, sample data)
   const extractFileMetadata = async (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = (e) => {
-        try {
-          const text = e.target.result;
-          const lines = text.split('\n').filter(line => line.trim());
-
-          if (lines.length === 0) {
-            resolve({
-              name: file.name,
-              size: file.size,
-              type: file.type,
-              columns: [],
-              rowCount: 0,
-              sample: []
-            });
-            return;
-          }
-
-          // For CSV files, parse headers and get row count
-          if (file.name.toLowerCase().endsWith('.csv')) {
-            const headers = lines[0].split(',').map(h => h.trim().replace(/^["']|["']$/g, ''));
-            const rowCount = lines.length - 1; // Subtract header row
-            const sampleRows = lines.slice(1, Math.min(4, lines.length)).map(line => {
-              const values = line.split(',').map(v => v.trim().replace(/^["']|["']$/g, ''));
-              return values;
-            });
-
-            resolve({
-              name: file.name,
-              size: file.size,
-              type: file.type,
-              columns: headers,
-              rowCount: rowCount,
-              sample: sampleRows
-            });
-          } else {
-            // For Excel files, we can't parse easily in browser without a library
-            // So just return basic info
-            resolve({
-              name: file.name,
-              size: file.size,
-              type: file.type,
-              columns: ['(Excel file - columns will be detected when processing)'],
-              rowCount: '(unknown)',
-              sample: []
-            });
-          }
-        } catch (error) {
-          console.error('Error extracting metadata:', error);
-          resolve({
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            columns: ['(error reading file)'],
-            rowCount: 0,
-            sample: []
-          });
-        }
-      };
+    try {
+      // For CSV files, sniff the dialect and encoding, then parse headers and sample rows
+      if (file.name.toLowerCase().endsWith('.csv')) {
+        // Only read the first 50KB for metadata extraction to avoid memory issues with large files
+        const { header, rows, encoding, delimiter, quotechar, truncated, bytesRead } = await parseCsvSample(file);
+
+        return {
+          name: file.name,
+          size: file.size,
+          type: file.type,
+          columns: header,
+          // Extrapolate from the sample when the file is larger than what was read
+          rowCount: truncated ? Math.round(rows.length * file.size / bytesRead) : rows.length,
+          rowCountExact: !truncated,
+          sample: rows.slice(0, 3),
+          encoding,
+          delimiter,
+          quotechar
+        };
+      }
 
-      reader.onerror = () => {
-        reject(new Error(`Failed to read file: ${file.name}`));
+      // For Excel files, list the sheets and pick the first visible one and its detected header row
+      return await readWorkbook(file);
+    } catch (error) {
+      console.error('Error extracting metadata:', error);
+      return {
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        columns: ['(error reading file)'],
+        rowCount: 0,
+        sample: []
       };
-
-      // Only read first 50KB for metadata extraction to avoid memory issues with large files
-      const blob = file.slice(0, 50 * 1024);
-      reader.readAsText(blob);
-    });
+    }
   };
 
   const handleDrag = (e) => {
@@ -211,81 +207,443 @@ function App() {
     setDragActive(e.type === "dragenter" || e.type === "dragover");
   };
 
+  // Files whose rows can be read: parsed CSVs and workbooks with a sheet to read
+  const canProfile = (meta) => Boolean(meta.delimiter || meta.sheet) && meta.columns.length > 0;
+
+  // Profile every row in a Web Worker and attach the result to the file's metadata,
+  // unless the file was removed or its sheet or header row changed while it ran
+  const startProfiling = (file, meta) => {
+    if (meta.profileStatus !== 'running') return;
+
+    const isSameSelection = (m) =>
+      m.name === meta.name && m.size === meta.size && m.sheet === meta.sheet &&
+      m.headerRow === meta.headerRow && m.mergedHeader === meta.mergedHeader;
+    const update = (changes) =>
+      setFileMetadata(current => current.map(m => (isSameSelection(m) ? { ...m, ...changes } : m)));
+
+    // Only one run per file: a new sheet or header row choice replaces the running one
+    const key = profilingKey(meta);
+    profilingJobs.current.get(key)?.cancel();
+
+    const job = profileFile(file, meta, (loaded, total) => update({ profileProgress: { loaded, total } }));
+    profilingJobs.current.set(key, job);
+
+    job.result
+      .then(profile => update({
+        profile,
+        profileStatus: 'done',
+        profileProgress: null,
+        rowCount: profile.rows,
+        rowCountExact: true,
+        memory: estimateMemory(profile)
+      }))
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error('Profiling error:', err);
+        update({ profileStatus: 'error', profileProgress: null });
+      })
+      .finally(() => {
+        if (profilingJobs.current.get(key) === job) profilingJobs.current.delete(key);
+      });
+  };
+
+  const cancelProfiling = (index) => {
+    const meta = fileMetadata[index];
+    profilingJobs.current.get(profilingKey(meta))?.cancel();
+    setFileMetadata(fileMetadata.map((m, i) => (i === index ? { ...m, profileStatus: 'cancelled', profileProgress: null } : m)));
+  };
+
+  const resumeProfiling = (index) => {
+    const updated = { ...fileMetadata[index], profileStatus: 'running' };
+    setFileMetadata(fileMetadata.map((meta, i) => (i === index ? updated : meta)));
+    startProfiling(files[index], updated);
+  };
+
+  // Split uploads into Alteryx workflows and data files, then parse each
+  const addFiles = async (newFiles) => {
+    try {
+      newFiles.forEach(validateFile);
+
+      const workflowFiles = newFiles.filter(file => isWorkflowFile(file.name));
+      const dataFiles = newFiles.filter(file => !isWorkflowFile(file.name));
+
+      if (workflowFiles.length > 1) {
+        throw new Error('Please upload one Alteryx workflow at a time.');
+      }
+
+      const parsedWorkflow = workflowFiles.length > 0 ? await parseWorkflowFile(workflowFiles[0]) : null;
+
+      // Extract metadata from all new data files
+      const metadataPromises = dataFiles.map(file => extractFileMetadata(file));
+      const newMetadata = (await Promise.all(metadataPromises)).map(meta =>
+        (canProfile(meta) ? { ...meta, profileStatus: 'running' } : meta)
+      );
+
+      if (parsedWorkflow) {
+        setWorkflow(parsedWorkflow);
+      }
+      setFiles([...files, ...dataFiles]);
+      setFileMetadata([...fileMetadata, ...newMetadata]);
+      newMetadata.forEach((meta, i) => startProfiling(dataFiles[i], meta));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
     if (e.dataTransfer.files?.length > 0) {
-      try {
-        const newFiles = Array.from(e.dataTransfer.files);
-        newFiles.forEach(validateFile);
-
-        // Extract metadata from all new files
-        const metadataPromises = newFiles.map(file => extractFileMetadata(file));
-        const newMetadata = await Promise.all(metadataPromises);
-
-        setFiles([...files, ...newFiles]);
-        setFileMetadata([...fileMetadata, ...newMetadata]);
-        setError(null);
-      } catch (err) {
-        setError(err.message);
-      }
+      await addFiles(Array.from(e.dataTransfer.files));
     }
   };
 
   const handleFileInput = async (e) => {
     if (e.target.files?.length > 0) {
-      try {
-        const newFiles = Array.from(e.target.files);
-        newFiles.forEach(validateFile);
-
-        // Extract metadata from all new files
-        const metadataPromises = newFiles.map(file => extractFileMetadata(file));
-        const newMetadata = await Promise.all(metadataPromises);
-
-        setFiles([...files, ...newFiles]);
-        setFileMetadata([...fileMetadata, ...newMetadata]);
-        setError(null);
-      } catch (err) {
-        setError(err.message);
-      }
+      await addFiles(Array.from(e.target.files));
     }
   };
 
+  // Change the sheet, header row or merged-header choice for an uploaded workbook
+  const updateSheetSelection = (index, selection) => {
+    const updated = {
+      ...selectSheet(fileMetadata[index], selection),
+      profile: null,
+      profileStatus: 'running',
+      rowCountExact: false,
+      memory: null
+    };
+    setFileMetadata(fileMetadata.map((meta, i) => (i === index ? updated : meta)));
+    startProfiling(files[index], updated);
+  };
+
   const removeFile = (index) => {
+    profilingJobs.current.get(profilingKey(fileMetadata[index]))?.cancel();
     setFiles(files.filter((_, i) => i !== index));
     setFileMetadata(fileMetadata.filter((_, i) => i !== index));
   };
 
-  const handleGenerate = async () => {
-    // Rate limiting check
+  // Returns the requests still inside the rate limit window, or null when the limit is hit
+  const checkRateLimit = () => {
     const now = Date.now();
+    if (now < rateLimitedUntil) {
+      setError(`Rate limit exceeded. Please wait ${Math.ceil((rateLimitedUntil - now) / 1000)} seconds before trying again.`);
+      return null;
+    }
+
     const recentRequests = requestHistory.filter(timestamp => now - timestamp < RATE_WINDOW);
 
     if (recentRequests.length >= RATE_LIMIT) {
       const oldestRequest = Math.min(...recentRequests);
       const waitTime = Math.ceil((RATE_WINDOW - (now - oldestRequest)) / 1000);
       setError(`Rate limit exceeded. Please wait ${waitTime} seconds before trying again.`);
-      return;
+      return null;
     }
 
-    // Validate API key
-    if (!apiKey || !apiKey.trim()) {
-      setError('Please enter your API key');
-      return;
+    return recentRequests;
+  };
+
+  const providerSettings = { provider, model, apiKey, baseUrl };
+  const providerConfig = PROVIDERS[provider];
+  const orgMode = teamSession.org;
+  // In organisation mode the server's provider and model generate everything
+  const generatedWith = orgMode
+    ? { provider: teamSession.provider, model: teamSession.model }
+    : { provider, model: model.trim() };
+  const ready = orgMode ? Boolean(teamSession.user) : isProviderReady(providerSettings);
+  const currentUsage = conversation?.revisions[conversation.current]?.usage;
+
+  const validateApiKey = () => {
+    if (orgMode) {
+      if (!teamSession.user) setError(teamSession.error || 'Please sign in with your team token');
+      return Boolean(teamSession.user);
+    }
+
+    const settingsError = validateProviderSettings(providerSettings);
+    if (settingsError) {
+      setError(settingsError);
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSignIn = async (token) => {
+    const user = await signIn(token);
+    setTeamSession(current => ({ ...current, user }));
+    setError(null);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      // The tokens used so far were the previous user's
+      setTeamSession(current => ({ ...current, user: null, budget: current.budget && { limit: current.budget.limit } }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleProviderChange = (newProvider) => {
+    setProvider(newProvider);
+    setModel(defaultModel(newProvider));
+  };
+
+  // Stop a request estimated to take the session over the user's budget, or ask first,
+  // depending on the budget's mode. Requests to models without a price are not checked.
+  const checkSpendingBudget = (request) => {
+    const limit = Number(spendingBudget.amount);
+    if (!(limit > 0)) return;
+
+    const estimate = estimateRequest(request, priceOf(prices, generatedWith.model), sessionUsageRef.current);
+    if (estimate.cost === null) return;
+    const projected = sessionUsageRef.current.cost + estimate.cost;
+    if (projected <= limit) return;
+
+    const message = `This request is estimated at ${formatCost(estimate.cost)}, which would bring this session to ${formatCost(projected)}, over your ${formatCost(limit)} budget.`;
+    if (spendingBudget.mode === 'warn' && window.confirm(`${message} Send it anyway?`)) return;
+
+    const budgetError = new Error(spendingBudget.mode === 'block' ? `${message} Raise the budget to continue.` : `Request not sent. ${message}`);
+    budgetError.overBudget = true;
+    throw budgetError;
+  };
+
+  // Send a task ({ task, input, repair? }) to the proxy, which builds the prompt from its template.
+  // Streams the raw tool arguments to onProgress and returns the completion, with the result the
+  // server validated and the template version it used.
+  const requestConversion = async (request, onProgress = () => {}) => {
+    checkSpendingBudget(request);
+
+    // Call via Netlify function to avoid CORS issues
+    const response = await fetch('/.netlify/functions/generate', {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json'
+      },
+      // In organisation mode the session cookie goes instead, and the server supplies the rest
+      body: JSON.stringify({
+        ...(!orgMode && {
+          provider,
+          model: model.trim(),
+          baseUrl: providerConfig.needsBaseUrl ? baseUrl.trim() : undefined,
+          apiKey: apiKey
+        }),
+        ...request
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const requestError = new Error(errorData.error?.message || `API error: ${response.status}`);
+      requestError.status = response.status;
+      requestError.retryAfter = retryAfterSeconds(response.headers.get('retry-after'));
+      // Set when an organisation member has used this month's token budget
+      requestError.budget = errorData.error?.budget;
+      throw requestError;
     }
 
-    // Validate API key format
-    if (!apiKey.startsWith('sk-ant-')) {
-      setError('Invalid Anthropic API key format. Should start with sk-ant-');
+    let content = '';
+    let completion = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'delta') {
+        content += data.text;
+        onProgress(content);
+      } else if (event === 'done') {
+        completion = data;
+        recordUsage(data);
+      } else if (event === 'error') {
+        if (data.usage) recordUsage(data);
+        // Schema problems come with one entry per field, e.g. "steps[2].code expected string, got null"
+        const fields = (data.fields || []).map(({ path, message }) => `${path} ${message}`);
+        const streamError = new Error(fields.length > 0 ? `${data.error}: ${fields.join('; ')}` : data.error);
+        // Present when the server rejected the model's answer, which a repair attempt can fix
+        streamError.fields = data.fields;
+        streamError.spent = data.usage && data;
+        throw streamError;
+      }
+    });
+
+    if (completion?.budget) {
+      setTeamSession(current => ({ ...current, budget: completion.budget }));
+    }
+    if (!completion) {
+      throw new Error(`The connection closed before ${modelLabel(generatedWith)} finished (the server function may have timed out). Try again, or split the workflow into smaller parts.`);
+    }
+    if (completion.stop_reason === 'max_tokens') {
+      throw new Error(`${modelLabel(generatedWith)} reached the ${completion.max_tokens.toLocaleString()}-token output limit before finishing the script. Split the workflow into smaller parts or simplify the request.`);
+    }
+
+    return completion;
+  };
+
+  // Check each answer and send the concrete findings back to the model until the checks pass
+  // or MAX_REPAIR_ATTEMPTS repairs have been made. Returns the last result with its checks,
+  // where each check lists the issues that were fixed along the way.
+  const requestCheckedConversion = async (request, onProgress) => {
+    // The checks and everything that shows the result depend on what was generated
+    const resultTarget = request.input.options?.target || DEFAULT_TARGET;
+    let previous = null;
+    let template = null;
+    let checks = [];
+    let usage = EMPTY_USAGE;
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptRequest = attempt === 0 ? request : { ...request, repair: repairInput(previous, checks) };
+      let latest;
+      try {
+        const answer = await requestConversion(attemptRequest, onProgress);
+        usage = addUsage(usage, answer);
+        previous = { ...answer.result, target: resultTarget };
+        template = answer.template;
+        latest = checkResult(previous, fileMetadata);
+      } catch (err) {
+        if (err.spent) usage = addUsage(usage, err.spent);
+        if (!err.fields || attempt === MAX_REPAIR_ATTEMPTS) throw err;
+        previous = null;
+        latest = [schemaFailure(err)];
+      }
+      checks = recordFixes(latest, checks);
+
+      const failed = failedChecks(checks);
+      if (failed.length === 0 || attempt === MAX_REPAIR_ATTEMPTS) {
+        if (failed.some(check => check.id === 'imports')) {
+          throw new Error('AI generated code with unauthorized imports. This may be a prompt injection attempt. Please try describing your workflow differently.');
+        }
+        return { result: { ...previous, checks }, template, usage };
+      }
+
+      // Every repair is another API call
+      setRequestHistory(current => [...current, Date.now()]);
+      setStreamPreview({
+        received: 0,
+        repair: { attempt: attempt + 1, issues: failed.reduce((count, check) => count + check.issues.length, 0) }
+      });
+    }
+  };
+
+  const reportGenerationError = (err) => {
+    console.error('Generation error:', err);
+
+    // The user's session budget stopped the request before it was sent
+    if (err.overBudget) {
+      setError(err.message);
+    } else if (err.message === 'Failed to fetch') {
+      // Network/CORS errors
+      setError(`Network error: Could not connect to the ${providerConfig.label} API. Please check: (1) Your internet connection, (2) Your API key is valid, (3) Try refreshing the page. If the problem persists, your network may be blocking API requests.`);
+    } else if (orgMode && err.status === 401) {
+      // The session expired, or the administrator issued a new token
+      setTeamSession(current => ({ ...current, user: null }));
+      setError('Your team session has ended. Please sign in again.');
+    } else if (err.budget) {
+      setTeamSession(current => ({ ...current, budget: err.budget }));
+      setError(err.message);
+    } else if (err.status === 401 || err.message.includes('401') || err.message.includes('authentication')) {
+      setError(providerConfig.keyUrl
+        ? `Invalid API key. Please check your API key at ${providerConfig.keyUrl}`
+        : 'Invalid API key. Please check the key your server expects.');
+    } else if (err.status === 429 || err.message.includes('429')) {
+      if (err.retryAfter) {
+        setRateLimitedUntil(Date.now() + err.retryAfter * 1000);
+        setError(`Rate limit exceeded. Please wait ${err.retryAfter} seconds before trying again.`);
+      } else {
+        setError('Rate limit exceeded. Please wait a moment and try again.');
+      }
+    } else if (err.status === 413) {
+      setError('The request is too large to send. Try a shorter description or split the workflow into smaller parts.');
+    } else if (err.status === 400) {
+      // The server says what it rejected: a base URL, an input field or the text typed
+      setError(err.message);
+    } else if (err.message.includes('400')) {
+      setError('Invalid request. Please check your input.');
+    } else if (err.status >= 500 || err.message.includes('500') || err.message.includes('503')) {
+      setError('API error. Please try again later.');
+    } else {
+      setError(err.message || 'Failed to generate script. Please try again.');
+    }
+  };
+
+  // Show a result. A revision with a message is added to the current conversation;
+  // anything else starts a new one, with request describing what was asked for.
+  const showResult = (newResult, revision = {}) => {
+    clearRunPreview();
+    setResult(newResult);
+
+    const generatedBy = newResult.source === 'offline' || newResult.source === 'merge'
+      ? { provider: null, model: null }
+      : generatedWith;
+    const entry = { result: newResult, ...generatedBy, template: revision.template || null, usage: revision.usage || null, createdAt: Date.now() };
+
+    if (revision.message) {
+      setConversation(current => ({
+        ...current,
+        revisions: [...current.revisions, { ...entry, message: revision.message, basedOn: revision.basedOn }],
+        current: current.revisions.length
+      }));
       return;
     }
 
+    setConversation({
+      id: crypto.randomUUID(),
+      createdAt: entry.createdAt,
+      requirement,
+      // Progress fields only mean something while the file is open
+      fileMetadata: fileMetadata.map(({ profileStatus, profileProgress, ...meta }) => meta),
+      workflowName: workflow?.name || null,
+      request: revision.request || null,
+      revisions: [{ ...entry, message: null, basedOn: null }],
+      current: 0
+    });
+
+    // Smooth scroll to results
+    setTimeout(() => {
+      document.getElementById('results')?.scrollIntoView({ behavior: 'smooth' });
+    }, 200);
+  };
+
+  // Run a task through the model with loading, rate limiting and error handling.
+  // Returns whether a result was shown.
+  const runConversion = async (request, finalize = (parsed) => parsed, revision = {}) => {
+    const recentRequests = checkRateLimit();
+    if (!recentRequests) return false;
+
+    setLoading(true);
+    setError(null);
+
+    // Track this request for rate limiting
+    setRequestHistory([...recentRequests, Date.now()]);
+
+    // Re-parsing the partial JSON on every token is wasteful, so refresh the preview at most every 150ms
+    let lastPreview = 0;
+    const updatePreview = (content) => {
+      if (Date.now() - lastPreview < 150) return;
+      lastPreview = Date.now();
+      setStreamPreview(current => ({ ...parsePartialJson(content), received: content.length, repair: current?.repair }));
+    };
+
+    try {
+      setStreamPreview({ received: 0 });
+      const { result: checked, template, usage } = await requestCheckedConversion(request, updatePreview);
+      showResult(finalize(checked), { ...revision, template, usage });
+      return true;
+    } catch (err) {
+      reportGenerationError(err);
+      return false;
+    } finally {
+      setLoading(false);
+      setStreamPreview(null);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!validateApiKey()) return;
+
     const cleanedRequirement = sanitizeInput(requirement);
 
-    if (!cleanedRequirement.trim()) {
-      setError('Please describe what you want to do');
+    if (!cleanedRequirement.trim() && !workflow) {
+      setError('Please describe what you want to do or upload an Alteryx workflow');
       return;
     }
 
@@ -294,162 +652,216 @@ function App() {
       return;
     }
 
-    // Check for prompt injection
-    if (detectPromptInjection(cleanedRequirement)) {
-      setError('Invalid input detected. Please describe your data workflow only.');
+    const workflowText = workflow ? describeWorkflow(workflow, expressionHints) : '';
+
+    if (workflowText.length > MAX_WORKFLOW_DESCRIPTION) {
+      setError('Workflow is too large to convert in one request. Try splitting it into smaller workflows.');
       return;
     }
 
-    setLoading(true);
-    setError(null);
-    setResult(null);
-
-    // Track this request for rate limiting
-    setRequestHistory([...recentRequests, now]);
+    // The server checks this and builds the prompt from it; it is kept with the result,
+    // so follow-up changes are made with the same context
+    const input = {
+      requirement: cleanedRequirement,
+      files: fileMetadata.map(fileInput),
+      workflow: workflow
+        ? { name: workflow.name, description: workflowText, tools: [...new Set(topologicalOrder(workflow).map(node => node.tool))] }
+        : undefined,
+      options: { tests: generateTests && isPython(target), target }
+    };
 
-    try {
-      // Build detailed file information with metadata
-      let fileInfoText = 'None';
-      if (fileMetadata.length > 0) {
-        fileInfoText = fileMetadata.map((meta, idx) => {
-          const columnsStr = Array.isArray(meta.columns) ? meta.columns.join(', ') : meta.columns;
-          const rowCountStr = typeof meta.rowCount === 'number' ? meta.rowCount.toLocaleString() : meta.rowCount;
-          return `
-File ${idx + 1}: ${meta.name}
-  - Size: ${(meta.size / 1024 / 1024).toFixed(2)} MB
-  - Columns: ${columnsStr}
-  - Approximate Rows: ${rowCountStr}`;
-        }).join('\n');
-      }
+    setResult(null);
+    await runConversion({ task: 'generate', input }, undefined, { request: input });
+  };
 
-      // Build prompt for Claude
-      const prompt = `${ALTERYX_KNOWLEDGE}
+  // Scroll to the step card behind a diagram node: "S<index>" for steps, "T<toolId>" for Alteryx tools
+  const handleDiagramNodeClick = useCallback((nodeId) => {
+    const steps = result?.steps || [];
+    const index = nodeId.startsWith('S')
+      ? Number(nodeId.slice(1))
+      : steps.findIndex(step =>
+        String(step.toolId) === nodeId.slice(1) || step.description.startsWith(`[${nodeId.slice(1)}]`)
+      );
 
-## USER REQUEST
+    if (!steps[index]) return;
 
-Files uploaded:
-${fileInfoText}
+    document.getElementById(`step-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightedStep(index);
+    setTimeout(() => setHighlightedStep(current => (current === index ? null : current)), 2000);
+  }, [result]);
 
-User requirement: ${cleanedRequirement}
+  // Rule-based conversion of the uploaded workflow, no API call needed
+  const handleOfflineConvert = () => {
+    try {
+      setError(null);
+      showResult({ ...translateWorkflow(workflow, { fileMetadata }), source: 'offline' });
+    } catch (err) {
+      console.error('Offline conversion error:', err);
+      setError(`Offline conversion failed: ${err.message}`);
+    }
+  };
 
-## YOUR TASK
+  // Ask the model to fill in only the stubs the offline translator left behind
+  const handleCompleteStubs = async () => {
+    if (!validateApiKey() || !result?.stubs?.length || !workflow) return;
+
+    const stubIds = result.stubs.map(stub => stub.toolId);
+    const input = {
+      script: result.script,
+      stubs: topologicalOrder(workflow)
+        .filter(node => stubIds.includes(node.id))
+        .map(node => ({ toolId: String(node.id), tool: node.tool, configuration: summarizeConfiguration(node) })),
+      input_files: result.input_files,
+      output_files: result.output_files
+    };
+
+    // Keep the offline steps and swap in the completed ones
+    const offlineSteps = result.steps;
+    await runConversion({ task: 'complete_stubs', input }, (completed) => ({
+      ...completed,
+      source: 'offline+ai',
+      stubs: [],
+      steps: offlineSteps.map(step => {
+        if (!stubIds.includes(step.toolId)) return step;
+        const match = (completed.steps || []).find(s => s.description.startsWith(`[${step.toolId}]`));
+        return match ? { ...match, toolId: step.toolId } : step;
+      })
+    }), { message: 'Complete the stubs with AI', basedOn: conversation.current });
+  };
 
-Generate a complete Python script that:
-1. Loads the data files mentioned
-2. Implements the requested workflow
-3. **CRITICAL**: Includes df.columns = df.columns.str.lower().str.strip() after EVERY read_csv/read_excel
-4. Saves the output appropriately
+  // Messages that led to a revision, oldest first, following the revisions it was based on
+  const revisionHistory = (index) => {
+    const history = [];
+    for (let i = index; i !== null; i = conversation.revisions[i].basedOn) {
+      history.unshift({ ...conversation.revisions[i], index: i });
+    }
+    return history;
+  };
 
-Also provide:
-- A step-by-step explanation with code snippets
-- List of input files needed
-- List of output files that will be created
+  // Ask for a change to the revision on screen; the answer becomes a new revision
+  const handleRefine = async () => {
+    if (!validateApiKey() || !result || !conversation) return;
 
-CRITICAL: You must respond with ONLY valid JSON. No explanatory text before or after. No markdown code blocks. Just pure JSON.
+    const message = sanitizeInput(followUp);
+    if (!message) return;
+    if (message.length > 2000) {
+      setError('Follow-up is too long (maximum 2000 characters)');
+      return;
+    }
 
-Use this exact format:
-{
-  "script": "complete Python code here",
-  "steps": [
-    {"description": "Load Superstore CSV", "code": "df = pd.read_csv('Superstore.csv')"},
-    {"description": "Filter for South Region", "code": "df = df[df['region'] == 'South']"},
-    {"description": "Group by subcategory and sum sales", "code": "df.groupby('subcategory')['sales'].sum()"},
-    {"description": "Save results to CSV", "code": "df.to_csv('results.csv', index=False)"}
-  ],
-  "input_files": ["file1.csv", "file2.xlsx"],
-  "output_files": ["output.xlsx"]
-}
+    const earlier = revisionHistory(conversation.current).filter(revision => revision.message);
+
+    // Conversations saved before prompts were built on the server kept their request as text
+    const input = {
+      ...(typeof conversation.request === 'string'
+        ? { requestText: conversation.request }
+        : { request: conversation.request ?? undefined }),
+      script: result.script,
+      tests: result.tests,
+      changes: earlier.map(revision => revision.message),
+      message,
+      options: { tests: generateTests && isPython(targetOf(result)), target: targetOf(result) }
+    };
+
+    if (await runConversion({ task: 'refine', input }, undefined, { message, basedOn: conversation.current })) {
+      setFollowUp('');
+    }
+  };
 
-Start your response with { and end with }. Nothing else.`;
-
-      // Call via Netlify function to avoid CORS issues
-      const response = await fetch('/.netlify/functions/generate', {
-        method: 'POST',
-        headers: {
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify({
-          apiKey: apiKey,
-          prompt: prompt
-        })
-      });
+  // Run the checks again on a saved result, keeping what its repairs fixed. History files can be
+  // edited by hand, so their checks are not trusted. Offline results were never checked.
+  const recheckResult = (saved) => {
+    if (!Array.isArray(saved.checks)) return saved;
+    const checks = checkResult(saved, fileMetadata).map(check => ({
+      ...check,
+      fixed: saved.checks.find(before => before?.id === check.id)?.fixed ?? []
+    }));
+    return { ...saved, checks };
+  };
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || `API error: ${response.status}`);
-      }
+  // Bring back a saved conversion. Its files are not stored, so uploads stay as they are.
+  const restoreHistoryEntry = (entry) => {
+    const { conversation: saved, updatedAt, ...details } = entry;
+    const current = Math.min(Math.max(Number(saved.current) || 0, 0), saved.revisions.length - 1);
+    const revisions = saved.revisions.map(revision => ({ ...revision, result: recheckResult(revision.result) }));
+    const latest = revisions[revisions.length - 1];
+
+    clearRunPreview();
+    setConversation({ ...details, ...saved, revisions, current });
+    setResult(revisions[current].result);
+    setRequirement(entry.requirement || '');
+    // Imported files may name a provider this build does not have
+    if (latest.provider && Object.hasOwn(PROVIDERS, latest.provider)) {
+      setProvider(latest.provider);
+      setModel(latest.model || defaultModel(latest.provider));
+    }
+    setError(null);
+    setHistoryOpen(false);
 
-      const data = await response.json();
-      const content = data.content[0].text;
+    setTimeout(() => {
+      document.getElementById('results')?.scrollIntoView({ behavior: 'smooth' });
+    }, 200);
+  };
 
-      // Parse JSON response
-      let parsedResult;
-      try {
-        // Try to parse the entire content first
-        try {
-          parsedResult = JSON.parse(content);
-        } catch (e) {
-          // If that fails, try to extract JSON from response (in case Claude adds explanation text)
-          const jsonMatch = content.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            parsedResult = JSON.parse(jsonMatch[0]);
-          } else {
-            console.error('Raw response:', content);
-            throw new Error('No JSON found in response. Check console for raw output.');
-          }
-        }
-      } catch (parseError) {
-        console.error('Parse error:', parseError);
-        console.error('Content:', content);
-        throw new Error(`Failed to parse Claude response: ${parseError.message}`);
-      }
+  // A merge from the diff viewer becomes a new revision, re-checked since its lines come from two scripts
+  const handleMergeRevisions = (merged, left, right) => {
+    const mergedResult = {
+      ...merged,
+      source: 'merge',
+      stubs: merged.stubs?.filter(stub => merged.script.includes(`${STUB_START} [${stub.toolId}]`))
+    };
+    showResult({ ...mergedResult, checks: checkResult(mergedResult, fileMetadata) }, {
+      message: `Merge ${left === 0 ? 'the original script' : `revision ${left + 1}`} with changes from ${right === 0 ? 'the original script' : `revision ${right + 1}`}`,
+      basedOn: left
+    });
+  };
 
-      // Validate response structure
-      const requiredFields = ['script', 'steps', 'input_files', 'output_files'];
-      for (const field of requiredFields) {
-        if (!(field in parsedResult)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
+  // Step to another revision; its run preview would no longer match, so it is cleared
+  const showRevision = (index) => {
+    if (!conversation?.revisions[index]) return;
+    clearRunPreview();
+    setResult(conversation.revisions[index].result);
+    setConversation({ ...conversation, current: index });
+  };
 
-      // Validate generated code for dangerous imports
-      if (parsedResult.script) {
-        const dangerousImports = ['os', 'subprocess', 'sys', 'eval', 'exec', '__import__', 'pickle', 'shelve'];
-        const hasDangerous = dangerousImports.some(mod =>
-          new RegExp(`import\\s+${mod}|from\\s+${mod}`, 'i').test(parsedResult.script)
-        );
+  // Drop the last run's output and the download links it created
+  const clearRunPreview = () => {
+    runPreview?.outputs?.forEach(output => URL.revokeObjectURL(output.url));
+    setRunPreview(null);
+  };
 
-        if (hasDangerous) {
-          throw new Error('AI generated code with unauthorized imports. This may be a prompt injection attempt. Please try describing your workflow differently.');
-        }
-      }
+  // Execute the script in the browser against the uploaded files, unless it imports what it must not
+  const handleRunPreview = async () => {
+    if (!result?.script || !TARGETS[targetOf(result)].preview || runPreview?.status === 'running') return;
+    if (runBlocked.length > 0) return;
 
-      setResult(parsedResult);
+    clearRunPreview();
+    setRunPreview({ status: 'running', message: 'Starting...', console: [] });
+    const update = (changes) => setRunPreview(current => ({ ...current, ...changes }));
 
-      // Smooth scroll to results
-      setTimeout(() => {
-        document.getElementById('results')?.scrollIntoView({ behavior: 'smooth' });
-      }, 200);
+    try {
+      const { ok, error: traceback, outputs } = await runScript(result.script, files, {
+        onStatus: message => update({ message }),
+        onOutput: (stream, text) => setRunPreview(current => ({ ...current, console: [...current.console, { stream, text }] }))
+      });
 
+      update({
+        status: ok ? 'done' : 'error',
+        traceback,
+        outputs: outputs.map(output => ({
+          name: output.name,
+          preview: output.preview,
+          size: output.data.byteLength,
+          url: URL.createObjectURL(new Blob([output.data]))
+        }))
+      });
     } catch (err) {
-      console.error('Generation error:', err);
-
-      // Handle "Failed to fetch" - network/CORS errors
-      if (err.message === 'Failed to fetch') {
-        setError('Network error: Could not connect to Anthropic API. Please check: (1) Your internet connection, (2) Your API key is valid, (3) Try refreshing the page. If the problem persists, your network may be blocking API requests.');
-      } else if (err.message.includes('401') || err.message.includes('authentication')) {
-        setError('Invalid API key. Please check your API key at console.anthropic.com');
-      } else if (err.message.includes('429')) {
-        setError('Rate limit exceeded. Please wait a moment and try again.');
-      } else if (err.message.includes('400')) {
-        setError('Invalid request. Please check your input.');
-      } else if (err.message.includes('500') || err.message.includes('503')) {
-        setError('API error. Please try again later.');
-      } else {
-        setError(err.message || 'Failed to generate script. Please try again.');
+      if (err.name === 'AbortError') {
+        update({ status: 'stopped' });
+        return;
       }
-    } finally {
-      setLoading(false);
+      console.error('Run preview error:', err);
+      update({ status: 'error', traceback: err.message });
     }
   };
 
@@ -463,61 +875,190 @@ Start your response with { and end with }. Nothing else.`;
     }
   };
 
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
   const downloadScript = () => {
     try {
       if (!result?.script) {
         throw new Error('No script to download');
       }
 
-      const blob = new Blob([result.script], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'pycture_script.py';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      downloadBlob(new Blob([result.script], { type: 'text/plain' }), scriptName(targetOf(result)));
     } catch (err) {
       console.error('Download failed:', err);
       alert('Download failed. Please try copying the script instead.');
     }
   };
 
+  const downloadTests = () => {
+    try {
+      if (!result?.tests) {
+        throw new Error('No tests to download');
+      }
+
+      downloadBlob(new Blob([result.tests], { type: 'text/plain' }), TESTS_NAME);
+    } catch (err) {
+      console.error('Download failed:', err);
+      alert('Download failed. Please try copying the tests instead.');
+    }
+  };
+
+  // Profiles come from the files the conversion was generated with, so a restored entry exports the same notebook
+  const downloadNotebook = () => {
+    try {
+      if (!result?.script) {
+        throw new Error('No script to download');
+      }
+
+      const notebook = buildNotebook(result, {
+        title: conversation ? entryTitle(conversation) : undefined,
+        fileMetadata: conversation?.fileMetadata || fileMetadata
+      });
+      downloadBlob(new Blob([JSON.stringify(notebook, null, 1)], { type: 'application/x-ipynb+json' }), 'pycture_script.ipynb');
+    } catch (err) {
+      console.error('Notebook export failed:', err);
+      alert('Notebook export failed. Please download the .py script instead.');
+    }
+  };
+
+  // Uploaded files the script reads are bundled into input_files/, so the project runs as downloaded
+  const downloadProject = async () => {
+    try {
+      if (!result?.script) {
+        throw new Error('No script to download');
+      }
+
+      const needed = new Set((result.input_files || []).map(name => name.split(/[\\/]/).pop().toLowerCase()));
+      const inputs = await Promise.all(files
+        .filter(file => needed.has(file.name.toLowerCase()))
+        .map(async file => ({ name: file.name, data: new Uint8Array(await file.arrayBuffer()) })));
+
+      const entries = projectEntries(result, {
+        title: conversation ? entryTitle(conversation) : undefined,
+        inputs
+      });
+      downloadBlob(createZip(entries), `${PROJECT_FOLDER}.zip`);
+    } catch (err) {
+      console.error('Project export failed:', err);
+      alert(`Project export failed: ${err.message}`);
+    }
+  };
+
+  // Findings that keep Run preview off, from the script itself rather than its saved checks
+  const runBlocked = useMemo(() => (result?.script && TARGETS[targetOf(result)].preview ? runBlockers(result.script) : []), [result]);
+
   return (
     <div className="app">
       <div className="container">
         <header className="header">
+          <button className="history-toggle" onClick={() => setHistoryOpen(true)} type="button">
+            🕘 History
+          </button>
           <h1>📊 Pycture</h1>
-          <p>Transform Alteryx workflows into Python code with AI</p>
+          <p>Transform Alteryx workflows into Python or SQL code with AI</p>
         </header>
 
-        <div className="card">
-          <h2>🔑 Anthropic Claude API Key</h2>
+        <HistorySidebar
+          open={historyOpen}
+          onClose={() => setHistoryOpen(false)}
+          onRestore={restoreHistoryEntry}
+          currentId={conversation?.id}
+          refreshKey={historySaves}
+        />
+
+        {orgMode ? (
+          <TeamAccess session={teamSession} onSignIn={handleSignIn} onSignOut={handleSignOut} />
+        ) : (
+          <div className="card">
+            <h2>🔑 AI Provider &amp; API Key</h2>
+
+            <div className="provider-grid">
+              <div>
+                <label style={labelStyle} htmlFor="provider">Provider</label>
+                <select
+                  id="provider"
+                  value={provider}
+                  onChange={(e) => handleProviderChange(e.target.value)}
+                  style={fieldStyle}
+                >
+                  {Object.entries(PROVIDERS).map(([id, config]) => (
+                    <option key={id} value={id}>{config.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle} htmlFor="model">Model</label>
+                {providerConfig.models.length > 0 ? (
+                  <select id="model" value={model} onChange={(e) => setModel(e.target.value)} style={fieldStyle}>
+                    {providerConfig.models.map(m => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    id="model"
+                    type="text"
+                    value={model}
+                    onChange={(e) => setModel(e.target.value)}
+                    placeholder="e.g. llama3.1:70b"
+                    style={fieldStyle}
+                  />
+                )}
+              </div>
+            </div>
 
-          <div>
-            <label style={{ fontSize: '14px', color: '#333', fontWeight: '500', marginBottom: '8px', display: 'block' }}>
-              API Key
-            </label>
-            <input
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              placeholder="sk-ant-api03-..."
-              style={{ width: '100%', padding: '12px', fontSize: '14px', marginBottom: '10px', borderRadius: '6px', border: '1px solid #ddd' }}
-            />
-            <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-              🔒 Your API key is sent securely to Anthropic via our proxy. We do not store or log your API key.{' '}
-              <a
-                href="https://console.anthropic.com/"
-                target="_blank"
-                rel="noopener noreferrer"
-              >
-                Get your API key here
-              </a>
-            </p>
+            {providerConfig.needsBaseUrl && (
+              <div>
+                <label style={labelStyle} htmlFor="base-url">Base URL</label>
+                <input
+                  id="base-url"
+                  type="url"
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                  placeholder="https://llm.example.com/v1"
+                  style={fieldStyle}
+                />
+              </div>
+            )}
+
+            <div>
+              <label style={labelStyle} htmlFor="api-key">
+                API Key
+              </label>
+              <input
+                id="api-key"
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                placeholder={providerConfig.keyPlaceholder}
+                style={fieldStyle}
+              />
+              <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                🔒 Your API key is sent securely to {providerConfig.needsBaseUrl ? 'your server' : providerConfig.label} via our proxy. We do not store or log your API key.{' '}
+                {providerConfig.keyUrl && (
+                  <a
+                    href={providerConfig.keyUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    Get your API key here
+                  </a>
+                )}
+              </p>
+            </div>
           </div>
-        </div>
+        )}
+
+        <UsageCard usage={sessionUsage} budget={spendingBudget} onBudgetChange={setSpendingBudget} />
 
         <div className="card">
           <h2>📁 Upload Your Data Files (Optional)</h2>
@@ -530,12 +1071,12 @@ Start your response with { and end with }. Nothing else.`;
             onClick={() => document.getElementById('fileInput').click()}
           >
             <p className="upload-text">📂 Drop files here or click to browse</p>
-            <p className="upload-hint">Supports CSV, Excel (.xlsx, .xls) - Max 100MB per file</p>
+            <p className="upload-hint">Supports CSV, Excel (.xlsx, .xls) and Alteryx workflows (.yxmd, .yxwz) - Max 100MB per file</p>
             <input
               id="fileInput"
               type="file"
               multiple
-              accept=".csv,.xlsx,.xls"
+              accept=".csv,.xlsx,.xls,.yxmd,.yxwz"
               onChange={handleFileInput}
               style={{ display: 'none' }}
             />
@@ -552,7 +1093,119 @@ Start your response with { and end with }. Nothing else.`;
                     {fileMetadata[index] && (
                       <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
                         <div>Columns: {Array.isArray(fileMetadata[index].columns) ? fileMetadata[index].columns.join(', ') : fileMetadata[index].columns}</div>
-                        <div>Rows: {typeof fileMetadata[index].rowCount === 'number' ? fileMetadata[index].rowCount.toLocaleString() : fileMetadata[index].rowCount}</div>
+                        <div>
+                          Rows: {!fileMetadata[index].rowCountExact && typeof fileMetadata[index].rowCount === 'number' && '~'}
+                          {typeof fileMetadata[index].rowCount === 'number' ? fileMetadata[index].rowCount.toLocaleString() : fileMetadata[index].rowCount}
+                        </div>
+                        {fileMetadata[index].memory && (
+                          <div>
+                            Memory in pandas: ~{formatBytes(fileMetadata[index].memory.asRead)}
+                            {fileMetadata[index].memory.optimized < fileMetadata[index].memory.asRead * 0.75 &&
+                              ` (${formatBytes(fileMetadata[index].memory.optimized)} with smaller dtypes)`}
+                            {fileMetadata[index].memory.chunksize && ' · will be read in chunks'}
+                          </div>
+                        )}
+                        {fileMetadata[index].sheets?.length > 0 && (
+                          <div className="sheet-picker">
+                            <label>
+                              Sheet
+                              <select
+                                value={fileMetadata[index].sheet}
+                                onChange={(e) => updateSheetSelection(index, { sheet: e.target.value, headerRow: undefined, mergedHeader: undefined })}
+                              >
+                                {fileMetadata[index].sheets.map(sheet => (
+                                  <option key={sheet.name} value={sheet.name}>
+                                    {sheet.name} ({sheet.rowCount.toLocaleString()} rows{sheet.hidden ? ', hidden' : ''})
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                            <label>
+                              Header row
+                              <select
+                                value={fileMetadata[index].headerRow}
+                                onChange={(e) => updateSheetSelection(index, { headerRow: Number(e.target.value), mergedHeader: undefined })}
+                              >
+                                {fileMetadata[index].sheets
+                                  .find(sheet => sheet.name === fileMetadata[index].sheet)
+                                  .rows.slice(0, HEADER_SCAN_ROWS)
+                                  .map((row, rowIndex) => (
+                                    <option key={rowIndex} value={rowIndex}>
+                                      {rowIndex + 1}: {row.filter(Boolean).slice(0, 4).join(', ') || '(blank)'}
+                                    </option>
+                                  ))}
+                              </select>
+                            </label>
+                            {fileMetadata[index].headerRow > 0 && (
+                              <label>
+                                <input
+                                  type="checkbox"
+                                  checked={fileMetadata[index].mergedHeader}
+                                  onChange={(e) => updateSheetSelection(index, { mergedHeader: e.target.checked })}
+                                />
+                                Merged header (combine with row {fileMetadata[index].headerRow})
+                              </label>
+                            )}
+                          </div>
+                        )}
+                        {fileMetadata[index].profileStatus === 'running' && (
+                          <div className="profile-progress">
+                            <span>⏳ {fileMetadata[index].profileProgress?.loaded === null ? 'Parsing workbook...' : 'Reading all rows...'}</span>
+                            <progress
+                              value={fileMetadata[index].profileProgress?.loaded ?? undefined}
+                              max={fileMetadata[index].profileProgress?.total || 1}
+                            />
+                            <button onClick={() => cancelProfiling(index)} type="button">Cancel</button>
+                          </div>
+                        )}
+                        {fileMetadata[index].profileStatus === 'cancelled' && (
+                          <div className="profile-progress">
+                            <span>Profiling cancelled; the row count is an estimate.</span>
+                            <button onClick={() => resumeProfiling(index)} type="button">Profile again</button>
+                          </div>
+                        )}
+                        {fileMetadata[index].profileStatus === 'error' && (
+                          <div>⚠️ Could not profile this file</div>
+                        )}
+                        {fileMetadata[index].profile && (
+                          <details className="column-profile">
+                            <summary>Column profile ({fileMetadata[index].profile.rows.toLocaleString()} rows)</summary>
+                            <table>
+                              <thead>
+                                <tr>
+                                  <th>Column</th>
+                                  <th>Type</th>
+                                  <th>Nulls</th>
+                                  <th>Distinct</th>
+                                  <th>Min</th>
+                                  <th>Max</th>
+                                  <th>Top values</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {fileMetadata[index].profile.columns.map((column, columnIndex) => (
+                                  <tr key={columnIndex}>
+                                    <td>{column.name}{column.unique && ' 🔑'}</td>
+                                    <td title={column.note}>
+                                      {column.dtype}{column.dateFormat && ` (${column.dateFormat})`}{column.note && ' ⚠️'}
+                                    </td>
+                                    <td>{column.nulls.toLocaleString()}</td>
+                                    <td>{column.distinct.toLocaleString()}{column.distinctIsLowerBound && '+'}</td>
+                                    <td>{column.min ?? (column.minLength !== undefined ? `len ${column.minLength}` : '')}</td>
+                                    <td>{column.max ?? (column.maxLength !== undefined ? `len ${column.maxLength}` : '')}</td>
+                                    <td>{column.top.slice(0, 3).map(({ value, count }) => `${value} (${count})`).join(', ')}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </details>
+                        )}
+                        {fileMetadata[index].delimiter && (
+                          <div>
+                            Format: {DELIMITER_NAMES[fileMetadata[index].delimiter]}-delimited, {fileMetadata[index].encoding}
+                            {fileMetadata[index].quotechar !== '"' && `, quoted with ${fileMetadata[index].quotechar}`}
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -563,6 +1216,44 @@ Start your response with { and end with }. Nothing else.`;
               ))}
             </div>
           )}
+
+          {workflow && (
+            <div className="workflow-summary">
+              <div className="workflow-summary-header">
+                <div>
+                  <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                    🧩 {workflow.fileName}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    {topologicalOrder(workflow).length} tools, {workflow.connections.length} connections
+                    {workflow.version && ` · Alteryx ${workflow.version}`}
+                  </div>
+                </div>
+                <button onClick={() => setWorkflow(null)} aria-label={`Remove ${workflow.fileName}`}>
+                  Remove
+                </button>
+              </div>
+              <ol className="workflow-tools">
+                {topologicalOrder(workflow).map(node => {
+                  const summary = summarizeConfiguration(node);
+                  const expressionIssues = toolExpressions(node)
+                    .map(({ expression, options }) => transpileFormula(expression, options).issues)
+                    .filter(issues => issues.length > 0);
+                  return (
+                    <li key={node.id} className="workflow-tool">
+                      <span className="workflow-tool-id">#{node.id}</span>
+                      <span className="workflow-tool-name">{node.tool}</span>
+                      {node.annotation && <span className="workflow-tool-annotation">{node.annotation}</span>}
+                      {summary && <code className="workflow-tool-config">{summary}</code>}
+                      {expressionIssues.map((issues, i) => (
+                        <span key={i} className="workflow-tool-issue">⚠️ {formatIssues(issues)}</span>
+                      ))}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
         </div>
 
         <div className="card">
@@ -570,7 +1261,9 @@ Start your response with { and end with }. Nothing else.`;
           <textarea
             value={requirement}
             onChange={(e) => setRequirement(e.target.value)}
-            placeholder="Example: Load sales.csv, filter for amounts over $1000, join with customers.csv on customer_id, calculate total revenue by region, and save to Excel..."
+            placeholder={workflow
+              ? 'Optional: add instructions for the uploaded workflow, e.g. "write outputs as CSV instead of .yxdb"...'
+              : 'Example: Load sales.csv, filter for amounts over $1000, join with customers.csv on customer_id, calculate total revenue by region, and save to Excel...'}
             rows="5"
             maxLength="5000"
           />
@@ -598,14 +1291,44 @@ Start your response with { and end with }. Nothing else.`;
             </div>
           </div>
 
+          <div className="target-option">
+            <label style={labelStyle} htmlFor="target">Generate as</label>
+            <select id="target" value={target} onChange={(e) => setTarget(e.target.value)} style={fieldStyle}>
+              {Object.entries(TARGETS).map(([id, option]) => (
+                <option key={id} value={id}>{option.label}: {option.description}</option>
+              ))}
+            </select>
+          </div>
+
+          <label className="tests-option">
+            <input
+              type="checkbox"
+              checked={generateTests && isPython(target)}
+              disabled={!isPython(target)}
+              onChange={(e) => setGenerateTests(e.target.checked)}
+            />
+            🧪 Also generate pytest tests (the script is split into testable step functions{isPython(target) ? '' : '; not available for SQL'})
+          </label>
+
           <button
             className="generate-btn"
             onClick={handleGenerate}
-            disabled={loading || !requirement.trim() || !apiKey.trim()}
+            disabled={loading || (!requirement.trim() && !workflow) || !ready}
             type="button"
           >
-            {loading ? '⏳ Generating...' : '🚀 Generate Python Script'}
+            {loading ? '⏳ Generating...' : `🚀 Generate ${TARGETS[target].artifact}`}
           </button>
+
+          {workflow && (
+            <button
+              className="offline-btn"
+              onClick={handleOfflineConvert}
+              disabled={loading}
+              type="button"
+            >
+              ⚙️ Convert Offline (rule-based, no API key needed)
+            </button>
+          )}
         </div>
 
         {error && (
@@ -617,22 +1340,156 @@ Start your response with { and end with }. Nothing else.`;
         {loading && (
           <div className="card loading-card">
             <div className="spinner"></div>
-            <p>Generating your Python script with Claude Sonnet 4.5...</p>
-            <p style={{ fontSize: '12px', color: '#666', marginTop: '10px' }}>This may take 10-30 seconds</p>
+            <p>Generating your {TARGETS[target].label} {target === 'sql' ? 'models' : 'script'} with {modelLabel(generatedWith)}...</p>
+            {streamPreview?.repair && (
+              <p style={{ fontSize: '13px', color: '#e65100', marginTop: '10px' }}>
+                🔧 Fixing {streamPreview.repair.issues} issue(s) found by the checks (repair {streamPreview.repair.attempt} of {MAX_REPAIR_ATTEMPTS})
+              </p>
+            )}
+            <p style={{ fontSize: '12px', color: '#666', marginTop: '10px' }}>
+              {streamPreview?.received
+                ? `${streamPreview.received.toLocaleString()} characters received`
+                : 'Waiting for the first tokens...'}
+            </p>
+            {streamPreview?.steps?.length > 0 && (
+              <ol className="stream-steps">
+                {streamPreview.steps.map((step, index) => (
+                  <li key={index}>{step.description}</li>
+                ))}
+              </ol>
+            )}
+            {streamPreview?.script && (
+              <pre className="code-block stream-script">{streamPreview.script}</pre>
+            )}
           </div>
         )}
 
         {result && (
           <div id="results" className="results">
             <div className="card success-banner">
-              <p>✅ Script generated successfully!</p>
+              <p>
+                {result.source === 'offline'
+                  ? `✅ Converted ${result.steps.length - result.stubs.length} of ${result.steps.length} tools offline`
+                  : result.source === 'merge'
+                    ? '✅ Revisions merged'
+                    : '✅ Script generated successfully!'}
+              </p>
+              {currentUsage && (
+                <p className="usage-note">🪙 {currentUsage.requests} request(s) · {formatUsage(currentUsage)}</p>
+              )}
             </div>
 
+            {result.stubs?.length > 0 && (
+              <div className="card stub-card">
+                <h3>🧩 {result.stubs.length} tool(s) need manual conversion</h3>
+                <p style={{ fontSize: '13px', color: '#666', marginBottom: '12px' }}>
+                  These tools are marked with <code>{STUB_START}</code> in the script and pass data through unchanged.
+                </p>
+                <ul>
+                  {result.stubs.map(stub => (
+                    <li key={stub.toolId}>
+                      <strong>#{stub.toolId} {stub.tool}</strong> — {stub.reason}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  className="btn-primary"
+                  onClick={handleCompleteStubs}
+                  disabled={loading || !ready}
+                  type="button"
+                >
+                  {loading ? '⏳ Completing...' : '🤖 Complete stubs with AI'}
+                </button>
+                {!ready && (
+                  <p style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>{orgMode ? 'Sign in' : 'Enter your API key'} above to complete stubs with AI.</p>
+                )}
+              </div>
+            )}
+
+            {result.checks && (
+              <div className="card checks-card">
+                <h3>🔎 Automatic Checks</h3>
+                <ul>
+                  {result.checks.map(check => (
+                    <li key={check.id} className={`check-${check.status}`}>
+                      {{ passed: '✅', failed: '⚠️', skipped: '➖' }[check.status]} {check.label}
+                      {check.status === 'skipped' && <span> (skipped: {check.note})</span>}
+                      {check.fixed.length > 0 && <span> (auto-fixed {check.fixed.length} issue(s))</span>}
+                      {(check.issues.length > 0 || check.fixed.length > 0) && (
+                        <ul>
+                          {check.issues.map((issue, i) => <li key={`issue-${i}`}>{issue}</li>)}
+                          {check.fixed.map((issue, i) => <li key={`fixed-${i}`} className="check-fixed">🔧 Fixed: {issue}</li>)}
+                        </ul>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {(result.warnings?.length > 0 || result.assumptions?.length > 0) && (
+              <div className="card notes-card">
+                {result.warnings?.length > 0 && (
+                  <>
+                    <h3>⚠️ Check before relying on the output</h3>
+                    <ul>
+                      {result.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                    </ul>
+                  </>
+                )}
+                {result.assumptions?.length > 0 && (
+                  <>
+                    <h3>📝 Assumptions</h3>
+                    <ul>
+                      {result.assumptions.map((assumption, i) => <li key={i}>{assumption}</li>)}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
+            {result.steps?.length > 0 && (
+              <div className="card">
+                <div className="script-header">
+                  <h2>🗺️ Workflow Diagram</h2>
+                  {workflow && (
+                    <div className="button-group">
+                      <button
+                        className={diagramView === 'steps' ? 'btn-primary' : 'btn-secondary'}
+                        onClick={() => setDiagramView('steps')}
+                        type="button"
+                      >
+                        Steps
+                      </button>
+                      <button
+                        className={diagramView === 'workflow' ? 'btn-primary' : 'btn-secondary'}
+                        onClick={() => setDiagramView('workflow')}
+                        type="button"
+                      >
+                        Alteryx canvas
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <p style={{ fontSize: '13px', color: '#666', marginBottom: '12px' }}>Click a node to jump to its step and code.</p>
+                <WorkflowDiagram
+                  definition={workflow && diagramView === 'workflow'
+                    ? workflowToMermaid(workflow, (result.stubs || []).map(stub => stub.toolId))
+                    : stepsToMermaid(result.steps)}
+                  onNodeClick={handleDiagramNodeClick}
+                />
+              </div>
+            )}
+
             <div className="card">
               <h2>📋 Workflow Steps</h2>
               <div className="workflow-steps">
                 {result.steps && result.steps.map((step, index) => (
-                  <div key={index} className="workflow-step-item">
+                  <div
+                    key={index}
+                    id={`step-${index}`}
+                    className={`workflow-step-item${highlightedStep === index ? ' highlighted' : ''}`}
+                  >
                     <div className="step-number">{index + 1}</div>
                     <div className="step-content">
                       <div className="step-description">{step.description}</div>
@@ -645,7 +1502,7 @@ Start your response with { and end with }. Nothing else.`;
 
             <div className="card">
               <div className="script-header">
-                <h2>🐍 Your Python Script</h2>
+                <h2>{TARGETS[targetOf(result)].icon} Your {TARGETS[targetOf(result)].artifact}</h2>
                 <div className="button-group">
                   <button
                     className="btn-secondary"
@@ -659,13 +1516,227 @@ Start your response with { and end with }. Nothing else.`;
                     onClick={downloadScript}
                     type="button"
                   >
-                    ⬇️ Download .py
+                    ⬇️ Download {TARGETS[targetOf(result)].extension}
                   </button>
+                  {isPython(targetOf(result)) && (
+                    <>
+                      <button
+                        className="btn-secondary"
+                        onClick={downloadNotebook}
+                        type="button"
+                      >
+                        📓 Download .ipynb
+                      </button>
+                      <button
+                        className="btn-secondary"
+                        onClick={downloadProject}
+                        type="button"
+                      >
+                        📦 Download project
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
               <pre className="code-block">{result.script}</pre>
             </div>
 
+            {result.tests && (
+              <div className="card">
+                <div className="script-header">
+                  <h2>🧪 Tests</h2>
+                  <div className="button-group">
+                    <button
+                      className="btn-secondary"
+                      onClick={() => copyToClipboard(result.tests)}
+                      type="button"
+                    >
+                      📋 Copy Tests
+                    </button>
+                    <button
+                      className="btn-primary"
+                      onClick={downloadTests}
+                      type="button"
+                    >
+                      ⬇️ Download {TESTS_NAME}
+                    </button>
+                  </div>
+                </div>
+                <p className="tests-hint">
+                  Save it next to <code>{SCRIPT_NAME}</code>, then run <code>pip install pytest</code> and <code>python -m pytest</code>.
+                  The tests use small made-up tables, so they run without your input files. Download project includes them.
+                </p>
+                <pre className="code-block">{result.tests}</pre>
+              </div>
+            )}
+
+            {TARGETS[targetOf(result)].preview && (
+              <div className="card run-preview">
+                <div className="script-header">
+                  <h2>▶️ Run Preview</h2>
+                  <div className="button-group">
+                    {runPreview?.status === 'running' ? (
+                      <button className="btn-secondary" onClick={stopScript} type="button">
+                        ⏹ Stop
+                      </button>
+                    ) : (
+                      <button className="btn-primary" onClick={handleRunPreview} disabled={runBlocked.length > 0} type="button">
+                        ▶️ {runPreview ? 'Run again' : 'Run preview'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p style={{ fontSize: '13px', color: '#666' }}>
+                  Runs the script in your browser with Python and pandas. Uploaded files are available under <code>input_files/</code>; nothing is sent to a server.
+                </p>
+                {runBlocked.length > 0 && (
+                  <p className="run-warning">⛔ Run preview is off for this script: {runBlocked.join('; ')}.</p>
+                )}
+                {(() => {
+                  const uploaded = files.map(file => file.name.toLowerCase());
+                  const missing = result.input_files.filter(name => !uploaded.includes(name.split(/[\\/]/).pop().toLowerCase()));
+                  return missing.length > 0 && (
+                    <p className="run-warning">⚠️ Not uploaded: {missing.join(', ')}. The script will fail where it reads them.</p>
+                  );
+                })()}
+
+                {runPreview?.status === 'running' && (
+                  <div className="profile-progress">
+                    <span>⏳ {runPreview.message}</span>
+                  </div>
+                )}
+                {runPreview?.status === 'stopped' && <p>⏹ Stopped. The next run reloads the Python runtime.</p>}
+                {runPreview?.status === 'done' && <p>✅ Script finished</p>}
+
+                {(runPreview?.console?.length > 0 || runPreview?.traceback) && (
+                  <pre className="code-block run-console">
+                    {runPreview.console.map((line, index) => (
+                      <div key={index} className={line.stream === 'stderr' ? 'run-stderr' : undefined}>{line.text}</div>
+                    ))}
+                    {runPreview.traceback && <div className="run-stderr">{runPreview.traceback}</div>}
+                  </pre>
+                )}
+
+                {runPreview?.outputs?.length === 0 && runPreview.status === 'done' && (
+                  <p>The script did not write anything to <code>output_files/</code>.</p>
+                )}
+                {runPreview?.outputs?.map(output => (
+                  <div key={output.name} className="run-output">
+                    <div className="run-output-header">
+                      <strong>📤 {output.name}</strong>
+                      <span>{formatBytes(output.size)}</span>
+                      <a href={output.url} download={output.name.split('/').pop()}>⬇️ Download</a>
+                    </div>
+                    {output.preview?.error && <p className="run-warning">Could not preview: {output.preview.error}</p>}
+                    {output.preview?.columns && (
+                      <div className="column-profile">
+                        <table>
+                          <thead>
+                            <tr>{output.preview.columns.map((column, i) => <th key={i}>{column}</th>)}</tr>
+                          </thead>
+                          <tbody>
+                            {output.preview.rows.map((row, rowIndex) => (
+                              <tr key={rowIndex}>{row.map((value, i) => <td key={i}>{value}</td>)}</tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {conversation?.revisions.length > 1 && (
+              <div className="card">
+                <h2>🔀 Compare Revisions</h2>
+                <RevisionDiff
+                  key={conversation.id}
+                  revisions={conversation.revisions}
+                  current={conversation.current}
+                  onMerge={handleMergeRevisions}
+                  disabled={loading}
+                />
+              </div>
+            )}
+
+            {conversation && (
+              <div className="card refine-card">
+                <div className="script-header">
+                  <h2>💬 Refine This Script</h2>
+                  {conversation.revisions.length > 1 && (
+                    <div className="button-group revision-nav">
+                      <button
+                        className="btn-secondary"
+                        onClick={() => showRevision(conversation.current - 1)}
+                        disabled={loading || conversation.current === 0}
+                        type="button"
+                      >
+                        ◀
+                      </button>
+                      <span>Revision {conversation.current + 1} of {conversation.revisions.length}</span>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => showRevision(conversation.current + 1)}
+                        disabled={loading || conversation.current === conversation.revisions.length - 1}
+                        type="button"
+                      >
+                        ▶
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <ol className="refine-history">
+                  {revisionHistory(conversation.current).map(revision => (
+                    <li key={revision.index}>
+                      {revision.message && <div className="refine-message">{revision.message}</div>}
+                      <button
+                        className={`refine-revision${revision.index === conversation.current ? ' current' : ''}`}
+                        onClick={() => showRevision(revision.index)}
+                        disabled={loading}
+                        type="button"
+                      >
+                        {revision.index === 0 ? 'Original script' : `Revision ${revision.index + 1}`}: {revision.result.steps.length} steps
+                        {revision.result.warnings?.length > 0 && `, ${revision.result.warnings.length} warning(s)`}
+                        {revision.template && <span className="refine-template"> · prompts {revision.template}</span>}
+                        {revision.usage && formatUsageCost(revision.usage) && <span className="refine-template"> · {formatUsageCost(revision.usage)}</span>}
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+
+                <textarea
+                  value={followUp}
+                  onChange={(e) => setFollowUp(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleRefine();
+                  }}
+                  placeholder='e.g. "use a left join instead" or "also output a pivot by month"'
+                  maxLength={2000}
+                  rows={3}
+                  style={fieldStyle}
+                  disabled={loading}
+                />
+                <button
+                  className="btn-primary"
+                  onClick={handleRefine}
+                  disabled={loading || !followUp.trim() || !ready}
+                  type="button"
+                >
+                  {loading ? '⏳ Revising...' : '✏️ Request change'}
+                </button>
+                {conversation.current < conversation.revisions.length - 1 && (
+                  <p style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                    Changes are made to the revision on screen; later revisions are kept.
+                  </p>
+                )}
+                {!ready && (
+                  <p style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>{orgMode ? 'Sign in' : 'Enter your API key'} above to request changes.</p>
+                )}
+              </div>
+            )}
+
             <div className="files-grid">
               <div className="card">
                 <h3>📥 Input Files Needed</h3>
@@ -685,102 +1756,14 @@ Start your response with { and end with }. Nothing else.`;
               </div>
             </div>
 
-            <div className="card" style={{ backgroundColor: '#f1f8f4', border: '2px solid #2e7d32' }}>
-              <h3 style={{ fontSize: '20px', marginBottom: '20px', color: '#1b5e20' }}>🚀 How to Run This Code on Your Computer (Super Easy Guide!)</h3>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 1: Install Python (if you don't have it yet)</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>Go to <a href="https://www.python.org/downloads/" target="_blank" rel="noopener noreferrer" style={{ color: '#2e7d32', fontWeight: '600' }}>python.org/downloads</a></li>
-                  <li>Click the big yellow "Download Python" button</li>
-                  <li>Run the downloaded file</li>
-                  <li><strong>IMPORTANT:</strong> Check the box that says <span style={{ background: '#fff9c4', padding: '2px 6px' }}>"Add Python to PATH"</span> before clicking Install</li>
-                  <li>Click "Install Now" and wait for it to finish</li>
-                </ol>
-              </div>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 2: Install VSCode (Free Code Editor)</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>Go to <a href="https://code.visualstudio.com/" target="_blank" rel="noopener noreferrer" style={{ color: '#2e7d32', fontWeight: '600' }}>code.visualstudio.com</a></li>
-                  <li>Download and install VSCode for your computer (Windows/Mac)</li>
-                  <li>Open VSCode after installation</li>
-                  <li>Click the Extensions icon on the left sidebar (looks like 4 squares)</li>
-                  <li>Search for "Python" and install the official Python extension by Microsoft</li>
-                </ol>
-              </div>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 3: Create Your Project Folder</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>Create a new folder on your Desktop called <code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>my_python_project</code></li>
-                  <li>Inside that folder, create two more folders:
-                    <ul style={{ marginTop: '8px', marginLeft: '20px' }}>
-                      <li><code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>input_files</code> (put your CSV/Excel files here)</li>
-                      <li><code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>output_files</code> (results will save here)</li>
-                    </ul>
-                  </li>
-                  <li>Download the <strong>.py script</strong> above and save it in <code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>my_python_project</code> (not in the subfolders)</li>
-                </ol>
-              </div>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 4: Install Required Libraries</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>In VSCode, click "Terminal" in the top menu, then "New Terminal"</li>
-                  <li>A command window will appear at the bottom of VSCode</li>
-                  <li>Type this command and press Enter: <code style={{ background: '#1e1e1e', color: '#4ec9b0', padding: '4px 8px', borderRadius: '3px', fontFamily: 'monospace' }}>pip install pandas numpy openpyxl</code></li>
-                  <li>Wait for it to download and install (you'll see text scrolling - this is normal!)</li>
-                  <li>When you see a message like "Successfully installed..." you're done!</li>
-                </ol>
-              </div>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 5: Put Your Data Files in the Right Place</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>Look at the <strong>"Input Files Needed"</strong> list above</li>
-                  <li>Copy those exact files into your <code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>input_files</code> folder</li>
-                  <li>Make sure the filenames match exactly (including .csv or .xlsx)</li>
-                </ol>
-              </div>
-
-              <div style={{ marginBottom: '25px' }}>
-                <h4 style={{ fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' }}>Step 6: Run Your Python Script!</h4>
-                <ol style={{ marginLeft: '20px', lineHeight: '2', fontSize: '14px' }}>
-                  <li>In VSCode, open the downloaded Python script (the .py file)</li>
-                  <li>Look for the green ▶️ "Run" button in the top-right corner of VSCode</li>
-                  <li>Click it!</li>
-                  <li>The Terminal at the bottom will show you what's happening</li>
-                  <li>When you see "Workflow completed successfully" - you're done! 🎉</li>
-                  <li>Check your <code style={{ background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' }}>output_files</code> folder for your results</li>
-                </ol>
-              </div>
-
-              <div style={{ background: '#fff9c4', padding: '15px', borderRadius: '8px', border: '2px solid #f9a825' }}>
-                <h4 style={{ fontSize: '15px', marginBottom: '10px', color: '#f57f17', fontWeight: '600' }}>⚠️ Troubleshooting Common Issues:</h4>
-                <ul style={{ marginLeft: '20px', lineHeight: '2', fontSize: '13px' }}>
-                  <li><strong>"Python is not recognized..."</strong> → You forgot to check "Add Python to PATH" during installation. Uninstall and reinstall Python with that box checked!</li>
-                  <li><strong>"No module named 'pandas'"</strong> → Run the pip install command again from Step 4</li>
-                  <li><strong>"File not found"</strong> → Your input files aren't in the right folder, or the names don't match exactly</li>
-                  <li><strong>"Permission denied"</strong> → Close Excel if you have the file open, then try again</li>
-                  <li><strong>Script runs but no output</strong> → Check the Terminal for error messages in red text</li>
-                </ul>
-              </div>
-
-              <div style={{ marginTop: '20px', padding: '15px', background: '#e3f2fd', borderRadius: '8px', border: '2px solid #2196f3' }}>
-                <p style={{ fontSize: '14px', margin: 0, lineHeight: '1.8' }}>
-                  <strong>💡 Pro Tip:</strong> Once you get it working once, you can change the input files and run the script again!
-                  Just replace the files in <code style={{ background: '#fff', padding: '2px 6px', borderRadius: '3px' }}>input_files</code> and click the green Run button in VSCode again.
-                </p>
-              </div>
-            </div>
+            <RunGuide result={result} target={targetOf(result)} />
           </div>
         )}
 
         <footer className="footer">
           <p>Built with ❤️ using Anthropic Claude Sonnet 4.5</p>
           <p style={{ fontSize: '11px', color: '#999', marginTop: '5px' }}>
-            Your API key is only used to call Anthropic's API. We do not store or log your API key or data.
+            Your API key is only used to call the selected provider's API. We do not store or log your API key or data.
           </p>
         </footer>
       </div>
@@ -0,0 +1,122 @@
+import { useEffect, useRef, useState } from 'react';
+import { listEntries, deleteEntry, entryTitle, searchEntries, exportHistory, importHistory } from '../lib/historyStore.js';
+import { TARGETS, DEFAULT_TARGET, targetOf } from '../lib/targets.js';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Past conversions from IndexedDB with search, restore, delete and JSON export/import.
+// refreshKey changes whenever the app saves an entry, so the list reloads.
+function HistorySidebar({ open, onClose, onRestore, currentId, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState(null);
+  const importRef = useRef(null);
+
+  const reload = () => listEntries()
+    .then(setEntries)
+    .catch(err => setStatus({ error: true, message: err.message }));
+
+  useEffect(() => {
+    if (open) reload();
+  }, [open, refreshKey]);
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entryTitle(entry)}" from history?`)) return;
+    try {
+      await deleteEntry(entry.id);
+      await reload();
+    } catch (err) {
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(exportHistory(entries));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `pycture-history-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { imported, skipped } = await importHistory(file);
+      setStatus({ message: `Imported ${imported} conversion(s)${skipped ? `; ${skipped} skipped (invalid or already up to date)` : ''}` });
+      await reload();
+    } catch (err) {
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  if (!open) return null;
+
+  const visible = searchEntries(entries, query);
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <aside className="history-sidebar" onClick={(e) => e.stopPropagation()} aria-label="Conversion history">
+        <div className="history-header">
+          <h2>🕘 History</h2>
+          <button className="btn-secondary" onClick={onClose} type="button" aria-label="Close history">✕</button>
+        </div>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by file name or text"
+          className="history-search"
+        />
+
+        <div className="button-group history-actions">
+          <button className="btn-secondary" onClick={handleExport} disabled={entries.length === 0} type="button">
+            ⬇️ Export
+          </button>
+          <button className="btn-secondary" onClick={() => importRef.current?.click()} type="button">
+            ⬆️ Import
+          </button>
+          <input ref={importRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+        </div>
+
+        {status && <p className={status.error ? 'history-status error' : 'history-status'}>{status.message}</p>}
+
+        {visible.length === 0 ? (
+          <p className="history-empty">{entries.length === 0 ? 'Generated scripts are saved here automatically.' : 'No conversions match your search.'}</p>
+        ) : (
+          <ul className="history-list">
+            {visible.map(entry => {
+              const revisions = entry.conversation.revisions;
+              const latest = revisions[revisions.length - 1];
+              const target = targetOf(latest.result);
+              return (
+                <li key={entry.id} className={entry.id === currentId ? 'current' : undefined}>
+                  <strong>{entryTitle(entry)}</strong>
+                  <span>
+                    {formatDate(entry.updatedAt)}
+                    {latest.model ? ` · ${latest.model}` : ''}
+                    {target !== DEFAULT_TARGET ? ` · ${TARGETS[target].label}` : ''}
+                    {latest.template ? ` · prompts ${latest.template}` : ''}
+                    {revisions.length > 1 ? ` · ${revisions.length} revisions` : ''}
+                  </span>
+                  {entry.fileMetadata?.length > 0 && <span>📁 {entry.fileMetadata.map(meta => meta.name).join(', ')}</span>}
+                  <div className="button-group">
+                    <button className="btn-primary" onClick={() => onRestore(entry)} type="button">Restore</button>
+                    <button className="btn-secondary" onClick={() => handleDelete(entry)} type="button">Delete</button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default HistorySidebar;
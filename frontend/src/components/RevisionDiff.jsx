@@ -0,0 +1,218 @@
+import { Fragment, useMemo, useState } from 'react';
+import { diffSequences, groupHunks, mergeBlocks, scriptLines, stepKey } from '../lib/diff.js';
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const CONTEXT = 3;
+
+const revisionName = (index) => (index === 0 ? 'Original script' : `Revision ${index + 1}`);
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+const renderLine = (line) => <code>{line || ' '}</code>;
+
+const renderStep = (step) => (
+  <>
+    <strong>{step.description}</strong>
+    <code>{step.code}</code>
+  </>
+);
+
+// Side-by-side rows for one diff: collapsed unchanged runs, then each hunk with a merge toggle
+function DiffTable({ a, b, blocks, renderItem, taken, onToggle, unit }) {
+  const [expanded, setExpanded] = useState(new Set());
+
+  const cell = (side, index, type) => (index === undefined
+    ? <><td className="diff-num" /><td className="diff-empty" /></>
+    : (
+      <>
+        <td className="diff-num">{index + 1}</td>
+        <td className={`diff-${type}`}>{renderItem(side[index])}</td>
+      </>
+    ));
+
+  return (
+    <table className="diff-table">
+      <tbody>
+        {blocks.map((block, blockIndex) => {
+          if (block.type === 'equal') {
+            const { ops } = block;
+            const head = blockIndex === 0 ? 0 : CONTEXT;
+            const tail = blockIndex === blocks.length - 1 ? 0 : CONTEXT;
+            const hidden = ops.length - head - tail;
+            const rows = expanded.has(blockIndex) || hidden <= 1
+              ? ops
+              : [...ops.slice(0, head), null, ...ops.slice(ops.length - tail)];
+
+            return rows.map((op, i) => (op ? (
+              <tr key={`${blockIndex}-${i}`}>
+                {cell(a, op.a, 'equal')}
+                {cell(b, op.b, 'equal')}
+              </tr>
+            ) : (
+              <tr key={`${blockIndex}-more`} className="diff-collapsed">
+                <td colSpan={4}>
+                  <button onClick={() => setExpanded(new Set([...expanded, blockIndex]))} type="button">
+                    ⋯ {hidden} unchanged {unit}
+                  </button>
+                </td>
+              </tr>
+            )));
+          }
+
+          const isTaken = taken.has(block.id);
+          const length = Math.max(block.removed.length, block.added.length);
+          return (
+            <Fragment key={`hunk-${block.id}`}>
+              <tr className="diff-hunk-header">
+                <td colSpan={4}>
+                  <span>Change {block.id + 1}: −{block.removed.length} +{block.added.length}</span>
+                  <button onClick={() => onToggle(block.id)} type="button">
+                    {isTaken ? '↩️ Keep left' : '⬅️ Take this hunk'}
+                  </button>
+                </td>
+              </tr>
+              {Array.from({ length }, (_, i) => (
+                <tr key={`hunk-${block.id}-${i}`} className={isTaken ? 'diff-taken' : undefined}>
+                  {cell(a, block.removed[i], 'removed')}
+                  {cell(b, block.added[i], 'added')}
+                </tr>
+              ))}
+            </Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Compare two revisions side by side, line by line for the script and step by step for
+ * the steps. Hunks taken from the right-hand revision are merged into the left one, and
+ * onMerge(result, leftIndex, rightIndex) receives the combined result.
+ */
+function RevisionDiff({ revisions, current, onMerge, disabled }) {
+  const [left, setLeft] = useState(revisions[current]?.basedOn ?? Math.max(current - 1, 0));
+  const [right, setRight] = useState(current);
+  const [view, setView] = useState('script');
+  const [takenLines, setTakenLines] = useState(new Set());
+  const [takenSteps, setTakenSteps] = useState(new Set());
+
+  const a = revisions[left]?.result;
+  const b = revisions[right]?.result;
+
+  const diff = useMemo(() => {
+    if (!a || !b) return null;
+    const linesA = scriptLines(a.script);
+    const linesB = scriptLines(b.script);
+    const stepsA = a.steps || [];
+    const stepsB = b.steps || [];
+    return {
+      linesA,
+      linesB,
+      stepsA,
+      stepsB,
+      lineBlocks: groupHunks(diffSequences(linesA, linesB)),
+      stepBlocks: groupHunks(diffSequences(stepsA, stepsB, stepKey))
+    };
+  }, [a, b]);
+
+  if (!diff) return null;
+
+  const selectRevisions = (newLeft, newRight) => {
+    setLeft(newLeft);
+    setRight(newRight);
+    setTakenLines(new Set());
+    setTakenSteps(new Set());
+  };
+
+  const toggle = (setTaken) => (id) => setTaken(current => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  const lineHunks = diff.lineBlocks.filter(block => block.type === 'hunk').length;
+  const stepHunks = diff.stepBlocks.filter(block => block.type === 'hunk').length;
+
+  const handleMerge = () => {
+    const { checks, ...base } = a;
+    onMerge({
+      ...base,
+      script: mergeBlocks(diff.linesA, diff.linesB, diff.lineBlocks, takenLines).join('\n'),
+      steps: mergeBlocks(diff.stepsA, diff.stepsB, diff.stepBlocks, takenSteps),
+      input_files: union(a.input_files, b.input_files),
+      output_files: union(a.output_files, b.output_files),
+      assumptions: union(a.assumptions, b.assumptions),
+      warnings: union(a.warnings, b.warnings)
+    }, left, right);
+    setTakenLines(new Set());
+    setTakenSteps(new Set());
+  };
+
+  const revisionOptions = revisions.map((_, index) => (
+    <option key={index} value={index}>{revisionName(index)}</option>
+  ));
+
+  return (
+    <div className="revision-diff">
+      <div className="diff-controls">
+        <label>
+          Left
+          <select value={left} onChange={(e) => selectRevisions(Number(e.target.value), right)}>{revisionOptions}</select>
+        </label>
+        <label>
+          Right
+          <select value={right} onChange={(e) => selectRevisions(left, Number(e.target.value))}>{revisionOptions}</select>
+        </label>
+        <div className="button-group">
+          <button className={view === 'script' ? 'btn-primary' : 'btn-secondary'} onClick={() => setView('script')} type="button">
+            Script ({lineHunks} change{lineHunks === 1 ? '' : 's'})
+          </button>
+          <button className={view === 'steps' ? 'btn-primary' : 'btn-secondary'} onClick={() => setView('steps')} type="button">
+            Steps ({stepHunks} change{stepHunks === 1 ? '' : 's'})
+          </button>
+        </div>
+      </div>
+
+      {lineHunks === 0 && stepHunks === 0 ? (
+        <p className="diff-identical">The two revisions are identical.</p>
+      ) : view === 'script' ? (
+        <DiffTable
+          key={`lines-${left}-${right}`}
+          a={diff.linesA}
+          b={diff.linesB}
+          blocks={diff.lineBlocks}
+          renderItem={renderLine}
+          taken={takenLines}
+          onToggle={toggle(setTakenLines)}
+          unit="lines"
+        />
+      ) : (
+        <DiffTable
+          key={`steps-${left}-${right}`}
+          a={diff.stepsA}
+          b={diff.stepsB}
+          blocks={diff.stepBlocks}
+          renderItem={renderStep}
+          taken={takenSteps}
+          onToggle={toggle(setTakenSteps)}
+          unit="steps"
+        />
+      )}
+
+      {(takenLines.size > 0 || takenSteps.size > 0) && (
+        <div className="diff-merge">
+          <span>
+            {revisionName(left)} with {takenLines.size + takenSteps.size} hunk(s) from {revisionName(right)}
+          </span>
+          <button className="btn-primary" onClick={handleMerge} disabled={disabled} type="button">
+            🔀 Save merge as new revision
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionDiff;
@@ -0,0 +1,197 @@
+import { requirementsFor } from '../lib/projectBundle.js';
+import { sqlModels } from '../lib/scriptChecks.js';
+import { TARGETS, isPython, scriptName, tableName } from '../lib/targets.js';
+
+const cardStyle = { backgroundColor: '#f1f8f4', border: '2px solid #2e7d32' };
+const titleStyle = { fontSize: '20px', marginBottom: '20px', color: '#1b5e20' };
+const sectionStyle = { marginBottom: '25px' };
+const headingStyle = { fontSize: '16px', marginBottom: '10px', color: '#2e7d32', fontWeight: '600' };
+const listStyle = { marginLeft: '20px', lineHeight: '2', fontSize: '14px' };
+const linkStyle = { color: '#2e7d32', fontWeight: '600' };
+const folderStyle = { background: '#e8f5e9', padding: '2px 6px', borderRadius: '3px' };
+const commandStyle = { background: '#1e1e1e', color: '#4ec9b0', padding: '4px 8px', borderRadius: '3px', fontFamily: 'monospace' };
+const tipCodeStyle = { background: '#fff', padding: '2px 6px', borderRadius: '3px' };
+const tipStyle = { padding: '15px', background: '#e3f2fd', borderRadius: '8px', border: '2px solid #2196f3' };
+const tipTextStyle = { fontSize: '14px', margin: 0, lineHeight: '1.8' };
+const troubleStyle = { background: '#fff9c4', padding: '15px', borderRadius: '8px', border: '2px solid #f9a825' };
+const troubleHeadingStyle = { fontSize: '15px', marginBottom: '10px', color: '#f57f17', fontWeight: '600' };
+const troubleListStyle = { marginLeft: '20px', lineHeight: '2', fontSize: '13px' };
+
+// Step-by-step instructions for running a result on the user's own computer (Python targets)
+function PythonGuide({ result, target }) {
+  const packages = requirementsFor(result.script);
+
+  return (
+    <div className="card" style={cardStyle}>
+      <h3 style={titleStyle}>🚀 How to Run This Code on Your Computer (Super Easy Guide!)</h3>
+
+      <div style={{ ...tipStyle, marginBottom: '25px' }}>
+        <p style={tipTextStyle}>
+          <strong>📦 Shortcut:</strong> Click <strong>Download project</strong> above to get steps 3 and 4 done for you.
+          The zip has the script, the <code style={tipCodeStyle}>input_files</code> and <code style={tipCodeStyle}>output_files</code> folders
+          (with the files you uploaded already in place), a <code style={tipCodeStyle}>requirements.txt</code> and a README.
+          Unzip it, install Python (step 1), then double-click <code style={tipCodeStyle}>run.bat</code> on Windows
+          or run <code style={tipCodeStyle}>./run.sh</code> on macOS/Linux.
+        </p>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 1: Install Python (if you don't have it yet)</h4>
+        <ol style={listStyle}>
+          <li>Go to <a href="https://www.python.org/downloads/" target="_blank" rel="noopener noreferrer" style={linkStyle}>python.org/downloads</a></li>
+          <li>Click the big yellow "Download Python" button</li>
+          <li>Run the downloaded file</li>
+          <li><strong>IMPORTANT:</strong> Check the box that says <span style={{ background: '#fff9c4', padding: '2px 6px' }}>"Add Python to PATH"</span> before clicking Install</li>
+          <li>Click "Install Now" and wait for it to finish</li>
+          {target === 'pyspark' && (
+            <li>PySpark also needs Java 17 or later: install it from <a href="https://adoptium.net/" target="_blank" rel="noopener noreferrer" style={linkStyle}>adoptium.net</a> the same way</li>
+          )}
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 2: Install VSCode (Free Code Editor)</h4>
+        <ol style={listStyle}>
+          <li>Go to <a href="https://code.visualstudio.com/" target="_blank" rel="noopener noreferrer" style={linkStyle}>code.visualstudio.com</a></li>
+          <li>Download and install VSCode for your computer (Windows/Mac)</li>
+          <li>Open VSCode after installation</li>
+          <li>Click the Extensions icon on the left sidebar (looks like 4 squares)</li>
+          <li>Search for "Python" and install the official Python extension by Microsoft</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 3: Create Your Project Folder</h4>
+        <ol style={listStyle}>
+          <li>Create a new folder on your Desktop called <code style={folderStyle}>my_python_project</code></li>
+          <li>Inside that folder, create two more folders:
+            <ul style={{ marginTop: '8px', marginLeft: '20px' }}>
+              <li><code style={folderStyle}>input_files</code> (put your CSV/Excel files here)</li>
+              <li><code style={folderStyle}>output_files</code> (results will save here)</li>
+            </ul>
+          </li>
+          <li>Download the <strong>.py script</strong> above and save it in <code style={folderStyle}>my_python_project</code> (not in the subfolders)</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 4: Install Required Libraries</h4>
+        <ol style={listStyle}>
+          <li>In VSCode, click "Terminal" in the top menu, then "New Terminal"</li>
+          <li>A command window will appear at the bottom of VSCode</li>
+          <li>Type this command and press Enter: <code style={commandStyle}>pip install {packages.join(' ') || TARGETS[target].packages.join(' ')}</code></li>
+          <li>Wait for it to download and install (you'll see text scrolling - this is normal!)</li>
+          <li>When you see a message like "Successfully installed..." you're done!</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 5: Put Your Data Files in the Right Place</h4>
+        <ol style={listStyle}>
+          <li>Look at the <strong>"Input Files Needed"</strong> list above</li>
+          <li>Copy those exact files into your <code style={folderStyle}>input_files</code> folder</li>
+          <li>Make sure the filenames match exactly (including .csv or .xlsx)</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 6: Run Your {TARGETS[target].artifact}!</h4>
+        <ol style={listStyle}>
+          <li>In VSCode, open the downloaded Python script (the .py file)</li>
+          <li>Look for the green ▶️ "Run" button in the top-right corner of VSCode</li>
+          <li>Click it!</li>
+          <li>The Terminal at the bottom will show you what's happening</li>
+          <li>When you see "Workflow completed successfully" - you're done! 🎉</li>
+          <li>Check your <code style={folderStyle}>output_files</code> folder for your results</li>
+          {target === 'pyspark' && (
+            <li>Spark writes each output as a folder holding one or more <code style={folderStyle}>part-*.csv</code> files, not a single file</li>
+          )}
+        </ol>
+      </div>
+
+      <div style={troubleStyle}>
+        <h4 style={troubleHeadingStyle}>⚠️ Troubleshooting Common Issues:</h4>
+        <ul style={troubleListStyle}>
+          <li><strong>"Python is not recognized..."</strong> → You forgot to check "Add Python to PATH" during installation. Uninstall and reinstall Python with that box checked!</li>
+          <li><strong>"No module named '{TARGETS[target].packages[0]}'"</strong> → Run the pip install command again from Step 4</li>
+          {target === 'pyspark' && (
+            <li><strong>"JAVA_HOME is not set"</strong> or <strong>"Java gateway process exited"</strong> → Install Java (Step 1), then restart VSCode</li>
+          )}
+          <li><strong>"File not found"</strong> → Your input files aren't in the right folder, or the names don't match exactly</li>
+          <li><strong>"Permission denied"</strong> → Close Excel if you have the file open, then try again</li>
+          <li><strong>Script runs but no output</strong> → Check the Terminal for error messages in red text</li>
+        </ul>
+      </div>
+
+      <div style={{ ...tipStyle, marginTop: '20px' }}>
+        <p style={tipTextStyle}>
+          <strong>💡 Pro Tip:</strong> Once you get it working once, you can change the input files and run the script again!
+          Just replace the files in <code style={tipCodeStyle}>input_files</code> and click the green Run button in VSCode again.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Instructions for SQL models: load the inputs as tables, then run the models in the
+// warehouse directly or as a dbt project
+function SqlGuide({ result }) {
+  const models = sqlModels(result.script);
+
+  return (
+    <div className="card" style={cardStyle}>
+      <h3 style={titleStyle}>🚀 How to Run These SQL Models</h3>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 1: Load Your Input Files as Tables</h4>
+        <ol style={listStyle}>
+          <li>In your warehouse (Snowflake, BigQuery, Postgres, DuckDB, ...), load each input file into a table with this name:
+            <ul style={{ marginTop: '8px', marginLeft: '20px' }}>
+              {(result.input_files || []).map(file => (
+                <li key={file}><code style={folderStyle}>{file}</code> → <code style={folderStyle}>{tableName(file)}</code></li>
+              ))}
+            </ul>
+          </li>
+          <li>Keep the column names from the files; the models rename them</li>
+          <li>If the assumptions mention a <code style={folderStyle}>_row</code> column, add it while loading, numbering the rows in file order</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Step 2: Run the Models</h4>
+        <ol style={listStyle}>
+          <li>Download <strong>{scriptName('sql')}</strong> above, or copy the code</li>
+          <li>Each model starts with a <code style={folderStyle}>-- model: name</code> line: run its statement in your SQL editor to see the result</li>
+          <li>To keep a result, put <code style={commandStyle}>create table name as</code> (or <code style={commandStyle}>create view name as</code>) in front of its statement</li>
+        </ol>
+      </div>
+
+      <div style={sectionStyle}>
+        <h4 style={headingStyle}>Using dbt instead</h4>
+        <ol style={listStyle}>
+          <li>Save each model in your dbt project as <code style={folderStyle}>models/&lt;name&gt;.sql</code>{models.length > 0 && <> ({models.map(model => `${model.name}.sql`).join(', ')})</>}, without the trailing semicolon</li>
+          <li>Declare the input tables as sources and replace each table name with <code style={folderStyle}>{"{{ source('raw', 'table_name') }}"}</code></li>
+          <li>Where one model reads another, use <code style={folderStyle}>{"{{ ref('model_name') }}"}</code></li>
+          <li>Run <code style={commandStyle}>dbt run</code></li>
+        </ol>
+      </div>
+
+      <div style={troubleStyle}>
+        <h4 style={troubleHeadingStyle}>⚠️ Troubleshooting Common Issues:</h4>
+        <ul style={troubleListStyle}>
+          <li><strong>"Function does not exist"</strong> → Regular expressions, date parsing and string splitting differ between warehouses; check the assumptions and swap in your warehouse's function</li>
+          <li><strong>"Table not found"</strong> → The table names in Step 1 must match exactly, including the schema your editor uses</li>
+          <li><strong>"Column not found"</strong> → Column names with spaces or capitals must be quoted exactly as in the file: <code style={folderStyle}>"Order ID"</code></li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function RunGuide({ result, target }) {
+  return isPython(target)
+    ? <PythonGuide result={result} target={target} />
+    : <SqlGuide result={result} />;
+}
+
+export default RunGuide;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { PROVIDERS, modelLabel } from '../lib/providers.js';
+import { labelStyle, fieldStyle } from './formStyles.js';
+
+const noteStyle = { fontSize: '12px', color: '#666', marginTop: '5px' };
+
+const formatTokens = (count) => count.toLocaleString();
+const formatDay = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// How much of the monthly budget is used; the count is known once the server has reported it
+const describeBudget = (budget) => {
+  if (!budget) return null;
+  if (budget.used === undefined) {
+    return budget.limit ? `${formatTokens(budget.limit)} tokens per month` : null;
+  }
+  const resets = budget.resetsAt ? ` (resets ${formatDay(budget.resetsAt)})` : '';
+  return budget.limit
+    ? `${formatTokens(budget.used)} of ${formatTokens(budget.limit)} tokens used this month${resets}`
+    : `${formatTokens(budget.used)} tokens used this month`;
+};
+
+// Shown instead of the API key card when the server holds the organisation's key: a team
+// token sign-in form, or who is signed in with their token budget
+function TeamAccess({ session, onSignIn, onSignOut }) {
+  const [token, setToken] = useState('');
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+    setBusy(true);
+    setStatus(null);
+    try {
+      await onSignIn(token.trim());
+      setToken('');
+    } catch (err) {
+      setStatus(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (session.error) {
+    return (
+      <div className="card">
+        <h2>🏢 Team Sign-In</h2>
+        <p style={{ ...noteStyle, color: '#c62828' }}>{session.error}</p>
+        <p style={noteStyle}>Ask your administrator to fix the server's settings.</p>
+      </div>
+    );
+  }
+
+  const model = modelLabel({ provider: session.provider, model: session.model });
+
+  if (session.user) {
+    const budget = describeBudget(session.budget);
+    return (
+      <div className="card team-status">
+        <span>
+          🏢 Signed in as <strong>{session.user}</strong> · {model}{budget && <> · {budget}</>}
+        </span>
+        <button className="btn-secondary" onClick={onSignOut} type="button">Sign out</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h2>🏢 Team Sign-In</h2>
+      <form onSubmit={handleSubmit}>
+        <label style={labelStyle} htmlFor="team-token">Team token</label>
+        <input
+          id="team-token"
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          autoComplete="current-password"
+          style={fieldStyle}
+        />
+        <button className="btn-primary" disabled={busy || !token.trim()} type="submit">
+          {busy ? '⏳ Signing in...' : 'Sign in'}
+        </button>
+      </form>
+      {status && <p style={{ ...noteStyle, color: '#c62828' }}>{status}</p>}
+      <p style={noteStyle}>
+        🔒 This server uses your organisation's {PROVIDERS[session.provider]?.label || session.provider} key ({model}).
+        Sign in with the team token your administrator gave you; no API key is needed.
+      </p>
+    </div>
+  );
+}
+
+export default TeamAccess;
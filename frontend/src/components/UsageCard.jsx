@@ -0,0 +1,51 @@
+import { formatUsage } from '../lib/usage.js';
+import { labelStyle, fieldStyle } from './formStyles.js';
+
+// What this session has spent on the model, and the optional budget the app checks each
+// request's estimated cost against: { amount, mode: 'warn' | 'block' }, amount '' for none
+function UsageCard({ usage, budget, onBudgetChange }) {
+  return (
+    <div className="card">
+      <h2>🪙 Usage &amp; Budget</h2>
+
+      <p className="usage-total">
+        {usage.requests > 0
+          ? <>This session: {usage.requests} request(s) · {formatUsage(usage)}</>
+          : 'No requests to the model yet this session.'}
+      </p>
+
+      <div className="provider-grid">
+        <div>
+          <label style={labelStyle} htmlFor="session-budget">Session budget (USD)</label>
+          <input
+            id="session-budget"
+            type="number"
+            min="0"
+            step="0.01"
+            value={budget.amount}
+            onChange={(e) => onBudgetChange({ ...budget, amount: e.target.value })}
+            placeholder="No budget"
+            style={fieldStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor="budget-mode">When a request would exceed it</label>
+          <select
+            id="budget-mode"
+            value={budget.mode}
+            onChange={(e) => onBudgetChange({ ...budget, mode: e.target.value })}
+            style={fieldStyle}
+          >
+            <option value="warn">Ask before sending</option>
+            <option value="block">Don't send</option>
+          </select>
+        </div>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+        Costs are estimates at list prices; your provider's invoice is what counts. Requests are estimated from their size and this session's answers so far.
+      </p>
+    </div>
+  );
+}
+
+export default UsageCard;
@@ -0,0 +1,126 @@
+import { useEffect, useRef, useState } from 'react';
+import { topologicalOrder, summarizeConfiguration } from '../lib/alteryxWorkflow.js';
+
+// Mermaid is large, so it is loaded on first render of a diagram
+let mermaidPromise = null;
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({
+        startOnLoad: false,
+        securityLevel: 'strict',
+        theme: 'neutral',
+        flowchart: { curve: 'basis' }
+      });
+      return mermaid;
+    });
+  }
+  return mermaidPromise;
+};
+
+let renderCounter = 0;
+
+// Mermaid labels are quoted strings; quotes and markup characters need entity codes
+const escapeLabel = (text) =>
+  String(text)
+    .replace(/#/g, '#35;')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;')
+    .replace(/\n/g, ' ');
+
+const truncate = (text, max = 40) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const TOOL_SHAPES = {
+  'Input Data': ['[/', '/]'],
+  'Text Input': ['[/', '/]'],
+  'Output Data': ['[\\', '\\]'],
+  Browse: ['[\\', '\\]'],
+  Filter: ['{', '}'],
+  Join: ['{{', '}}'],
+  'Join Multiple': ['{{', '}}'],
+  Union: ['{{', '}}'],
+  'Append Fields': ['{{', '}}']
+};
+
+export const stepsToMermaid = (steps) => {
+  const lines = ['flowchart TD'];
+  steps.forEach((step, index) => {
+    lines.push(`  S${index}["${escapeLabel(`${index + 1}. ${truncate(step.description, 60)}`)}"]`);
+    if (index > 0) lines.push(`  S${index - 1} --> S${index}`);
+  });
+  return lines.join('\n');
+};
+
+export const workflowToMermaid = (graph, stubIds = []) => {
+  const lines = ['flowchart LR'];
+
+  topologicalOrder(graph).forEach(node => {
+    const [open, close] = TOOL_SHAPES[node.tool] || ['[', ']'];
+    const detail = node.annotation || summarizeConfiguration(node).split('\n')[0];
+    const label = escapeLabel(`#${node.id} ${node.tool}`) + (detail ? `<br/>${escapeLabel(truncate(detail))}` : '');
+    lines.push(`  T${node.id}${open}"${label}"${close}`);
+    if (stubIds.includes(node.id)) lines.push(`  class T${node.id} stub`);
+  });
+
+  graph.connections.forEach(conn => {
+    const anchor = conn.origin.anchor;
+    // Only label anchors that distinguish branches (Filter True/False, Join L/J/R, ...)
+    const label = ['Output', 'Input'].includes(anchor) ? '' : `|${escapeLabel(anchor)}|`;
+    const arrow = conn.wireless ? '-.->' : '-->';
+    lines.push(`  T${conn.origin.toolId} ${arrow}${label} T${conn.destination.toolId}`);
+  });
+
+  lines.push('  classDef stub fill:#fff3e0,stroke:#f57c00,stroke-dasharray:4 2');
+  return lines.join('\n');
+};
+
+// Renders a Mermaid flowchart and reports clicks on its nodes by Mermaid node id (e.g. "S2", "T14")
+function WorkflowDiagram({ definition, onNodeClick }) {
+  const containerRef = useRef(null);
+  const [renderError, setRenderError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const render = async () => {
+      try {
+        const mermaid = await loadMermaid();
+        const { svg } = await mermaid.render(`workflow-diagram-${++renderCounter}`, definition);
+        if (cancelled || !containerRef.current) return;
+
+        containerRef.current.innerHTML = svg;
+        setRenderError(null);
+
+        // Node groups are rendered with ids like "flowchart-T14-3"
+        containerRef.current.querySelectorAll('g.node').forEach(el => {
+          const match = el.id.match(/^flowchart-(.+)-\d+$/);
+          if (!match) return;
+          el.style.cursor = 'pointer';
+          el.setAttribute('role', 'button');
+          el.setAttribute('tabindex', '0');
+          el.addEventListener('click', () => onNodeClick?.(match[1]));
+          el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') onNodeClick?.(match[1]);
+          });
+        });
+      } catch (err) {
+        console.error('Diagram render error:', err);
+        if (!cancelled) setRenderError('Could not draw the diagram for this workflow.');
+      }
+    };
+
+    render();
+    return () => {
+      cancelled = true;
+    };
+  }, [definition, onNodeClick]);
+
+  return (
+    <div className="mermaid-container">
+      {renderError ? <p style={{ color: '#999', fontSize: '14px' }}>{renderError}</p> : <div ref={containerRef} className="diagram-svg" />}
+    </div>
+  );
+}
+
+export default WorkflowDiagram;
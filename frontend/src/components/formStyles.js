@@ -0,0 +1,3 @@
+// Inline styles for the labelled form fields of the main form and the cards beside it
+export const labelStyle = { fontSize: '14px', color: '#333', fontWeight: '500', marginBottom: '8px', display: 'block' };
+export const fieldStyle = { width: '100%', padding: '12px', fontSize: '14px', marginBottom: '10px', borderRadius: '6px', border: '1px solid #ddd' };
@@ -0,0 +1,383 @@
+// Parser for Alteryx workflow files (.yxmd workflows and .yxwz analytic apps).
+// Both are XML documents with a <Nodes> tree of tools and a flat <Connections> list.
+
+export const WORKFLOW_EXTENSIONS = ['.yxmd', '.yxwz'];
+
+// Plugin identifiers (GuiSettings/@Plugin) mapped to the tool names shown on the Alteryx canvas
+const TOOL_NAMES = {
+  'AlteryxBasePluginsGui.DbFileInput.DbFileInput': 'Input Data',
+  'AlteryxBasePluginsGui.DbFileOutput.DbFileOutput': 'Output Data',
+  'AlteryxBasePluginsGui.TextInput.TextInput': 'Text Input',
+  'AlteryxBasePluginsGui.BrowseV2.BrowseV2': 'Browse',
+  'AlteryxBasePluginsGui.DateTimeInput.DateTimeInput': 'Date Time Now',
+  'AlteryxBasePluginsGui.DirectoryInput.DirectoryInput': 'Directory',
+  'AlteryxBasePluginsGui.Filter.Filter': 'Filter',
+  'AlteryxBasePluginsGui.AlteryxSelect.AlteryxSelect': 'Select',
+  'AlteryxBasePluginsGui.Sort.Sort': 'Sort',
+  'AlteryxBasePluginsGui.Unique.Unique': 'Unique',
+  'AlteryxBasePluginsGui.Sample.Sample': 'Sample',
+  'AlteryxBasePluginsGui.RandomSample.RandomSample': 'Random % Sample',
+  'AlteryxBasePluginsGui.RecordID.RecordID': 'Record ID',
+  'AlteryxBasePluginsGui.Formula.Formula': 'Formula',
+  'AlteryxBasePluginsGui.MultiRowFormula.MultiRowFormula': 'Multi-Row Formula',
+  'AlteryxBasePluginsGui.MultiFieldFormula.MultiFieldFormula': 'Multi-Field Formula',
+  'AlteryxBasePluginsGui.DataCleansing.DataCleansing': 'Data Cleansing',
+  'AlteryxBasePluginsGui.Imputation.Imputation': 'Imputation',
+  'AlteryxBasePluginsGui.GenerateRows.GenerateRows': 'Generate Rows',
+  'AlteryxBasePluginsGui.Tile.Tile': 'Tile',
+  'AlteryxBasePluginsGui.Join.Join': 'Join',
+  'AlteryxBasePluginsGui.JoinMultiple.JoinMultiple': 'Join Multiple',
+  'AlteryxBasePluginsGui.Union.Union': 'Union',
+  'AlteryxBasePluginsGui.AppendFields.AppendFields': 'Append Fields',
+  'AlteryxBasePluginsGui.FindReplace.FindReplace': 'Find Replace',
+  'AlteryxBasePluginsGui.FuzzyMatch.FuzzyMatch': 'Fuzzy Match',
+  'AlteryxBasePluginsGui.RegEx.RegEx': 'RegEx',
+  'AlteryxBasePluginsGui.TextToColumns.TextToColumns': 'Text To Columns',
+  'AlteryxBasePluginsGui.DynamicRename.DynamicRename': 'Dynamic Rename',
+  'AlteryxBasePluginsGui.Summarize.Summarize': 'Summarize',
+  'AlteryxSpatialPluginsGui.Summarize.Summarize': 'Summarize',
+  'AlteryxBasePluginsGui.CrossTab.CrossTab': 'Cross Tab',
+  'AlteryxBasePluginsGui.Transpose.Transpose': 'Transpose',
+  'AlteryxBasePluginsGui.RunningTotal.RunningTotal': 'Running Total',
+  'AlteryxBasePluginsGui.CountRecords.CountRecords': 'Count Records',
+  'AlteryxGuiToolkit.ToolContainer.ToolContainer': 'Tool Container',
+  'AlteryxGuiToolkit.TextBox.TextBox': 'Comment'
+};
+
+// Standard macros that appear on the canvas as regular tools
+const MACRO_NAMES = {
+  'Cleanse.yxmc': 'Data Cleansing',
+  'CountRecords.yxmc': 'Count Records',
+  'Imputation_v3.yxmc': 'Imputation',
+  'MultiFieldBinning_v2.yxmc': 'Multi-Field Binning'
+};
+
+// Canvas-only nodes that never carry data
+const LAYOUT_PLUGINS = [
+  'AlteryxGuiToolkit.ToolContainer.ToolContainer',
+  'AlteryxGuiToolkit.TextBox.TextBox'
+];
+
+export const isWorkflowFile = (fileName) => {
+  const name = fileName.toLowerCase();
+  return WORKFLOW_EXTENSIONS.some(ext => name.endsWith(ext));
+};
+
+// Convert a DOM element into a plain, serializable tree
+const toElementTree = (el) => {
+  const text = Array.from(el.childNodes)
+    .filter(n => n.nodeType === 3 || n.nodeType === 4) // text and CDATA
+    .map(n => n.nodeValue)
+    .join('')
+    .trim();
+
+  return {
+    name: el.tagName,
+    attributes: Object.fromEntries(Array.from(el.attributes).map(attr => [attr.name, attr.value])),
+    text,
+    children: Array.from(el.children).map(toElementTree)
+  };
+};
+
+// Helpers for reading configuration trees
+export const findChild = (element, name) =>
+  element?.children.find(child => child.name === name) || null;
+
+export const findChildren = (element, name) =>
+  element ? element.children.filter(child => child.name === name) : [];
+
+export const childText = (element, name) => findChild(element, name)?.text ?? '';
+
+export const findDescendant = (element, name) => {
+  if (!element) return null;
+  for (const child of element.children) {
+    if (child.name === name) return child;
+    const found = findDescendant(child, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+const resolveToolName = (plugin, macro) => {
+  if (plugin && TOOL_NAMES[plugin]) return TOOL_NAMES[plugin];
+  if (macro) {
+    const macroFile = macro.split(/[\\/]/).pop();
+    return MACRO_NAMES[macroFile] || `Macro (${macroFile.replace(/\.yxmc$/i, '')})`;
+  }
+  if (plugin) {
+    // Unknown plugins follow Vendor.ToolName.ToolName; use the last segment
+    return plugin.split('.').pop().replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+  return 'Unknown Tool';
+};
+
+const parseNode = (nodeEl, containerId, nodes) => {
+  const guiSettings = nodeEl.querySelector(':scope > GuiSettings');
+  const position = guiSettings?.querySelector(':scope > Position');
+  const properties = nodeEl.querySelector(':scope > Properties');
+  const configuration = properties?.querySelector(':scope > Configuration');
+  const annotation = properties?.querySelector(':scope > Annotation');
+  const engineSettings = nodeEl.querySelector(':scope > EngineSettings');
+
+  const plugin = guiSettings?.getAttribute('Plugin') || '';
+  const macro = engineSettings?.getAttribute('Macro') || '';
+  const id = nodeEl.getAttribute('ToolID');
+
+  const annotationText = annotation
+    ? (annotation.querySelector(':scope > AnnotationText')?.textContent.trim() ||
+       annotation.querySelector(':scope > Name')?.textContent.trim() ||
+       annotation.querySelector(':scope > DefaultAnnotationText')?.textContent.trim() ||
+       '')
+    : '';
+
+  nodes.push({
+    id,
+    plugin,
+    macro,
+    tool: resolveToolName(plugin, macro),
+    isLayout: LAYOUT_PLUGINS.includes(plugin),
+    containerId,
+    position: {
+      x: parseFloat(position?.getAttribute('x')) || 0,
+      y: parseFloat(position?.getAttribute('y')) || 0
+    },
+    annotation: annotationText,
+    configuration: configuration ? toElementTree(configuration) : null
+  });
+
+  // Tool containers hold their tools in <ChildNodes>
+  const childNodes = nodeEl.querySelector(':scope > ChildNodes');
+  if (childNodes) {
+    Array.from(childNodes.children)
+      .filter(child => child.tagName === 'Node')
+      .forEach(child => parseNode(child, id, nodes));
+  }
+};
+
+const parseAnchor = (el) => ({
+  toolId: el?.getAttribute('ToolID') || '',
+  anchor: el?.getAttribute('Connection') || 'Output'
+});
+
+// Parse workflow XML text into a tool graph
+export const parseWorkflowXml = (xmlText, fileName = 'workflow.yxmd') => {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+
+  if (doc.querySelector('parsererror')) {
+    throw new Error(`Invalid workflow file: ${fileName} is not well-formed XML.`);
+  }
+
+  const root = doc.documentElement;
+  if (root.tagName !== 'AlteryxDocument') {
+    throw new Error(`Invalid workflow file: ${fileName} is not an Alteryx document.`);
+  }
+
+  const nodes = [];
+  const nodesEl = root.querySelector(':scope > Nodes');
+  if (nodesEl) {
+    Array.from(nodesEl.children)
+      .filter(child => child.tagName === 'Node')
+      .forEach(child => parseNode(child, null, nodes));
+  }
+
+  const connections = Array.from(root.querySelectorAll(':scope > Connections > Connection')).map(conn => ({
+    name: conn.getAttribute('name') || '',
+    wireless: conn.getAttribute('Wireless') === 'True',
+    origin: parseAnchor(conn.querySelector(':scope > Origin')),
+    destination: parseAnchor(conn.querySelector(':scope > Destination'))
+  }));
+
+  const workflowName = root.querySelector(':scope > Properties > MetaInfo > Name')?.textContent.trim();
+
+  return {
+    fileName,
+    name: workflowName || fileName.replace(/\.[^.]+$/, ''),
+    version: root.getAttribute('yxmdVer') || '',
+    isApp: fileName.toLowerCase().endsWith('.yxwz'),
+    nodes,
+    connections
+  };
+};
+
+export const parseWorkflowFile = async (file) => {
+  const text = await file.text();
+  return parseWorkflowXml(text, file.name);
+};
+
+// Tools that carry data (excludes containers and comments)
+export const getTools = (graph) => graph.nodes.filter(node => !node.isLayout);
+
+export const getIncoming = (graph, toolId) =>
+  graph.connections.filter(conn => conn.destination.toolId === toolId);
+
+export const getOutgoing = (graph, toolId) =>
+  graph.connections.filter(conn => conn.origin.toolId === toolId);
+
+// Order tools so every tool comes after its inputs; ties follow canvas reading order
+export const topologicalOrder = (graph) => {
+  const tools = getTools(graph);
+  const byCanvasPosition = (a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x);
+  const inDegree = new Map(tools.map(tool => [tool.id, 0]));
+
+  graph.connections.forEach(conn => {
+    if (inDegree.has(conn.destination.toolId) && inDegree.has(conn.origin.toolId)) {
+      inDegree.set(conn.destination.toolId, inDegree.get(conn.destination.toolId) + 1);
+    }
+  });
+
+  const ready = tools.filter(tool => inDegree.get(tool.id) === 0).sort(byCanvasPosition);
+  const ordered = [];
+
+  while (ready.length > 0) {
+    const tool = ready.shift();
+    ordered.push(tool);
+    getOutgoing(graph, tool.id).forEach(conn => {
+      const targetId = conn.destination.toolId;
+      if (!inDegree.has(targetId)) return;
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) {
+        ready.push(tools.find(t => t.id === targetId));
+        ready.sort(byCanvasPosition);
+      }
+    });
+  }
+
+  // Cycles cannot be built in Alteryx, but keep any leftovers rather than dropping them
+  tools.forEach(tool => {
+    if (!ordered.includes(tool)) ordered.push(tool);
+  });
+
+  return ordered;
+};
+
+const fileNameFromPath = (path) => path.split(/[\\/]/).pop().split('|')[0];
+
+// Flatten an unknown configuration into short "tag attr=value: text" lines
+const describeElement = (element, depth = 0, lines = []) => {
+  element.children.forEach(child => {
+    const attrs = Object.entries(child.attributes)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(' ');
+    const line = `${'  '.repeat(depth)}${child.name}${attrs ? ` (${attrs})` : ''}${child.text ? `: ${child.text}` : ''}`;
+    lines.push(line);
+    describeElement(child, depth + 1, lines);
+  });
+  return lines;
+};
+
+const MAX_GENERIC_CONFIG_LENGTH = 800;
+
+// Dropped and renamed fields of a Select (or the embedded select of Join/Union)
+const summarizeSelectFields = (selectFields) => {
+  const fields = findChildren(selectFields, 'SelectField').filter(f => f.attributes.field !== '*Unknown');
+  const dropped = fields.filter(f => f.attributes.selected === 'False').map(f => f.attributes.field);
+  const renamed = fields
+    .filter(f => f.attributes.rename && f.attributes.selected !== 'False')
+    .map(f => `${f.attributes.field} → ${f.attributes.rename}`);
+  const parts = [];
+  if (dropped.length) parts.push(`drop: ${dropped.join(', ')}`);
+  if (renamed.length) parts.push(`rename: ${renamed.join(', ')}`);
+  return parts.join('; ');
+};
+
+// Human-readable summary of the settings that matter for conversion
+export const summarizeConfiguration = (node) => {
+  const config = node.configuration;
+  if (!config) return '';
+
+  switch (node.tool) {
+    case 'Input Data':
+    case 'Output Data': {
+      const file = childText(config, 'File');
+      return file ? `file: ${fileNameFromPath(file)}` : '';
+    }
+    case 'Filter': {
+      const mode = childText(config, 'Mode');
+      if (mode === 'Simple') {
+        const simple = findChild(config, 'Simple');
+        const operand = childText(findChild(simple, 'Operands'), 'Operand');
+        return `condition: [${childText(simple, 'Field')}] ${childText(simple, 'Operator')} ${operand}`;
+      }
+      return `expression: ${childText(config, 'Expression')}`;
+    }
+    case 'Formula':
+      return findChildren(findChild(config, 'FormulaFields'), 'FormulaField')
+        .map(f => `[${f.attributes.field}] = ${f.attributes.expression}`)
+        .join('; ');
+    case 'Multi-Row Formula': {
+      const field = findChild(config, 'UpdateField')?.attributes.value === 'True'
+        ? childText(config, 'UpdateField_Name')
+        : childText(config, 'CreateField_Name');
+      const groups = findChildren(findChild(config, 'GroupByFields'), 'Field').map(f => f.attributes.field);
+      return `[${field}] = ${childText(config, 'Expression')}` +
+        (groups.length ? `; group by: ${groups.join(', ')}` : '');
+    }
+    case 'Select':
+      return summarizeSelectFields(findChild(config, 'SelectFields'));
+    case 'Sort':
+      return findChildren(findChild(config, 'SortInfo'), 'Field')
+        .map(f => `${f.attributes.field} ${f.attributes.order || 'Ascending'}`)
+        .join(', ');
+    case 'Unique':
+      return `unique on: ${findChildren(findChild(config, 'UniqueFields'), 'Field').map(f => f.attributes.field).join(', ')}`;
+    case 'Join': {
+      const joinInfos = findChildren(config, 'JoinInfo');
+      const keys = joinInfos.map(info =>
+        `${info.attributes.connection}: ${findChildren(info, 'Field').map(f => f.attributes.field).join(', ')}`
+      );
+      const selectFields = findDescendant(findChild(config, 'SelectConfiguration'), 'SelectFields');
+      const selection = summarizeSelectFields(selectFields);
+      return (config.attributes.joinByRecordPos === 'True' ? 'join by record position' : `keys ${keys.join(' | ')}`) +
+        (selection ? `; ${selection}` : '');
+    }
+    case 'Summarize':
+      return findChildren(findChild(config, 'SummarizeFields'), 'SummarizeField')
+        .map(f => `${f.attributes.action}(${f.attributes.field})${f.attributes.rename ? ` as ${f.attributes.rename}` : ''}`)
+        .join(', ');
+    case 'Sample': {
+      const mode = childText(config, 'Mode');
+      return `${mode || 'First'} ${childText(config, 'N')}`.trim();
+    }
+    default: {
+      const summary = describeElement(config).join('\n');
+      return summary.length > MAX_GENERIC_CONFIG_LENGTH
+        ? `${summary.slice(0, MAX_GENERIC_CONFIG_LENGTH)}...`
+        : summary;
+    }
+  }
+};
+
+const formatAnchor = (anchor) => `[${anchor.toolId}].${anchor.anchor}`;
+
+// Text description of the tool graph used in the generation prompt.
+// extraLines(node) can append tool-specific notes (e.g. transpiled expressions).
+export const describeWorkflow = (graph, extraLines = () => []) => {
+  const ordered = topologicalOrder(graph);
+  const lines = [
+    `Workflow: ${graph.name} (${graph.fileName}${graph.version ? `, Alteryx ${graph.version}` : ''})`,
+    `${ordered.length} tools, ${graph.connections.length} connections`,
+    '',
+    'Tools in execution order (tool IDs in brackets):'
+  ];
+
+  ordered.forEach(node => {
+    lines.push(`[${node.id}] ${node.tool}${node.annotation ? ` "${node.annotation}"` : ''}`);
+
+    const incoming = getIncoming(graph, node.id);
+    if (incoming.length > 0) {
+      const inputs = incoming.map(conn =>
+        `${conn.destination.anchor}${conn.name ? ` ${conn.name}` : ''} ← ${formatAnchor(conn.origin)}`
+      );
+      lines.push(`    inputs: ${inputs.join(', ')}`);
+    }
+
+    const summary = summarizeConfiguration(node);
+    if (summary) {
+      summary.split('\n').forEach(line => lines.push(`    ${line}`));
+    }
+
+    extraLines(node).forEach(line => lines.push(`    ${line}`));
+  });
+
+  return lines.join('\n');
+};
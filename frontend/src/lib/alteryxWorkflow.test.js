@@ -0,0 +1,116 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { parseWorkflowXml, topologicalOrder, getTools, summarizeConfiguration, describeWorkflow, isWorkflowFile } from './alteryxWorkflow.js';
+
+const node = (id, plugin, configuration = '', { x = 0, y = 0, annotation = '' } = {}) => `
+  <Node ToolID="${id}">
+    <GuiSettings Plugin="${plugin}"><Position x="${x}" y="${y}" /></GuiSettings>
+    <Properties>
+      <Configuration>${configuration}</Configuration>
+      <Annotation DisplayMode="0"><Name /><DefaultAnnotationText>${annotation}</DefaultAnnotationText></Annotation>
+    </Properties>
+  </Node>`;
+
+const connection = (from, to, anchor = 'Output', destination = 'Input') => `
+  <Connection>
+    <Origin ToolID="${from}" Connection="${anchor}" />
+    <Destination ToolID="${to}" Connection="${destination}" />
+  </Connection>`;
+
+// Input → Filter (True) → Output, with the tools listed out of order and a container around the output
+const WORKFLOW = `<?xml version="1.0"?>
+<AlteryxDocument yxmdVer="2023.1">
+  <Nodes>
+    ${node('3', 'AlteryxBasePluginsGui.Filter.Filter', `
+      <Mode>Simple</Mode>
+      <Simple><Field>Amount</Field><Operator>&gt;</Operator><Operands><Operand>1000</Operand></Operands></Simple>`, { x: 200 })}
+    ${node('1', 'AlteryxBasePluginsGui.DbFileInput.DbFileInput', '<File>C:\\data\\sales.csv</File>', { annotation: 'sales' })}
+    <Node ToolID="10">
+      <GuiSettings Plugin="AlteryxGuiToolkit.ToolContainer.ToolContainer"><Position x="300" y="0" /></GuiSettings>
+      <Properties><Configuration><Caption>Outputs</Caption></Configuration></Properties>
+      <ChildNodes>
+        ${node('4', 'AlteryxBasePluginsGui.DbFileOutput.DbFileOutput', '<File>big_sales.csv</File>', { x: 400 })}
+      </ChildNodes>
+    </Node>
+  </Nodes>
+  <Connections>
+    ${connection('3', '4', 'True')}
+    ${connection('1', '3')}
+  </Connections>
+  <Properties><MetaInfo><Name>Big sales</Name></MetaInfo></Properties>
+</AlteryxDocument>`;
+
+describe('parseWorkflowXml', () => {
+  it('reads tools, containers and connections', () => {
+    const graph = parseWorkflowXml(WORKFLOW, 'sales.yxmd');
+
+    expect(graph.name).toBe('Big sales');
+    expect(graph.version).toBe('2023.1');
+    expect(graph.isApp).toBe(false);
+    expect(graph.nodes.map(n => [n.id, n.tool, n.containerId])).toEqual([
+      ['3', 'Filter', null],
+      ['1', 'Input Data', null],
+      ['10', 'Tool Container', null],
+      ['4', 'Output Data', '10']
+    ]);
+    expect(graph.nodes.find(n => n.id === '1').annotation).toBe('sales');
+    expect(graph.connections[0]).toMatchObject({
+      origin: { toolId: '3', anchor: 'True' },
+      destination: { toolId: '4', anchor: 'Input' }
+    });
+  });
+
+  it('leaves layout tools out of the data flow', () => {
+    const graph = parseWorkflowXml(WORKFLOW);
+    expect(getTools(graph).map(n => n.id)).toEqual(['3', '1', '4']);
+  });
+
+  it('rejects malformed XML and other documents', () => {
+    expect(() => parseWorkflowXml('<AlteryxDocument><Nodes>', 'broken.yxmd')).toThrow(/not well-formed/);
+    expect(() => parseWorkflowXml('<svg />', 'image.yxmd')).toThrow(/not an Alteryx document/);
+  });
+
+  it('names unknown plugins and macros from their identifiers', () => {
+    const graph = parseWorkflowXml(`<AlteryxDocument><Nodes>
+      ${node('1', 'Vendor.FancyTool.FancyTool')}
+      <Node ToolID="2"><GuiSettings /><EngineSettings Macro="Custom\\Cleanup.yxmc" /></Node>
+    </Nodes></AlteryxDocument>`);
+    expect(graph.nodes.map(n => n.tool)).toEqual(['Fancy Tool', 'Macro (Cleanup)']);
+  });
+});
+
+describe('topologicalOrder', () => {
+  it('puts every tool after its inputs', () => {
+    const graph = parseWorkflowXml(WORKFLOW);
+    expect(topologicalOrder(graph).map(n => n.id)).toEqual(['1', '3', '4']);
+  });
+});
+
+describe('summarizeConfiguration', () => {
+  it('describes the settings that matter for conversion', () => {
+    const graph = parseWorkflowXml(WORKFLOW);
+    const byId = (id) => graph.nodes.find(n => n.id === id);
+
+    expect(summarizeConfiguration(byId('1'))).toBe('file: sales.csv');
+    expect(summarizeConfiguration(byId('3'))).toBe('condition: [Amount] > 1000');
+  });
+});
+
+describe('describeWorkflow', () => {
+  it('lists tools in execution order with their inputs', () => {
+    const text = describeWorkflow(parseWorkflowXml(WORKFLOW, 'sales.yxmd'));
+
+    expect(text).toContain('Workflow: Big sales (sales.yxmd, Alteryx 2023.1)');
+    expect(text).toContain('3 tools, 2 connections');
+    expect(text.indexOf('[1] Input Data')).toBeLessThan(text.indexOf('[3] Filter'));
+    expect(text).toContain('inputs: Input ← [3].True');
+  });
+});
+
+describe('isWorkflowFile', () => {
+  it('accepts workflows and analytic apps only', () => {
+    expect(isWorkflowFile('Flow.YXMD')).toBe(true);
+    expect(isWorkflowFile('app.yxwz')).toBe(true);
+    expect(isWorkflowFile('sales.csv')).toBe(false);
+  });
+});
@@ -0,0 +1,335 @@
+// Per-column profiling of tabular data: inferred dtype, nulls, distinct values, ranges and top values
+
+// Strings pandas' read_csv treats as missing by default
+const NULL_TOKENS = new Set([
+  '', '#N/A', '#N/A N/A', '#NA', '-1.#IND', '-1.#QNAN', '-NaN', '-nan', '1.#IND', '1.#QNAN',
+  '<NA>', 'N/A', 'NA', 'NULL', 'NaN', 'None', 'n/a', 'nan', 'null'
+]);
+
+// Values kept per column for distinct and top-value counts; beyond this, distinct is reported as a lower bound
+const MAX_TRACKED_VALUES = 10000;
+
+const INT = /^[+-]?\d+$/;
+const FLOAT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const BOOL = /^(true|false)$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ymd = (y, m, d) => ({ y: Number(y), m: Number(m), d: Number(d) });
+
+// Candidate date formats in order of preference when several fit every value (e.g. 03/04/2024)
+const DATE_FORMATS = [
+  { format: '%Y-%m-%d', pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, parts: ([, y, m, d]) => ymd(y, m, d) },
+  { format: '%Y-%m-%d %H:%M:%S', pattern: /^(\d{4})-(\d{2})-(\d{2}) (\d{2}:\d{2}:\d{2})$/, parts: ([, y, m, d, t]) => ({ ...ymd(y, m, d), t }) },
+  { format: '%Y-%m-%dT%H:%M:%S', pattern: /^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2}:\d{2})$/, parts: ([, y, m, d, t]) => ({ ...ymd(y, m, d), t }) },
+  { format: '%Y/%m/%d', pattern: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, parts: ([, y, m, d]) => ymd(y, m, d) },
+  { format: '%m/%d/%Y', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, parts: ([, m, d, y]) => ymd(y, m, d) },
+  { format: '%d/%m/%Y', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, parts: ([, d, m, y]) => ymd(y, m, d) },
+  { format: '%m/%d/%Y %H:%M', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}:\d{2})$/, parts: ([, m, d, y, t]) => ({ ...ymd(y, m, d), t }) },
+  { format: '%d/%m/%Y %H:%M', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}:\d{2})$/, parts: ([, d, m, y, t]) => ({ ...ymd(y, m, d), t }) },
+  { format: '%d.%m.%Y', pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, parts: ([, d, m, y]) => ymd(y, m, d) },
+  { format: '%d-%m-%Y', pattern: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, parts: ([, d, m, y]) => ymd(y, m, d) },
+  {
+    format: '%d-%b-%Y',
+    pattern: /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/,
+    parts: ([, d, mon, y]) => ymd(y, MONTHS.indexOf(mon.toLowerCase()) + 1, d)
+  }
+];
+
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// ISO form of a date value under one format, or null if the value does not fit it
+const parseDate = ({ pattern, parts }, value) => {
+  const match = value.match(pattern);
+  if (!match) return null;
+  const { y, m, d, t } = parts(match);
+  if (m < 1 || m > 12 || d < 1 || d > DAYS_IN_MONTH[m - 1]) return null;
+  const iso = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  return t ? `${iso} ${t.padStart(5, '0')}` : iso;
+};
+
+const newColumn = (name) => ({
+  name,
+  count: 0,
+  nulls: 0,
+  kinds: { bool: 0, int: 0, float: 0, date: 0, string: 0 },
+  min: null,
+  max: null,
+  minLength: null,
+  maxLength: null,
+  totalLength: 0,
+  dates: new Map(),
+  values: new Map(),
+  capped: false,
+  examples: { string: [] }
+});
+
+const track = (column, value) => {
+  if (column.values.has(value)) {
+    column.values.set(value, column.values.get(value) + 1);
+  } else if (column.values.size < MAX_TRACKED_VALUES) {
+    column.values.set(value, 1);
+  } else {
+    column.capped = true;
+  }
+};
+
+const addValue = (column, raw) => {
+  column.count++;
+  const value = raw == null ? '' : String(raw).trim();
+
+  if (NULL_TOKENS.has(value)) {
+    column.nulls++;
+    return;
+  }
+
+  track(column, value);
+  column.minLength = Math.min(column.minLength ?? Infinity, value.length);
+  column.maxLength = Math.max(column.maxLength ?? 0, value.length);
+  column.totalLength += value.length;
+
+  if (BOOL.test(value)) {
+    column.kinds.bool++;
+  } else if (INT.test(value) || FLOAT.test(value)) {
+    column.kinds[INT.test(value) ? 'int' : 'float']++;
+    const number = Number(value);
+    column.min = column.min === null ? number : Math.min(column.min, number);
+    column.max = column.max === null ? number : Math.max(column.max, number);
+  } else {
+    let isDate = false;
+    DATE_FORMATS.forEach(candidate => {
+      const iso = parseDate(candidate, value);
+      if (!iso) return;
+      isDate = true;
+      const stats = column.dates.get(candidate.format) || { count: 0, min: iso, max: iso };
+      stats.count++;
+      if (iso < stats.min) stats.min = iso;
+      if (iso > stats.max) stats.max = iso;
+      column.dates.set(candidate.format, stats);
+    });
+
+    if (isDate) {
+      column.kinds.date++;
+    } else {
+      column.kinds.string++;
+      if (column.examples.string.length < 3) column.examples.string.push(value);
+    }
+  }
+};
+
+// Settle a column's dtype once every value has been seen
+const finishColumn = (column) => {
+  const nonNull = column.count - column.nulls;
+  const { bool, int, float, date } = column.kinds;
+  const numeric = int + float;
+
+  const profile = {
+    name: column.name,
+    dtype: 'string',
+    nulls: column.nulls,
+    distinct: column.values.size,
+    distinctIsLowerBound: column.capped,
+    unique: !column.capped && nonNull > 1 && column.values.size === nonNull,
+    min: null,
+    max: null,
+    top: [...column.values.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([value, count]) => ({ value, count }))
+  };
+
+  if (nonNull === 0) {
+    profile.dtype = 'empty';
+  } else if (bool === nonNull) {
+    profile.dtype = 'bool';
+  } else if (numeric === nonNull) {
+    profile.dtype = float > 0 ? 'float' : 'int';
+    profile.min = column.min;
+    profile.max = column.max;
+  } else if (date === nonNull) {
+    // Formats that fit every value, in preference order
+    const fits = DATE_FORMATS.filter(({ format }) => column.dates.get(format)?.count === date);
+    if (fits.length > 0) {
+      const stats = column.dates.get(fits[0].format);
+      Object.assign(profile, {
+        dtype: 'date',
+        dateFormat: fits[0].format,
+        ambiguousFormats: fits.slice(1).map(f => f.format),
+        min: stats.min,
+        max: stats.max
+      });
+    } else {
+      profile.note = 'dates in mixed formats';
+    }
+  } else {
+    // Mostly typed columns with a few stray strings are worth pointing out
+    const dominant = Math.max(numeric, date);
+    if (dominant >= nonNull * 0.9) {
+      const kind = numeric >= date ? 'numeric' : 'dates';
+      profile.note = `${Math.round((dominant / nonNull) * 100)}% ${kind}; other values like ${column.examples.string.map(v => `"${v}"`).join(', ')}`;
+    }
+  }
+
+  if (profile.dtype === 'string') {
+    profile.minLength = column.minLength;
+    profile.maxLength = column.maxLength;
+  }
+  profile.averageLength = nonNull > 0 ? column.totalLength / nonNull : 0;
+
+  return profile;
+};
+
+/**
+ * Accumulates a profile row by row, so files can be profiled while they stream.
+ * add() takes one record (an array of raw cell values in column order).
+ */
+export class ColumnProfiler {
+  constructor(columns) {
+    this.columns = columns.map(newColumn);
+    this.rows = 0;
+  }
+
+  add(record) {
+    this.rows++;
+    this.columns.forEach((column, i) => addValue(column, record[i]));
+  }
+
+  finish() {
+    return { rows: this.rows, columns: this.columns.map(finishColumn) };
+  }
+}
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 4 }) : value);
+
+// One line per column for the prompt; capped so very wide files do not crowd out the workflow
+export const describeProfile = (profile, maxColumns = 100) => {
+  const lines = profile.columns.slice(0, maxColumns).map(column => {
+    const parts = [column.dtype];
+
+    if (column.dtype === 'date') {
+      parts[0] = `date (format ${column.dateFormat}${column.ambiguousFormats.length > 0 ? `, could also be ${column.ambiguousFormats.join(' or ')}` : ''})`;
+    }
+    if (column.dtype === 'int' && column.nulls > 0) {
+      parts[0] = 'int with nulls (pandas reads as float64 unless dtype="Int64")';
+    }
+
+    parts.push(`${column.nulls.toLocaleString()} nulls`);
+    parts.push(`${column.distinct.toLocaleString()}${column.distinctIsLowerBound ? '+' : ''} distinct${column.unique ? ' (unique, candidate key)' : ''}`);
+
+    if (column.min !== null) parts.push(`range ${formatNumber(column.min)} to ${formatNumber(column.max)}`);
+    if (column.dtype === 'string' || column.dtype === 'bool') {
+      parts.push(`top: ${column.top.slice(0, 3).map(({ value, count }) => `"${value}" (${count.toLocaleString()})`).join(', ')}`);
+    }
+    if (column.note) parts.push(column.note);
+
+    return `    - ${column.name}: ${parts.join(', ')}`;
+  });
+
+  if (profile.columns.length > maxColumns) {
+    lines.push(`    - ... ${profile.columns.length - maxColumns} more columns`);
+  }
+
+  return lines.join('\n');
+};
+
+// --- Memory estimates for the DataFrame pandas would build ---
+
+// Bytes per cell of an object column: the pointer plus a Python str (49 bytes + 1 per ASCII char)
+const objectCellBytes = (averageLength) => 8 + 49 + averageLength;
+
+// Above this, the script should stream the file with chunksize instead of loading it whole
+export const LARGE_FRAME_BYTES = 1024 ** 3;
+// Target memory per chunk when chunking is suggested
+const CHUNK_BYTES = 200 * 1024 ** 2;
+
+const INT_TYPES = [['int8', 2 ** 7, 1], ['int16', 2 ** 15, 2], ['int32', 2 ** 31, 4]];
+
+// Smallest dtype for an integer column; nullable (capitalized) types keep nulls without becoming float
+const smallestInt = ({ min, max, nulls }) => {
+  const fit = INT_TYPES.find(([, limit]) => min >= -limit && max < limit);
+  if (!fit) return null;
+  const [name, , bytes] = fit;
+  return nulls > 0 ? { dtype: name.replace('int', 'Int'), bytes: bytes + 1 } : { dtype: name, bytes };
+};
+
+/**
+ * Estimate the memory pandas needs for a profiled file, both as read_csv/read_excel loads it
+ * by default and with suggested dtypes (downcast ints, category for repetitive strings,
+ * parsed dates). Suggests a chunksize when even the optimized frame is large.
+ */
+export const estimateMemory = (profile) => {
+  const rows = profile.rows;
+  let asRead = 0;
+  let optimized = 0;
+  const dtypes = {};
+  const parseDates = [];
+
+  profile.columns.forEach(column => {
+    const stringBytes = rows * objectCellBytes(column.averageLength);
+    let readBytes;
+    let bestBytes;
+
+    if (column.dtype === 'int' || column.dtype === 'float' || column.dtype === 'empty') {
+      readBytes = rows * 8;
+      bestBytes = readBytes;
+      const smaller = column.dtype === 'int' && smallestInt(column);
+      if (smaller) {
+        dtypes[column.name] = smaller.dtype;
+        bestBytes = rows * smaller.bytes;
+      }
+    } else if (column.dtype === 'bool') {
+      readBytes = column.nulls > 0 ? rows * 8 : rows;
+      bestBytes = column.nulls > 0 ? rows * 2 : rows;
+      if (column.nulls > 0) dtypes[column.name] = 'boolean';
+    } else if (column.dtype === 'date') {
+      // Dates stay strings unless the script parses them
+      readBytes = stringBytes;
+      bestBytes = rows * 8;
+      parseDates.push(column.name);
+    } else {
+      readBytes = stringBytes;
+      bestBytes = readBytes;
+      const categoryBytes = rows * (column.distinct < 2 ** 7 ? 1 : column.distinct < 2 ** 15 ? 2 : 4) +
+        column.distinct * objectCellBytes(column.averageLength);
+      if (!column.distinctIsLowerBound && column.distinct <= rows / 2 && categoryBytes < readBytes) {
+        dtypes[column.name] = 'category';
+        bestBytes = categoryBytes;
+      }
+    }
+
+    asRead += readBytes;
+    optimized += bestBytes;
+  });
+
+  const bytesPerRow = rows > 0 ? optimized / rows : 0;
+  const chunksize = optimized > LARGE_FRAME_BYTES && bytesPerRow > 0
+    ? Math.max(10000, Math.floor(CHUNK_BYTES / bytesPerRow / 10000) * 10000)
+    : null;
+
+  return { asRead, optimized, dtypes, parseDates, chunksize };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// Prompt lines about memory; dtype advice is only worth the tokens for sizeable frames
+export const describeMemory = (estimate) => {
+  const lines = [`  - Estimated pandas memory: ${formatBytes(estimate.asRead)} as read, ${formatBytes(estimate.optimized)} with suggested dtypes`];
+  const worthOptimizing = estimate.asRead >= 50 * 1024 ** 2 && estimate.optimized <= estimate.asRead * 0.75;
+
+  if (worthOptimizing && Object.keys(estimate.dtypes).length > 0) {
+    const dtypeMap = Object.entries(estimate.dtypes).map(([name, dtype]) => `'${name}': '${dtype}'`).join(', ');
+    lines.push(`  - Suggested read dtypes: dtype={${dtypeMap}}`);
+  }
+  if (worthOptimizing && estimate.parseDates.length > 0) {
+    lines.push(`  - Parse as dates while reading: ${estimate.parseDates.join(', ')}`);
+  }
+  if (estimate.chunksize) {
+    lines.push(`  - Too large to load at once: process with chunksize=${estimate.chunksize.toLocaleString('en-US').replace(/,/g, '_')} and aggregate per chunk`);
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { ColumnProfiler, describeMemory, describeProfile, estimateMemory, LARGE_FRAME_BYTES } from './columnProfile.js';
+
+// Profile of a single column holding the given raw values
+const profileOf = (values) => {
+  const profiler = new ColumnProfiler(['value']);
+  values.forEach(value => profiler.add([value]));
+  return profiler.finish().columns[0];
+};
+
+// A finished column profile as estimateMemory reads it
+const column = (name, dtype, overrides = {}) => ({
+  name, dtype, nulls: 0, distinct: 0, distinctIsLowerBound: false, min: null, max: null, averageLength: 0, ...overrides
+});
+
+describe('dtype inference', () => {
+  it('recognizes numbers, booleans and text', () => {
+    expect(profileOf(['1', '-20', '+3'])).toMatchObject({ dtype: 'int', min: -20, max: 3 });
+    expect(profileOf(['1', '2.5', '1e3', '.5'])).toMatchObject({ dtype: 'float', min: 0.5, max: 1000 });
+    expect(profileOf(['True', 'false', 'TRUE'])).toMatchObject({ dtype: 'bool', distinct: 3 });
+    expect(profileOf(['North', 'South', 'North'])).toMatchObject({
+      dtype: 'string', distinct: 2, unique: false, minLength: 5, maxLength: 5, top: [{ value: 'North', count: 2 }, { value: 'South', count: 1 }]
+    });
+  });
+
+  it("counts pandas' missing-value markers as nulls", () => {
+    expect(profileOf(['1', 'NA', '', ' null ', undefined, '3'])).toMatchObject({ dtype: 'int', nulls: 4, distinct: 2, unique: true });
+    expect(profileOf(['N/A', 'nan'])).toMatchObject({ dtype: 'empty', nulls: 2 });
+  });
+
+  it('notes the stray values in a mostly numeric column', () => {
+    const values = [...Array.from({ length: 19 }, (_, i) => String(i)), 'unknown'];
+    expect(profileOf(values)).toMatchObject({ dtype: 'string', note: '95% numeric; other values like "unknown"' });
+  });
+
+  it('describes each column for the prompt', () => {
+    const profiler = new ColumnProfiler(['id', 'region']);
+    [['1', 'North'], ['', 'North'], ['3', 'South']].forEach(row => profiler.add(row));
+    expect(describeProfile(profiler.finish())).toBe([
+      '    - id: int with nulls (pandas reads as float64 unless dtype="Int64"), 1 nulls, 2 distinct (unique, candidate key), range 1 to 3',
+      '    - region: string, 0 nulls, 2 distinct, top: "North" (2), "South" (1)'
+    ].join('\n'));
+  });
+});
+
+describe('date formats', () => {
+  it('reads dates and their range as ISO', () => {
+    expect(profileOf(['2024-03-01', '2023-12-31', '2024-1-5'])).toMatchObject({
+      dtype: 'date', dateFormat: '%Y-%m-%d', ambiguousFormats: [], min: '2023-12-31', max: '2024-03-01'
+    });
+    expect(profileOf(['05-Mar-2024', '17-jan-2024'])).toMatchObject({ dtype: 'date', dateFormat: '%d-%b-%Y', min: '2024-01-17' });
+  });
+
+  it('prefers month first when both orders fit, and says so', () => {
+    const profile = profileOf(['03/04/2024', '05/06/2024']);
+    expect(profile).toMatchObject({ dtype: 'date', dateFormat: '%m/%d/%Y', ambiguousFormats: ['%d/%m/%Y'], min: '2024-03-04' });
+    expect(describeProfile({ columns: [profile] })).toContain('date (format %m/%d/%Y, could also be %d/%m/%Y)');
+  });
+
+  it('settles the order once a value only fits one of them', () => {
+    expect(profileOf(['03/04/2024', '13/04/2024'])).toMatchObject({ dateFormat: '%d/%m/%Y', ambiguousFormats: [], max: '2024-04-13' });
+    expect(profileOf(['03/04/2024', '04/13/2024'])).toMatchObject({ dateFormat: '%m/%d/%Y', ambiguousFormats: [] });
+    expect(profileOf(['03/04/2024 9:30', '03/25/2024 17:05'])).toMatchObject({ dateFormat: '%m/%d/%Y %H:%M', max: '2024-03-25 17:05' });
+  });
+
+  it('rejects impossible days and mixed formats', () => {
+    expect(profileOf(['31/02/2024'])).toMatchObject({ dtype: 'string' });
+    expect(profileOf(['2024-01-02', '31/12/2024'])).toMatchObject({ dtype: 'string', note: 'dates in mixed formats' });
+  });
+});
+
+describe('estimateMemory', () => {
+  it('suggests smaller dtypes, categories and parsed dates', () => {
+    const estimate = estimateMemory({
+      rows: 1000,
+      columns: [
+        column('id', 'int', { min: 0, max: 100 }),
+        column('store', 'int', { min: -200, max: 30000, nulls: 5 }),
+        column('amount', 'float', { min: 0.5, max: 9.5 }),
+        column('region', 'string', { distinct: 3, averageLength: 5 }),
+        column('day', 'date', { distinct: 365, averageLength: 10 })
+      ]
+    });
+
+    expect(estimate).toEqual({
+      // 8 bytes per number; 8 + 49 + length bytes per string
+      asRead: 1000 * (8 + 8 + 8 + 62 + 67),
+      // int8, Int16 with its mask, float64, 1-byte codes plus three strings, datetime64
+      optimized: 1000 * (1 + 3 + 8 + 1 + 8) + 3 * 62,
+      dtypes: { id: 'int8', store: 'Int16', region: 'category' },
+      parseDates: ['day'],
+      chunksize: null
+    });
+  });
+
+  it('keeps strings that are mostly distinct as objects', () => {
+    const estimate = estimateMemory({ rows: 10, columns: [column('name', 'string', { distinct: 9, averageLength: 4 })] });
+    expect(estimate).toMatchObject({ asRead: 610, optimized: 610, dtypes: {} });
+  });
+
+  it('suggests a chunksize once even the optimized frame is too large', () => {
+    const floats = (count) => Array.from({ length: count }, (_, i) => column(`x${i}`, 'float'));
+    const rows = 100_000_000;
+
+    expect(estimateMemory({ rows, columns: floats(1) })).toMatchObject({ optimized: 8e8, chunksize: null });
+
+    const estimate = estimateMemory({ rows, columns: floats(2) });
+    expect(estimate.optimized).toBeGreaterThan(LARGE_FRAME_BYTES);
+    // 200 MB per chunk at 16 bytes a row, rounded down to 10,000 rows
+    expect(estimate.chunksize).toBe(13_100_000);
+    expect(describeMemory(estimate)).toBe([
+      '  - Estimated pandas memory: 1.5 GB as read, 1.5 GB with suggested dtypes',
+      '  - Too large to load at once: process with chunksize=13_100_000 and aggregate per chunk'
+    ].join('\n'));
+  });
+
+  it('never suggests chunks smaller than 10,000 rows', () => {
+    const wide = Array.from({ length: 20 }, (_, i) => column(`text${i}`, 'string', { distinct: 5_000_000, averageLength: 2000 }));
+    expect(estimateMemory({ rows: 5_000_000, columns: wide }).chunksize).toBe(10000);
+  });
+});
@@ -0,0 +1,184 @@
+// RFC 4180 CSV parsing with delimiter, quote character and encoding detection
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+
+// Bytes undefined in windows-1252; a file containing them is safer to read as latin-1
+const CP1252_UNDEFINED = new Set([0x81, 0x8d, 0x8f, 0x90, 0x9d]);
+
+/**
+ * Streaming CSV parser. Feed text with push(), which returns the records completed so far,
+ * then call flush() for the last record. Handles quoted delimiters, doubled quotes,
+ * embedded newlines and CRLF, LF or CR line endings.
+ */
+export class CsvParser {
+  constructor({ delimiter = ',', quote = '"' } = {}) {
+    this.delimiter = delimiter;
+    this.quote = quote;
+    this.field = '';
+    this.record = [];
+    this.inQuotes = false;
+    // A quote seen inside a quoted field: either the closing quote or the first half of ""
+    this.pendingQuote = false;
+    this.pendingCR = false;
+  }
+
+  push(text) {
+    const records = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (ch === '\n') continue;
+      }
+
+      if (this.inQuotes) {
+        if (this.pendingQuote) {
+          this.pendingQuote = false;
+          if (ch === this.quote) {
+            this.field += ch;
+            continue;
+          }
+          this.inQuotes = false;
+          // Fall through: ch follows the closing quote
+        } else if (ch === this.quote) {
+          this.pendingQuote = true;
+          continue;
+        } else {
+          this.field += ch;
+          continue;
+        }
+      }
+
+      if (ch === this.quote && this.field === '') {
+        this.inQuotes = true;
+      } else if (ch === this.delimiter) {
+        this.record.push(this.field);
+        this.field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        this.pendingCR = ch === '\r';
+        this.record.push(this.field);
+        records.push(this.record);
+        this.field = '';
+        this.record = [];
+      } else {
+        this.field += ch;
+      }
+    }
+
+    return records;
+  }
+
+  // Complete the final record when the input does not end with a newline
+  flush() {
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.inQuotes = false;
+    }
+    if (this.field === '' && this.record.length === 0) return [];
+
+    const record = [...this.record, this.field];
+    this.field = '';
+    this.record = [];
+    return [record];
+  }
+}
+
+export const parseCsv = (text, dialect) => {
+  const parser = new CsvParser(dialect);
+  return [...parser.push(text), ...parser.flush()];
+};
+
+/**
+ * Detect the encoding of a file from its first bytes; partial is true when there are more.
+ * Returns the name pandas expects plus the label TextDecoder understands.
+ */
+export const detectEncoding = (bytes, partial = false) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { encoding: 'utf-8-sig', decoder: 'utf-8' };
+  }
+  if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) {
+    return { encoding: 'utf-16', decoder: bytes[0] === 0xff ? 'utf-16le' : 'utf-16be' };
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of a partial sample
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: partial });
+    return { encoding: 'utf-8', decoder: 'utf-8' };
+  } catch {
+    const latin1 = bytes.some(byte => CP1252_UNDEFINED.has(byte));
+    return { encoding: latin1 ? 'latin-1' : 'cp1252', decoder: 'windows-1252' };
+  }
+};
+
+// Most common value in a list of numbers
+const mode = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+};
+
+/**
+ * Guess the delimiter and quote character from the start of a file.
+ * The delimiter whose field count is most consistent across lines wins; ties go to more fields.
+ */
+export const sniffDialect = (text, maxLines = 50) => {
+  // Only whole lines, so a record cut off by the sample boundary does not skew the counts
+  const sample = text.slice(0, text.lastIndexOf('\n') > 0 ? text.lastIndexOf('\n') : text.length);
+
+  // A quote character is one that wraps a whole field somewhere in the sample
+  const quote = QUOTES.find(q =>
+    new RegExp(`(^|[,;\\t|])${q}[^${q}\\n]*${q}([,;\\t|]|\\r?$)`, 'm').test(sample)
+  ) || '"';
+
+  let best = { delimiter: ',', consistent: 0, fields: 1 };
+
+  DELIMITERS.forEach(delimiter => {
+    const records = parseCsv(sample, { delimiter, quote })
+      .slice(0, maxLines)
+      .filter(record => record.length > 1 || record[0] !== '');
+    if (records.length === 0) return;
+
+    const [fields, consistent] = mode(records.map(record => record.length));
+    if (fields < 2) return;
+
+    if (consistent > best.consistent || (consistent === best.consistent && fields > best.fields)) {
+      best = { delimiter, consistent, fields };
+    }
+  });
+
+  return { delimiter: best.delimiter, quotechar: quote };
+};
+
+/**
+ * Read the start of a CSV file and describe it: encoding, dialect, header and sample rows.
+ * rows excludes a final record that may have been cut off by the sample boundary.
+ */
+export const parseCsvSample = async (file, sampleBytes = 50 * 1024) => {
+  const bytes = new Uint8Array(await file.slice(0, sampleBytes).arrayBuffer());
+  const truncated = file.size > sampleBytes;
+  const { encoding, decoder } = detectEncoding(bytes, truncated);
+
+  // The decoder strips a BOM by default
+  const text = new TextDecoder(decoder).decode(bytes, { stream: truncated });
+  const { delimiter, quotechar } = sniffDialect(text);
+
+  const parser = new CsvParser({ delimiter, quote: quotechar });
+  let records = parser.push(text);
+  if (!truncated) records = [...records, ...parser.flush()];
+
+  records = records.filter(record => record.length > 1 || record[0].trim() !== '');
+  const [header = [], ...rows] = records;
+
+  return {
+    encoding,
+    delimiter,
+    quotechar,
+    header: header.map(name => name.trim()),
+    rows,
+    truncated,
+    bytesRead: bytes.length
+  };
+};
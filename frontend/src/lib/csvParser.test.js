@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { CsvParser, parseCsv, detectEncoding, sniffDialect, parseCsvSample } from './csvParser.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('parseCsv', () => {
+  it('handles quoted delimiters, doubled quotes and embedded newlines', () => {
+    expect(parseCsv('id,name,note\r\n1,"Smith, J","said ""hi""\nthen left"\r\n2,Lee,\r\n')).toEqual([
+      ['id', 'name', 'note'],
+      ['1', 'Smith, J', 'said "hi"\nthen left'],
+      ['2', 'Lee', '']
+    ]);
+  });
+
+  it('accepts CR line endings and other dialects', () => {
+    expect(parseCsv("a;b\r'x;y';2", { delimiter: ';', quote: "'" })).toEqual([['a', 'b'], ['x;y', '2']]);
+  });
+});
+
+describe('CsvParser', () => {
+  it('gives the same records however the text is split into chunks', () => {
+    const text = 'a,b\r\n"1\r\n2",""""\r\n3,4';
+    const parser = new CsvParser();
+    const records = [...text].flatMap(ch => parser.push(ch));
+    expect([...records, ...parser.flush()]).toEqual(parseCsv(text));
+  });
+});
+
+describe('detectEncoding', () => {
+  it('recognizes byte order marks', () => {
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toEqual({ encoding: 'utf-8-sig', decoder: 'utf-8' });
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0]))).toEqual({ encoding: 'utf-16', decoder: 'utf-16le' });
+  });
+
+  it('tells UTF-8 from Windows-1252 and Latin-1', () => {
+    expect(detectEncoding(encode('café')).encoding).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0x63, 0x61, 0x66, 0xe9])).encoding).toBe('cp1252');
+    expect(detectEncoding(new Uint8Array([0x61, 0x81])).encoding).toBe('latin-1');
+  });
+
+  it('tolerates a multi-byte character cut off at the end of a partial sample', () => {
+    const bytes = encode('naïve').slice(0, 3);
+    expect(detectEncoding(bytes, true).encoding).toBe('utf-8');
+    expect(detectEncoding(bytes, false).encoding).not.toBe('utf-8');
+  });
+});
+
+describe('sniffDialect', () => {
+  it('picks the delimiter with the most consistent field count', () => {
+    expect(sniffDialect('a;b;c\n1,5;2;3\n4;5,5;6\n')).toEqual({ delimiter: ';', quotechar: '"' });
+    expect(sniffDialect('a\tb\n1\t2\n')).toEqual({ delimiter: '\t', quotechar: '"' });
+  });
+
+  it('detects single-quoted fields', () => {
+    expect(sniffDialect("name|city\n'Lee, J'|'Oslo'\n").quotechar).toBe("'");
+  });
+});
+
+describe('parseCsvSample', () => {
+  it('describes the header and rows of a file', async () => {
+    const file = new File([encode('\uFEFFid ; amount\n1;2,5\n2;3\n')], 'sales.csv');
+    expect(await parseCsvSample(file)).toMatchObject({
+      encoding: 'utf-8-sig',
+      delimiter: ';',
+      header: ['id', 'amount'],
+      rows: [['1', '2,5'], ['2', '3']],
+      truncated: false
+    });
+  });
+
+  it('drops the record cut off by the sample boundary', async () => {
+    const file = new File([encode('a,b\n1,2\n3,4\n')], 'big.csv');
+    const sample = await parseCsvSample(file, 11);
+    expect(sample.truncated).toBe(true);
+    expect(sample.rows).toEqual([['1', '2']]);
+  });
+});
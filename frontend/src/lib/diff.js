@@ -0,0 +1,99 @@
+// Line and list diffs between two results, grouped into hunks that can be merged one by one
+
+// Above this many cells the LCS table would take too much memory; the changed middle
+// is then shown as one replaced block instead
+const MAX_TABLE_CELLS = 4 * 1024 * 1024;
+
+/**
+ * Diff two sequences by key (a string per item). Returns ops in order:
+ * { type: 'equal' | 'remove' | 'add', a, b } where a / b are indexes into each side.
+ * Uses a longest-common-subsequence table after trimming the common prefix and suffix.
+ */
+export const diffSequences = (a, b, key = (item) => item) => {
+  const ka = a.map(key);
+  const kb = b.map(key);
+
+  let start = 0;
+  while (start < a.length && start < b.length && ka[start] === kb[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && ka[endA - 1] === kb[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: i, b: i });
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    for (let i = 0; i < n; i++) ops.push({ type: 'remove', a: start + i, b: null });
+    for (let j = 0; j < m; j++) ops.push({ type: 'add', a: null, b: start + j });
+  } else {
+    // lcs[i * width + j]: common subsequence length of the middles from i and j onwards
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = ka[start + i] === kb[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && ka[start + i] === kb[start + j]) {
+        ops.push({ type: 'equal', a: start + i++, b: start + j++ });
+      } else if (j >= m || (i < n && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ type: 'remove', a: start + i++, b: null });
+      } else {
+        ops.push({ type: 'add', a: null, b: start + j++ });
+      }
+    }
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ type: 'equal', a: i, b: j });
+  return ops;
+};
+
+/**
+ * Group ops into display blocks: runs of equal items ({ type: 'equal', ops }) and hunks
+ * of changes ({ type: 'hunk', id, removed, added }), where removed / added are indexes
+ * into each side. Hunk ids count from 0 in order.
+ */
+export const groupHunks = (ops) => {
+  const blocks = [];
+  let hunkId = 0;
+
+  ops.forEach(op => {
+    const last = blocks[blocks.length - 1];
+    if (op.type === 'equal') {
+      if (last?.type === 'equal') last.ops.push(op);
+      else blocks.push({ type: 'equal', ops: [op] });
+      return;
+    }
+    const hunk = last?.type === 'hunk' ? last : { type: 'hunk', id: hunkId++, removed: [], added: [] };
+    if (hunk !== last) blocks.push(hunk);
+    if (op.type === 'remove') hunk.removed.push(op.a);
+    else hunk.added.push(op.b);
+  });
+
+  return blocks;
+};
+
+/**
+ * Combine two sequences: side a everywhere, except the hunks in taken (a Set of hunk ids),
+ * which use side b's version.
+ */
+export const mergeBlocks = (a, b, blocks, taken) => blocks.flatMap(block => {
+  if (block.type === 'equal') return block.ops.map(op => a[op.a]);
+  return taken.has(block.id) ? block.added.map(index => b[index]) : block.removed.map(index => a[index]);
+});
+
+// Script lines, ignoring the difference between CRLF and LF
+export const scriptLines = (script) => script.replace(/\r\n?/g, '\n').split('\n');
+
+export const stepKey = (step) => `${step.description}\n${step.code}`;
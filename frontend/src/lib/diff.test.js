@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { diffSequences, groupHunks, mergeBlocks, scriptLines, stepKey } from './diff.js';
+
+const types = (ops) => ops.map(op => op.type[0]).join('');
+
+describe('diffSequences', () => {
+  it('keeps the common prefix, suffix and longest common middle', () => {
+    const ops = diffSequences(['a', 'b', 'c', 'd', 'e'], ['a', 'x', 'c', 'e']);
+    expect(types(ops)).toBe('eraere');
+    expect(ops.filter(op => op.type === 'equal').map(op => [op.a, op.b])).toEqual([[0, 0], [2, 2], [4, 3]]);
+  });
+
+  it('handles empty sides', () => {
+    expect(types(diffSequences([], ['a', 'b']))).toBe('aa');
+    expect(types(diffSequences(['a'], []))).toBe('r');
+    expect(diffSequences([], [])).toEqual([]);
+  });
+
+  it('compares items by key', () => {
+    const ops = diffSequences([{ id: 1, v: 'old' }], [{ id: 1, v: 'new' }], item => String(item.id));
+    expect(ops).toEqual([{ type: 'equal', a: 0, b: 0 }]);
+  });
+});
+
+describe('groupHunks and mergeBlocks', () => {
+  const a = ['import pandas', 'x = 1', 'y = 2', 'print(x)', 'done'];
+  const b = ['import pandas', 'x = 10', 'y = 2', 'print(y)', 'done'];
+  const blocks = groupHunks(diffSequences(a, b));
+
+  it('groups adjacent changes into numbered hunks', () => {
+    expect(blocks.map(block => block.type)).toEqual(['equal', 'hunk', 'equal', 'hunk', 'equal']);
+    expect(blocks.filter(block => block.type === 'hunk')).toEqual([
+      { type: 'hunk', id: 0, removed: [1], added: [1] },
+      { type: 'hunk', id: 1, removed: [3], added: [3] }
+    ]);
+  });
+
+  it('takes side b only for the chosen hunks', () => {
+    expect(mergeBlocks(a, b, blocks, new Set())).toEqual(a);
+    expect(mergeBlocks(a, b, blocks, new Set([0, 1]))).toEqual(b);
+    expect(mergeBlocks(a, b, blocks, new Set([1]))).toEqual(['import pandas', 'x = 1', 'y = 2', 'print(y)', 'done']);
+  });
+});
+
+describe('scriptLines', () => {
+  it('ignores the difference between line endings', () => {
+    expect(scriptLines('a\r\nb\rc\n')).toEqual(['a', 'b', 'c', '']);
+  });
+});
+
+describe('stepKey', () => {
+  it('tells steps apart by description and code', () => {
+    expect(stepKey({ description: 'Read', code: 'x' })).not.toBe(stepKey({ description: 'Read', code: 'y' }));
+  });
+});
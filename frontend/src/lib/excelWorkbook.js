@@ -0,0 +1,128 @@
+// Excel workbook introspection: sheets, header rows and merged (two-row) headers
+
+// Rows parsed per sheet; enough to find the header and show a sample
+const PREVIEW_ROWS = 30;
+// Header rows are looked for among the first rows only
+export const HEADER_SCAN_ROWS = 10;
+
+const isBlank = (value) => String(value ?? '').trim() === '';
+const isNumeric = (value) => !isBlank(value) && !Number.isNaN(Number(value));
+
+// Rows containing a merged range that spans several columns
+const horizontallyMergedRows = (merges) =>
+  [...new Set(merges.filter(m => m.e.c > m.s.c).map(m => m.s.r))].sort((a, b) => a - b);
+
+/**
+ * Index of the most likely header row: the first row that fills most of the
+ * sheet's width with text. Title rows and notes above a table are skipped, and a row
+ * of merged group labels directly above a full header row gives way to that row.
+ */
+export const detectHeaderRow = (rows, merges = []) => {
+  const filled = rows.map(row => row.filter(value => !isBlank(value)));
+  const width = Math.max(0, ...filled.map(cells => cells.length));
+  if (width === 0) return 0;
+
+  const isHeaderLike = (cells = []) =>
+    cells.length >= Math.max(1, Math.ceil(width * 0.6)) &&
+    cells.filter(isNumeric).length <= cells.length * 0.2;
+
+  const index = Math.max(filled.slice(0, HEADER_SCAN_ROWS).findIndex(cells => isHeaderLike(cells)), 0);
+  return horizontallyMergedRows(merges).includes(index) && isHeaderLike(filled[index + 1]) ? index + 1 : index;
+};
+
+/**
+ * Column names for a header row. With mergedHeader, the row above it holds group labels
+ * merged across columns ("Q1" over "Sales" and "Units"), which prefix the names the same way
+ * the generated script flattens pandas' two-level header ("Q1 Sales", "Q1 Units").
+ */
+export const sheetColumns = (sheet, headerRow, mergedHeader = false) => {
+  const header = sheet.rows[headerRow] || [];
+
+  if (!mergedHeader || headerRow === 0) {
+    return header.map((value, c) => (isBlank(value) ? `Unnamed: ${c}` : String(value).trim()));
+  }
+
+  const groups = sheet.rows[headerRow - 1] || [];
+  const width = Math.max(header.length, groups.length);
+
+  return Array.from({ length: width }, (_, c) => {
+    const merge = sheet.merges.find(m => m.s.r <= headerRow - 1 && m.e.r >= headerRow - 1 && m.s.c <= c && m.e.c >= c);
+    const group = merge ? sheet.rows[merge.s.r]?.[merge.s.c] : groups[c];
+    const name = [group, header[c]].filter(value => !isBlank(value)).map(value => String(value).trim()).join(' ');
+    return name || `Unnamed: ${c}`;
+  });
+};
+
+/**
+ * Apply a sheet / header row choice to Excel file metadata, deriving the columns,
+ * data row count and sample rows the rest of the app reads.
+ */
+export const selectSheet = (meta, { sheet = meta.sheet, headerRow, mergedHeader } = {}) => {
+  const info = meta.sheets.find(s => s.name === sheet) || meta.sheets[0];
+  if (!info) return { ...meta, columns: [], rowCount: 0, sample: [] };
+
+  const row = headerRow ?? (sheet === meta.sheet ? meta.headerRow : info.headerRow);
+  const merged = (mergedHeader ?? info.mergedRows.includes(row - 1)) && row > 0;
+
+  return {
+    ...meta,
+    sheet: info.name,
+    headerRow: row,
+    mergedHeader: merged,
+    columns: sheetColumns(info, row, merged),
+    rowCount: Math.max(info.rowCount - row - 1, 0),
+    sample: info.rows.slice(row + 1, row + 4)
+  };
+};
+
+/**
+ * Describe each sheet of a .xlsx/.xls file's bytes with SheetJS (passed in, since it is
+ * loaded on demand). Only the first rows of each sheet are parsed; row counts come from the
+ * sheet's full dimension. Runs in the profile worker: see readWorkbook in fileProfiler.js.
+ */
+export const describeSheets = (XLSX, data) => {
+  const workbook = XLSX.read(data, { type: 'array', sheetRows: PREVIEW_ROWS, dense: true });
+  const hidden = workbook.Workbook?.Sheets || [];
+
+  return workbook.SheetNames.map((name, i) => {
+    const worksheet = workbook.Sheets[name];
+    const fullRef = worksheet['!fullref'] || worksheet['!ref'];
+    const range = fullRef ? XLSX.utils.decode_range(fullRef) : null;
+    // Read from A1 so row indexes line up with pandas' header= argument even when the table starts lower
+    const rows = worksheet['!ref']
+      ? XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        raw: false,
+        defval: '',
+        blankrows: true,
+        range: { s: { r: 0, c: 0 }, e: XLSX.utils.decode_range(worksheet['!ref']).e }
+      })
+      : [];
+    const merges = worksheet['!merges'] || [];
+
+    return {
+      name,
+      hidden: Boolean(hidden[i]?.Hidden),
+      // Counted from the first row, including any title rows and the header itself
+      rowCount: range ? range.e.r + 1 : 0,
+      columnCount: range ? range.e.c + 1 : 0,
+      rows,
+      merges,
+      mergedRows: horizontallyMergedRows(merges),
+      headerRow: detectHeaderRow(rows, merges)
+    };
+  });
+};
+
+// File metadata for a workbook's sheets, with the first visible sheet selected
+export const workbookMetadata = (file, sheets) => {
+  const first = sheets.find(sheet => !sheet.hidden) || sheets[0];
+
+  return selectSheet({
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    sheets,
+    sheet: first?.name
+  }, { sheet: first?.name, headerRow: first?.headerRow });
+};
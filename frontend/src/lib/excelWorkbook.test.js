@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { detectHeaderRow, sheetColumns, selectSheet, describeSheets, workbookMetadata } from './excelWorkbook.js';
+
+// A title row and a blank row above the table, with "Q1" merged over the Sales and Units columns
+const REPORT = [
+  ['Quarterly report', '', ''],
+  ['', '', ''],
+  ['', 'Q1', ''],
+  ['Region', 'Sales', 'Units'],
+  ['North', 100, 4],
+  ['South', 80, 3]
+];
+const MERGES = [{ s: { r: 2, c: 1 }, e: { r: 2, c: 2 } }];
+
+const workbookBytes = () => {
+  const workbook = XLSX.utils.book_new();
+  const report = XLSX.utils.aoa_to_sheet(REPORT);
+  report['!merges'] = MERGES;
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['notes']]), 'Notes');
+  XLSX.utils.book_append_sheet(workbook, report, 'Report');
+  workbook.Workbook = { Sheets: [{ Hidden: 1 }, { Hidden: 0 }] };
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+};
+
+describe('detectHeaderRow', () => {
+  it('skips title rows above the table', () => {
+    expect(detectHeaderRow(REPORT)).toBe(3);
+    expect(detectHeaderRow([['id', 'amount'], [1, 2]])).toBe(0);
+  });
+
+  it('prefers the full header row below a row of merged group labels', () => {
+    const rows = [['', 'Q1', ''], ['Region', 'Sales', 'Units'], ['North', 1, 2]];
+    expect(detectHeaderRow(rows, [{ s: { r: 0, c: 1 }, e: { r: 0, c: 2 } }])).toBe(1);
+  });
+
+  it('falls back to the first row of an empty sheet', () => {
+    expect(detectHeaderRow([])).toBe(0);
+  });
+});
+
+describe('sheetColumns', () => {
+  it('names blank headers the way pandas does', () => {
+    expect(sheetColumns({ rows: [['id', '', ' name ']], merges: [] }, 0)).toEqual(['id', 'Unnamed: 1', 'name']);
+  });
+
+  it('prefixes columns with the group label merged above them', () => {
+    expect(sheetColumns({ rows: REPORT, merges: MERGES }, 3, true)).toEqual(['Region', 'Q1 Sales', 'Q1 Units']);
+  });
+});
+
+describe('describeSheets', () => {
+  it('reads each sheet with its header row and merged rows', () => {
+    const [notes, report] = describeSheets(XLSX, workbookBytes());
+
+    expect(notes).toMatchObject({ name: 'Notes', hidden: true, rowCount: 1 });
+    expect(report).toMatchObject({
+      name: 'Report',
+      hidden: false,
+      rowCount: 6,
+      columnCount: 3,
+      mergedRows: [2],
+      headerRow: 3
+    });
+    expect(report.rows[4]).toEqual(['North', '100', '4']);
+  });
+});
+
+describe('workbookMetadata and selectSheet', () => {
+  const file = { name: 'report.xlsx', size: 1024, type: '' };
+
+  it('selects the first visible sheet below its detected header', () => {
+    expect(workbookMetadata(file, describeSheets(XLSX, workbookBytes()))).toMatchObject({
+      name: 'report.xlsx',
+      sheet: 'Report',
+      headerRow: 3,
+      mergedHeader: true,
+      columns: ['Region', 'Q1 Sales', 'Q1 Units'],
+      rowCount: 2,
+      sample: [['North', '100', '4'], ['South', '80', '3']]
+    });
+  });
+
+  it('applies a different sheet or header row', () => {
+    const meta = workbookMetadata(file, describeSheets(XLSX, workbookBytes()));
+    expect(selectSheet(meta, { headerRow: 3, mergedHeader: false }).columns).toEqual(['Region', 'Sales', 'Units']);
+    expect(selectSheet(meta, { sheet: 'Notes' })).toMatchObject({ sheet: 'Notes', headerRow: 0, columns: ['notes'], rowCount: 0 });
+  });
+});
@@ -0,0 +1,62 @@
+// Reads and profiles uploaded files in a Web Worker, so large files do not freeze the page
+
+import { workbookMetadata } from './excelWorkbook.js';
+
+// Send the profile worker one task. Returns { result, cancel }: cancel() stops the worker
+// and rejects result with an AbortError.
+const runWorker = (message, file, onProgress = () => {}) => {
+  const worker = new Worker(new URL('../workers/profileWorker.js', import.meta.url), { type: 'module' });
+  let cancel;
+
+  const result = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data.loaded, data.total);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'result') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || `Failed to read ${file.name}`));
+    };
+
+    cancel = () => {
+      worker.terminate();
+      reject(new DOMException(`Profiling ${file.name} was cancelled`, 'AbortError'));
+    };
+  });
+
+  worker.postMessage({ ...message, file });
+
+  return { result, cancel };
+};
+
+/**
+ * Read a .xlsx/.xls file's sheets, header rows and first rows. SheetJS parses the whole
+ * file, which takes seconds for a large workbook, so it runs in the worker.
+ * Resolves to the file's metadata with the first visible sheet selected.
+ */
+export const readWorkbook = async (file) => {
+  const sheets = await runWorker({ task: 'workbook' }, file).result;
+  return workbookMetadata(file, sheets);
+};
+
+/**
+ * Profile every row of a CSV or the selected sheet of a workbook.
+ * meta is the file's metadata from extractFileMetadata, which supplies the
+ * columns plus the CSV dialect or the sheet and header row.
+ * onProgress(loaded, total) is called while reading; loaded is null while a workbook is parsed.
+ * Returns { result, cancel }: cancel() stops the worker and rejects result with an AbortError.
+ */
+export const profileFile = (file, meta, onProgress = () => {}) => runWorker({
+  task: 'profile',
+  columns: meta.columns,
+  delimiter: meta.delimiter,
+  quotechar: meta.quotechar,
+  sheet: meta.sheet,
+  headerRow: meta.headerRow
+}, file, onProgress);
@@ -0,0 +1,877 @@
+// Alteryx formula language → vectorized pandas/numpy.
+// Used by the Formula, Filter and Multi-Row Formula tools. Parsing is a small recursive descent
+// parser; code generation tracks whether each sub-expression is a Series or a scalar and its
+// rough type, because Alteryx null and string semantics differ from plain Python.
+
+import { findChild, findChildren, childText } from './alteryxWorkflow.js';
+
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(position >= 0 ? `${message} at character ${position + 1}` : message);
+    this.position = position;
+  }
+}
+
+const pyStr = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+const col = (field) => String(field).trim().toLowerCase();
+
+// --- Tokenizer ---
+
+const KEYWORDS = ['IF', 'THEN', 'ELSEIF', 'ELSE', 'ENDIF', 'AND', 'OR', 'NOT', 'IN', 'TRUE', 'FALSE'];
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '=', '<', '>', '+', '-', '*', '/', '(', ')', ',', '!'];
+
+export const tokenize = (expr) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expr.length) {
+    const ch = expr[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (expr.startsWith('//', i)) {
+      const end = expr.indexOf('\n', i);
+      i = end === -1 ? expr.length : end;
+    } else if (expr.startsWith('/*', i)) {
+      const end = expr.indexOf('*/', i + 2);
+      if (end === -1) throw new FormulaError('Unterminated comment', start);
+      i = end + 2;
+    } else if (ch === '[') {
+      const end = expr.indexOf(']', i);
+      if (end === -1) throw new FormulaError('Unterminated field reference', start);
+      const name = expr.slice(i + 1, end);
+      // Multi-Row Formula references look like [Row-1:Field]
+      const rowRef = name.match(/^Row([+-]\d+):(.+)$/i);
+      tokens.push(rowRef
+        ? { type: 'field', value: rowRef[2], rowOffset: parseInt(rowRef[1], 10), position: start }
+        : { type: 'field', value: name, rowOffset: 0, position: start });
+      i = end + 1;
+    } else if (ch === '"' || ch === "'") {
+      const end = expr.indexOf(ch, i + 1);
+      if (end === -1) throw new FormulaError('Unterminated string', start);
+      tokens.push({ type: 'string', value: expr.slice(i + 1, end), position: start });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(expr[i + 1]))) {
+      const match = expr.slice(i).match(/^\d*\.?\d+(e[+-]?\d+)?/i);
+      tokens.push({ type: 'number', value: match[0], position: start });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const word = expr.slice(i).match(/^[A-Za-z_]\w*/)[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, position: start }
+        : { type: 'identifier', value: word, position: start });
+      i += word.length;
+    } else {
+      const op = OPERATORS.find(candidate => expr.startsWith(candidate, i));
+      if (!op) throw new FormulaError(`Unexpected character "${ch}"`, start);
+      tokens.push({ type: 'op', value: op, position: start });
+      i += op.length;
+    }
+  }
+
+  tokens.push({ type: 'eof', value: '', position: expr.length });
+  return tokens;
+};
+
+// --- Parser ---
+
+// Binary operators from loosest to tightest binding
+const PRECEDENCE = [
+  ['OR', '||'],
+  ['AND', '&&'],
+  ['=', '==', '!=', '<>', '<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/']
+];
+const CANONICAL = { '||': 'OR', '&&': 'AND', '==': '=', '<>': '!=' };
+
+export const parseFormula = (expr) => {
+  const tokens = tokenize(expr);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isToken = (value) => peek().value === value && peek().type !== 'string';
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value || token.type === 'string') {
+      throw new FormulaError(`Expected "${value}" but found "${token.value || 'end of formula'}"`, token.position);
+    }
+    return token;
+  };
+
+  const parseIf = (position) => {
+    const branches = [];
+    const condition = parseExpression();
+    expect('THEN');
+    branches.push({ condition, value: parseExpression() });
+
+    let otherwise = null;
+    while (true) {
+      if (isToken('ELSEIF')) {
+        next();
+        const elseCondition = parseExpression();
+        expect('THEN');
+        branches.push({ condition: elseCondition, value: parseExpression() });
+      } else if (isToken('ELSE')) {
+        next();
+        otherwise = parseExpression();
+        expect('ENDIF');
+        break;
+      } else {
+        expect('ENDIF');
+        break;
+      }
+    }
+    return { type: 'if', branches, otherwise, position };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'field':
+        return { type: 'field', name: token.value, rowOffset: token.rowOffset, position: token.position };
+      case 'string':
+        return { type: 'string', value: token.value, position: token.position };
+      case 'number':
+        return { type: 'number', value: token.value, position: token.position };
+      case 'keyword':
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          return { type: 'bool', value: token.value === 'TRUE', position: token.position };
+        }
+        if (token.value === 'IF') return parseIf(token.position);
+        if (token.value === 'NOT') return { type: 'unary', op: 'NOT', arg: parseUnary(), position: token.position };
+        break;
+      case 'identifier': {
+        expect('(');
+        const args = [];
+        if (!isToken(')')) {
+          args.push(parseExpression());
+          while (isToken(',')) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      case 'op':
+        if (token.value === '(') {
+          const inner = parseExpression();
+          expect(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw new FormulaError(`Unexpected "${token.value || 'end of formula'}"`, token.position);
+  };
+
+  const parseUnary = () => {
+    if (isToken('!') || isToken('NOT')) {
+      const token = next();
+      return { type: 'unary', op: 'NOT', arg: parseUnary(), position: token.position };
+    }
+    if (isToken('-')) {
+      const token = next();
+      return { type: 'unary', op: '-', arg: parseUnary(), position: token.position };
+    }
+    return parsePrimary();
+  };
+
+  const parseLevel = (level) => {
+    if (level >= PRECEDENCE.length) return parseUnary();
+
+    let left = parseLevel(level + 1);
+    while (true) {
+      const token = peek();
+      const isOperator = token.type === 'op' || token.type === 'keyword';
+
+      // [Field] IN ("a", "b") and [Field] NOT IN (...) sit at comparison level
+      if (level === 2 && token.type === 'keyword' && (token.value === 'IN' ||
+          (token.value === 'NOT' && tokens[pos + 1]?.value === 'IN'))) {
+        const negated = token.value === 'NOT';
+        next();
+        if (negated) next();
+        expect('(');
+        const values = [parseExpression()];
+        while (isToken(',')) {
+          next();
+          values.push(parseExpression());
+        }
+        expect(')');
+        left = { type: 'in', value: left, values, negated, position: token.position };
+      } else if (isOperator && PRECEDENCE[level].includes(token.value)) {
+        next();
+        const right = parseLevel(level + 1);
+        left = { type: 'binary', op: CANONICAL[token.value] || token.value, left, right, position: token.position };
+      } else {
+        return left;
+      }
+    }
+  };
+
+  const parseExpression = () => parseLevel(0);
+
+  const ast = parseExpression();
+  if (peek().type !== 'eof') {
+    throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  }
+  return ast;
+};
+
+// --- Code generation ---
+
+// Every emitted value is { code, series, type } where type is number|string|bool|date|null|any.
+// Operator results are flagged compound so they get parenthesized when nested.
+const scalar = (code, type) => ({ code, series: false, type });
+const series = (code, type) => ({ code, series: true, type });
+const compound = (value) => ({ ...value, compound: true });
+const operand = (value) => (value.compound ? `(${value.code})` : value.code);
+
+const DATE_UNITS = {
+  year: 'years', years: 'years', month: 'months', months: 'months',
+  week: 'weeks', weeks: 'weeks', day: 'days', days: 'days',
+  hour: 'hours', hours: 'hours', minute: 'minutes', minutes: 'minutes',
+  second: 'seconds', seconds: 'seconds'
+};
+const TIMEDELTA_UNITS = { weeks: 'W', days: 'D', hours: 'h', minutes: 'min', seconds: 's' };
+
+const isLiteral = (node) => ['string', 'number', 'bool'].includes(node.type);
+
+class Emitter {
+  constructor({ df = 'df', groupBy = [], rowFill = 'null', targetField = null } = {}) {
+    this.df = df;
+    this.groupBy = groupBy;
+    this.rowFill = rowFill;
+    this.targetField = targetField;
+    this.issues = [];
+    this.usesNumpy = false;
+  }
+
+  issue(message, node) {
+    this.issues.push({ message, position: node.position });
+    return scalar('None', 'any');
+  }
+
+  // Broadcast a scalar so Series-only accessors (.str, .dt) can be used
+  asSeries(value) {
+    return value.series ? value.code : `pd.Series(${value.code}, index=${this.df}.index)`;
+  }
+
+  asString(value) {
+    const base = this.asSeries(value);
+    return value.type === 'string' || value.type === 'any' ? base : `${base}.astype('string')`;
+  }
+
+  asDate(value) {
+    if (value.type === 'date') return value.series ? value.code : this.asSeries(value);
+    return `pd.to_datetime(${this.asSeries(value)}, errors='coerce')`;
+  }
+
+  // Wrap numpy results back into a Series aligned with the frame
+  wrap(code) {
+    return `pd.Series(${code}, index=${this.df}.index)`;
+  }
+
+  literalArg(node, name, allowed) {
+    if (!node || !isLiteral(node)) {
+      this.issue(`${name} argument must be a literal value`, node || { position: -1 });
+      return null;
+    }
+    const { value } = node;
+    if (allowed && !allowed.includes(String(value).toLowerCase())) {
+      this.issue(`Unsupported ${name} "${value}"`, node);
+      return null;
+    }
+    return value;
+  }
+
+  emit(node) {
+    switch (node.type) {
+      case 'field':
+        return this.emitField(node);
+      case 'string':
+        return { ...scalar(pyStr(node.value), 'string'), raw: node.value };
+      case 'number':
+        return scalar(node.value, 'number');
+      case 'bool':
+        return scalar(node.value ? 'True' : 'False', 'bool');
+      case 'unary':
+        return this.emitUnary(node);
+      case 'binary':
+        return this.emitBinary(node);
+      case 'in':
+        return this.emitIn(node);
+      case 'if':
+        return this.emitConditional(
+          node.branches.map(b => [this.emit(b.condition), this.emit(b.value)]),
+          node.otherwise ? this.emit(node.otherwise) : scalar('None', 'null')
+        );
+      case 'call':
+        return this.emitCall(node);
+      default:
+        return this.issue(`Unknown expression "${node.type}"`, node);
+    }
+  }
+
+  emitField(node) {
+    const column = `${this.df}[${pyStr(col(node.name))}]`;
+    if (node.rowOffset === 0) return series(column, 'any');
+
+    if (this.targetField && col(node.name) === col(this.targetField)) {
+      return this.issue(`[Row${node.rowOffset > 0 ? '+' : ''}${node.rowOffset}:${node.name}] refers to the field being calculated, which needs a row-by-row loop`, node);
+    }
+
+    // Row-1 means the previous row, i.e. shift(1)
+    const periods = -node.rowOffset;
+    const grouped = this.groupBy.length > 0
+      ? `${this.df}.groupby([${this.groupBy.map(f => pyStr(col(f))).join(', ')}], dropna=False)[${pyStr(col(node.name))}]`
+      : column;
+    const shifted = `${grouped}.shift(${periods})`;
+
+    if (this.rowFill === 'empty') {
+      return series(`${shifted}.fillna(0 if pd.api.types.is_numeric_dtype(${column}) else '')`, 'any');
+    }
+    if (this.rowFill === 'nearest') {
+      if (this.groupBy.length > 0) return this.issue('"Nearest" values for missing rows with grouping', node);
+      return series(`${shifted}.${periods > 0 ? 'bfill' : 'ffill'}()`, 'any');
+    }
+    return series(shifted, 'any');
+  }
+
+  emitUnary(node) {
+    const arg = this.emit(node.arg);
+    if (node.op === '-') return compound({ ...arg, code: `-${operand(arg)}`, type: 'number' });
+    return arg.series ? series(`~${operand(arg)}`, 'bool') : compound(scalar(`not ${operand(arg)}`, 'bool'));
+  }
+
+  emitBinary(node) {
+    // Comparisons against Null() are null checks in Alteryx
+    if (['=', '!='].includes(node.op) && (isNullCall(node.left) || isNullCall(node.right))) {
+      const other = this.emit(isNullCall(node.left) ? node.right : node.left);
+      const check = node.op === '=' ? 'isna' : 'notna';
+      return other.series ? series(`${other.code}.${check}()`, 'bool') : scalar(`pd.${check}(${other.code})`, 'bool');
+    }
+
+    const left = this.emit(node.left);
+    const right = this.emit(node.right);
+    const anySeries = left.series || right.series;
+    const make = anySeries ? series : scalar;
+
+    if (node.op === 'AND' || node.op === 'OR') {
+      // & and | bind tighter than comparisons in Python, so both sides are always wrapped
+      const op = node.op === 'AND' ? '&' : '|';
+      return compound(make(`(${left.code}) ${op} (${right.code})`, 'bool'));
+    }
+
+    if (['=', '!=', '<', '<=', '>', '>='].includes(node.op)) {
+      const op = node.op === '=' ? '==' : node.op;
+      // String comparisons are case-insensitive in Alteryx
+      if ((left.type === 'string' || right.type === 'string') && ['==', '!='].includes(op)) {
+        return compound(make(`${this.lowered(left)} ${op} ${this.lowered(right)}`, 'bool'));
+      }
+      return compound(make(`${operand(left)} ${op} ${operand(right)}`, 'bool'));
+    }
+
+    const type = node.op === '+' && (left.type === 'string' || right.type === 'string') ? 'string' : 'number';
+    // Keep right-hand grouping explicit: a - (b - c) must not flatten
+    return compound(make(`${operand(left)} ${node.op} ${operand(right)}`, type));
+  }
+
+  lowered(value) {
+    if (value.series) return `${this.asString(value)}.str.lower()`;
+    if (value.raw !== undefined) return pyStr(value.raw.toLowerCase());
+    return `str(${value.code}).lower()`;
+  }
+
+  emitIn(node) {
+    const value = this.emit(node.value);
+    const items = node.values.map(v => this.emit(v));
+    if (items.some(item => item.series)) return this.issue('IN lists must contain literal values', node);
+
+    const stringList = items.some(item => item.type === 'string');
+    const list = `[${items.map(item => (stringList ? this.lowered(item) : item.code)).join(', ')}]`;
+    const subject = stringList ? this.lowered({ ...value, series: true, code: this.asSeries(value) }) : this.asSeries(value);
+    const code = `${subject}.isin(${list})`;
+    return series(node.negated ? `~${code}` : code, 'bool');
+  }
+
+  // IF/ELSEIF chains and IIF/Switch all become np.select
+  emitConditional(branches, otherwise) {
+    this.usesNumpy = true;
+    const types = [...branches.map(([, value]) => value.type), otherwise.type];
+    // A numeric null is NaN; in text or date results it stays None so numpy keeps object dtype
+    const nullValue = types.some(t => t === 'string' || t === 'date' || t === 'any') ? 'None' : 'np.nan';
+    const choice = (value) => (value.type === 'null' ? nullValue : value.code);
+    const resultType = types.find(t => t !== 'null') || 'null';
+
+    if (branches.length === 1) {
+      const [[condition, value]] = branches;
+      if (!condition.series && !value.series && !otherwise.series) {
+        return scalar(`(${choice(value)} if ${condition.code} else ${choice(otherwise)})`, resultType);
+      }
+      return series(this.wrap(`np.where(${this.asSeries(condition)}, ${choice(value)}, ${choice(otherwise)})`), resultType);
+    }
+
+    const conditions = branches.map(([condition]) => this.asSeries(condition)).join(', ');
+    const values = branches.map(([, value]) => choice(value)).join(', ');
+    return series(this.wrap(`np.select([${conditions}], [${values}], default=${choice(otherwise)})`), resultType);
+  }
+
+  emitCall(node) {
+    const name = node.name.toLowerCase();
+    const handler = FUNCTIONS[name];
+    if (!handler) return this.issue(`Unsupported function ${node.name}()`, node);
+
+    const [min, max] = handler.arity;
+    if (node.args.length < min || node.args.length > max) {
+      return this.issue(`${node.name}() expects ${min === max ? min : `${min}-${max}`} argument(s), got ${node.args.length}`, node);
+    }
+    return handler.emit(this, node.args, node);
+  }
+}
+
+const isNullCall = (node) => node.type === 'call' && node.name.toLowerCase() === 'null';
+
+// Optional 0/1 flag argument; Alteryx string functions default to ignoring case (1)
+const flagArg = (e, node, fallback = true) => {
+  if (!node) return fallback;
+  const value = e.literalArg(node, 'flag');
+  return value === null ? fallback : !['0', 'false'].includes(String(value).toLowerCase());
+};
+
+const stringMethod = (method, type = 'string') => ({
+  arity: [1, 1],
+  emit: (e, [s]) => series(`${e.asString(e.emit(s))}.str.${method}`, type)
+});
+
+const dateField = (accessor) => ({
+  arity: [1, 1],
+  emit: (e, [d]) => {
+    const value = e.emit(d);
+    return value.series ? series(`${e.asDate(value)}.dt.${accessor}`, 'number') : scalar(`pd.Timestamp(${value.code}).${accessor}`, 'number');
+  }
+});
+
+const math = (fn) => ({
+  arity: [1, 1],
+  emit: (e, [x]) => {
+    e.usesNumpy = true;
+    const value = e.emit(x);
+    return { ...value, code: `np.${fn}(${value.code})`, type: 'number' };
+  }
+});
+
+const rowwise = (reducer) => ({
+  arity: [1, 32],
+  emit: (e, args) => {
+    const values = args.map(arg => e.emit(arg));
+    if (values.every(v => !v.series)) {
+      return scalar(`pd.Series([${values.map(v => v.code).join(', ')}]).${reducer}()`, 'number');
+    }
+    return series(`pd.concat([${values.map(v => e.asSeries(v)).join(', ')}], axis=1).${reducer}(axis=1)`, 'number');
+  }
+});
+
+// Python strftime uses the same % codes Alteryx does, except a few
+const convertDateFormat = (format) => format.replace(/%e/g, '%d').replace(/%T/g, '%H:%M:%S');
+
+const FUNCTIONS = {
+  // Conditional
+  iif: {
+    arity: [3, 3],
+    emit: (e, [c, a, b]) => e.emitConditional([[e.emit(c), e.emit(a)]], e.emit(b))
+  },
+  switch: {
+    arity: [2, 64],
+    emit: (e, [value, fallback, ...pairs], node) => {
+      if (pairs.length % 2 !== 0) return e.issue('Switch() needs case/result pairs', node);
+      const branches = [];
+      for (let i = 0; i < pairs.length; i += 2) {
+        branches.push([e.emit({ type: 'binary', op: '=', left: value, right: pairs[i], position: node.position }), e.emit(pairs[i + 1])]);
+      }
+      return e.emitConditional(branches, e.emit(fallback));
+    }
+  },
+
+  // Nulls
+  null: { arity: [0, 0], emit: () => scalar('None', 'null') },
+  isnull: {
+    arity: [1, 1],
+    emit: (e, [x]) => {
+      const value = e.emit(x);
+      return value.series ? series(`${value.code}.isna()`, 'bool') : scalar(`pd.isna(${value.code})`, 'bool');
+    }
+  },
+  isempty: {
+    arity: [1, 1],
+    emit: (e, [x]) => {
+      const value = e.asSeries(e.emit(x));
+      return series(`(${value}.isna() | (${value}.astype('string') == ''))`, 'bool');
+    }
+  },
+
+  // Strings
+  contains: {
+    arity: [2, 3],
+    emit: (e, [s, target, flag]) => {
+      const text = e.emit(s);
+      const needle = e.emit(target);
+      const ignoreCase = flagArg(e, flag);
+      if (needle.series) {
+        const pair = ignoreCase ? 'str(b).lower() in str(a).lower()' : 'str(b) in str(a)';
+        return series(`pd.Series([pd.notna(a) and pd.notna(b) and ${pair} for a, b in zip(${e.asSeries(text)}, ${needle.code})], index=${e.df}.index)`, 'bool');
+      }
+      return series(`${e.asString(text)}.str.contains(${needle.code}, regex=False, case=${ignoreCase ? 'False' : 'True'}, na=False)`, 'bool');
+    }
+  },
+  startswith: {
+    arity: [2, 3],
+    emit: (e, [s, target, flag]) => {
+      const needle = e.emit(target);
+      if (needle.series) return e.issue('StartsWith() with a field as the target', target);
+      return flagArg(e, flag)
+        ? series(`${e.asString(e.emit(s))}.str.lower().str.startswith(${e.lowered(needle)}, na=False)`, 'bool')
+        : series(`${e.asString(e.emit(s))}.str.startswith(${needle.code}, na=False)`, 'bool');
+    }
+  },
+  endswith: {
+    arity: [2, 3],
+    emit: (e, [s, target, flag]) => {
+      const needle = e.emit(target);
+      if (needle.series) return e.issue('EndsWith() with a field as the target', target);
+      return flagArg(e, flag)
+        ? series(`${e.asString(e.emit(s))}.str.lower().str.endswith(${e.lowered(needle)}, na=False)`, 'bool')
+        : series(`${e.asString(e.emit(s))}.str.endswith(${needle.code}, na=False)`, 'bool');
+    }
+  },
+  findstring: {
+    arity: [2, 2],
+    emit: (e, [s, target]) => series(`${e.asString(e.emit(s))}.str.find(${e.emit(target).code})`, 'number')
+  },
+  left: {
+    arity: [2, 2],
+    emit: (e, [s, n]) => {
+      const count = e.literalArg(n, 'Left() length');
+      return series(`${e.asString(e.emit(s))}.str[:${count}]`, 'string');
+    }
+  },
+  right: {
+    arity: [2, 2],
+    emit: (e, [s, n]) => {
+      const count = parseInt(e.literalArg(n, 'Right() length'), 10) || 0;
+      return count === 0
+        ? series(`${e.asString(e.emit(s))}.str[:0]`, 'string')
+        : series(`${e.asString(e.emit(s))}.str[-${count}:]`, 'string');
+    }
+  },
+  substring: {
+    arity: [2, 3],
+    emit: (e, [s, start, length]) => {
+      const from = parseInt(e.literalArg(start, 'Substring() start'), 10) || 0;
+      if (!length) return series(`${e.asString(e.emit(s))}.str[${from}:]`, 'string');
+      const count = parseInt(e.literalArg(length, 'Substring() length'), 10) || 0;
+      return series(`${e.asString(e.emit(s))}.str[${from}:${from + count}]`, 'string');
+    }
+  },
+  length: stringMethod('len()', 'number'),
+  trim: {
+    arity: [1, 2],
+    emit: (e, [s, chars]) => series(`${e.asString(e.emit(s))}.str.strip(${chars ? e.emit(chars).code : ''})`, 'string')
+  },
+  trimleft: {
+    arity: [1, 2],
+    emit: (e, [s, chars]) => series(`${e.asString(e.emit(s))}.str.lstrip(${chars ? e.emit(chars).code : ''})`, 'string')
+  },
+  trimright: {
+    arity: [1, 2],
+    emit: (e, [s, chars]) => series(`${e.asString(e.emit(s))}.str.rstrip(${chars ? e.emit(chars).code : ''})`, 'string')
+  },
+  uppercase: stringMethod('upper()'),
+  lowercase: stringMethod('lower()'),
+  titlecase: stringMethod('title()'),
+  reversestring: {
+    arity: [1, 1],
+    emit: (e, [s]) => series(`${e.asString(e.emit(s))}.str[::-1]`, 'string')
+  },
+  countwords: stringMethod('split().str.len()', 'number'),
+  getword: {
+    arity: [2, 2],
+    emit: (e, [s, n]) => series(`${e.asString(e.emit(s))}.str.split().str[${e.literalArg(n, 'GetWord() index')}]`, 'string')
+  },
+  replace: {
+    arity: [3, 3],
+    emit: (e, [s, target, replacement]) =>
+      series(`${e.asString(e.emit(s))}.str.replace(${e.emit(target).code}, ${e.emit(replacement).code}, regex=False)`, 'string')
+  },
+  replacechar: {
+    arity: [3, 3],
+    emit: (e, [s, chars, replacement]) => {
+      const set = e.literalArg(chars, 'ReplaceChar() characters');
+      const pattern = `[${String(set ?? '').replace(/[\\\]^-]/g, '\\$&')}]`;
+      return series(`${e.asString(e.emit(s))}.str.replace(${pyStr(pattern)}, ${e.emit(replacement).code}, regex=True)`, 'string');
+    }
+  },
+  padleft: {
+    arity: [3, 3],
+    emit: (e, [s, n, ch]) => series(`${e.asString(e.emit(s))}.str.rjust(${e.literalArg(n, 'PadLeft() length')}, ${e.emit(ch).code})`, 'string')
+  },
+  padright: {
+    arity: [3, 3],
+    emit: (e, [s, n, ch]) => series(`${e.asString(e.emit(s))}.str.ljust(${e.literalArg(n, 'PadRight() length')}, ${e.emit(ch).code})`, 'string')
+  },
+  regex_match: {
+    arity: [2, 3],
+    emit: (e, [s, pattern, flag]) =>
+      series(`${e.asString(e.emit(s))}.str.fullmatch(${e.emit(pattern).code}, case=${flagArg(e, flag) ? 'False' : 'True'}, na=False)`, 'bool')
+  },
+  regex_replace: {
+    arity: [3, 4],
+    emit: (e, [s, pattern, replacement, flag]) => {
+      // Alteryx uses $1 for groups; Python uses \g<1>
+      const repl = e.literalArg(replacement, 'REGEX_Replace() replacement');
+      const pythonRepl = String(repl ?? '').replace(/\$(\d+)/g, '\\g<$1>');
+      return series(`${e.asString(e.emit(s))}.str.replace(${e.emit(pattern).code}, ${pyStr(pythonRepl)}, regex=True, case=${flagArg(e, flag) ? 'False' : 'True'})`, 'string');
+    }
+  },
+  regex_countmatches: {
+    arity: [2, 3],
+    emit: (e, [s, pattern]) => series(`${e.asString(e.emit(s))}.str.count(${e.emit(pattern).code})`, 'number')
+  },
+
+  // Conversion
+  tonumber: {
+    arity: [1, 4],
+    emit: (e, [x, , keepNulls]) => {
+      const converted = `pd.to_numeric(${e.asSeries(e.emit(x))}, errors='coerce')`;
+      // By default Alteryx turns non-numeric values (and nulls) into 0
+      return keepNulls && flagArg(e, keepNulls, false)
+        ? series(converted, 'number')
+        : series(`${converted}.fillna(0)`, 'number');
+    }
+  },
+  tostring: {
+    arity: [1, 3],
+    emit: (e, [x, decimals]) => {
+      const value = e.emit(x);
+      if (!decimals) return series(`${e.asSeries(value)}.astype('string')`, 'string');
+      const places = parseInt(e.literalArg(decimals, 'ToString() decimals'), 10) || 0;
+      return series(`${e.asSeries(value)}.map(lambda v: f'{v:.${places}f}', na_action='ignore')`, 'string');
+    }
+  },
+  todate: {
+    arity: [1, 1],
+    emit: (e, [x]) => series(`${e.asDate(e.emit(x))}.dt.normalize()`, 'date')
+  },
+  todatetime: {
+    arity: [1, 1],
+    emit: (e, [x]) => series(e.asDate(e.emit(x)), 'date')
+  },
+
+  // Math
+  abs: math('abs'),
+  ceil: math('ceil'),
+  floor: math('floor'),
+  sqrt: math('sqrt'),
+  exp: math('exp'),
+  log: math('log'),
+  log10: math('log10'),
+  pow: {
+    arity: [2, 2],
+    emit: (e, [x, y]) => {
+      e.usesNumpy = true;
+      const base = e.emit(x);
+      const power = e.emit(y);
+      return (base.series || power.series ? series : scalar)(`np.power(${base.code}, ${power.code})`, 'number');
+    }
+  },
+  mod: {
+    arity: [2, 2],
+    emit: (e, [x, y]) => {
+      e.usesNumpy = true;
+      const n = e.emit(x);
+      const d = e.emit(y);
+      return (n.series || d.series ? series : scalar)(`np.fmod(${n.code}, ${d.code})`, 'number');
+    }
+  },
+  round: {
+    arity: [2, 2],
+    emit: (e, [x, multiple]) => {
+      e.usesNumpy = true;
+      const value = e.emit(x);
+      const m = e.emit(multiple).code;
+      // Alteryx rounds half away from zero; numpy rounds half to even
+      return compound({ ...value, code: `np.sign(${value.code}) * np.floor(np.abs(${value.code}) / ${m} + 0.5) * ${m}`, type: 'number' });
+    }
+  },
+  min: rowwise('min'),
+  max: rowwise('max'),
+  average: rowwise('mean'),
+  pi: { arity: [0, 0], emit: (e) => { e.usesNumpy = true; return scalar('np.pi', 'number'); } },
+  rand: { arity: [0, 0], emit: (e) => { e.usesNumpy = true; return series(e.wrap(`np.random.rand(len(${e.df}))`), 'number'); } },
+  randint: {
+    arity: [1, 1],
+    emit: (e, [n]) => {
+      e.usesNumpy = true;
+      return series(e.wrap(`np.random.randint(0, ${e.emit(n).code} + 1, len(${e.df}))`), 'number');
+    }
+  },
+
+  // Dates
+  datetimenow: { arity: [0, 0], emit: () => scalar('pd.Timestamp.now()', 'date') },
+  datetimetoday: { arity: [0, 0], emit: () => scalar('pd.Timestamp.today().normalize()', 'date') },
+  datetimefirstofmonth: { arity: [0, 0], emit: () => scalar("pd.Timestamp.today().normalize().replace(day=1)", 'date') },
+  datetimelastofmonth: { arity: [0, 0], emit: () => scalar('(pd.Timestamp.today().normalize() + pd.offsets.MonthEnd(0))', 'date') },
+  datetimeyear: dateField('year'),
+  datetimemonth: dateField('month'),
+  datetimeday: dateField('day'),
+  datetimehour: dateField('hour'),
+  datetimeminutes: dateField('minute'),
+  datetimeseconds: dateField('second'),
+  datetimeadd: {
+    arity: [3, 3],
+    emit: (e, [d, n, units]) => {
+      const unit = DATE_UNITS[String(e.literalArg(units, 'DateTimeAdd() unit', Object.keys(DATE_UNITS)) || 'days').toLowerCase()];
+      const date = e.emit(d);
+      const amount = e.emit(n);
+      const base = date.series ? e.asDate(date) : `pd.Timestamp(${date.code})`;
+      const make = date.series || amount.series ? series : scalar;
+
+      if (TIMEDELTA_UNITS[unit]) {
+          return compound(make(`${base} + pd.to_timedelta(${amount.code}, unit=${pyStr(TIMEDELTA_UNITS[unit])})`, 'date'));
+      }
+      if (!amount.series) {
+        const count = n.type === 'number' ? parseInt(n.value, 10) : `int(${amount.code})`;
+        return compound(make(`${base} + pd.DateOffset(${unit}=${count})`, 'date'));
+      }
+      // Calendar offsets with a per-row amount cannot be vectorized
+      return series(`pd.Series([d + pd.DateOffset(${unit}=int(k)) if pd.notna(d) and pd.notna(k) else pd.NaT for d, k in zip(${e.asDate(date)}, ${amount.code})], index=${e.df}.index)`, 'date');
+    }
+  },
+  datetimediff: {
+    arity: [3, 3],
+    emit: (e, [a, b, units]) => {
+      e.usesNumpy = true;
+      const unit = DATE_UNITS[String(e.literalArg(units, 'DateTimeDiff() unit', Object.keys(DATE_UNITS)) || 'days').toLowerCase()];
+      const end = e.asDate(e.emit(a));
+      const start = e.asDate(e.emit(b));
+
+      if (TIMEDELTA_UNITS[unit]) {
+        // Alteryx truncates partial units toward zero
+        return series(`np.trunc((${end} - ${start}) / pd.Timedelta(1, unit=${pyStr(TIMEDELTA_UNITS[unit])}))`, 'number');
+      }
+      const months = `((${end}.dt.year - ${start}.dt.year) * 12 + (${end}.dt.month - ${start}.dt.month) - (${end}.dt.day < ${start}.dt.day).astype(int))`;
+      return series(unit === 'years' ? `${months} // 12` : months, 'number');
+    }
+  },
+  datetimeformat: {
+    arity: [2, 3],
+    emit: (e, [d, format]) => {
+      const pattern = e.literalArg(format, 'DateTimeFormat() format');
+      return series(`${e.asDate(e.emit(d))}.dt.strftime(${pyStr(convertDateFormat(String(pattern ?? '')))})`, 'string');
+    }
+  },
+  datetimeparse: {
+    arity: [2, 3],
+    emit: (e, [s, format]) => {
+      const pattern = e.literalArg(format, 'DateTimeParse() format');
+      return series(`pd.to_datetime(${e.asSeries(e.emit(s))}, format=${pyStr(convertDateFormat(String(pattern ?? '')))}, errors='coerce')`, 'date');
+    }
+  },
+  datetimetrim: {
+    arity: [2, 2],
+    emit: (e, [d, trim]) => {
+      const kind = String(e.literalArg(trim, 'DateTimeTrim() type', ['firstofmonth', 'lastofmonth', 'month', 'year', 'day', 'hour', 'hours', 'minute', 'minutes']) || 'day').toLowerCase();
+      const date = e.asDate(e.emit(d));
+      const trimmed = {
+        firstofmonth: `${date}.dt.to_period('M').dt.to_timestamp()`,
+        month: `${date}.dt.to_period('M').dt.to_timestamp()`,
+        lastofmonth: `(${date}.dt.normalize() + pd.offsets.MonthEnd(0))`,
+        year: `${date}.dt.to_period('Y').dt.to_timestamp()`,
+        day: `${date}.dt.floor('D')`,
+        hour: `${date}.dt.floor('h')`,
+        hours: `${date}.dt.floor('h')`,
+        minute: `${date}.dt.floor('min')`,
+        minutes: `${date}.dt.floor('min')`
+      }[kind];
+      return series(trimmed, 'date');
+    }
+  }
+};
+
+export const SUPPORTED_FUNCTIONS = Object.keys(FUNCTIONS);
+
+// Transpile an Alteryx expression. Never throws: syntax errors and unsupported
+// functions are returned as issues with their 0-based character position.
+export const transpileFormula = (expr, options = {}) => {
+  try {
+    const ast = parseFormula(expr);
+    const emitter = new Emitter(options);
+    const value = emitter.emit(ast);
+    return {
+      code: emitter.issues.length === 0 ? value.code : null,
+      series: value.series,
+      type: value.type,
+      usesNumpy: emitter.usesNumpy,
+      issues: emitter.issues
+    };
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    return { code: null, series: false, type: 'any', usesNumpy: false, issues: [{ message: err.message.replace(/ at character \d+$/, ''), position: err.position }] };
+  }
+};
+
+export const formatIssues = (issues) =>
+  issues.map(issue => (issue.position >= 0 ? `${issue.message} (character ${issue.position + 1})` : issue.message)).join('; ');
+
+// Expressions carried by a tool, as { field, expression, options } entries
+export const toolExpressions = (node) => {
+  const config = node.configuration;
+  if (!config) return [];
+
+  switch (node.tool) {
+    case 'Formula':
+      return findChildren(findChild(config, 'FormulaFields'), 'FormulaField').map(f => ({
+        field: f.attributes.field,
+        expression: f.attributes.expression,
+        options: {}
+      }));
+    case 'Filter':
+      return childText(config, 'Mode') === 'Simple'
+        ? []
+        : [{ field: null, expression: childText(config, 'Expression'), options: {} }];
+    case 'Multi-Row Formula': {
+      const field = findChild(config, 'UpdateField')?.attributes.value === 'True'
+        ? childText(config, 'UpdateField_Name')
+        : childText(config, 'CreateField_Name');
+      const otherRows = childText(config, 'OtherRows').toLowerCase();
+      return [{
+        field,
+        expression: childText(config, 'Expression'),
+        options: {
+          groupBy: findChildren(findChild(config, 'GroupByFields'), 'Field').map(f => f.attributes.field),
+          rowFill: otherRows.includes('empty') || otherRows.includes('0') ? 'empty' : otherRows.includes('nearest') ? 'nearest' : 'null',
+          targetField: field
+        }
+      }];
+    }
+    default:
+      return [];
+  }
+};
+
+// Extra prompt lines giving the model the deterministic translation of each expression
+export const expressionHints = (node) =>
+  toolExpressions(node).map(({ field, expression, options }) => {
+    const { code, issues } = transpileFormula(expression, options);
+    const target = field ? `[${field}]` : 'condition';
+    return code
+      ? `pandas for ${target} (with df = this tool's input): ${code}`
+      : `${target} needs manual translation: ${formatIssues(issues)}`;
+  });
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { transpileFormula, formatIssues, tokenize, FormulaError } from './formulaTranspiler.js';
+
+const code = (expr, options) => transpileFormula(expr, options).code;
+
+describe('transpileFormula', () => {
+  it('turns field references into normalized column lookups', () => {
+    expect(transpileFormula('[Amount] * 2')).toMatchObject({ code: "df['amount'] * 2", series: true, type: 'number' });
+  });
+
+  it('turns IF/ELSEIF/ELSE into np.select', () => {
+    expect(transpileFormula('IF [a] > 1 THEN "big" ELSEIF [a] > 0 THEN "small" ELSE "none" ENDIF')).toMatchObject({
+      code: "pd.Series(np.select([df['a'] > 1, df['a'] > 0], ['big', 'small'], default='none'), index=df.index)",
+      type: 'string',
+      usesNumpy: true
+    });
+  });
+
+  it('keeps Alteryx null semantics in IIF and string tests', () => {
+    expect(code('IIF(IsNull([x]), 0, [x])')).toBe("pd.Series(np.where(df['x'].isna(), 0, df['x']), index=df.index)");
+    expect(code('Contains([name], "Inc")')).toBe("df['name'].str.contains('Inc', regex=False, case=False, na=False)");
+  });
+
+  it('translates boolean operators with pandas precedence', () => {
+    expect(code('[a] = 1 AND [b] != 2 OR !([c] < 3)')).toBe("((df['a'] == 1) & (df['b'] != 2)) | (~(df['c'] < 3))");
+  });
+
+  it('shifts Multi-Row Formula row references', () => {
+    expect(code('[Row-1:total] + [a]')).toBe("df['total'].shift(1) + df['a']");
+  });
+
+  it('translates string and date functions', () => {
+    expect(code('Left([s], 3) + "x"')).toBe("df['s'].str[:3] + 'x'");
+    expect(transpileFormula('DateTimeAdd([d], 1, "days")')).toMatchObject({
+      code: "pd.to_datetime(df['d'], errors='coerce') + pd.to_timedelta(1, unit='D')",
+      type: 'date'
+    });
+  });
+
+  it('reports unsupported functions and syntax errors with their position instead of code', () => {
+    const unsupported = transpileFormula('Foo([a])');
+    expect(unsupported.code).toBeNull();
+    expect(formatIssues(unsupported.issues)).toBe('Unsupported function Foo() (character 1)');
+
+    expect(transpileFormula('[a] + ').issues).toEqual([{ message: 'Unexpected "end of formula"', position: 6 }]);
+  });
+});
+
+describe('tokenize', () => {
+  it('skips comments and reads row references', () => {
+    const tokens = tokenize('[Row+2:x] // next rows\n+ 1');
+    expect(tokens[0]).toMatchObject({ type: 'field', value: 'x', rowOffset: 2 });
+    expect(tokens.some(token => token.value === 'next')).toBe(false);
+  });
+
+  it('rejects unterminated strings and fields', () => {
+    expect(() => tokenize('"open')).toThrow(FormulaError);
+    expect(() => tokenize('[open')).toThrow(/Unterminated field reference at character 1/);
+  });
+});
@@ -0,0 +1,151 @@
+// Conversion history kept in the browser's IndexedDB, plus JSON export/import for handing work over
+
+const DB_NAME = 'pycture';
+const DB_VERSION = 1;
+const STORE = 'conversions';
+
+export const EXPORT_FORMAT = 'pycture-history';
+const EXPORT_VERSION = 1;
+
+let database = null;
+
+// Wrap an IDBRequest in a promise
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const open = () => {
+  if (!database) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser cannot store history (IndexedDB is unavailable)'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    database = settle(request);
+    // A failed open (private mode, storage disabled) can be retried later
+    database.catch(() => { database = null; });
+  }
+  return database;
+};
+
+const withStore = async (mode, action) => {
+  const db = await open();
+  const transaction = db.transaction(STORE, mode);
+  // Writes are only durable once the transaction completes, not when the request succeeds
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+  });
+  const [result] = await Promise.all([settle(action(transaction.objectStore(STORE))), completed]);
+  return result;
+};
+
+// Newest first
+export const listEntries = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const saveEntry = (entry) => withStore('readwrite', store => store.put(entry));
+
+export const deleteEntry = (id) => withStore('readwrite', store => store.delete(id));
+
+// What an entry is about: the requirement's first line, else the workflow or files it converted
+export const entryTitle = (entry) => {
+  const firstLine = (entry.requirement || '').trim().split('\n')[0];
+  if (firstLine) return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+  if (entry.workflowName) return entry.workflowName;
+  const names = (entry.fileMetadata || []).map(meta => meta.name);
+  return names.length > 0 ? names.join(', ') : 'Untitled conversion';
+};
+
+// Case-insensitive match on the title, requirement, file names and script text of any revision
+export const searchEntries = (entries, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter(entry => {
+    const revisions = entry.conversation?.revisions || [];
+    const haystack = [
+      entryTitle(entry),
+      entry.requirement,
+      entry.workflowName,
+      ...(entry.fileMetadata || []).map(meta => meta.name),
+      ...revisions.flatMap(revision => [
+        revision.message,
+        revision.result.script,
+        ...(revision.result.input_files || []),
+        ...(revision.result.output_files || [])
+      ])
+    ].filter(Boolean).join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+};
+
+export const exportHistory = (entries) => new Blob([JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  entries
+}, null, 2)], { type: 'application/json' });
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isListOf = (value, test) => Array.isArray(value) && value.every(item => item && typeof item === 'object' && test(item));
+const isOptional = (value, test) => value == null || test(value);
+
+// Every field the results view, the checks and the revision list read, so an edited export cannot
+// break the page. Optional fields are the ones older results or other sources may lack.
+const isValidResult = (result) =>
+  typeof result?.script === 'string' &&
+  isListOf(result.steps, step => typeof step.description === 'string' && typeof step.code === 'string') &&
+  isStringList(result.input_files) && isStringList(result.output_files) &&
+  isOptional(result.assumptions, isStringList) && isOptional(result.warnings, isStringList) &&
+  isOptional(result.tests, tests => typeof tests === 'string') &&
+  isOptional(result.target, target => typeof target === 'string') &&
+  isOptional(result.stubs, stubs => isListOf(stubs, stub => typeof stub.tool === 'string')) &&
+  isOptional(result.checks, checks => isListOf(checks, check => typeof check.id === 'string' && isStringList(check.issues) && isStringList(check.fixed)));
+
+export const isValidEntry = (entry) =>
+  Boolean(entry) && typeof entry.id === 'string' &&
+  Number.isFinite(entry.createdAt) && Number.isFinite(entry.updatedAt) &&
+  isOptional(entry.requirement, requirement => typeof requirement === 'string') &&
+  isOptional(entry.fileMetadata, metas => isListOf(metas, meta => typeof meta.name === 'string')) &&
+  Array.isArray(entry.conversation?.revisions) && entry.conversation.revisions.length > 0 &&
+  entry.conversation.revisions.every(revision => isValidResult(revision?.result) && isOptional(revision.message, message => typeof message === 'string'));
+
+/**
+ * Read an exported history file and merge it into the store. An entry that already
+ * exists is only replaced by a copy updated more recently.
+ * Returns { imported, skipped } counts.
+ */
+export const importHistory = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error(`${file.name} is not a Pycture history export`);
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`${file.name} was exported by a newer version of Pycture`);
+  }
+
+  const existing = new Map((await listEntries()).map(entry => [entry.id, entry]));
+  let imported = 0;
+  let skipped = 0;
+
+  for (const entry of data.entries) {
+    if (!isValidEntry(entry) || existing.get(entry.id)?.updatedAt >= entry.updatedAt) {
+      skipped++;
+      continue;
+    }
+    await saveEntry(entry);
+    imported++;
+  }
+
+  return { imported, skipped };
+};
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { entryTitle, isValidEntry, searchEntries } from './historyStore.js';
+
+const RESULT = {
+  script: "import pandas as pd\ndf = pd.read_csv('input_files/sales.csv')\n",
+  steps: [{ description: 'Read the sales', code: "df = pd.read_csv('input_files/sales.csv')" }],
+  input_files: ['sales.csv'],
+  output_files: ['totals.csv'],
+  assumptions: [],
+  warnings: ['Amounts are assumed to be in euros'],
+  checks: [{ id: 'imports', label: 'No unauthorized imports', status: 'passed', issues: [], fixed: [] }]
+};
+
+const entry = (result, changes = {}) => ({
+  id: 'a1',
+  createdAt: 1,
+  updatedAt: 2,
+  requirement: 'Total sales per region\nby month',
+  fileMetadata: [{ name: 'sales.csv' }],
+  conversation: { current: 0, revisions: [{ result }] },
+  ...changes
+});
+
+describe('isValidEntry', () => {
+  it('accepts exported entries, with or without optional result fields', () => {
+    expect(isValidEntry(entry(RESULT))).toBe(true);
+    const { assumptions, warnings, checks, ...offline } = RESULT;
+    expect(isValidEntry(entry({ ...offline, source: 'offline', stubs: [{ toolId: '3', tool: 'Transpose', reason: 'no offline rule' }] }))).toBe(true);
+  });
+
+  it('rejects results the results view could not show', () => {
+    const { input_files: _, ...noInputs } = RESULT;
+    expect(isValidEntry(entry(noInputs))).toBe(false);
+    expect(isValidEntry(entry({ ...RESULT, output_files: 'totals.csv' }))).toBe(false);
+    expect(isValidEntry(entry({ ...RESULT, steps: [{ description: 'Read' }] }))).toBe(false);
+    expect(isValidEntry(entry({ ...RESULT, warnings: [{ text: 'x' }] }))).toBe(false);
+    expect(isValidEntry(entry({ ...RESULT, checks: [{ id: 'imports', status: 'passed' }] }))).toBe(false);
+    expect(isValidEntry(entry({ ...RESULT, stubs: [null] }))).toBe(false);
+  });
+
+  it('rejects entries the history list could not show', () => {
+    expect(isValidEntry(entry(RESULT, { requirement: 42 }))).toBe(false);
+    expect(isValidEntry(entry(RESULT, { fileMetadata: ['sales.csv'] }))).toBe(false);
+    expect(isValidEntry(entry(RESULT, { conversation: { revisions: [] } }))).toBe(false);
+    expect(isValidEntry(entry(RESULT, { updatedAt: '2026-01-01' }))).toBe(false);
+    expect(isValidEntry(null)).toBe(false);
+  });
+});
+
+describe('entryTitle and searchEntries', () => {
+  it('title an entry by its requirement, else its files', () => {
+    expect(entryTitle(entry(RESULT))).toBe('Total sales per region');
+    expect(entryTitle(entry(RESULT, { requirement: '' }))).toBe('sales.csv');
+  });
+
+  it('find entries by every term in their text and scripts', () => {
+    const entries = [entry(RESULT), entry({ ...RESULT, script: 'print(1)\n', input_files: [] }, { id: 'b2', requirement: 'Other', fileMetadata: [] })];
+    expect(searchEntries(entries, 'READ_CSV sales').map(e => e.id)).toEqual(['a1']);
+    expect(searchEntries(entries, '  ')).toBe(entries);
+  });
+});
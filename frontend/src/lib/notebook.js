@@ -0,0 +1,187 @@
+// Jupyter notebook (nbformat 4) export of a result: file profiles, a setup cell, one markdown and code cell per step,
+// then a cell that runs the steps when they are functions
+
+import { scanPython } from './scriptChecks.js';
+
+const NOTEBOOK_METADATA = {
+  kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' },
+  language_info: { name: 'python' }
+};
+
+// Statements that continue the one before them rather than starting a new one
+const CONTINUATION = /^(elif|else|except|finally)\b/;
+
+// nbformat stores cell source as a list of lines, each but the last ending in a newline
+const sourceLines = (text) => text.split('\n').map((line, i, lines) => (i < lines.length - 1 ? `${line}\n` : line));
+
+const cell = (type, text, index) => ({
+  cell_type: type,
+  id: `cell-${index}`,
+  metadata: {},
+  source: sourceLines(text),
+  ...(type === 'code' ? { execution_count: null, outputs: [] } : {})
+});
+
+const isComment = (line) => line.trim() === '' || line.trim().startsWith('#');
+
+const trimComments = (lines) => {
+  let end = lines.length;
+  while (end > 0 && isComment(lines[end - 1])) end--;
+  let start = 0;
+  while (start < end && lines[start].trim() === '') start++;
+  return lines.slice(start, end);
+};
+
+// Split a script into its top-level statements, each with the comments written just above it
+const topLevelStatements = (script) => {
+  const lines = script.replace(/\r\n?/g, '\n').split('\n');
+  const { topLevel } = scanPython(lines.join('\n'));
+  const statements = [];
+
+  topLevel.forEach((line, i) => {
+    const end = (topLevel[i + 1] ?? lines.length + 1) - 1;
+    const statement = lines.slice(line - 1, end);
+    const previous = statements[statements.length - 1];
+    if (previous && (CONTINUATION.test(statement[0]) || previous.findLast(code => !isComment(code)).startsWith('@'))) {
+      previous.push(...statement);
+    } else {
+      // Comments at the end of the previous statement introduce this one
+      let leading = previous ? previous.length : 0;
+      while (leading > 0 && isComment(previous[leading - 1]) && !/^\s/.test(previous[leading - 1])) leading--;
+      statements.push([...(previous ? previous.splice(leading) : []), ...statement]);
+    }
+  });
+
+  return statements;
+};
+
+// Lines of step code, to tell a script's setup apart from the statements the steps already contain
+const stepLineSet = (steps) => new Set(steps.flatMap(step => step.code.split('\n'))
+  .map(line => line.trim())
+  .filter(line => /\w/.test(line) && !line.startsWith('#')));
+
+const isMain = (code) => /^def main\s*\(/.test(code[0]?.trim() || '');
+
+// main()'s body, dedented to the top level
+const mainBody = (statement, code) => {
+  const body = statement.slice(statement.indexOf(code[0]) + 1);
+  const width = Math.min(...body.filter(line => !isComment(line)).map(line => line.match(/^\s*/)[0].length));
+  return body.map(line => line.slice(width));
+};
+
+/**
+ * The code a notebook needs before its step cells: imports, configuration constants and
+ * helper functions from the script, plus whatever main() runs before the first step
+ * (e.g. creating the output folder). The main() call and the steps themselves are left out.
+ */
+export const setupCode = (script, steps) => {
+  const stepLines = stepLineSet(steps);
+  const imports = [];
+  const setup = [];
+
+  topLevelStatements(script).forEach(statement => {
+    const code = statement.filter(line => !isComment(line));
+    const first = code[0]?.trim() || '';
+
+    if (/^(import|from)\s/.test(first)) {
+      imports.push(...code);
+    } else if (isMain(code)) {
+      // Keep the lines of main()'s body before the first step starts
+      const body = mainBody(statement, code);
+      const firstStep = body.findIndex(line => stepLines.has(line.trim()));
+      if (firstStep > 0) setup.push('', ...trimComments(body.slice(0, firstStep)));
+    } else if (/^if __name__\s*==/.test(first) || /^["']/.test(first)) {
+      // The entry point and the module docstring have no place in a notebook
+    } else if (!code.some(line => stepLines.has(line.trim()))) {
+      setup.push('', ...trimComments(statement));
+    }
+  });
+
+  return [...new Set(imports), ...setup].join('\n').trim();
+};
+
+/**
+ * The code that runs the steps when they are functions, as in scripts generated with tests:
+ * main() reads the inputs, calls each step function and writes the outputs, so its body
+ * becomes the notebook's last cell. Empty when the steps hold the workflow's code themselves.
+ */
+export const runCode = (script, steps) => {
+  const stepLines = stepLineSet(steps);
+  const statement = topLevelStatements(script).find(lines => isMain(lines.filter(line => !isComment(line))));
+  if (!statement) return '';
+
+  const code = statement.filter(line => !isComment(line));
+  const body = mainBody(statement, code);
+  if (body.some(line => stepLines.has(line.trim()))) return '';
+
+  // A return would end the cell with a SyntaxError, so such a main() is defined and called instead
+  return body.some(line => /^\s*(?:return|yield)\b/.test(line))
+    ? [...trimComments(statement), '', 'main()'].join('\n')
+    : trimComments(body).join('\n');
+};
+
+// Markdown table cells cannot contain pipes or line breaks
+const tableCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const profileTable = (profile) => [
+  '| Column | Type | Nulls | Distinct | Min | Max | Top values |',
+  '| --- | --- | --- | --- | --- | --- | --- |',
+  ...profile.columns.map(column => `| ${[
+    `${column.name}${column.unique ? ' 🔑' : ''}`,
+    `${column.dtype}${column.dateFormat ? ` (${column.dateFormat})` : ''}`,
+    column.nulls.toLocaleString(),
+    `${column.distinct.toLocaleString()}${column.distinctIsLowerBound ? '+' : ''}`,
+    column.min ?? (column.minLength !== undefined ? `len ${column.minLength}` : ''),
+    column.max ?? (column.maxLength !== undefined ? `len ${column.maxLength}` : ''),
+    column.top.slice(0, 3).map(({ value, count }) => `${value} (${count})`).join(', ')
+  ].map(tableCell).join(' | ')} |`)
+];
+
+// Introduction: what was converted, then each uploaded file with its column profile
+const introduction = (result, { title, fileMetadata }) => {
+  const lines = [`# ${title}`, '', 'Generated by Pycture.'];
+
+  if (result.input_files?.length > 0) {
+    lines.push('', `**Input files** (read from \`input_files/\`): ${result.input_files.map(name => `\`${name}\``).join(', ')}`);
+  }
+  if (result.output_files?.length > 0) {
+    lines.push('', `**Output files** (written to \`output_files/\`): ${result.output_files.map(name => `\`${name}\``).join(', ')}`);
+  }
+
+  fileMetadata.forEach(meta => {
+    lines.push('', `## ${meta.name}`, '');
+    if (meta.profile) {
+      lines.push(`${meta.profile.rows.toLocaleString()} rows`, '', ...profileTable(meta.profile));
+    } else if (Array.isArray(meta.columns)) {
+      lines.push(`Columns: ${meta.columns.map(name => `\`${name}\``).join(', ')}`);
+    }
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Build an nbformat 4 notebook from a result. fileMetadata supplies the uploaded files'
+ * column profiles for the introduction; title heads it.
+ */
+export const buildNotebook = (result, { title = 'Pycture conversion', fileMetadata = [] } = {}) => {
+  const steps = result.steps || [];
+  const texts = [['markdown', introduction(result, { title, fileMetadata })]];
+
+  const setup = setupCode(result.script, steps);
+  if (setup) texts.push(['markdown', '## Setup'], ['code', setup]);
+
+  steps.forEach((step, index) => {
+    texts.push(['markdown', `## Step ${index + 1}\n\n${step.description}`], ['code', step.code]);
+  });
+
+  const run = runCode(result.script, steps);
+  if (run) texts.push(['markdown', '## Run\n\nRead the inputs, call each step and write the outputs.'], ['code', run]);
+
+  return {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata: NOTEBOOK_METADATA,
+    cells: texts.map(([type, text], index) => cell(type, text, index))
+  };
+};
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { buildNotebook, setupCode, runCode } from './notebook.js';
+import { scanPython } from './scriptChecks.js';
+
+// The workflow's code inline in main(), one step after another
+const INLINE = {
+  script: `"""Total sales per region."""
+import pandas as pd
+from pathlib import Path
+
+OUTPUT = Path('output_files')
+
+
+def main():
+    OUTPUT.mkdir(exist_ok=True)
+    df = pd.read_csv('input_files/sales.csv')
+    df.columns = df.columns.str.lower().str.strip()
+    totals = df.groupby('region', as_index=False)['amount'].sum()
+    totals.to_csv(OUTPUT / 'totals.csv', index=False)
+
+
+if __name__ == '__main__':
+    main()
+`,
+  steps: [
+    { description: 'Read the sales', code: "df = pd.read_csv('input_files/sales.csv')\ndf.columns = df.columns.str.lower().str.strip()" },
+    { description: 'Total per region', code: "totals = df.groupby('region', as_index=False)['amount'].sum()\ntotals.to_csv(OUTPUT / 'totals.csv', index=False)" }
+  ]
+};
+
+// As generated with tests: one function per step, which main() calls
+const STRUCTURED = {
+  script: `import pandas as pd
+from pathlib import Path
+
+OUTPUT = Path('output_files')
+
+
+def clean(df):
+    df.columns = df.columns.str.lower().str.strip()
+    return df.dropna(subset=['amount'])
+
+
+def total_by_region(df):
+    return df.groupby('region', as_index=False)['amount'].sum()
+
+
+def main():
+    OUTPUT.mkdir(exist_ok=True)
+    sales = clean(pd.read_csv('input_files/sales.csv'))
+    totals = total_by_region(sales)
+    totals.to_csv(OUTPUT / 'totals.csv', index=False)
+
+
+if __name__ == '__main__':
+    main()
+`,
+  steps: [
+    { description: 'Clean the sales', code: "def clean(df):\n    df.columns = df.columns.str.lower().str.strip()\n    return df.dropna(subset=['amount'])" },
+    { description: 'Total per region', code: "def total_by_region(df):\n    return df.groupby('region', as_index=False)['amount'].sum()" }
+  ]
+};
+
+const codeCells = (notebook) => notebook.cells.filter(c => c.cell_type === 'code').map(c => c.source.join(''));
+
+describe('setupCode', () => {
+  it('keeps imports, constants and what main() does before the first step', () => {
+    expect(setupCode(INLINE.script, INLINE.steps)).toBe([
+      'import pandas as pd',
+      'from pathlib import Path',
+      '',
+      "OUTPUT = Path('output_files')",
+      '',
+      'OUTPUT.mkdir(exist_ok=True)'
+    ].join('\n'));
+  });
+});
+
+describe('runCode', () => {
+  it('is empty when the steps hold the code main() runs', () => {
+    expect(runCode(INLINE.script, INLINE.steps)).toBe('');
+  });
+
+  it('runs the body of main() when the steps are functions', () => {
+    expect(runCode(STRUCTURED.script, STRUCTURED.steps)).toBe([
+      'OUTPUT.mkdir(exist_ok=True)',
+      "sales = clean(pd.read_csv('input_files/sales.csv'))",
+      'totals = total_by_region(sales)',
+      "totals.to_csv(OUTPUT / 'totals.csv', index=False)"
+    ].join('\n'));
+  });
+
+  it('defines and calls a main() that returns early', () => {
+    const script = 'def main():\n    if not FILES:\n        return\n    run(FILES)\n';
+    expect(runCode(script, [{ description: 'Run', code: 'def run(files):\n    pass' }])).toBe(`${script.trimEnd()}\n\nmain()`);
+  });
+});
+
+describe('buildNotebook', () => {
+  it('puts each step in its own cell after the setup', () => {
+    const notebook = buildNotebook(INLINE, { title: 'Sales' });
+    expect(notebook).toMatchObject({ nbformat: 4, nbformat_minor: 5 });
+    expect(notebook.cells[0].source[0]).toBe('# Sales\n');
+    expect(codeCells(notebook)).toEqual([setupCode(INLINE.script, INLINE.steps), INLINE.steps[0].code, INLINE.steps[1].code]);
+  });
+
+  it('ends a test-structured script with a cell that calls every step', () => {
+    const cells = codeCells(buildNotebook(STRUCTURED));
+    const run = cells[cells.length - 1];
+
+    expect(cells).toHaveLength(4);
+    STRUCTURED.steps.forEach(step => expect(run).toContain(`${step.code.match(/^def (\w+)/)[1]}(`));
+    // Run top to bottom, the cells are one valid module that calls the steps at the top level
+    expect(scanPython(cells.join('\n\n')).error).toBeNull();
+    expect(run.split('\n').every(line => !/^\s/.test(line))).toBe(true);
+  });
+});
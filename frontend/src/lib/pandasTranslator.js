@@ -0,0 +1,638 @@
+// Rule-based Alteryx → pandas translator.
+// Walks a parsed tool graph (see alteryxWorkflow.js) in execution order and emits one code block
+// per tool. Tools it cannot translate become clearly marked passthrough stubs.
+
+import { topologicalOrder, getIncoming, getOutgoing, findChild, findChildren, childText, summarizeConfiguration } from './alteryxWorkflow.js';
+import { transpileFormula, formatIssues, toolExpressions } from './formulaTranspiler.js';
+
+export const SUPPORTED_TOOLS = [
+  'Input Data', 'Text Input', 'Output Data', 'Browse', 'Filter', 'Select', 'Sort', 'Unique', 'Join',
+  'Union', 'Formula', 'Multi-Row Formula', 'Summarize', 'Cross Tab', 'Sample', 'Data Cleansing'
+];
+
+export const STUB_START = '# >>> STUB';
+export const STUB_END = '# <<< END STUB';
+
+class UnsupportedError extends Error {}
+
+const unsupported = (message) => {
+  throw new UnsupportedError(message);
+};
+
+// Python literal helpers
+export const pyStr = (value) =>
+  `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}'`;
+const pyList = (values) => `[${values.map(pyStr).join(', ')}]`;
+const pyDict = (entries) => `{${entries.map(([key, value]) => `${pyStr(key)}: ${value}`).join(', ')}}`;
+
+// Scripts normalize every column name after loading, so config field names are normalized the same way
+export const col = (field) => String(field).trim().toLowerCase();
+
+const fileNameFromPath = (path) => path.split('|||')[0].split(/[\\/]/).pop();
+
+const indent = (lines, prefix = '    ') => lines.map(line => (line ? prefix + line : line));
+
+// Variable holding the data leaving a tool's output anchor
+const outputVar = (toolId, anchor = 'Output') =>
+  (anchor === 'Output' ? `df_${toolId}` : `df_${toolId}_${anchor.toLowerCase().replace(/\W+/g, '_')}`);
+
+// Transpile an expression over dfVar, or mark the tool as a stub with the reported positions
+const expression = (expr, dfVar, options = {}) => {
+  const result = transpileFormula(expr, { ...options, df: dfVar });
+  if (!result.code) unsupported(formatIssues(result.issues));
+  return result;
+};
+
+// --- Tool emitters: each returns { description, lines } or throws UnsupportedError ---
+
+const SIMPLE_FILTER_OPERATORS = {
+  '=': '==', '!=': '!=', '>': '>', '>=': '>=', '<': '<', '<=': '<='
+};
+
+// Extra pd.read_csv arguments for a sniffed CSV dialect, omitting pandas defaults
+export const csvReadOptions = ({ delimiter = ',', encoding = 'utf-8', quotechar = '"' } = {}) => [
+  delimiter !== ',' ? `sep=${pyStr(delimiter)}` : null,
+  encoding !== 'utf-8' ? `encoding=${pyStr(encoding)}` : null,
+  quotechar !== '"' ? `quotechar=${pyStr(quotechar)}` : null
+].filter(Boolean).map(option => `, ${option}`).join('');
+
+// Extra pd.read_excel arguments for the sheet and header row chosen for an uploaded workbook
+export const excelReadOptions = ({ sheet, headerRow = 0, mergedHeader = false } = {}) => [
+  sheet ? `sheet_name=${pyStr(sheet)}` : null,
+  mergedHeader ? `header=[${headerRow - 1}, ${headerRow}]` : headerRow > 0 ? `header=${headerRow}` : null
+].filter(Boolean).map(option => `, ${option}`).join('');
+
+// Joins a two-row merged header into single names: ('Q1', 'Sales') -> 'Q1 Sales'
+export const flattenHeaderLine = (target) =>
+  `${target}.columns = [' '.join(str(part) for part in column if not str(part).startswith('Unnamed:')).strip() for column in ${target}.columns]`;
+
+// Alteryx writes tab as \t in its delimiter option (and spells the element "Delimeter")
+const configuredDelimiter = (config) => {
+  const delimiter = childText(findChild(config, 'FormatSpecificOptions'), 'Delimeter');
+  return delimiter === '\\t' ? '\t' : delimiter || undefined;
+};
+
+const emitInputData = (node, ctx) => {
+  const path = childText(node.configuration, 'File');
+  if (!path) unsupported('no input file configured');
+
+  const fileName = fileNameFromPath(path);
+  const ext = fileName.toLowerCase().split('.').pop();
+  const target = outputVar(node.id);
+  const lines = [`print(${pyStr(`Loading ${fileName}...`)})`];
+
+  if (ext === 'csv' || ext === 'txt') {
+    // The sniffed dialect of an uploaded copy of the file wins over the workflow's settings
+    const dialect = ctx.fileMetadata.find(meta => meta.name.toLowerCase() === fileName.toLowerCase() && meta.delimiter)
+      || { delimiter: configuredDelimiter(node.configuration) };
+    lines.push(`${target} = pd.read_csv(INPUT_DIR / ${pyStr(fileName)}${csvReadOptions(dialect)})`);
+  } else if (ext === 'xlsx' || ext === 'xls') {
+    // The workflow's sheet wins; the header row chosen on upload applies when it is for the same sheet
+    const sheet = path.split('|||')[1]?.replace(/[`$]/g, '');
+    const meta = ctx.fileMetadata.find(m => m.name.toLowerCase() === fileName.toLowerCase() && m.sheets);
+    const selection = meta && (!sheet || meta.sheet === sheet) ? meta : { sheet };
+    lines.push(`${target} = pd.read_excel(INPUT_DIR / ${pyStr(fileName)}${excelReadOptions(selection)})`);
+    if (selection.mergedHeader) lines.push(flattenHeaderLine(target));
+  } else {
+    unsupported(`.${ext} inputs cannot be read by pandas; export the source to CSV first`);
+  }
+
+  lines.push(`${target}.columns = ${target}.columns.str.lower().str.strip()`);
+  ctx.inputFiles.push(fileName);
+  return { description: `Load ${fileName}`, lines };
+};
+
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+const emitTextInput = (node, ctx) => {
+  const config = node.configuration;
+  const fields = findChildren(findChild(config, 'Fields'), 'Field').map(f => col(f.attributes.name));
+  const rows = findChildren(findChild(config, 'Data'), 'r').map(r => findChildren(r, 'c').map(c => c.text));
+  if (fields.length === 0) unsupported('text input has no fields');
+
+  // Round-trip through read_csv so column types are inferred like any other input
+  const csv = [fields, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  ctx.imports.add('import io');
+
+  return {
+    description: `Create inline data (${rows.length} rows)`,
+    lines: [`${outputVar(node.id)} = pd.read_csv(io.StringIO(${pyStr(csv)}))`]
+  };
+};
+
+const emitOutputData = (node, ctx, inputs) => {
+  const path = childText(node.configuration, 'File');
+  if (!path) unsupported('no output file configured');
+
+  let fileName = fileNameFromPath(path);
+  const ext = fileName.toLowerCase().split('.').pop();
+  const source = inputs.Input;
+  const lines = [];
+
+  if (ext === 'xlsx' || ext === 'xls') {
+    const sheet = path.split('|||')[1]?.replace(/[`$]/g, '');
+    fileName = fileName.replace(/\.xls$/i, '.xlsx');
+    lines.push(`${source}.to_excel(OUTPUT_DIR / ${pyStr(fileName)}, index=False${sheet ? `, sheet_name=${pyStr(sheet)}` : ''})`);
+  } else {
+    if (ext !== 'csv') {
+      // .yxdb and database outputs have no pandas writer; keep the data as CSV
+      fileName = `${fileName.replace(/\.[^.]+$/, '')}.csv`;
+      lines.push(`# Original output was ${fileNameFromPath(path)}; written as CSV instead`);
+    }
+    lines.push(`${source}.to_csv(OUTPUT_DIR / ${pyStr(fileName)}, index=False)`);
+  }
+
+  lines.push(`print(f${pyStr(`Saved ${fileName.replace(/[{}]/g, '$&$&')} ({len(${source})} rows)`)})`);
+  ctx.outputFiles.push(fileName);
+  return { description: `Save ${fileName}`, lines };
+};
+
+const emitBrowse = (node, ctx, inputs) => ({
+  description: 'Preview data (Browse)',
+  lines: [`print(${inputs.Input}.head())`]
+});
+
+const filterCondition = (node, source) => {
+  const config = node.configuration;
+
+  if (childText(config, 'Mode') === 'Simple') {
+    const simple = findChild(config, 'Simple');
+    const field = `${source}[${pyStr(col(childText(simple, 'Field')))}]`;
+    const operator = childText(simple, 'Operator');
+    const operand = childText(findChild(simple, 'Operands'), 'Operand');
+    const literal = operand !== '' && !isNaN(Number(operand)) ? operand : pyStr(operand);
+
+    if (SIMPLE_FILTER_OPERATORS[operator]) return `${field} ${SIMPLE_FILTER_OPERATORS[operator]} ${literal}`;
+    if (operator === 'IsNull') return `${field}.isna()`;
+    if (operator === 'IsNotNull') return `${field}.notna()`;
+    if (operator === 'IsEmpty') return `${field}.isna() | (${field}.astype(str) == '')`;
+    if (operator === 'IsNotEmpty') return `${field}.notna() & (${field}.astype(str) != '')`;
+    if (operator === 'Contains') return `${field}.astype(str).str.contains(${pyStr(operand)}, regex=False, na=False)`;
+    if (operator === 'DoesNotContain') return `~${field}.astype(str).str.contains(${pyStr(operand)}, regex=False, na=False)`;
+    return unsupported(`simple filter operator "${operator}"`);
+  }
+
+  const condition = expression(childText(config, 'Expression'), source);
+  return condition.series ? condition.code : `pd.Series(${condition.code}, index=${source}.index)`;
+};
+
+const emitFilter = (node, ctx, inputs) => {
+  const source = inputs.Input;
+  const mask = `mask_${node.id}`;
+  const lines = [`${mask} = (${filterCondition(node, source)}).fillna(False).astype(bool)`];
+
+  lines.push(`${outputVar(node.id, 'True')} = ${source}[${mask}].copy()`);
+  if (ctx.usedAnchors.has('False')) {
+    lines.push(`${outputVar(node.id, 'False')} = ${source}[~${mask}].copy()`);
+  }
+
+  return { description: `Filter: ${summarizeConfiguration(node).replace(/^\w+: /, '')}`, lines };
+};
+
+const PANDAS_TYPES = {
+  Bool: "'boolean'",
+  Byte: "'Int64'", Int16: "'Int64'", Int32: "'Int64'", Int64: "'Int64'",
+  Float: "'float64'", Double: "'float64'", FixedDecimal: "'float64'",
+  String: "'string'", WString: "'string'", V_String: "'string'", V_WString: "'string'"
+};
+
+// Drop, rename and retype according to a <SelectFields> element
+const selectLines = (target, source, selectFields) => {
+  const fields = findChildren(selectFields, 'SelectField');
+  const known = fields.filter(f => f.attributes.field !== '*Unknown');
+  const keepUnknown = fields.find(f => f.attributes.field === '*Unknown')?.attributes.selected !== 'False';
+  const lines = [];
+
+  const dropped = known.filter(f => f.attributes.selected === 'False').map(f => col(f.attributes.field));
+  const kept = known.filter(f => f.attributes.selected !== 'False');
+  const renames = kept
+    .filter(f => f.attributes.rename)
+    .map(f => [col(f.attributes.field), pyStr(col(f.attributes.rename))]);
+
+  if (keepUnknown) {
+    lines.push(dropped.length
+      ? `${target} = ${source}.drop(columns=${pyList(dropped)}, errors='ignore')`
+      : `${target} = ${source}.copy()`);
+  } else {
+    lines.push(`${target} = ${source}[${pyList(kept.map(f => col(f.attributes.field)))}].copy()`);
+  }
+
+  if (renames.length > 0) {
+    lines.push(`${target} = ${target}.rename(columns=${pyDict(renames)})`);
+  }
+
+  kept.filter(f => f.attributes.type).forEach(f => {
+    const name = col(f.attributes.rename || f.attributes.field);
+    const type = f.attributes.type;
+    if (type === 'Date' || type === 'DateTime') {
+      lines.push(`${target}[${pyStr(name)}] = pd.to_datetime(${target}[${pyStr(name)}], errors='coerce')`);
+    } else if (PANDAS_TYPES[type]) {
+      const numeric = PANDAS_TYPES[type] !== "'string'" && PANDAS_TYPES[type] !== "'boolean'";
+      lines.push(numeric
+        ? `${target}[${pyStr(name)}] = pd.to_numeric(${target}[${pyStr(name)}], errors='coerce').astype(${PANDAS_TYPES[type]})`
+        : `${target}[${pyStr(name)}] = ${target}[${pyStr(name)}].astype(${PANDAS_TYPES[type]})`);
+    }
+  });
+
+  return lines;
+};
+
+const emitSelect = (node, ctx, inputs) => ({
+  description: 'Select, rename and retype fields',
+  lines: selectLines(outputVar(node.id), inputs.Input, findChild(node.configuration, 'SelectFields'))
+});
+
+const emitSort = (node, ctx, inputs) => {
+  const fields = findChildren(findChild(node.configuration, 'SortInfo'), 'Field');
+  if (fields.length === 0) unsupported('no sort fields configured');
+
+  const by = fields.map(f => col(f.attributes.field));
+  const ascending = fields.map(f => (f.attributes.order === 'Descending' ? 'False' : 'True'));
+
+  return {
+    description: `Sort by ${by.join(', ')}`,
+    lines: [`${outputVar(node.id)} = ${inputs.Input}.sort_values(by=${pyList(by)}, ascending=[${ascending.join(', ')}], kind='stable')`]
+  };
+};
+
+const emitUnique = (node, ctx, inputs) => {
+  const fields = findChildren(findChild(node.configuration, 'UniqueFields'), 'Field').map(f => col(f.attributes.field));
+  const source = inputs.Input;
+  const subset = fields.length ? `subset=${pyList(fields)}, ` : '';
+  const lines = [`${outputVar(node.id, 'Unique')} = ${source}.drop_duplicates(${subset}keep='first')`];
+
+  if (ctx.usedAnchors.has('Duplicates')) {
+    lines.push(`${outputVar(node.id, 'Duplicates')} = ${source}[${source}.duplicated(${subset}keep='first')]`);
+  }
+
+  return { description: `Remove duplicates on ${fields.join(', ') || 'all fields'}`, lines };
+};
+
+const ALTERYX_JOIN_HELPER = `def alteryx_join(left, right, left_on, right_on, drop=(), rename=None):
+    """Join like Alteryx: returns (joined, left-only, right-only) records.
+    Right-hand columns that clash with left-hand names get a right_ prefix.
+    drop/rename use the join's Select names (left_<field>, right_<field>)."""
+    clashes = {c: f'right_{c}' for c in right.columns if c in left.columns}
+    right = right.rename(columns=clashes)
+    right_on = [clashes.get(c, c) for c in right_on]
+    joined = left.merge(right, left_on=left_on, right_on=right_on, how='inner')
+    left_keys = pd.MultiIndex.from_frame(left[left_on])
+    right_keys = pd.MultiIndex.from_frame(right[right_on])
+    left_only = left[~left_keys.isin(right_keys)]
+    right_only = right[~right_keys.isin(left_keys)].rename(columns={v: k for k, v in clashes.items()})
+
+    def resolve(name):
+        side, _, field = name.partition('_')
+        if side == 'left':
+            return field
+        if side == 'right':
+            return clashes.get(field, field)
+        return name
+
+    joined = joined.drop(columns=[resolve(c) for c in drop], errors='ignore')
+    joined = joined.rename(columns={resolve(k): v for k, v in (rename or {}).items()})
+    return joined, left_only, right_only`;
+
+const emitJoin = (node, ctx, inputs) => {
+  const config = node.configuration;
+  if (!inputs.Left || !inputs.Right) unsupported('join needs both Left and Right inputs');
+
+  const joined = outputVar(node.id, 'Join');
+  const lines = [];
+
+  // The join's embedded Select names fields Left_<field> / Right_<field>
+  const selectFields = findChild(findChild(findChild(config, 'SelectConfiguration'), 'Configuration'), 'SelectFields');
+  const selected = findChildren(selectFields, 'SelectField').filter(f => f.attributes.field !== '*Unknown');
+  const drop = selected.filter(f => f.attributes.selected === 'False').map(f => col(f.attributes.field));
+  const renames = selected
+    .filter(f => f.attributes.rename && f.attributes.selected !== 'False')
+    .map(f => [col(f.attributes.field), pyStr(col(f.attributes.rename))]);
+
+  if (config.attributes.joinByRecordPos === 'True') {
+    lines.push(`${joined} = pd.concat([${inputs.Left}.reset_index(drop=True), ${inputs.Right}.reset_index(drop=True).add_prefix('right_')], axis=1, join='inner')`);
+    const strip = (name) => name.replace(/^left_/, '');
+    if (drop.length) lines.push(`${joined} = ${joined}.drop(columns=${pyList(drop.map(strip))}, errors='ignore')`);
+    if (renames.length) lines.push(`${joined} = ${joined}.rename(columns=${pyDict(renames.map(([k, v]) => [strip(k), v]))})`);
+  } else {
+    const keysFor = (connection) => findChildren(
+      findChildren(config, 'JoinInfo').find(info => info.attributes.connection === connection), 'Field'
+    ).map(f => col(f.attributes.field));
+
+    const leftKeys = keysFor('Left');
+    const rightKeys = keysFor('Right');
+    if (leftKeys.length === 0 || leftKeys.length !== rightKeys.length) unsupported('join keys are missing or unbalanced');
+
+    const selectArgs = (drop.length ? `, drop=${pyList(drop)}` : '') + (renames.length ? `, rename=${pyDict(renames)}` : '');
+    ctx.helpers.add(ALTERYX_JOIN_HELPER);
+    lines.push(`${joined}, ${outputVar(node.id, 'Left')}, ${outputVar(node.id, 'Right')} = alteryx_join(${inputs.Left}, ${inputs.Right}, left_on=${pyList(leftKeys)}, right_on=${pyList(rightKeys)}${selectArgs})`);
+  }
+
+  return { description: `Join: ${summarizeConfiguration(node)}`, lines };
+};
+
+const emitUnion = (node, ctx, inputs, incoming) => {
+  // Union inputs are numbered #1, #2, ... in connection names
+  const ordered = [...incoming]
+    .sort((a, b) => (parseInt(a.name.replace('#', ''), 10) || 0) - (parseInt(b.name.replace('#', ''), 10) || 0))
+    .map(conn => outputVar(conn.origin.toolId, conn.origin.anchor));
+
+  if (ordered.length === 0) unsupported('union has no inputs');
+  const target = outputVar(node.id);
+  const byPosition = childText(node.configuration, 'Mode') === 'ByPos';
+
+  return {
+    description: `Union ${ordered.length} inputs${byPosition ? ' by position' : ''}`,
+    lines: byPosition
+      ? [`${target} = pd.concat([d.set_axis(${ordered[0]}.columns[:d.shape[1]], axis=1) for d in [${ordered.join(', ')}]], ignore_index=True)`]
+      : [`${target} = pd.concat([${ordered.join(', ')}], ignore_index=True)`]
+  };
+};
+
+// Formula and Multi-Row Formula: assign each expression to its field on a copy of the input
+const emitFormula = (node, ctx, inputs) => {
+  const target = outputVar(node.id);
+  const formulas = toolExpressions(node);
+  const lines = [`${target} = ${inputs.Input}.copy()`];
+
+  formulas.forEach(({ field, expression: expr, options }) => {
+    const { code } = expression(expr, target, options);
+    lines.push(`${target}[${pyStr(col(field))}] = ${code}`);
+  });
+
+  const fields = formulas.map(f => col(f.field)).join(', ');
+  return {
+    description: node.tool === 'Multi-Row Formula' ? `Calculate ${fields} from neighbouring rows` : `Calculate ${fields}`,
+    lines
+  };
+};
+
+const AGGREGATIONS = {
+  Sum: 'sum', Count: 'size', CountNonNull: 'count', CountDistinct: 'nunique', Min: 'min', Max: 'max',
+  Avg: 'mean', Median: 'median', First: 'first', Last: 'last', StdDev: 'std', Variance: 'var'
+};
+
+const emitSummarize = (node, ctx, inputs) => {
+  const fields = findChildren(findChild(node.configuration, 'SummarizeFields'), 'SummarizeField');
+  const groupBy = fields.filter(f => f.attributes.action === 'GroupBy').map(f => col(f.attributes.field));
+  const target = outputVar(node.id);
+  const source = inputs.Input;
+
+  const aggregations = fields.filter(f => f.attributes.action !== 'GroupBy').map(f => {
+    const action = f.attributes.action;
+    const name = col(f.attributes.rename || `${action}_${f.attributes.field}`);
+    if (action === 'Concat') {
+      const separator = f.attributes.separator ?? ',';
+      return [name, col(f.attributes.field), `lambda s: ${pyStr(separator)}.join(s.dropna().astype(str))`];
+    }
+    if (!AGGREGATIONS[action]) unsupported(`summarize action "${action}"`);
+    return [name, col(f.attributes.field), pyStr(AGGREGATIONS[action])];
+  });
+
+  if (groupBy.length > 0) {
+    const named = aggregations.map(([name, field, fn]) => `${name}=(${pyStr(field)}, ${fn})`);
+    return {
+      description: `Summarize by ${groupBy.join(', ')}`,
+      lines: [named.length
+        ? `${target} = ${source}.groupby(${pyList(groupBy)}, as_index=False, dropna=False).agg(${named.join(', ')})`
+        : `${target} = ${source}[${pyList(groupBy)}].drop_duplicates()`]
+    };
+  }
+
+  const entries = aggregations.map(([name, field, fn]) => [name, `${source}[${pyStr(field)}].agg(${fn})`]);
+  return {
+    description: 'Summarize all records',
+    lines: [`${target} = pd.DataFrame([${pyDict(entries)}])`]
+  };
+};
+
+const emitCrossTab = (node, ctx, inputs) => {
+  const config = node.configuration;
+  const groups = findChildren(findChild(config, 'GroupFields'), 'Field').map(f => col(f.attributes.field));
+  const header = col(findChild(config, 'HeaderField')?.attributes.field || '');
+  const data = col(findChild(config, 'DataField')?.attributes.field || '');
+  const method = findChild(findChild(config, 'Methods'), 'Method')?.attributes.method || 'Sum';
+
+  if (!header || !data) unsupported('cross tab needs a header and data field');
+  if (method !== 'Concat' && !AGGREGATIONS[method]) unsupported(`cross tab method "${method}"`);
+  const aggfunc = method === 'Concat'
+    ? `lambda s: ','.join(s.dropna().astype(str))`
+    : pyStr(AGGREGATIONS[method]);
+
+  const target = outputVar(node.id);
+  // pivot_table needs an index, so without group fields the whole input becomes one row
+  const pivot = groups.length > 0
+    ? `pd.pivot_table(${inputs.Input}, index=${pyList(groups)}, columns=${pyStr(header)}, values=${pyStr(data)}, aggfunc=${aggfunc}).reset_index()`
+    : `${inputs.Input}.groupby(${pyStr(header)})[${pyStr(data)}].agg(${aggfunc}).to_frame().T.reset_index(drop=True)`;
+  return {
+    description: `Cross tab ${data} by ${header}`,
+    lines: [
+      `${target} = ${pivot}`,
+      `${target}.columns = [str(c) for c in ${target}.columns]`
+    ]
+  };
+};
+
+const emitSample = (node, ctx, inputs) => {
+  const config = node.configuration;
+  const mode = childText(config, 'Mode') || 'First';
+  const n = parseInt(childText(config, 'N'), 10) || 1;
+  const groups = findChildren(findChild(config, 'GroupFields'), 'Field').map(f => col(f.attributes.field));
+  const source = inputs.Input;
+  const grouped = groups.length ? `${source}.groupby(${pyList(groups)}, dropna=False)` : null;
+  const target = outputVar(node.id);
+
+  const sampled = {
+    First: grouped ? `${grouped}.head(${n})` : `${source}.head(${n})`,
+    Last: grouped ? `${grouped}.tail(${n})` : `${source}.tail(${n})`,
+    Skip: grouped ? `${source}[${grouped}.cumcount() >= ${n}]` : `${source}.iloc[${n}:]`,
+    Sample: grouped ? `${source}[${grouped}.cumcount() % ${n} == 0]` : `${source}.iloc[::${n}]`,
+    Random: `${source}.sample(frac=${1 / n}, random_state=42)`,
+    Percent: `${source}.head(int(len(${source}) * ${n} / 100))`
+  }[mode];
+
+  if (!sampled || (grouped && ['Random', 'Percent'].includes(mode))) unsupported(`sample mode "${mode}"`);
+  return { description: `Sample (${mode} ${n})`, lines: [`${target} = ${sampled}`] };
+};
+
+// Control names of the standard Data Cleansing macro (Cleanse.yxmc)
+const CLEANSE_OPTIONS = {
+  fields: 'List Box (11)',
+  removeNullRows: 'Check Box (135)',
+  removeNullColumns: 'Check Box (136)',
+  blankStrings: 'Check Box (84)',
+  zeroNumbers: 'Check Box (117)',
+  trimWhitespace: 'Check Box (15)',
+  collapseWhitespace: 'Check Box (109)',
+  removeAllWhitespace: 'Check Box (122)',
+  removeLetters: 'Check Box (53)',
+  removeNumbers: 'Check Box (58)',
+  removePunctuation: 'Check Box (70)',
+  modifyCase: 'Check Box (77)',
+  caseType: 'Drop Down (81)'
+};
+
+const emitDataCleansing = (node, ctx, inputs) => {
+  const values = Object.fromEntries(
+    findChildren(node.configuration, 'Value').map(v => [v.attributes.name, v.text])
+  );
+  if (Object.keys(values).length === 0) unsupported('unrecognized Data Cleansing configuration');
+
+  const enabled = (option) => values[CLEANSE_OPTIONS[option]] === 'True';
+  const fields = (values[CLEANSE_OPTIONS.fields] || '')
+    .split(',')
+    .map(f => f.trim().replace(/^"|"$/g, ''))
+    .filter(Boolean)
+    .map(col);
+
+  const target = outputVar(node.id);
+  const lines = [`${target} = ${inputs.Input}.copy()`];
+
+  if (enabled('removeNullRows')) lines.push(`${target} = ${target}.dropna(how='all')`);
+  if (enabled('removeNullColumns')) lines.push(`${target} = ${target}.dropna(axis=1, how='all')`);
+
+  const stringOps = [];
+  if (enabled('trimWhitespace')) stringOps.push('.str.strip()');
+  if (enabled('collapseWhitespace')) stringOps.push(`.str.replace(r'\\s+', ' ', regex=True)`);
+  if (enabled('removeAllWhitespace')) stringOps.push(`.str.replace(r'\\s', '', regex=True)`);
+  if (enabled('removeLetters')) stringOps.push(`.str.replace(r'[A-Za-z]', '', regex=True)`);
+  if (enabled('removeNumbers')) stringOps.push(`.str.replace(r'\\d', '', regex=True)`);
+  if (enabled('removePunctuation')) stringOps.push(`.str.replace(r'[^\\w\\s]', '', regex=True)`);
+  if (enabled('modifyCase')) {
+    const caseType = (values[CLEANSE_OPTIONS.caseType] || '').toLowerCase();
+    stringOps.push(caseType.includes('lower') ? '.str.lower()' : caseType.includes('title') ? '.str.title()' : '.str.upper()');
+  }
+
+  const fieldOptions = enabled('blankStrings') || enabled('zeroNumbers') || stringOps.length > 0;
+  if (fields.length > 0 && fieldOptions) {
+    lines.push(`cleanse_cols = [c for c in ${pyList(fields)} if c in ${target}.columns]`);
+    lines.push(`text_cols = [c for c in cleanse_cols if ${target}[c].dtype == object]`);
+    lines.push(`number_cols = [c for c in cleanse_cols if pd.api.types.is_numeric_dtype(${target}[c])]`);
+
+    if (enabled('blankStrings')) lines.push(`${target}[text_cols] = ${target}[text_cols].fillna('')`);
+    if (enabled('zeroNumbers')) lines.push(`${target}[number_cols] = ${target}[number_cols].fillna(0)`);
+    if (stringOps.length > 0) {
+      lines.push('for c in text_cols:');
+      lines.push(`    ${target}[c] = ${target}[c]${stringOps.join('')}`);
+    }
+  }
+
+  return { description: `Clean ${fields.length} field(s)`, lines };
+};
+
+const EMITTERS = {
+  'Input Data': emitInputData,
+  'Text Input': emitTextInput,
+  'Output Data': emitOutputData,
+  Browse: emitBrowse,
+  Filter: emitFilter,
+  Select: emitSelect,
+  Sort: emitSort,
+  Unique: emitUnique,
+  Join: emitJoin,
+  Union: emitUnion,
+  Formula: emitFormula,
+  'Multi-Row Formula': emitFormula,
+  Summarize: emitSummarize,
+  'Cross Tab': emitCrossTab,
+  Sample: emitSample,
+  'Data Cleansing': emitDataCleansing
+};
+
+// Passthrough block for a tool that could not be translated
+const stubLines = (node, reason, inputs, outputAnchors) => {
+  const source = Object.values(inputs)[0];
+  const lines = [
+    `${STUB_START} [${node.id}] ${node.tool}`,
+    `# TODO: ${node.tool} (tool ${node.id}) was not translated: ${reason}`
+  ];
+
+  summarizeConfiguration(node).split('\n').filter(Boolean).forEach(line => {
+    lines.push(`#   ${line}`);
+  });
+
+  outputAnchors.forEach(anchor => {
+    lines.push(`${outputVar(node.id, anchor)} = ${source ? `${source}.copy()` : 'pd.DataFrame()'}  # passthrough`);
+  });
+
+  lines.push(`${STUB_END} [${node.id}]`);
+  return lines;
+};
+
+// Anchor names connected downstream, defaulting to the tool's primary output
+const PRIMARY_ANCHOR = { Filter: 'True', Unique: 'Unique', Join: 'Join' };
+
+export const translateWorkflow = (graph, { fileMetadata = [] } = {}) => {
+  const ctx = { inputFiles: [], outputFiles: [], helpers: new Set(), imports: new Set(), fileMetadata };
+  const blocks = [];
+  const steps = [];
+  const stubs = [];
+
+  topologicalOrder(graph).forEach(node => {
+    const incoming = getIncoming(graph, node.id);
+    const inputs = {};
+    incoming.forEach(conn => {
+      inputs[conn.destination.anchor] = inputs[conn.destination.anchor] || outputVar(conn.origin.toolId, conn.origin.anchor);
+    });
+
+    const usedAnchors = new Set(getOutgoing(graph, node.id).map(conn => conn.origin.anchor));
+    const emitter = EMITTERS[node.tool];
+    let lines;
+    let description;
+
+    try {
+      if (!emitter) unsupported(`no offline rule for ${node.tool}`);
+      if (!node.configuration) unsupported('tool has no configuration');
+      ({ description, lines } = emitter(node, { ...ctx, usedAnchors }, inputs, incoming));
+    } catch (err) {
+      if (!(err instanceof UnsupportedError)) throw err;
+      const anchors = usedAnchors.size > 0 ? [...usedAnchors] : [PRIMARY_ANCHOR[node.tool] || 'Output'];
+      description = `${node.tool} (needs manual conversion)`;
+      lines = stubLines(node, err.message, inputs, anchors);
+      stubs.push({ toolId: node.id, tool: node.tool, reason: err.message });
+    }
+
+    const header = `# [${node.id}] ${node.tool}${node.annotation ? `: ${node.annotation}` : ''}`;
+    blocks.push([header, ...lines]);
+    steps.push({ description: `[${node.id}] ${description}`, code: lines.join('\n'), toolId: node.id });
+  });
+
+  const script = [
+    '"""',
+    `Converted from Alteryx workflow: ${graph.name} (${graph.fileName})`,
+    "Generated by Pycture's rule-based translator.",
+    stubs.length > 0 ? `${stubs.length} tool(s) are marked "${STUB_START}" and still need manual conversion.` : null,
+    '"""',
+    ...ctx.imports,
+    'import pandas as pd',
+    'import numpy as np',
+    'from pathlib import Path',
+    '',
+    '# Configuration',
+    "INPUT_DIR = Path('input_files')",
+    "OUTPUT_DIR = Path('output_files')",
+    '',
+    ...[...ctx.helpers].flatMap(helper => [helper, '', '']),
+    'def main():',
+    '    OUTPUT_DIR.mkdir(parents=True, exist_ok=True)',
+    '',
+    ...blocks.flatMap(block => [...indent(block), '']),
+    "    print('Workflow completed successfully')",
+    '',
+    '',
+    "if __name__ == '__main__':",
+    '    try:',
+    '        main()',
+    '    except Exception as e:',
+    "        print(f'Error: {e}')",
+    '        raise',
+    ''
+  ].filter(line => line !== null).join('\n');
+
+  return {
+    script,
+    steps,
+    input_files: [...new Set(ctx.inputFiles)],
+    output_files: [...new Set(ctx.outputFiles)],
+    stubs
+  };
+};
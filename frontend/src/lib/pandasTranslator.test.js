@@ -0,0 +1,295 @@
+import { describe, expect, it } from 'vitest';
+import { translateWorkflow, csvReadOptions, excelReadOptions, pyStr, STUB_START } from './pandasTranslator.js';
+
+// Configuration trees as parseWorkflowXml builds them: a string is an element's text
+const el = (name, attributes = {}, children = []) => ({
+  name,
+  attributes,
+  text: typeof children === 'string' ? children : '',
+  children: typeof children === 'string' ? [] : children
+});
+const field = (attributes) => el('Field', attributes);
+
+const tool = (id, name, children = [], attributes = {}) => ({
+  id,
+  tool: name,
+  isLayout: false,
+  position: { x: Number(id) * 100, y: 0 },
+  annotation: '',
+  configuration: el('Configuration', attributes, children)
+});
+const wire = (from, to, { anchor = 'Output', destination = 'Input', name = '' } = {}) => ({
+  name,
+  origin: { toolId: from, anchor },
+  destination: { toolId: to, anchor: destination }
+});
+
+const INPUT = tool('1', 'Input Data', [el('File', {}, 'C:\\data\\sales.csv')]);
+
+// Translate Input Data → node (→ a Browse on each of the downstream anchors) and return the node's code
+const translateTool = (node, { downstream = [], fileMetadata } = {}) => {
+  const browses = downstream.map((anchor, i) => tool(String(90 + i), 'Browse'));
+  const result = translateWorkflow({
+    name: 'Test',
+    fileName: 'test.yxmd',
+    nodes: [INPUT, node, ...browses],
+    connections: [wire('1', node.id), ...downstream.map((anchor, i) => wire(node.id, browses[i].id, { anchor }))]
+  }, { fileMetadata });
+  return result.steps.find(step => step.toolId === node.id).code;
+};
+
+describe('reader options', () => {
+  it('omit pandas defaults', () => {
+    expect(csvReadOptions({})).toBe('');
+    expect(csvReadOptions({ delimiter: ';', encoding: 'cp1252', quotechar: "'" })).toBe(", sep=';', encoding='cp1252', quotechar='\\''");
+    expect(excelReadOptions({ sheet: 'Data', headerRow: 2 })).toBe(", sheet_name='Data', header=2");
+    expect(excelReadOptions({ headerRow: 3, mergedHeader: true })).toBe(', header=[2, 3]');
+  });
+
+  it('escape Python strings', () => {
+    expect(pyStr("it's\n\\")).toBe("'it\\'s\\n\\\\'");
+  });
+});
+
+describe('Input Data and Output Data', () => {
+  it('reads a CSV with its uploaded dialect and normalizes the columns', () => {
+    const result = translateWorkflow({ name: 'T', fileName: 't.yxmd', nodes: [INPUT], connections: [] }, {
+      fileMetadata: [{ name: 'SALES.csv', delimiter: ';', encoding: 'utf-8' }]
+    });
+    expect(result.steps[0].code).toBe([
+      "print('Loading sales.csv...')",
+      "df_1 = pd.read_csv(INPUT_DIR / 'sales.csv', sep=';')",
+      'df_1.columns = df_1.columns.str.lower().str.strip()'
+    ].join('\n'));
+    expect(result.input_files).toEqual(['sales.csv']);
+  });
+
+  it("reads the workflow's sheet of a workbook", () => {
+    const input = tool('1', 'Input Data', [el('File', {}, 'report.xlsx|||`Q1$`')]);
+    const { steps } = translateWorkflow({ name: 'T', fileName: 't.yxmd', nodes: [input], connections: [] });
+    expect(steps[0].code).toContain("df_1 = pd.read_excel(INPUT_DIR / 'report.xlsx', sheet_name='Q1')");
+  });
+
+  it('writes CSV in place of outputs pandas cannot write', () => {
+    const code = translateTool(tool('2', 'Output Data', [el('File', {}, 'C:\\out\\totals.yxdb')]));
+    expect(code).toBe([
+      '# Original output was totals.yxdb; written as CSV instead',
+      "df_1.to_csv(OUTPUT_DIR / 'totals.csv', index=False)",
+      "print(f'Saved totals.csv ({len(df_1)} rows)')"
+    ].join('\n'));
+  });
+});
+
+describe('Text Input', () => {
+  it('round-trips the rows through read_csv', () => {
+    const node = tool('1', 'Text Input', [
+      el('Fields', {}, [field({ name: 'Region' }), field({ name: 'Target' })]),
+      el('Data', {}, [el('r', {}, [el('c', {}, 'North, East'), el('c', {}, '10')])])
+    ]);
+    const result = translateWorkflow({ name: 'T', fileName: 't.yxmd', nodes: [node], connections: [] });
+    expect(result.steps[0].code).toBe("df_1 = pd.read_csv(io.StringIO('region,target\\n\"North, East\",10'))");
+    expect(result.script).toContain('import io\n');
+  });
+});
+
+describe('Browse', () => {
+  it('prints the first rows', () => {
+    expect(translateTool(tool('2', 'Browse'))).toBe('print(df_1.head())');
+  });
+});
+
+describe('Filter', () => {
+  it('builds a simple condition and the False output only when it is used', () => {
+    const simple = el('Simple', {}, [el('Field', {}, 'Amount'), el('Operator', {}, '>='), el('Operands', {}, [el('Operand', {}, '100')])]);
+    const node = tool('2', 'Filter', [el('Mode', {}, 'Simple'), simple]);
+    expect(translateTool(node, { downstream: ['True'] })).toBe([
+      "mask_2 = (df_1['amount'] >= 100).fillna(False).astype(bool)",
+      'df_2_true = df_1[mask_2].copy()'
+    ].join('\n'));
+    expect(translateTool(node, { downstream: ['True', 'False'] })).toContain('df_2_false = df_1[~mask_2].copy()');
+  });
+
+  it('transpiles custom expressions', () => {
+    const node = tool('2', 'Filter', [el('Mode', {}, 'Custom'), el('Expression', {}, '[Region] = "North"')]);
+    expect(translateTool(node)).toBe("mask_2 = (df_1['region'].str.lower() == 'north').fillna(False).astype(bool)\ndf_2_true = df_1[mask_2].copy()");
+  });
+});
+
+describe('Select', () => {
+  it('drops, renames and retypes fields', () => {
+    const node = tool('2', 'Select', [el('SelectFields', {}, [
+      el('SelectField', { field: 'Notes', selected: 'False' }),
+      el('SelectField', { field: 'Amt', selected: 'True', rename: 'Amount', type: 'Double' }),
+      el('SelectField', { field: '*Unknown', selected: 'True' })
+    ])]);
+    expect(translateTool(node)).toBe([
+      "df_2 = df_1.drop(columns=['notes'], errors='ignore')",
+      "df_2 = df_2.rename(columns={'amt': 'amount'})",
+      "df_2['amount'] = pd.to_numeric(df_2['amount'], errors='coerce').astype('float64')"
+    ].join('\n'));
+  });
+});
+
+describe('Sort and Unique', () => {
+  it("sorts stably in each field's direction", () => {
+    const node = tool('2', 'Sort', [el('SortInfo', {}, [field({ field: 'Region' }), field({ field: 'Amount', order: 'Descending' })])]);
+    expect(translateTool(node)).toBe("df_2 = df_1.sort_values(by=['region', 'amount'], ascending=[True, False], kind='stable')");
+  });
+
+  it('keeps the first record per key', () => {
+    const node = tool('2', 'Unique', [el('UniqueFields', {}, [field({ field: 'ID' })])]);
+    expect(translateTool(node, { downstream: ['Unique', 'Duplicates'] })).toBe([
+      "df_2_unique = df_1.drop_duplicates(subset=['id'], keep='first')",
+      "df_2_duplicates = df_1[df_1.duplicated(subset=['id'], keep='first')]"
+    ].join('\n'));
+  });
+});
+
+describe('Join and Union', () => {
+  const RIGHT = tool('2', 'Input Data', [el('File', {}, 'regions.csv')]);
+  const twoInputs = (node, connections) => translateWorkflow({
+    name: 'T', fileName: 't.yxmd', nodes: [INPUT, RIGHT, node], connections
+  });
+
+  it('joins on keys with the Alteryx join helper', () => {
+    const node = tool('3', 'Join', [
+      el('JoinInfo', { connection: 'Left' }, [field({ field: 'Region' })]),
+      el('JoinInfo', { connection: 'Right' }, [field({ field: 'Code' })])
+    ]);
+    const result = twoInputs(node, [wire('1', '3', { destination: 'Left' }), wire('2', '3', { destination: 'Right' })]);
+    expect(result.steps[2].code).toBe("df_3_join, df_3_left, df_3_right = alteryx_join(df_1, df_2, left_on=['region'], right_on=['code'])");
+    expect(result.script).toContain('def alteryx_join(');
+  });
+
+  it('stubs a join without both inputs', () => {
+    const node = tool('3', 'Join', [], { joinByRecordPos: 'True' });
+    const result = twoInputs(node, [wire('1', '3', { destination: 'Left' })]);
+    expect(result.stubs).toEqual([{ toolId: '3', tool: 'Join', reason: 'join needs both Left and Right inputs' }]);
+    expect(result.steps[2].code).toContain('df_3_join = df_1.copy()  # passthrough');
+  });
+
+  it('stacks inputs in connection order', () => {
+    const node = tool('3', 'Union', [el('Mode', {}, 'ByName')]);
+    const result = twoInputs(node, [wire('2', '3', { destination: 'Input', name: '#2' }), wire('1', '3', { destination: 'Input', name: '#1' })]);
+    expect(result.steps[2].code).toBe('df_3 = pd.concat([df_1, df_2], ignore_index=True)');
+  });
+});
+
+describe('Formula and Multi-Row Formula', () => {
+  it('assigns each expression to its field on a copy', () => {
+    const node = tool('2', 'Formula', [el('FormulaFields', {}, [el('FormulaField', { field: 'Total', expression: '[Price] * [Qty]' })])]);
+    expect(translateTool(node)).toBe("df_2 = df_1.copy()\ndf_2['total'] = df_2['price'] * df_2['qty']");
+  });
+
+  it('reads neighbouring rows', () => {
+    const node = tool('2', 'Multi-Row Formula', [
+      el('UpdateField', { value: 'False' }),
+      el('CreateField_Name', {}, 'Previous'),
+      el('Expression', {}, '[Row-1:Amount]')
+    ]);
+    expect(translateTool(node)).toContain("df_2['previous'] = df_2['amount'].shift(1)");
+  });
+});
+
+describe('Summarize', () => {
+  const summarize = (...fields) => tool('2', 'Summarize', [el('SummarizeFields', {}, fields.map(f => el('SummarizeField', f)))]);
+
+  it('groups with named aggregations', () => {
+    expect(translateTool(summarize(
+      { field: 'Region', action: 'GroupBy' },
+      { field: 'Amount', action: 'Sum', rename: 'Total' },
+      { field: 'Name', action: 'Concat', separator: ';' }
+    ))).toBe("df_2 = df_1.groupby(['region'], as_index=False, dropna=False).agg(total=('amount', 'sum'), concat_name=('name', lambda s: ';'.join(s.dropna().astype(str))))");
+  });
+
+  it('summarizes all records into one row', () => {
+    expect(translateTool(summarize({ field: 'Amount', action: 'Avg' }))).toBe("df_2 = pd.DataFrame([{'avg_amount': df_1['amount'].agg('mean')}])");
+  });
+
+  it('stubs actions it does not know', () => {
+    expect(translateTool(summarize({ field: 'Amount', action: 'Mode' }))).toContain(`${STUB_START} [2] Summarize`);
+  });
+});
+
+describe('Cross Tab', () => {
+  const crossTab = (groups) => tool('2', 'Cross Tab', [
+    el('GroupFields', {}, groups.map(name => field({ field: name }))),
+    el('HeaderField', { field: 'Quarter' }),
+    el('DataField', { field: 'Amount' }),
+    el('Methods', {}, [el('Method', { method: 'Sum' })])
+  ]);
+
+  it('pivots the header values into columns per group', () => {
+    expect(translateTool(crossTab(['Region']))).toBe([
+      "df_2 = pd.pivot_table(df_1, index=['region'], columns='quarter', values='amount', aggfunc='sum').reset_index()",
+      'df_2.columns = [str(c) for c in df_2.columns]'
+    ].join('\n'));
+  });
+
+  it('makes one row without group fields instead of an empty pivot index', () => {
+    const code = translateTool(crossTab([]));
+    expect(code).not.toContain('index=[]');
+    expect(code).toBe([
+      "df_2 = df_1.groupby('quarter')['amount'].agg('sum').to_frame().T.reset_index(drop=True)",
+      'df_2.columns = [str(c) for c in df_2.columns]'
+    ].join('\n'));
+  });
+});
+
+describe('Sample', () => {
+  const sample = (mode, n, groups = []) => tool('2', 'Sample', [
+    el('Mode', {}, mode), el('N', {}, String(n)), el('GroupFields', {}, groups.map(name => field({ field: name })))
+  ]);
+
+  it('takes rows per group or overall', () => {
+    expect(translateTool(sample('First', 5))).toBe('df_2 = df_1.head(5)');
+    expect(translateTool(sample('Skip', 2, ['Region']))).toBe("df_2 = df_1[df_1.groupby(['region'], dropna=False).cumcount() >= 2]");
+  });
+
+  it('stubs modes that cannot be grouped', () => {
+    expect(translateTool(sample('Random', 10, ['Region']))).toContain('sample mode "Random"');
+  });
+});
+
+describe('Data Cleansing', () => {
+  it("applies the macro's options to the chosen fields", () => {
+    const node = tool('2', 'Data Cleansing', [
+      el('Value', { name: 'List Box (11)' }, '"Name","City"'),
+      el('Value', { name: 'Check Box (135)' }, 'True'),
+      el('Value', { name: 'Check Box (15)' }, 'True'),
+      el('Value', { name: 'Check Box (77)' }, 'True'),
+      el('Value', { name: 'Drop Down (81)' }, 'Title Case')
+    ]);
+    expect(translateTool(node)).toBe([
+      'df_2 = df_1.copy()',
+      "df_2 = df_2.dropna(how='all')",
+      "cleanse_cols = [c for c in ['name', 'city'] if c in df_2.columns]",
+      'text_cols = [c for c in cleanse_cols if df_2[c].dtype == object]',
+      'number_cols = [c for c in cleanse_cols if pd.api.types.is_numeric_dtype(df_2[c])]',
+      'for c in text_cols:',
+      '    df_2[c] = df_2[c].str.strip().str.title()'
+    ].join('\n'));
+  });
+});
+
+describe('translateWorkflow', () => {
+  it('wraps the steps in main() and marks untranslated tools', () => {
+    const result = translateWorkflow({
+      name: 'Sales',
+      fileName: 'sales.yxmd',
+      nodes: [INPUT, tool('2', 'Transpose'), tool('3', 'Output Data', [el('File', {}, 'out.csv')])],
+      connections: [wire('1', '2'), wire('2', '3')]
+    });
+
+    expect(result.stubs).toEqual([{ toolId: '2', tool: 'Transpose', reason: 'no offline rule for Transpose' }]);
+    expect(result.output_files).toEqual(['out.csv']);
+    expect(result.script).toContain('1 tool(s) are marked "# >>> STUB" and still need manual conversion.');
+    expect(result.script).toContain('    df_2 = df_1.copy()  # passthrough\n');
+    expect(result.script).toContain("    df_2.to_csv(OUTPUT_DIR / 'out.csv', index=False)\n");
+    expect(result.steps.map(step => step.description)).toEqual([
+      '[1] Load sales.csv',
+      '[2] Transpose (needs manual conversion)',
+      '[3] Save out.csv'
+    ]);
+  });
+});
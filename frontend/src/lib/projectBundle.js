@@ -0,0 +1,191 @@
+// Runnable project folder for a result: script and tests, requirements.txt, README, launchers and the input/output layout
+
+import { scanPython } from './scriptChecks.js';
+
+export const PROJECT_FOLDER = 'pycture_project';
+export const SCRIPT_NAME = 'pycture_script.py';
+export const TESTS_NAME = `test_${SCRIPT_NAME}`;
+
+// Standard library modules scripts commonly import; anything else is a pip package
+const STDLIB = new Set([
+  'abc', 'argparse', 'ast', 'asyncio', 'base64', 'bisect', 'calendar', 'collections', 'contextlib', 'copy',
+  'csv', 'dataclasses', 'datetime', 'decimal', 'difflib', 'enum', 'fnmatch', 'fractions', 'functools', 'glob',
+  'gzip', 'hashlib', 'heapq', 'html', 'io', 'itertools', 'json', 'locale', 'logging', 'math', 'numbers',
+  'operator', 'os', 'pathlib', 'pickle', 'platform', 'pprint', 'random', 're', 'shutil', 'sqlite3',
+  'statistics', 'string', 'struct', 'sys', 'tempfile', 'textwrap', 'time', 'timeit', 'traceback', 'typing',
+  'unicodedata', 'urllib', 'uuid', 'warnings', 'xml', 'zipfile', 'zoneinfo', '__future__'
+]);
+
+// Import names that differ from the package to install
+const PACKAGE_NAMES = {
+  bs4: 'beautifulsoup4',
+  cv2: 'opencv-python',
+  dateutil: 'python-dateutil',
+  docx: 'python-docx',
+  dotenv: 'python-dotenv',
+  PIL: 'Pillow',
+  pptx: 'python-pptx',
+  sklearn: 'scikit-learn',
+  yaml: 'PyYAML'
+};
+
+// Packages pandas, Polars and PySpark load on demand for some file formats and features, so
+// they never appear as imports. module limits an engine to scripts that import that library.
+const ENGINES = [
+  { pattern: /\b(read_excel|to_excel|ExcelWriter)\b/, package: 'openpyxl' },
+  { pattern: /\.xls\b/, package: 'xlrd', inStrings: true },
+  { pattern: /xlsxwriter/i, package: 'XlsxWriter', inStrings: true },
+  { pattern: /\b(read_parquet|to_parquet)\b/, package: 'pyarrow' },
+  { pattern: /\bread_excel\b/, package: 'fastexcel', module: 'polars' },
+  { pattern: /\bwrite_excel\b/, package: 'XlsxWriter', module: 'polars' },
+  { pattern: /\.toPandas\(|\bpandas_udf\b/, package: 'pandas', module: 'pyspark' },
+  { pattern: /\bpandas_udf\b/, package: 'pyarrow', module: 'pyspark' }
+];
+
+const byName = (a, b) => a.toLowerCase().localeCompare(b.toLowerCase());
+
+const IMPORT = /^[ \t]*(?:import[ \t]+([\w., \t]+)|from[ \t]+(\w[\w.]*)[ \t]+import\b)/gm;
+
+/**
+ * The pip packages a script needs, from its imports (ignoring comments and strings) plus
+ * the engines its library needs for the file formats it reads and writes. Sorted by name.
+ */
+export const requirementsFor = (script) => {
+  const { masked, strings } = scanPython(script);
+  const modules = new Set();
+
+  for (const [, names, from] of masked.matchAll(IMPORT)) {
+    const imported = from ? [from] : names.split(',').map(name => name.trim().split(/\s+/)[0]);
+    imported.forEach(name => modules.add(name.split('.')[0]));
+  }
+
+  // Tests import the script itself, which is not a package
+  const packages = new Set([...modules]
+    .filter(name => name && !STDLIB.has(name) && `${name}.py` !== SCRIPT_NAME)
+    .map(name => PACKAGE_NAMES[name] || name));
+
+  const text = strings.map(string => string.value).join('\n');
+  ENGINES
+    .filter(engine => !engine.module || modules.has(engine.module))
+    .forEach(engine => {
+      if (engine.pattern.test(engine.inStrings ? text : masked)) packages.add(engine.package);
+    });
+
+  return [...packages].sort(byName);
+};
+
+const RUN_SH = `#!/bin/sh
+# Runs the script in a virtual environment (.venv), creating it on first use
+set -e
+cd "$(dirname "$0")"
+
+if [ ! -d .venv ]; then
+  echo "Creating a virtual environment in .venv..."
+  python3 -m venv .venv
+fi
+
+.venv/bin/python -m pip install --quiet --disable-pip-version-check -r requirements.txt
+mkdir -p output_files
+.venv/bin/python ${SCRIPT_NAME}
+`;
+
+// Batch files need CRLF line endings
+const RUN_BAT = `@echo off
+rem Runs the script in a virtual environment (.venv), creating it on first use
+cd /d "%~dp0"
+
+if not exist .venv (
+  echo Creating a virtual environment in .venv...
+  python -m venv .venv || goto :error
+)
+
+.venv\\Scripts\\python -m pip install --quiet --disable-pip-version-check -r requirements.txt || goto :error
+if not exist output_files mkdir output_files
+.venv\\Scripts\\python ${SCRIPT_NAME} || goto :error
+pause
+exit /b 0
+
+:error
+echo.
+echo Something went wrong - see the messages above.
+pause
+exit /b 1
+`.replace(/\n/g, '\r\n');
+
+const fileList = (names, note) => (names.length > 0
+  ? names.map(name => `- \`${name}\`${note?.(name) || ''}`)
+  : ['- (none)']);
+
+const projectReadme = (result, { title, requirements, included }) => [
+  `# ${title}`,
+  '',
+  'Generated by Pycture.',
+  '',
+  '## Running it',
+  '',
+  '1. Install Python 3 from https://www.python.org/downloads/ (on Windows, tick "Add Python to PATH").',
+  ...(requirements.includes('pyspark') ? ['   PySpark also needs Java 17 or later, e.g. from https://adoptium.net/.'] : []),
+  '2. Put the input files listed below in `input_files/`.',
+  '3. Run the launcher for your system:',
+  '   - Windows: double-click `run.bat`',
+  '   - macOS / Linux: run `./run.sh` in a terminal from this folder',
+  '',
+  'The first run creates a virtual environment in `.venv` and installs `requirements.txt` into it',
+  `(${requirements.length > 0 ? requirements.join(', ') : 'no extra packages'}). Results are written to \`output_files/\`.`,
+  '',
+  'To run it yourself instead:',
+  '',
+  '```',
+  'pip install -r requirements.txt',
+  `python ${SCRIPT_NAME}`,
+  '```',
+  '',
+  '## Input files',
+  '',
+  ...fileList(result.input_files || [], name => (included.includes(name) ? ' (included)' : '')),
+  '',
+  '## Output files',
+  '',
+  ...fileList(result.output_files || []),
+  '',
+  '## Steps',
+  '',
+  ...(result.steps || []).map((step, index) => `${index + 1}. ${step.description}`),
+  ...(result.tests ? [
+    '',
+    '## Tests',
+    '',
+    `\`${TESTS_NAME}\` checks each step on small fixture tables. With the requirements installed, run:`,
+    '',
+    '```',
+    'python -m pytest',
+    '```'
+  ] : []),
+  ...(result.assumptions?.length > 0 ? ['', '## Assumptions', '', ...result.assumptions.map(note => `- ${note}`)] : []),
+  ...(result.warnings?.length > 0 ? ['', '## Warnings', '', ...result.warnings.map(note => `- ${note}`)] : []),
+  ''
+].join('\n');
+
+/**
+ * The entries of a project zip for createZip, all inside PROJECT_FOLDER. inputs are
+ * [{ name, data }] uploads to bundle in input_files/ (the ones the script reads).
+ */
+export const projectEntries = (result, { title = 'Pycture conversion', inputs = [] } = {}) => {
+  const requirements = result.tests
+    ? [...new Set([...requirementsFor(result.script), ...requirementsFor(result.tests), 'pytest'])].sort(byName)
+    : requirementsFor(result.script);
+  const included = inputs.map(input => input.name);
+  const path = (name) => `${PROJECT_FOLDER}/${name}`;
+
+  return [
+    { name: path(SCRIPT_NAME), data: result.script },
+    ...(result.tests ? [{ name: path(TESTS_NAME), data: result.tests }] : []),
+    { name: path('requirements.txt'), data: requirements.map(name => `${name}\n`).join('') },
+    { name: path('README.md'), data: projectReadme(result, { title, requirements, included }) },
+    { name: path('run.sh'), data: RUN_SH, executable: true },
+    { name: path('run.bat'), data: RUN_BAT },
+    { name: path('input_files/') },
+    ...inputs.map(input => ({ name: path(`input_files/${input.name}`), data: input.data })),
+    { name: path('output_files/') }
+  ];
+};
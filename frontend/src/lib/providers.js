@@ -0,0 +1,66 @@
+// LLM providers the generate function can proxy to, with what the UI needs to configure each
+
+export const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic Claude',
+    models: [
+      { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5' },
+      { id: 'claude-opus-4-1-20250805', label: 'Claude Opus 4.1' },
+      { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5' }
+    ],
+    keyPrefix: 'sk-ant-',
+    keyPlaceholder: 'sk-ant-api03-...',
+    keyUrl: 'https://console.anthropic.com/'
+  },
+  openai: {
+    label: 'OpenAI',
+    models: [
+      { id: 'gpt-4.1', label: 'GPT-4.1' },
+      { id: 'gpt-4o', label: 'GPT-4o' }
+    ],
+    keyPrefix: 'sk-',
+    keyPlaceholder: 'sk-...',
+    keyUrl: 'https://platform.openai.com/api-keys'
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible (self-hosted)',
+    // Any model the server exposes; typed in by the user
+    models: [],
+    keyOptional: true,
+    keyPlaceholder: 'Optional, if your server requires one',
+    needsBaseUrl: true
+  }
+};
+
+export const DEFAULT_PROVIDER = 'anthropic';
+
+export const defaultModel = (provider) => PROVIDERS[provider].models[0]?.id || '';
+
+// Human-readable name of the model generating the script
+export const modelLabel = ({ provider, model }) =>
+  PROVIDERS[provider].models.find(m => m.id === model)?.label || model || PROVIDERS[provider].label;
+
+// Returns an error message, or null when the settings can be sent to the function.
+// The function re-checks the base URL, including that it is not a private host.
+export const validateProviderSettings = ({ provider, model, apiKey, baseUrl }) => {
+  const config = PROVIDERS[provider];
+
+  if (!config.keyOptional && !apiKey.trim()) {
+    return 'Please enter your API key';
+  }
+  if (config.keyPrefix && !apiKey.startsWith(config.keyPrefix)) {
+    return `Invalid ${config.label} API key format. Should start with ${config.keyPrefix}`;
+  }
+  if (!model.trim()) {
+    return 'Please choose a model';
+  }
+  if (config.needsBaseUrl) {
+    if (!baseUrl.trim()) return 'Please enter the base URL of your OpenAI-compatible server';
+    if (!/^https:\/\//i.test(baseUrl.trim())) return 'Base URL must start with https://';
+  }
+
+  return null;
+};
+
+// True when the user has entered everything needed to call the provider
+export const isProviderReady = (settings) => validateProviderSettings(settings) === null;
@@ -0,0 +1,61 @@
+// Runs generated scripts against uploaded files in a Pyodide Web Worker
+
+let worker = null;
+let pending = null;
+
+const failPending = (error) => {
+  const current = pending;
+  pending = null;
+  current?.reject(error);
+};
+
+// The worker keeps Python and pandas loaded between runs, which saves several seconds each time
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/pythonWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      if (!pending) return;
+      if (data.type === 'status') pending.onStatus(data.message);
+      else if (data.type === 'stdout' || data.type === 'stderr') pending.onOutput(data.type, data.text);
+      else if (data.type === 'result') {
+        const current = pending;
+        pending = null;
+        current.resolve(data);
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      worker = null;
+      failPending(new Error(event.message || 'The Python runtime crashed'));
+    };
+  }
+  return worker;
+};
+
+/**
+ * Run a script with files mounted under input_files/.
+ * onStatus(message) reports loading progress; onOutput(stream, text) receives each line
+ * of stdout or stderr. Resolves with { ok, error, outputs: [{ name, data, preview }] },
+ * where error is the Python traceback when the script raised.
+ */
+export const runScript = async (script, files, { onStatus = () => {}, onOutput = () => {} } = {}) => {
+  if (pending) throw new Error('A script is already running');
+
+  // Read the files before claiming the worker, so a failed read does not leave it busy
+  const inputs = await Promise.all(files.map(async file => ({ name: file.name, data: await file.arrayBuffer() })));
+
+  return new Promise((resolve, reject) => {
+    pending = { resolve, reject, onStatus, onOutput };
+    getWorker().postMessage({ type: 'run', script, files: inputs }, inputs.map(input => input.data));
+  });
+};
+
+// Stop a running script; Python cannot be interrupted, so the worker and its runtime are discarded
+export const stopScript = () => {
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  failPending(new DOMException('The script was stopped', 'AbortError'));
+};
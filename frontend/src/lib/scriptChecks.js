@@ -0,0 +1,519 @@
+// Checks run on every generated result before it is shown: schema, Python syntax,
+// column normalization after each read, column names against the uploaded files,
+// unauthorized imports and, when generated, the tests. SQL results (result.target 'sql')
+// get the schema, SQL syntax and model checks instead. Failed checks carry findings the model can act on, which the
+// repair loop sends back with repairInput().
+
+// Repair requests after the first answer, each one a full model call
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+export const CHECK_LABELS = {
+  schema: 'Result matches the expected format',
+  syntax: 'Python syntax',
+  normalization: 'Column names normalized after every read',
+  columns: 'Column names match the uploaded files',
+  imports: 'No unauthorized imports',
+  tests: 'Tests are valid Python and import what the script defines',
+  sqlSyntax: 'SQL brackets, quotes and comments are closed',
+  models: 'One model per output'
+};
+
+// In the browser, js and the pyodide modules reach the page itself and micropip installs packages;
+// importlib and builtins reach any module or builtin by name
+const DANGEROUS_MODULES = [
+  'os', 'subprocess', 'sys', 'pickle', 'shelve', 'importlib', 'builtins', 'js', 'pyodide', 'pyodide_js', 'micropip'
+];
+
+// Builtins that run or import code given as a string. Methods are not matched, since df.eval() and
+// pd.eval() are pandas expressions.
+const DYNAMIC_CODE = /(?<![\w.])(?:(eval|exec|__import__)\s*\(|(__builtins__)\b)/g;
+
+// Calls whose output columns come from data values, which the column check cannot know
+const RESHAPE_CALLS = /\b(pivot|pivot_table|crosstab|unstack|stack|get_dummies|json_normalize|transpose)\s*\(|\.T\b/;
+
+// Keyword arguments whose string values name existing columns
+const REFERENCE_KEYWORDS = ['on', 'left_on', 'right_on', 'by', 'subset', 'usecols', 'parse_dates', 'id_vars', 'value_vars', 'index', 'values'];
+
+// Inline data such as a Text Input tool: read_csv(io.StringIO('region,target\n...'))
+const INLINE_READ = /\bread_csv\(\s*(?:io\.)?StringIO\(\s*(\0\d+\0)/g;
+
+const NORMALIZED = String.raw`\.columns\.str\.(?:lower\(\)\.str\.strip|strip\(\)\.str\.lower)\(\)`;
+
+// [name.strip().lower() for name in df.columns], as in df.columns = [...] or df.toDF(*[...])
+const NAME_LIST = /\[\s*(\w+)\.(?:strip\(\)\.lower|lower\(\)\.strip)\(\)\s+for\s+\1\s+in\s+[\w.]+\.columns\s*\]/;
+
+// How Polars and PySpark scripts read files, the ways they normalize what they read, and the
+// fix to suggest. PySpark scripts read workbooks with pandas, so pandas reads count too.
+const DIALECT_READS = {
+  polars: {
+    read: /\b(?:scan|read)_(?:csv|excel|parquet|ndjson)\s*\((?!\s*(?:io\.)?StringIO\()/g,
+    normalized: [/\.rename\(\s*lambda\s+(\w+)\s*:\s*\1\.(?:strip\(\)\.lower|lower\(\)\.strip)\(\)\s*\)/, NAME_LIST],
+    variable: 'lf',
+    fix: (variable) => `${variable} = ${variable}.rename(lambda name: name.strip().lower())`
+  },
+  pyspark: {
+    read: /\bspark\.read\b|\bread_(?:csv|excel)\s*\((?!\s*(?:io\.)?StringIO\()/g,
+    normalized: [NAME_LIST, new RegExp(String.raw`\.columns\s*=\s*[\w.]+${NORMALIZED}`)],
+    variable: 'df',
+    fix: (variable, read) => (read.startsWith('spark')
+      ? `${variable} = ${variable}.toDF(*[name.strip().lower() for name in ${variable}.columns])`
+      : `${variable}.columns = ${variable}.columns.str.lower().str.strip()`)
+  }
+};
+
+// Escapes common enough in column names and inline data to decode
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+/**
+ * Tokenize just enough Python to find string literals, comments and blocks.
+ * Returns the code with comments dropped and each string literal replaced by a
+ * \0<index>\0 placeholder (on the same line numbers), the literals with their line, the lines
+ * where top-level statements start, and the first syntax error found in brackets, strings or
+ * indentation (Python stops at the first too).
+ */
+export const scanPython = (script) => {
+  const strings = [];
+  const brackets = [];
+  const indents = [0];
+  const indentChars = new Set();
+  const topLevel = [];
+  let masked = '';
+  let line = 1;
+  let atLineStart = true;
+  let expectIndent = false;
+  let lastChar = '';
+  let error = null;
+  const fail = (message, at = line) => { error = error || `Line ${at}: ${message}`; };
+
+  let i = 0;
+  while (i < script.length) {
+    const ch = script[i];
+
+    if (atLineStart && brackets.length === 0) {
+      const indent = script.slice(i).match(/^[ \t]*/)[0];
+      const next = script[i + indent.length];
+      // Blank and comment-only lines do not take part in indentation
+      if (next !== undefined && next !== '\n' && next !== '\r' && next !== '#') {
+        if (indent.length === 0) topLevel.push(line);
+        [...indent].forEach(c => indentChars.add(c));
+        if (indentChars.size > 1) fail('indentation mixes tabs and spaces');
+
+        const width = indent.length;
+        const top = indents[indents.length - 1];
+        if (expectIndent) {
+          if (width <= top) fail('expected an indented block');
+          indents.push(Math.max(width, top + 1));
+        } else if (width > top) {
+          fail('unexpected indent');
+          indents.push(width);
+        } else {
+          while (width < indents[indents.length - 1]) indents.pop();
+          if (width !== indents[indents.length - 1]) fail('unindent does not match any outer indentation level');
+        }
+        expectIndent = false;
+      }
+      atLineStart = false;
+      masked += indent;
+      i += indent.length;
+      if (next === undefined) break;
+      continue;
+    }
+
+    if (ch === '#') {
+      while (i < script.length && script[i] !== '\n') i++;
+    } else if (ch === '"' || ch === "'") {
+      const start = line;
+      const quote = script.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      let j = i + quote.length;
+      while (j < script.length && !script.startsWith(quote, j)) {
+        if (script[j] === '\\') j++;
+        else if (script[j] === '\n' && quote.length === 1) break;
+        j++;
+      }
+      if (j >= script.length || !script.startsWith(quote, j)) {
+        fail('unterminated string literal', start);
+        break;
+      }
+      const raw = script.slice(i + quote.length, j);
+      const newlines = raw.split('\n').length - 1;
+      line += newlines;
+      // Keep the masked code's line numbers in step with the script's
+      masked += `\0${strings.length}\0${'\n'.repeat(newlines)}`;
+      strings.push({ value: raw.replace(/\\(.)/g, (_, c) => ESCAPES[c] ?? c), line: start });
+      lastChar = 'string';
+      i = j + quote.length;
+    } else if (ch === '\\' && (script[i + 1] === '\n' || script[i + 1] === '\r')) {
+      // Explicit line continuation
+      i += script[i + 1] === '\r' && script[i + 2] === '\n' ? 3 : 2;
+      line++;
+      masked += ' ';
+    } else if (ch === '\n') {
+      line++;
+      masked += ch;
+      i++;
+      if (brackets.length === 0) {
+        if (lastChar) expectIndent = lastChar === ':';
+        atLineStart = true;
+        lastChar = '';
+      }
+    } else {
+      if ('([{'.includes(ch)) {
+        brackets.push({ ch, line });
+      } else if (')]}'.includes(ch)) {
+        const open = brackets.pop();
+        if (!open) fail(`unmatched '${ch}'`);
+        else if ('([{'.indexOf(open.ch) !== ')]}'.indexOf(ch)) fail(`'${ch}' does not match '${open.ch}' on line ${open.line}`);
+      }
+      if (!/\s/.test(ch)) lastChar = ch;
+      masked += ch;
+      i++;
+    }
+  }
+
+  if (brackets.length > 0) {
+    const open = brackets[brackets.length - 1];
+    fail(`'${open.ch}' was never closed`, open.line);
+  }
+  if (expectIndent) fail('expected an indented block at the end of the script');
+
+  return { masked, strings, topLevel, error };
+};
+
+// Levenshtein distance, for "did you mean" suggestions
+const distance = (a, b) => {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+};
+
+const suggest = (name, known) => {
+  const lower = name.toLowerCase();
+  const [best] = [...known]
+    .map(candidate => ({ candidate, score: candidate.toLowerCase() === lower ? 0 : distance(lower, candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= Math.max(2, Math.floor(name.length / 4)) ? ` (did you mean '${best.candidate}'?)` : '';
+};
+
+const fileName = (path) => String(path).split(/[\\/]/).pop().toLowerCase();
+
+// Polars and PySpark reads are often chained, so any normalization after the read counts
+const checkDialectNormalization = (masked, { read, normalized, variable, fix }) => {
+  const issues = [...masked.matchAll(read)]
+    .filter(match => !normalized.some(pattern => pattern.test(masked.slice(match.index))))
+    .map(match => {
+      const lineStart = masked.lastIndexOf('\n', match.index) + 1;
+      const target = masked.slice(lineStart, match.index).match(/^\s*(\w+)\s*=/)?.[1] || variable;
+      return `Line ${lineAt(masked, match.index)}: the read is not followed by ${fix(target, match[0])}`;
+    });
+
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+const checkNormalization = ({ masked }, target = 'pandas') => {
+  if (Object.hasOwn(DIALECT_READS, target)) return checkDialectNormalization(masked, DIALECT_READS[target]);
+
+  const issues = [];
+  // Inline data is written by the script itself, so its header is already what the script uses
+  const reads = [...masked.matchAll(/\bread_(?:csv|excel)\s*\((?!\s*(?:io\.)?StringIO\()/g)];
+
+  reads.forEach(read => {
+    const lineStart = masked.lastIndexOf('\n', read.index) + 1;
+    const target = masked.slice(lineStart, read.index).match(/^\s*([\w.]+)\s*=\s*(?:pd\.)?$/)?.[1];
+    const after = masked.slice(read.index);
+    const normalized = target
+      ? new RegExp(`(^|[^\\w.])${escapeRegExp(target)}\\.columns\\s*=\\s*${escapeRegExp(target)}${NORMALIZED}`).test(after)
+      : new RegExp(`\\.columns\\s*=\\s*[\\w.]+${NORMALIZED}`).test(after);
+
+    if (!normalized) {
+      const variable = target || 'df';
+      issues.push(`Line ${lineAt(masked, read.index)}: the read is not followed by ${variable}.columns = ${variable}.columns.str.lower().str.strip()`);
+    }
+  });
+
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+const checkColumns = ({ masked, strings }, result, fileMetadata) => {
+  const inputs = result.input_files || [];
+  if (inputs.length === 0) return { status: 'skipped', note: 'the script reads no files' };
+
+  const metas = inputs.map(input => fileMetadata.find(meta => meta.name.toLowerCase() === fileName(input) && meta.columns?.length > 0));
+  if (metas.some(meta => !meta)) return { status: 'skipped', note: 'not every input file was uploaded' };
+  if (RESHAPE_CALLS.test(masked)) return { status: 'skipped', note: 'the script creates columns from data values (pivot, unstack, ...)' };
+
+  const literal = (placeholder) => strings[Number(placeholder.slice(1, -1))];
+  const literalsIn = (text) => [...text.matchAll(/\0\d+\0/g)].map(match => literal(match[0]));
+  const S = String.raw`\0\d+\0`;
+  const LIST = String.raw`\[\s*${S}(?:\s*,\s*${S})*\s*,?\s*\]`;
+
+  // Names as read (usable inside read_csv/read_excel) and after normalization (everywhere)
+  const original = new Set(metas.flatMap(meta => meta.columns.map(column => String(column).trim())));
+  const normalized = new Set([...original].map(column => column.toLowerCase()));
+
+  const created = new Set();
+  const add = (target, text) => literalsIn(text).forEach(s => target.add(s.value));
+  [...masked.matchAll(new RegExp(String.raw`\[\s*(${S})\s*\]\s*=(?!=)`, 'g'))].forEach(m => add(created, m[1]));
+  [...masked.matchAll(new RegExp(String.raw`\.loc\[[^\]\n]*,\s*(${S})\s*\]\s*=(?!=)`, 'g'))].forEach(m => add(created, m[1]));
+  [...masked.matchAll(new RegExp(String.raw`\b(?:name|var_name|value_name)\s*=\s*(${S})`, 'g'))].forEach(m => add(created, m[1]));
+  [...masked.matchAll(new RegExp(String.raw`\.columns\s*=\s*(${LIST})`, 'g'))].forEach(m => add(created, m[1]));
+  [...masked.matchAll(new RegExp(String.raw`\.insert\(\s*\d+\s*,\s*(${S})`, 'g'))].forEach(m => add(created, m[1]));
+  [...masked.matchAll(/\.to_frame\(\s*(\0\d+\0)/g)].forEach(m => add(created, m[1]));
+  [...masked.matchAll(INLINE_READ)].forEach(m => literal(m[1]).value.split('\n')[0].split(',').forEach(name => created.add(name.trim())));
+  // Keyword-style outputs: assign(total=...), agg(total=('sales', 'sum'))
+  [...masked.matchAll(/\b(\w+)\s*=(?!=)/g)].forEach(m => created.add(m[1]));
+
+  // Other dict keys are usually agg/astype/fillna maps, which are too varied to check
+  const renames = [...masked.matchAll(/\brename\(\s*columns\s*=\s*\{([^}]*)\}/g)];
+  const renameSpans = renames.map(m => [m.index, m.index + m[0].length]);
+  const inRename = (index) => renameSpans.some(([start, end]) => index >= start && index < end);
+  [...masked.matchAll(new RegExp(String.raw`\{[^{}]*\}`, 'g'))]
+    .filter(m => !inRename(m.index))
+    .forEach(m => [...m[0].matchAll(new RegExp(String.raw`(${S})\s*:`, 'g'))].forEach(k => add(created, k[1])));
+
+  const references = [];
+  renames.forEach(m => [...m[1].matchAll(new RegExp(String.raw`(${S})\s*:\s*(${S})`, 'g'))].forEach(pair => {
+    references.push({ ...literal(pair[1]), index: m.index });
+    created.add(literal(pair[2]).value);
+  }));
+  [...masked.matchAll(new RegExp(String.raw`[\w)\]]\s*\[\s*(${S}|${LIST})\s*\](?!\s*=[^=])`, 'g'))]
+    .forEach(m => literalsIn(m[1]).forEach(s => references.push({ ...s, index: m.index })));
+  [...masked.matchAll(new RegExp(String.raw`\b(?:${REFERENCE_KEYWORDS.join('|')})\s*=\s*(${S}|${LIST})`, 'g'))]
+    .forEach(m => literalsIn(m[1]).forEach(s => references.push({ ...s, index: m.index })));
+
+  // Default and custom merge suffixes ('sales_x', 'sales_right')
+  const suffixes = ['_x', '_y', ...[...masked.matchAll(new RegExp(String.raw`\bsuffixes\s*=\s*[([]\s*(${S})\s*,\s*(${S})`, 'g'))]
+    .flatMap(m => [literal(m[1]).value, literal(m[2]).value])];
+
+  const readSpans = [...masked.matchAll(/\bread_(?:csv|excel)\s*\(/g)].map(m => {
+    let depth = 0;
+    let end = m.index + m[0].length - 1;
+    for (; end < masked.length; end++) {
+      if (masked[end] === '(') depth++;
+      else if (masked[end] === ')' && --depth === 0) break;
+    }
+    return [m.index, end];
+  });
+
+  const isKnown = ({ value, index }) => {
+    if (normalized.has(value) || created.has(value)) return true;
+    if (readSpans.some(([start, end]) => index >= start && index <= end) && original.has(value.trim())) return true;
+    return suffixes.some(suffix => suffix && value.endsWith(suffix) && (normalized.has(value.slice(0, -suffix.length)) || created.has(value.slice(0, -suffix.length))));
+  };
+
+  const files = metas.map(meta => meta.name).join(', ');
+  const seen = new Set();
+  const issues = references
+    .filter(reference => !isKnown(reference) && !seen.has(reference.value) && seen.add(reference.value))
+    .map(({ value, line }) => `Line ${line}: column '${value}' is not in ${files} (after lower-casing and stripping) and is not created by the script${suggest(value, normalized)}`);
+
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+// Every name an import statement mentions, with the top-level package of dotted ones:
+// import pandas as pd, os.path / from os import (path, sep)
+const importedNames = (masked) => {
+  const lists = [
+    ...[...masked.matchAll(/\bfrom\s+([\w.]+)\s+import\b/g)].map(m => m[1]),
+    ...[...masked.matchAll(/\bimport\b\s*(?:\(([^)]*)\)|([\w. \t,]+))/g)].map(m => m[1] ?? m[2])
+  ];
+  return new Set(lists
+    .flatMap(list => list.split(','))
+    .map(entry => entry.trim().split(/\s+/)[0])
+    .filter(Boolean)
+    .flatMap(name => [name, name.split('.')[0]]));
+};
+
+// Only code is searched, so a comment like "# data from os..." is not mistaken for an import
+const checkImports = ({ masked }) => {
+  const names = importedNames(masked);
+  const dynamic = new Set([...masked.matchAll(DYNAMIC_CODE)].map(([, call, name]) => (call ? `${call}()` : name)));
+  const issues = [
+    ...DANGEROUS_MODULES.filter(mod => names.has(mod)).map(mod => `The script imports ${mod}, which is not allowed; use pathlib and pandas instead`),
+    ...[...dynamic].map(name => `The script uses ${name}, which is not allowed; write the code out instead of building it from strings`)
+  ];
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+// Why a script must not run in the browser preview. Judged on the script itself, since results
+// merged or restored from history can carry checks that no longer match it.
+export const runBlockers = (script) => checkImports(scanPython(script)).issues;
+
+// Tests import the script as the module pycture_script, so it must define what they import
+// at the top level and only run its workflow under if __name__ == '__main__':
+const checkTests = ({ masked }, result) => {
+  if (!result.tests) return { status: 'skipped', note: 'no tests were generated' };
+
+  const tests = scanPython(result.tests);
+  if (tests.error) return { status: 'failed', issues: [`Tests ${tests.error.replace(/^Line/, 'line')}`] };
+
+  const issues = [];
+  if (!/^[ \t]*def test_\w*\s*\(/m.test(tests.masked)) issues.push('The tests define no test_ functions');
+
+  const defined = new Set([...masked.matchAll(/^(?:def|class)\s+(\w+)|^(\w+)\s*(?::[^=\n]*)?=/gm)].map(([, name, variable]) => name || variable));
+  for (const [, names] of tests.masked.matchAll(/^from\s+pycture_script\s+import\s+\(?([\w\s,]+)/gm)) {
+    names.split(',')
+      .map(name => name.trim().split(/\s+/)[0])
+      .filter(name => name && !defined.has(name))
+      .forEach(name => issues.push(`The tests import ${name}, which the script does not define at the top level`));
+  }
+
+  if (!/^if\s+__name__\s*==/m.test(masked)) {
+    issues.push('The script does not run its workflow under if __name__ == \'__main__\':, so importing it in the tests would run it');
+  }
+
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+/**
+ * Scan SQL for what a truncated or garbled answer leaves behind: unclosed brackets, string
+ * literals, quoted identifiers and block comments. Returns the first error found, like
+ * scanPython().
+ */
+export const scanSql = (script) => {
+  const brackets = [];
+  let line = 1;
+  let error = null;
+  const fail = (message, at = line) => { error = error || `Line ${at}: ${message}`; };
+
+  let i = 0;
+  while (i < script.length && !error) {
+    const ch = script[i];
+
+    if (script.startsWith('--', i)) {
+      while (i < script.length && script[i] !== '\n') i++;
+    } else if (script.startsWith('/*', i)) {
+      const end = script.indexOf('*/', i + 2);
+      if (end === -1) fail('unterminated /* comment');
+      else {
+        line += script.slice(i, end).split('\n').length - 1;
+        i = end + 2;
+      }
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      // Quotes inside are doubled ('it''s'), or backslash-escaped in some warehouses
+      const start = line;
+      let j = i + 1;
+      while (j < script.length) {
+        if (script[j] === '\\') j++;
+        else if (script[j] === ch) {
+          if (script[j + 1] !== ch) break;
+          j++;
+        }
+        j++;
+      }
+      if (j >= script.length) fail(ch === "'" ? 'unterminated string literal' : `unterminated ${ch}quoted${ch} identifier`, start);
+      else {
+        line += script.slice(i, j).split('\n').length - 1;
+        i = j + 1;
+      }
+    } else {
+      if (ch === '\n') line++;
+      else if (ch === '(') brackets.push(line);
+      else if (ch === ')' && brackets.pop() === undefined) fail("unmatched ')'");
+      i++;
+    }
+  }
+
+  if (brackets.length > 0) fail("'(' was never closed", brackets[brackets.length - 1]);
+  return { error };
+};
+
+/**
+ * The models in a SQL result: each starts at a "-- model: <name>" line and runs to the next.
+ * Returns [{ name, sql }].
+ */
+export const sqlModels = (script) => {
+  const headers = [...script.matchAll(/^[ \t]*--[ \t]*model:[ \t]*([\w.-]+)[^\n]*$/gim)];
+  return headers.map((header, i) => ({
+    name: header[1],
+    sql: script.slice(header.index + header[0].length, headers[i + 1]?.index ?? script.length).trim()
+  }));
+};
+
+// Every output needs a model and every model an output; names are compared without extensions
+const checkModels = (result) => {
+  const models = sqlModels(result.script);
+  if (models.length === 0) {
+    return { status: 'failed', issues: ['The SQL has no "-- model: <name>" lines; start each model with one'] };
+  }
+
+  const bare = (name) => fileName(name).replace(/\.[^.]*$/, '');
+  const outputs = (result.output_files || []).map(bare);
+  const names = models.map(model => bare(model.name));
+
+  const issues = [
+    ...models.filter(model => !/\bselect\b/i.test(model.sql)).map(model => `The model ${model.name} has no select`),
+    ...outputs.filter(output => !names.includes(output)).map(output => `output_files lists ${output}, but no model is named ${output}`),
+    ...models.filter((model, i) => !outputs.includes(names[i])).map(model => `The model ${model.name} is not listed in output_files`)
+  ];
+  return { status: issues.length > 0 ? 'failed' : 'passed', issues };
+};
+
+const makeCheck = (id, { status, issues = [], note }) => ({ id, label: CHECK_LABELS[id], status, issues, fixed: [], note });
+
+// The schema check as failed by the server, from the fields of its error event
+export const schemaFailure = (error) => makeCheck('schema', {
+  status: 'failed',
+  issues: error.fields.length > 0 ? error.fields.map(({ path, message }) => `${path} ${message}`) : [error.message]
+});
+
+/**
+ * Run every check on a result the server already validated against the schema.
+ * fileMetadata is the uploaded files' metadata, for column names. result.target picks the
+ * checks (pandas when it is missing).
+ * Returns [{ id, label, status: 'passed' | 'failed' | 'skipped', issues, fixed, note }].
+ */
+export const checkResult = (result, fileMetadata = []) => {
+  const target = result.target || 'pandas';
+
+  if (target === 'sql') {
+    const { error } = scanSql(result.script);
+    return [
+      makeCheck('schema', { status: 'passed' }),
+      makeCheck('sqlSyntax', error ? { status: 'failed', issues: [error] } : { status: 'passed' }),
+      makeCheck('models', checkModels(result))
+    ];
+  }
+
+  const scan = scanPython(result.script);
+  return [
+    makeCheck('schema', { status: 'passed' }),
+    makeCheck('syntax', scan.error ? { status: 'failed', issues: [scan.error] } : { status: 'passed' }),
+    makeCheck('normalization', checkNormalization(scan, target)),
+    makeCheck('columns', target === 'pandas'
+      ? checkColumns(scan, result, fileMetadata)
+      : { status: 'skipped', note: 'column names are only checked in pandas scripts' }),
+    makeCheck('imports', checkImports(scan)),
+    makeCheck('tests', checkTests(scan, result))
+  ];
+};
+
+export const failedChecks = (checks) => checks.filter(check => check.status === 'failed');
+
+/**
+ * Carry fixes forward: every issue found by the previous attempt that this attempt no
+ * longer has is recorded as fixed on its check.
+ */
+export const recordFixes = (checks, previous = []) => checks.map(check => {
+  const before = previous.find(p => p.id === check.id);
+  if (!before) return check;
+  const resolved = before.issues.filter(issue => !check.issues.includes(issue));
+  return { ...check, fixed: [...before.fixed, ...resolved] };
+});
+
+// The repair request's account of a rejected answer: its script and tests (none when the
+// server rejected it before it could be checked) and one line per problem found
+export const repairInput = (previous, checks) => ({
+  script: previous?.script,
+  tests: previous?.tests,
+  problems: failedChecks(checks).flatMap(check => check.issues.map(issue => `${check.label}: ${issue}`))
+});
@@ -0,0 +1,148 @@
+import { describe, expect, it } from 'vitest';
+import { checkResult, runBlockers, scanPython, scanSql, sqlModels, recordFixes, repairInput } from './scriptChecks.js';
+
+const SCRIPT = `import pandas as pd
+
+df = pd.read_csv('sales.csv')
+df.columns = df.columns.str.lower().str.strip()
+df['total'] = df['amount'] * 2
+df.to_csv('out.csv', index=False)
+`;
+
+const check = (id, result, fileMetadata) => checkResult({ script: SCRIPT, ...result }, fileMetadata).find(c => c.id === id);
+const importIssues = (script) => check('imports', { script }).issues;
+
+describe('scanPython', () => {
+  it('masks strings and comments on the same lines', () => {
+    const { masked, strings, error } = scanPython("x = 'a#b'  # note\ny = \"\"\"two\nlines\"\"\"\n");
+    expect(error).toBeNull();
+    expect(masked).toBe('x = \u00000\u0000  \ny = \u00001\u0000\n\n');
+    expect(strings).toEqual([{ value: 'a#b', line: 1 }, { value: 'two\nlines', line: 2 }]);
+  });
+
+  it('reports the first bracket, string or indentation error', () => {
+    expect(scanPython('print((1)\n').error).toBe("Line 1: '(' was never closed");
+    expect(scanPython("s = 'open\n").error).toBe('Line 1: unterminated string literal');
+    expect(scanPython('if x:\npass\n').error).toBe('Line 2: expected an indented block');
+  });
+});
+
+describe('checkResult', () => {
+  it('passes a script that normalizes its reads and uses known columns', () => {
+    const checks = checkResult({ script: SCRIPT, input_files: ['sales.csv'] }, [{ name: 'sales.csv', columns: ['Amount '] }]);
+    expect(checks.map(c => [c.id, c.status])).toEqual([
+      ['schema', 'passed'],
+      ['syntax', 'passed'],
+      ['normalization', 'passed'],
+      ['columns', 'passed'],
+      ['imports', 'passed'],
+      ['tests', 'skipped']
+    ]);
+  });
+
+  it('flags reads whose columns are not normalized', () => {
+    expect(check('normalization', { script: "sales = pd.read_excel('a.xlsx')\n" }).issues).toEqual([
+      'Line 1: the read is not followed by sales.columns = sales.columns.str.lower().str.strip()'
+    ]);
+  });
+
+  it('suggests the closest uploaded column for an unknown one', () => {
+    const result = { script: SCRIPT.replace("df['amount']", "df['amout']"), input_files: ['sales.csv'] };
+    expect(checkResult(result, [{ name: 'sales.csv', columns: ['Amount'] }]).find(c => c.id === 'columns').issues).toEqual([
+      "Line 5: column 'amout' is not in sales.csv (after lower-casing and stripping) and is not created by the script (did you mean 'amount'?)"
+    ]);
+  });
+});
+
+describe('imports check', () => {
+  it('finds dangerous modules anywhere in a comma-separated import', () => {
+    expect(importIssues('import pandas, os\n')).toHaveLength(1);
+    expect(importIssues('import pandas as pd, subprocess\n')[0]).toMatch(/imports subprocess/);
+    expect(importIssues('import os.path as p, sys\n').map(issue => issue.split(',')[0])).toEqual([
+      'The script imports os',
+      'The script imports sys'
+    ]);
+  });
+
+  it('blocks the modules that reach the browser from Pyodide', () => {
+    expect(importIssues('from js import document\nimport pyodide.http\nimport micropip, pyodide_js\n').map(issue => issue.split(',')[0])).toEqual([
+      'The script imports js',
+      'The script imports pyodide',
+      'The script imports pyodide_js',
+      'The script imports micropip'
+    ]);
+  });
+
+  it('ignores comments, strings and names that only start with a module name', () => {
+    expect(importIssues("import pandas as pd  # not os\nimport osmnx, jsonschema\nlabel = 'import os'\n")).toEqual([]);
+  });
+
+  it('finds modules and builtins that import or run code named by a string', () => {
+    expect(importIssues("x = __import__('js')\n")).toEqual([
+      'The script uses __import__(), which is not allowed; write the code out instead of building it from strings'
+    ]);
+    expect(importIssues("import importlib; importlib.import_module('pyodide')\nfrom builtins import open\n").map(issue => issue.split(',')[0])).toEqual([
+      'The script imports importlib',
+      'The script imports builtins'
+    ]);
+    expect(importIssues("eval('1+1')\nexec (code)\nf = __builtins__.open\n").map(issue => issue.split(',')[0])).toEqual([
+      'The script uses eval()',
+      'The script uses exec()',
+      'The script uses __builtins__'
+    ]);
+  });
+
+  it('leaves pandas eval and names in strings alone', () => {
+    expect(importIssues("df = df.eval('total = a + b')\nn = pd.eval('1 + 1')\nprint('eval(x)')  # exec(y)\nevaluate(df)\n")).toEqual([]);
+  });
+});
+
+describe('runBlockers', () => {
+  it('judges the script, not the checks it was saved with', () => {
+    expect(runBlockers("import pandas as pd\nprint('ok')\n")).toEqual([]);
+    expect(runBlockers('import js\njs.fetch("/api")\n')).toEqual(['The script imports js, which is not allowed; use pathlib and pandas instead']);
+  });
+});
+
+describe('tests check', () => {
+  const STRUCTURED = 'import pandas as pd\n\ndef load():\n    return 1\n\ndef main():\n    load()\n\nif __name__ == \'__main__\':\n    main()\n';
+
+  it('passes tests that import what the script defines', () => {
+    expect(check('tests', { script: STRUCTURED, tests: 'from pycture_script import load\n\ndef test_load():\n    assert load() == 1\n' }).status).toBe('passed');
+  });
+
+  it('flags missing definitions and a script that runs on import', () => {
+    expect(check('tests', { tests: 'from pycture_script import load\n\ndef test_load():\n    pass\n' }).issues).toEqual([
+      'The tests import load, which the script does not define at the top level',
+      "The script does not run its workflow under if __name__ == '__main__':, so importing it in the tests would run it"
+    ]);
+  });
+});
+
+describe('SQL checks', () => {
+  const SQL = '-- model: totals.csv\nselect region, sum(amount) from sales group by region\n-- model: notes\nselect \'it\'\'s\'\n';
+
+  it('splits models at their headers', () => {
+    expect(sqlModels(SQL).map(model => model.name)).toEqual(['totals.csv', 'notes']);
+  });
+
+  it('matches models to outputs and finds unclosed SQL', () => {
+    expect(checkResult({ target: 'sql', script: SQL, output_files: ['totals.csv'] }).find(c => c.id === 'models').issues).toEqual([
+      'The model notes is not listed in output_files'
+    ]);
+    expect(scanSql('select (1 /* open').error).toBe('Line 1: unterminated /* comment');
+  });
+});
+
+describe('repair loop', () => {
+  it('records fixed issues and describes the remaining problems', () => {
+    const before = checkResult({ script: 'import os\n' });
+    const after = recordFixes(checkResult({ script: 'import sys\n' }), before);
+    const imports = after.find(c => c.id === 'imports');
+
+    expect(imports.fixed).toEqual(['The script imports os, which is not allowed; use pathlib and pandas instead']);
+    expect(repairInput({ script: 'import sys\n' }, after).problems).toEqual([
+      'No unauthorized imports: The script imports sys, which is not allowed; use pathlib and pandas instead'
+    ]);
+  });
+});
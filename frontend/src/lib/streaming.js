@@ -0,0 +1,151 @@
+// Helpers for consuming the generate function's event stream and the partial JSON it carries
+
+// Call onEvent(event, data) for each SSE event in a fetch response; data is parsed JSON
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+};
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const LITERAL = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/;
+
+/**
+ * Parse a JSON document that may be cut off at any point.
+ * Unterminated strings keep the text received so far; incomplete keys,
+ * numbers and literals are dropped. Returns undefined if nothing usable arrived.
+ */
+export const parsePartialJson = (text) => {
+  let pos = text.indexOf('{');
+  if (pos === -1) return undefined;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseString = () => {
+    let value = '';
+    pos++;
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '"') {
+        pos++;
+        return { value, complete: true };
+      }
+      if (ch === '\\') {
+        const next = text[pos + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = text.slice(pos + 2, pos + 6);
+          if (hex.length < 4) break;
+          value += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+        } else {
+          value += ESCAPES[next] ?? next;
+          pos += 2;
+        }
+        continue;
+      }
+      value += ch;
+      pos++;
+    }
+    pos = text.length;
+    return { value, complete: false };
+  };
+
+  const parseLiteral = () => {
+    const match = text.slice(pos).match(LITERAL);
+    // A literal is only done once a delimiter follows; until then it may still be growing (12 -> 123, 0. -> 0.5, fal -> false)
+    if (!match || !/[\s,\]}]/.test(text[pos + match[0].length] ?? '')) {
+      pos = text.length;
+      return undefined;
+    }
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+
+  const parseArray = () => {
+    const items = [];
+    pos++;
+    while (true) {
+      skipWhitespace();
+      if (pos >= text.length) return items;
+      if (text[pos] === ']') {
+        pos++;
+        return items;
+      }
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      const value = parseValue();
+      if (value !== undefined) items.push(value);
+    }
+  };
+
+  const parseObject = () => {
+    const object = {};
+    pos++;
+    while (true) {
+      skipWhitespace();
+      if (pos >= text.length) return object;
+      if (text[pos] === '}') {
+        pos++;
+        return object;
+      }
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] !== '"') {
+        pos = text.length;
+        return object;
+      }
+      const key = parseString();
+      skipWhitespace();
+      if (!key.complete || text[pos] !== ':') {
+        pos = text.length;
+        return object;
+      }
+      pos++;
+      const value = parseValue();
+      if (value !== undefined) object[key.value] = value;
+    }
+  };
+
+  function parseValue() {
+    skipWhitespace();
+    if (pos >= text.length) return undefined;
+    if (text[pos] === '{') return parseObject();
+    if (text[pos] === '[') return parseArray();
+    if (text[pos] === '"') return parseString().value;
+    return parseLiteral();
+  }
+
+  return parseObject();
+};
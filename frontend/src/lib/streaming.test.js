@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { parsePartialJson } from './streaming.js';
+
+const RESULT = {
+  script: 'print("a\\tb")\n',
+  steps: [{ description: 'Load', code: "df = pd.read_csv('in.csv')" }, { description: 'Save', code: 'df.to_csv(out)' }],
+  assumptions: [],
+  confidence: 0.85,
+  complete: true,
+  note: null
+};
+
+describe('parsePartialJson', () => {
+  it('parses complete documents and skips text before them', () => {
+    expect(parsePartialJson(`Here it is: ${JSON.stringify(RESULT)}`)).toEqual(RESULT);
+    expect(parsePartialJson('no JSON yet')).toBeUndefined();
+  });
+
+  it('keeps the text of a string cut off part way', () => {
+    expect(parsePartialJson('{"script": "import pandas as')).toEqual({ script: 'import pandas as' });
+    expect(parsePartialJson('{"script": "')).toEqual({ script: '' });
+  });
+
+  it('drops keys until their colon arrives', () => {
+    expect(parsePartialJson('{"script": "x", "ste')).toEqual({ script: 'x' });
+    expect(parsePartialJson('{"script": "x", "steps"')).toEqual({ script: 'x' });
+    expect(parsePartialJson('{"script": "x", "steps":')).toEqual({ script: 'x' });
+  });
+
+  it('decodes escapes and waits for the rest of one that is cut off', () => {
+    expect(parsePartialJson('{"s": "a\\"b\\\\c\\nd\\u00e9"}')).toEqual({ s: 'a"b\\c\ndé' });
+    expect(parsePartialJson('{"s": "line\\')).toEqual({ s: 'line' });
+    expect(parsePartialJson('{"s": "caf\\u00')).toEqual({ s: 'caf' });
+  });
+
+  it('drops numbers and literals that may still be growing', () => {
+    expect(parsePartialJson('{"confidence": 0.8')).toEqual({});
+    expect(parsePartialJson('{"confidence": 0.')).toEqual({});
+    expect(parsePartialJson('{"confidence": 1e')).toEqual({});
+    expect(parsePartialJson('{"confidence": 0.85,')).toEqual({ confidence: 0.85 });
+    expect(parsePartialJson('{"complete": fal')).toEqual({});
+    expect(parsePartialJson('{"complete": false}')).toEqual({ complete: false });
+  });
+
+  it('returns the nested arrays and objects received so far', () => {
+    expect(parsePartialJson('{"steps": [{"description": "Load", "code": "df = pd.re')).toEqual({
+      steps: [{ description: 'Load', code: 'df = pd.re' }]
+    });
+    expect(parsePartialJson('{"steps": [{"description": "Load"}, {')).toEqual({ steps: [{ description: 'Load' }, {}] });
+    expect(parsePartialJson('{"a": [[1, 2], [3')).toEqual({ a: [[1, 2], []] });
+    expect(parsePartialJson('{"a": {"b": {"c": [true, "x')).toEqual({ a: { b: { c: [true, 'x'] } } });
+  });
+
+  it('never throws and only grows as more text arrives', () => {
+    const text = JSON.stringify(RESULT, null, 2);
+    let previous = {};
+    for (let end = 1; end <= text.length; end++) {
+      const parsed = parsePartialJson(text.slice(0, end));
+      expect(parsed).toBeTypeOf('object');
+      // Every complete key seen earlier is still there
+      Object.keys(previous).forEach(key => expect(parsed).toHaveProperty(key));
+      previous = parsed;
+    }
+    expect(previous).toEqual(RESULT);
+  });
+});
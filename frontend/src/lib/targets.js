@@ -0,0 +1,57 @@
+// What a conversion can be generated as. The ids match the target option the server's prompt
+// templates accept (OPTIONS_INPUT in netlify/lib/schema.mjs); results record theirs in result.target.
+
+import { SCRIPT_NAME } from './projectBundle.js';
+
+export const TARGETS = {
+  pandas: {
+    label: 'pandas',
+    description: 'Python with pandas, for files that fit in memory',
+    artifact: 'Python Script',
+    icon: '🐍',
+    language: 'python',
+    extension: '.py',
+    packages: ['pandas'],
+    // Run Preview loads pandas in the browser; the other targets only run on the user's machine
+    preview: true
+  },
+  polars: {
+    label: 'Polars',
+    description: 'Python with the Polars lazy API, for large files on one machine',
+    artifact: 'Polars Script',
+    icon: '🐻‍❄️',
+    language: 'python',
+    extension: '.py',
+    packages: ['polars']
+  },
+  pyspark: {
+    label: 'PySpark',
+    description: 'Spark DataFrame code, for data that needs a cluster',
+    artifact: 'PySpark Script',
+    icon: '✨',
+    language: 'python',
+    extension: '.py',
+    packages: ['pyspark']
+  },
+  sql: {
+    label: 'SQL',
+    description: 'ANSI SQL models in dbt style, to run in your warehouse',
+    artifact: 'SQL Models',
+    icon: '🗄️',
+    language: 'sql',
+    extension: '.sql'
+  }
+};
+
+export const DEFAULT_TARGET = 'pandas';
+
+// Results from before targets existed, and offline conversions, are pandas
+export const targetOf = (result) => (Object.hasOwn(TARGETS, result?.target ?? '') ? result.target : DEFAULT_TARGET);
+
+export const isPython = (target) => TARGETS[target].language === 'python';
+
+export const scriptName = (target) => SCRIPT_NAME.replace(/\.py$/, TARGETS[target].extension);
+
+// The table an input file is loaded into for the SQL target: its lower-cased name without the
+// extension, other characters replaced by "_" (the v3 prompt template follows the same rule)
+export const tableName = (fileName) => fileName.replace(/\.[^.]*$/, '').toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
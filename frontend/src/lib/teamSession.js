@@ -0,0 +1,33 @@
+// Organisation mode, where the server holds the API key and members sign in with a team token
+// (netlify/functions/session.mjs). The session is an HttpOnly cookie the page never reads.
+
+const SESSION_URL = '/.netlify/functions/session';
+
+// Servers without organisation mode, and dev servers without the functions, bring their own keys
+export const NO_ORG = { org: false };
+
+const sessionRequest = async (method, body) => {
+  const response = await fetch(SESSION_URL, {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw Object.assign(new Error(data?.error?.message || `Sign-in error: ${response.status}`), {
+      configuration: Boolean(data?.error?.configuration)
+    });
+  }
+  return data ?? {};
+};
+
+// { org: true, user, provider, model, budget: { limit } | null }, or NO_ORG. A server whose
+// organisation settings are broken gives { org: true, error } so the app can say so.
+export const fetchSession = () => sessionRequest('GET')
+  .then(session => (session.org ? session : NO_ORG))
+  .catch(error => (error.configuration ? { org: true, error: error.message } : NO_ORG));
+
+// Resolves to the signed-in user's name; rejects with the server's message for a wrong token
+export const signIn = (token) => sessionRequest('POST', { token }).then(({ user }) => user);
+
+export const signOut = () => sessionRequest('DELETE');
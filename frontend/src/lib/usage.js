@@ -0,0 +1,56 @@
+// Tokens spent on the model and what they cost. The generate function reports each request's
+// { usage, cost }; the prices it uses (netlify/lib/pricing.mjs) come from the prices function,
+// in US dollars per million tokens, so the app can estimate a request before sending it.
+
+import { priceOf, costOf } from '../../../netlify/lib/pricing.mjs';
+
+export { priceOf };
+
+const PRICES_URL = '/.netlify/functions/prices';
+
+// {} when the function is unreachable (e.g. the Vite dev server), so costs are simply unknown
+export const fetchPrices = () => fetch(PRICES_URL)
+  .then(response => (response.ok ? response.json() : {}))
+  .then(data => data.prices || {})
+  .catch(() => ({}));
+
+// unpriced counts requests whose model has no price, whose cost is missing from cost
+export const EMPTY_USAGE = { requests: 0, input_tokens: 0, output_tokens: 0, cost: 0, unpriced: 0 };
+
+// Add one request's { usage, cost } to a total
+export const addUsage = (total, { usage = {}, cost = null }) => ({
+  requests: total.requests + 1,
+  input_tokens: total.input_tokens + (usage.input_tokens || 0),
+  output_tokens: total.output_tokens + (usage.output_tokens || 0),
+  cost: total.cost + (cost ?? 0),
+  unpriced: total.unpriced + (cost === null ? 1 : 0)
+});
+
+// About four characters per token for English, code and JSON
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// The templates wrap a request in the conversion guide and the tool reference
+const PROMPT_TOKENS = 2000;
+// The answer before this session has any to go by: a mid-sized script with its steps
+const DEFAULT_OUTPUT_TOKENS = 4000;
+
+/**
+ * Rough { input_tokens, output_tokens, cost } of sending a request ({ task, input, repair? }),
+ * judging the answer by this session's average so far. cost is null without a price.
+ */
+export const estimateRequest = (request, price, total = EMPTY_USAGE) => {
+  const input_tokens = estimateTokens(JSON.stringify(request)) + PROMPT_TOKENS;
+  const output_tokens = total.requests > 0 ? Math.ceil(total.output_tokens / total.requests) : DEFAULT_OUTPUT_TOKENS;
+  return { input_tokens, output_tokens, cost: costOf(price, { input_tokens, output_tokens }) };
+};
+
+export const formatCost = (cost) => (cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`);
+
+// "$0.09", with "+" when some requests had no price; null when none had one
+export const formatUsageCost = (usage) => (usage.requests > 0 && usage.unpriced === usage.requests
+  ? null
+  : `${formatCost(usage.cost)}${usage.unpriced > 0 ? '+' : ''}`);
+
+// "12,345 in / 3,210 out tokens · $0.09"
+export const formatUsage = (usage) =>
+  `${usage.input_tokens.toLocaleString()} in / ${usage.output_tokens.toLocaleString()} out tokens · ${formatUsageCost(usage) ?? 'cost unknown'}`;
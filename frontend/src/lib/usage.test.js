@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_USAGE, addUsage, estimateRequest, formatCost, formatUsage, formatUsageCost } from './usage.js';
+
+const SONNET = { input: 3, output: 15 };
+
+describe('addUsage', () => {
+  it('adds tokens and costs, counting requests without a price', () => {
+    const total = [
+      { usage: { input_tokens: 12000, output_tokens: 4000 }, cost: 0.096 },
+      { usage: { input_tokens: 1000 }, cost: null },
+      {}
+    ].reduce(addUsage, EMPTY_USAGE);
+    expect(total).toEqual({ requests: 3, input_tokens: 13000, output_tokens: 4000, cost: 0.096, unpriced: 2 });
+  });
+});
+
+describe('estimateRequest', () => {
+  const request = { task: 'generate', input: { requirement: 'x'.repeat(3994) } };
+
+  it('prices the prompt and a default answer before any request', () => {
+    // The request's JSON is 4,040 characters: 1,010 tokens plus 2,000 for the template
+    expect(estimateRequest(request, SONNET)).toEqual({ input_tokens: 3010, output_tokens: 4000, cost: 0.06903 });
+  });
+
+  it("judges the answer by the session's average", () => {
+    const total = { ...EMPTY_USAGE, requests: 2, output_tokens: 3001 };
+    expect(estimateRequest(request, SONNET, total)).toMatchObject({ output_tokens: 1501, cost: 0.031545 });
+  });
+
+  it('has no cost without a price', () => {
+    expect(estimateRequest(request, null).cost).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it('shows costs in dollars, with small ones as under a cent', () => {
+    expect(formatCost(0)).toBe('$0.00');
+    expect(formatCost(0.004)).toBe('<$0.01');
+    expect(formatCost(1.234)).toBe('$1.23');
+  });
+
+  it('marks totals that leave out unpriced requests', () => {
+    const usage = { requests: 2, input_tokens: 12345, output_tokens: 3210, cost: 0.09, unpriced: 1 };
+    expect(formatUsageCost(usage)).toBe('$0.09+');
+    expect(formatUsage(usage)).toBe('12,345 in / 3,210 out tokens · $0.09+');
+    expect(formatUsage({ ...usage, cost: 0, unpriced: 2 })).toBe('12,345 in / 3,210 out tokens · cost unknown');
+  });
+});
@@ -0,0 +1,99 @@
+// Minimal ZIP archive writer: stored (uncompressed) entries with UTF-8 names and Unix permissions
+
+let crcTable = null;
+
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields, in local time with two-second precision
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const UTF8_NAMES = 0x0800;
+const VERSION = 20;
+// "Made by" Unix, so extractors apply the permission bits in the external attributes
+const MADE_BY_UNIX = (3 << 8) | VERSION;
+const FILE_MODE = 0o100644;
+const EXECUTABLE_MODE = 0o100755;
+const DIRECTORY_MODE = 0o040755;
+const MS_DOS_DIRECTORY = 0x10;
+
+// Stored entries keep 32-bit sizes and offsets, so an archive cannot reach 4 GB
+const MAX_ZIP_SIZE = 0xffffffff;
+
+/**
+ * Build a ZIP archive as a Blob. Each entry is { name, data, executable } where data is a
+ * string (written as UTF-8) or a Uint8Array; a name ending in "/" with no data is a folder.
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data = '', executable = false }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const isDirectory = name.endsWith('/');
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, UTF8_NAMES, true);
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const mode = isDirectory ? DIRECTORY_MODE : (executable ? EXECUTABLE_MODE : FILE_MODE);
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, MADE_BY_UNIX, true);
+    header.setUint16(6, VERSION, true);
+    header.setUint16(8, UTF8_NAMES, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, bytes.length, true);
+    header.setUint32(24, bytes.length, true);
+    header.setUint16(28, nameBytes.length, true);
+    // Extra field and comment lengths, disk number and internal attributes stay 0
+    header.setUint32(38, ((mode << 16) | (isDirectory ? MS_DOS_DIRECTORY : 0)) >>> 0, true);
+    header.setUint32(42, offset, true);
+
+    parts.push(local, nameBytes, bytes);
+    central.push(header, nameBytes);
+    offset += 30 + nameBytes.length + bytes.length;
+    if (offset > MAX_ZIP_SIZE) throw new Error('The project is too large to zip (over 4 GB)');
+  });
+
+  const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
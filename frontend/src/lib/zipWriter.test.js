@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { createZip } from './zipWriter.js';
+
+// Read the entries back from the central directory, as an extractor would
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const entries = [];
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    const size = view.getUint32(at + 24, true);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    entries.push({
+      name: new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength)),
+      crc: view.getUint32(at + 16, true),
+      mode: view.getUint32(at + 38, true) >>> 16,
+      flags: view.getUint16(local + 6, true),
+      data: new TextDecoder().decode(bytes.subarray(dataStart, dataStart + size))
+    });
+    at += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('createZip', () => {
+  it('stores each entry with its name, contents and checksum', async () => {
+    const zip = createZip([{ name: 'check.txt', data: '123456789' }, { name: 'données/ré.csv', data: new TextEncoder().encode('a,b\n') }]);
+    expect(zip.type).toBe('application/zip');
+
+    const [check, data] = await readZip(zip);
+    expect(check).toMatchObject({ name: 'check.txt', data: '123456789', crc: 0xcbf43926 });
+    expect(data).toMatchObject({ name: 'données/ré.csv', data: 'a,b\n', flags: 0x0800 });
+  });
+
+  it('marks folders and executables with Unix permissions', async () => {
+    const entries = await readZip(createZip([
+      { name: 'project/' },
+      { name: 'project/run.sh', data: '#!/bin/sh\n', executable: true },
+      { name: 'project/README.md', data: '# Project\n' }
+    ]));
+    expect(entries.map(entry => [entry.name, entry.mode.toString(8)])).toEqual([
+      ['project/', '40755'],
+      ['project/run.sh', '100755'],
+      ['project/README.md', '100644']
+    ]);
+  });
+
+  it('writes an empty archive', async () => {
+    const zip = createZip([]);
+    expect(zip.size).toBe(22);
+    expect(await readZip(zip)).toEqual([]);
+  });
+});
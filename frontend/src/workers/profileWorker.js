@@ -0,0 +1,106 @@
+// Reads and profiles uploaded files off the main thread. Receives one task:
+// { task: 'workbook', file } describes a workbook's sheets (see describeSheets), and
+// { task: 'profile', file, columns, delimiter?, quotechar?, sheet?, headerRow? } profiles every row.
+// Posts { type: 'progress', loaded, total } while reading (loaded is null while a workbook is
+// parsed), then replies with { type: 'result', result } or { type: 'error', message }.
+import { CsvParser, detectEncoding } from '../lib/csvParser.js';
+import { ColumnProfiler } from '../lib/columnProfile.js';
+import { describeSheets } from '../lib/excelWorkbook.js';
+
+// At most one progress message per interval, so a fast read does not flood the main thread
+const PROGRESS_INTERVAL = 100;
+let lastProgress = 0;
+
+const reportProgress = (loaded, total, force = false) => {
+  if (!force && Date.now() - lastProgress < PROGRESS_INTERVAL) return;
+  lastProgress = Date.now();
+  self.postMessage({ type: 'progress', loaded, total });
+};
+
+const profileCsv = async ({ file, columns, delimiter, quotechar }) => {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+  const { decoder } = detectEncoding(head, file.size > head.length);
+
+  const parser = new CsvParser({ delimiter, quote: quotechar });
+  const profiler = new ColumnProfiler(columns);
+  // Decode chunk by chunk rather than through a TextDecoderStream so bytes read can be counted
+  const textDecoder = new TextDecoder(decoder);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  let header = true;
+
+  const addRecords = (records) => {
+    records.forEach(record => {
+      // Skip the header and blank lines, as pandas does
+      if (header) {
+        header = false;
+      } else if (record.length > 1 || record[0].trim() !== '') {
+        profiler.add(record);
+      }
+    });
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.length;
+    addRecords(parser.push(textDecoder.decode(value, { stream: true })));
+    reportProgress(loaded, file.size);
+  }
+  addRecords(parser.push(textDecoder.decode()));
+  addRecords(parser.flush());
+  reportProgress(file.size, file.size, true);
+
+  return profiler.finish();
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// SheetJS builds dates in local time, so format them from local fields
+const formatCell = (value) => {
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    return time === '00:00:00' ? date : `${date} ${time}`;
+  }
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return value;
+};
+
+const profileExcel = async ({ file, columns, sheet, headerRow = 0 }) => {
+  reportProgress(null, file.size, true);
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', dense: true, cellDates: true, sheets: [sheet] });
+  const worksheet = workbook.Sheets[sheet];
+  const profiler = new ColumnProfiler(columns);
+  if (!worksheet?.['!ref']) return profiler.finish();
+
+  // Same A1-based row indexing as the header row picker
+  const rows = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    raw: true,
+    defval: null,
+    blankrows: false,
+    range: { s: { r: headerRow + 1, c: 0 }, e: XLSX.utils.decode_range(worksheet['!ref']).e }
+  });
+  rows.forEach(row => profiler.add(row.map(formatCell)));
+
+  return profiler.finish();
+};
+
+const readSheets = async ({ file }) => {
+  reportProgress(null, file.size, true);
+  const XLSX = await import('xlsx');
+  return describeSheets(XLSX, await file.arrayBuffer());
+};
+
+const profile = (data) => (data.sheet ? profileExcel(data) : profileCsv(data));
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = data.task === 'workbook' ? await readSheets(data) : await profile(data);
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
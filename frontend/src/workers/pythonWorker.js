@@ -0,0 +1,152 @@
+// Runs a generated script in Pyodide (WebAssembly Python) with pandas.
+// Receives { type: 'run', script, files: [{ name, data }] } and posts
+// { type: 'status', message }, { type: 'stdout' | 'stderr', text } while running, then
+// { type: 'result', ok, error, outputs: [{ name, data, preview }] }.
+
+// Served from public/pyodide/ (see scripts/setup-pyodide.mjs), not bundled
+const PYODIDE_URL = new URL('/pyodide/', self.location.origin).href;
+
+// Reads the first rows of an output file for the results table
+const PREVIEW_HELPER = `
+import json
+import pandas as pd
+
+def _pycture_preview(path, rows=20):
+    ext = path.rsplit('.', 1)[-1].lower()
+    if ext in ('csv', 'txt'):
+        df = pd.read_csv(path, nrows=rows)
+    elif ext in ('xlsx', 'xls'):
+        df = pd.read_excel(path, nrows=rows)
+    elif ext == 'json':
+        df = pd.read_json(path).head(rows)
+    elif ext == 'parquet':
+        df = pd.read_parquet(path).head(rows)
+    else:
+        return None
+    return json.dumps({
+        'columns': [str(c) for c in df.columns],
+        'rows': df.astype(str).where(df.notna(), '').values.tolist()
+    })
+`;
+
+// Generated scripts must not reach the page: js.fetch would send same-origin requests with
+// the user's cookies. Installed once the runtime is set up; micropip and the package loader
+// keep working through the references the JavaScript side already holds.
+const BLOCK_PAGE_IMPORTS = `
+def _pycture_block_imports(blocked):
+    import sys
+
+    class BlockedImports:
+        def find_spec(self, name, path=None, target=None):
+            if name.split('.')[0] in blocked:
+                raise ModuleNotFoundError(f"No module named '{name}'; generated scripts cannot reach the page", name=name)
+            return None
+
+    for name in [name for name in sys.modules if name.split('.')[0] in blocked]:
+        del sys.modules[name]
+    sys.meta_path.insert(0, BlockedImports())
+
+
+_pycture_block_imports({'js', 'pyodide', 'pyodide_js', '_pyodide', 'micropip'})
+del _pycture_block_imports
+`;
+
+let runtime = null;
+let runCount = 0;
+
+const status = (message) => self.postMessage({ type: 'status', message });
+
+// Load Pyodide and pandas once per worker; later runs reuse them
+const loadRuntime = () => {
+  if (!runtime) {
+    runtime = (async () => {
+      status('Loading Python runtime...');
+      let loadPyodide;
+      try {
+        ({ loadPyodide } = await import(/* @vite-ignore */ `${PYODIDE_URL}pyodide.mjs`));
+      } catch {
+        throw new Error('The Python runtime is not installed on this site. Run `npm run setup:pyodide` before building.');
+      }
+      const pyodide = await loadPyodide({ indexURL: PYODIDE_URL });
+
+      status('Loading pandas...');
+      await pyodide.loadPackage(['pandas', 'micropip']);
+
+      // openpyxl is optional: without it only Excel reads and writes fail
+      const wheels = await fetch(`${PYODIDE_URL}extra-wheels.json`).then(r => (r.ok ? r.json() : [])).catch(() => []);
+      if (wheels.length > 0) {
+        const micropip = pyodide.pyimport('micropip');
+        await micropip.install(wheels.map(wheel => `${PYODIDE_URL}${wheel}`));
+      }
+
+      await pyodide.runPythonAsync(PREVIEW_HELPER);
+      await pyodide.runPythonAsync(BLOCK_PAGE_IMPORTS);
+      return pyodide;
+    })();
+    // Let a later run retry after a failed load
+    runtime.catch(() => { runtime = null; });
+  }
+  return runtime;
+};
+
+const listFiles = (FS, dir) => {
+  if (!FS.analyzePath(dir).exists) return [];
+  return FS.readdir(dir)
+    .filter(name => name !== '.' && name !== '..')
+    .flatMap(name => {
+      const path = `${dir}/${name}`;
+      return FS.isDir(FS.stat(path).mode) ? listFiles(FS, path) : [path];
+    });
+};
+
+const run = async ({ script, files }) => {
+  const pyodide = await loadRuntime();
+  const { FS } = pyodide;
+
+  // A fresh working directory per run, so outputs from earlier runs do not show up
+  const workdir = `/home/pyodide/run-${++runCount}`;
+  FS.mkdirTree(`${workdir}/input_files`);
+  files.forEach(({ name, data }) => FS.writeFile(`${workdir}/input_files/${name}`, new Uint8Array(data)));
+  FS.chdir(workdir);
+
+  pyodide.setStdout({ batched: text => self.postMessage({ type: 'stdout', text }) });
+  pyodide.setStderr({ batched: text => self.postMessage({ type: 'stderr', text }) });
+
+  status('Running script...');
+  let error = null;
+  const globals = pyodide.toPy({ __name__: '__main__' });
+  try {
+    await pyodide.loadPackagesFromImports(script);
+    await pyodide.runPythonAsync(script, { globals });
+  } catch (err) {
+    // PythonError messages carry the full traceback
+    error = err.message;
+  } finally {
+    globals.destroy();
+  }
+
+  const preview = pyodide.globals.get('_pycture_preview');
+  const outputs = listFiles(FS, `${workdir}/output_files`).map(path => {
+    let table = null;
+    try {
+      const json = preview(path);
+      table = json ? JSON.parse(json) : null;
+    } catch (err) {
+      table = { error: err.message.split('\n').filter(Boolean).pop() };
+    }
+    return { name: path.slice(`${workdir}/output_files/`.length), data: FS.readFile(path), preview: table };
+  });
+  preview.destroy();
+
+  return { ok: error === null, error, outputs };
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'run') return;
+  try {
+    const result = await run(data);
+    self.postMessage({ type: 'result', ...result }, result.outputs.map(output => output.data.buffer));
+  } catch (error) {
+    self.postMessage({ type: 'result', ok: false, error: error.message, outputs: [] });
+  }
+};
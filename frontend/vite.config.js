@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
@@ -10,6 +10,10 @@ export default defineConfig({
     cors: {
       origin: ['http://localhost:8000'],
       credentials: true
+    },
+    // The app shares the price lookup and cost math with the Netlify functions
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../netlify/lib/pricing.mjs']
     }
   },
   build: {
@@ -24,6 +28,15 @@ export default defineConfig({
       }
     }
   },
+  // npm test: the pure modules here and the Netlify functions' shared modules
+  test: {
+    dir: '..',
+    include: ['frontend/src/**/*.test.js', 'netlify/**/*.test.mjs']
+  },
+  // Module workers, so they can lazy-load large libraries like SheetJS
+  worker: {
+    format: 'es'
+  },
   // Security: Configure CSP
   define: {
     __DEV__: JSON.stringify(process.env.NODE_ENV !== 'production')
@@ -1,60 +1,296 @@
-export async function handler(event, context) {
+import { formatEvent, readEvents } from '../lib/sse.mjs';
+import { getProvider, ProviderError } from '../lib/providers.mjs';
+import { CONVERSION_TOOL, TASK_INPUTS, REPAIR_INPUT, validate, formatErrors } from '../lib/schema.mjs';
+import { createRateLimiter, keyId } from '../lib/rateLimit.mjs';
+import { detectPromptInjection, INJECTION_MESSAGE } from '../lib/injection.mjs';
+import { orgConfig, orgConfigError, authenticate, createBudgetTracker } from '../lib/org.mjs';
+import { priceTable, priceOf, costOf } from '../lib/pricing.mjs';
+import { getTemplate } from '../prompts/index.mjs';
+
+const MAX_TOKENS = 16384;
+const MODEL_PATTERN = /^[\w.:/@-]{1,100}$/;
+
+const envNumber = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+
+// Prompts carry the workflow description and file details; a megabyte leaves plenty of room
+const MAX_BODY_BYTES = envNumber('MAX_REQUEST_BYTES', 1024 * 1024);
+// Requests per minute, with bursts up to the same number; 0 turns a limit off.
+// One generation can take up to three requests when its checks ask for repairs.
+const IP_LIMIT = { name: 'ip', capacity: envNumber('RATE_LIMIT_PER_IP', 10), perMinute: envNumber('RATE_LIMIT_PER_IP', 10) };
+const KEY_LIMIT = { name: 'key', capacity: envNumber('RATE_LIMIT_PER_KEY', 20), perMinute: envNumber('RATE_LIMIT_PER_KEY', 20) };
+
+// In-memory by default; pass createRateLimiter a shared store to limit across instances
+const rateLimiter = createRateLimiter();
+// Organisation members' monthly token use, in memory like the rate limits
+const budgetTracker = createBudgetTracker();
+
+// Read once per function instance; environment changes take effect on the next deploy
+const org = orgConfig();
+const orgError = org && orgConfigError(org);
+
+const json = (body, status, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', ...headers }
+});
+
+const tooManyRequests = ({ retryAfter }, who) => json(
+  { error: { message: `Too many requests from ${who}. Try again in ${retryAfter} seconds.`, retryAfter } },
+  429,
+  { 'retry-after': String(retryAfter) }
+);
+
+// Read the body as text, giving up (null) as soon as it is larger than maxBytes
+const readBody = async (req, maxBytes) => {
+  if (Number(req.headers.get('content-length')) > maxBytes) return null;
+  if (!req.body) return '';
+
+  const reader = req.body.getReader();
+  const decoder = new TextDecoder();
+  let size = 0;
+  let text = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+};
+
+// Parse the tool arguments the model streamed and check them against the schema.
+// Returns { result } or { error, fields } with one entry per invalid field.
+const checkResult = (text) => {
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch (error) {
+    return { error: `The model's response is not valid JSON (${error.message})`, fields: [] };
+  }
+
+  const fields = validate(CONVERSION_TOOL.schema, result);
+  if (fields.length > 0) {
+    console.error('Schema errors:', formatErrors(fields));
+    return { error: 'The model\'s response does not match the expected format', fields };
+  }
+  return { result };
+};
+
+// Check a task's input and render its prompt. Returns { prompt } or { error } to send back as a 400.
+const buildPrompt = (template, { task, input, repair }) => {
+  if (!Object.hasOwn(TASK_INPUTS, task)) {
+    return { error: `Unknown task: ${String(task).slice(0, 50)}` };
+  }
+
+  const errors = [
+    ...validate(TASK_INPUTS[task], input, 'input'),
+    ...(repair === undefined ? [] : validate(REPAIR_INPUT, repair, 'repair'))
+  ];
+  if (errors.length > 0) {
+    return { error: `Invalid ${task} input: ${formatErrors(errors)}` };
+  }
+  if (task === 'generate' && !input.requirement.trim() && !input.workflow) {
+    return { error: 'Describe what you want to do or upload an Alteryx workflow' };
+  }
+
+  // Only the text users type can carry instructions; everything else is data the browser derived.
+  // A legacy requestText and the earlier change requests are typed text pasted into the prompt too.
+  const typed = [input.requirement, input.message, input.request?.requirement, input.requestText, ...(input.changes || [])].filter(Boolean);
+  if (typed.some(detectPromptInjection)) {
+    return { error: INJECTION_MESSAGE };
+  }
+
+  const target = input.options?.target;
+  if (target && !(template.targets || ['pandas']).includes(target)) {
+    return { error: `Prompt template ${template.version} cannot generate ${target}` };
+  }
+
+  const prompt = template.tasks[task](input);
+  return { prompt: repair ? template.repair(prompt, repair, input) : prompt };
+};
+
+// Re-emit the provider's stream as three events the browser understands:
+// delta {text} while the arguments arrive, done {stop_reason, max_tokens, result, template,
+// budget?} once they validate, and error {error, fields?}. done and error also carry the
+// tokens spent, {usage, cost}, with cost in dollars at price (null without one).
+// recordUsage gets the usage however the stream ends and may return the budget status to report.
+const relayStream = (upstream, provider, abortController, { template, price, recordUsage = async () => null }) => new ReadableStream({
+  async start(controller) {
+    const state = { stopReason: null, usage: {} };
+    let output = '';
+    let event;
+
+    try {
+      for await (const { data } of readEvents(upstream.body)) {
+        // OpenAI-style streams end with a literal [DONE] sentinel
+        if (data === '[DONE]') continue;
+
+        const text = provider.readEvent(JSON.parse(data), state);
+        if (text) {
+          output += text;
+          controller.enqueue(formatEvent('delta', { text }));
+        }
+      }
+
+      const done = { stop_reason: state.stopReason, max_tokens: MAX_TOKENS, template: template.version };
+      // Cut-off arguments are never valid; the browser explains the token limit instead
+      const check = state.stopReason === 'max_tokens' ? {} : checkResult(output);
+
+      event = check.error
+        ? ['error', { error: check.error, fields: check.fields }]
+        : ['done', { ...done, result: check.result }];
+    } catch (error) {
+      console.error('Stream error:', error);
+      event = ['error', { error: error.message }];
+    }
+
+    // The tokens are spent whether or not the answer was usable
+    const budget = await recordUsage(state.usage).catch(error => {
+      console.error('Usage error:', error);
+      return null;
+    });
+    const [name, data] = event;
+    const spent = { usage: state.usage, cost: costOf(price, state.usage) };
+    controller.enqueue(formatEvent(name, { ...data, ...spent, ...(name === 'done' && budget && { budget }) }));
+    controller.close();
+  },
+
+  // The browser went away, so stop paying for tokens nobody will read
+  cancel() {
+    abortController.abort();
+  }
+});
+
+export default async (req, context) => {
   // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  if (req.method !== 'POST') {
+    return json({ error: { message: 'Method not allowed' } }, 405);
+  }
+
+  if (orgError) {
+    return json({ error: { message: orgError, configuration: true } }, 500);
+  }
+
+  // Spent before authenticating, so team tokens cannot be guessed faster than the limit
+  const ipLimited = await rateLimiter.take([{ ...IP_LIMIT, key: context?.ip || req.headers.get('x-nf-client-connection-ip') }]);
+  if (!ipLimited.allowed) {
+    return tooManyRequests(ipLimited, 'your network');
+  }
+
+  // In organisation mode the server holds the API key, so only signed-in members may use it
+  const member = org && authenticate(req, org);
+  if (org && !member) {
+    return json({ error: { message: 'Sign in with your team token to use this server' } }, 401);
   }
 
   try {
-    const { apiKey, prompt } = JSON.parse(event.body);
+    const body = await readBody(req, MAX_BODY_BYTES);
+    if (body === null) {
+      return json({ error: { message: `Request is too large (the limit is ${Math.round(MAX_BODY_BYTES / 1024)} KB)` } }, 413);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return json({ error: { message: 'Request body is not valid JSON' } }, 400);
+    }
+    const { provider: providerName, model, baseUrl, apiKey, template: templateVersion, ...task } = {
+      ...payload,
+      // The organisation's settings replace whatever the browser sent
+      ...(org && { provider: org.provider, model: org.model, baseUrl: org.baseUrl, apiKey: org.apiKey })
+    };
+    const provider = getProvider(providerName);
 
     // Validate inputs
-    if (!apiKey || !prompt) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing apiKey or prompt' })
-      };
+    if (provider.requiresKey && !apiKey) {
+      return json({ error: { message: 'Missing apiKey' } }, 400);
+    }
+    if (apiKey !== undefined && typeof apiKey !== 'string') {
+      return json({ error: { message: 'Invalid apiKey' } }, 400);
+    }
+    if (model && !MODEL_PATTERN.test(model)) {
+      return json({ error: { message: 'Invalid model name' } }, 400);
     }
 
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 8192,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      })
+    const template = getTemplate(templateVersion);
+    if (!template) {
+      return json({ error: { message: `Unknown prompt template: ${String(templateVersion).slice(0, 50)}` } }, 400);
+    }
+    const { prompt, error: inputError } = buildPrompt(template, task);
+    if (inputError) {
+      return json({ error: { message: inputError } }, 400);
+    }
+
+    if (member && org.monthlyBudget > 0) {
+      const budget = await budgetTracker.status(member.user, org.monthlyBudget);
+      if (budget.used >= budget.limit) {
+        const retryAfter = Math.ceil((Date.parse(budget.resetsAt) - Date.now()) / 1000);
+        return json(
+          { error: { message: `You have used your ${budget.limit.toLocaleString('en-US')}-token budget for this month. It resets on ${budget.resetsAt.slice(0, 10)}.`, budget } },
+          429,
+          { 'retry-after': String(retryAfter) }
+        );
+      }
+    }
+
+    const limited = await rateLimiter.take([
+      // Members share the organisation's key, so each is limited on their own
+      { ...KEY_LIMIT, key: member ? `user:${member.user}` : apiKey && keyId(apiKey) }
+    ]);
+    if (!limited.allowed) {
+      return tooManyRequests(limited, member ? 'your account' : 'this API key');
+    }
+
+    const modelName = model || provider.defaultModel;
+    const request = provider.buildRequest({
+      apiKey,
+      model: modelName,
+      prompt,
+      maxTokens: MAX_TOKENS,
+      baseUrl,
+      tool: CONVERSION_TOOL
     });
 
-    const data = await response.json();
+    const abortController = new AbortController();
+
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: abortController.signal
+    });
 
     if (!response.ok) {
-      return {
-        statusCode: response.status,
-        body: JSON.stringify(data)
-      };
+      const data = await response.json().catch(() => null);
+      // The provider's own rate limits come with a wait time too; pass it on
+      const retryAfter = response.headers.get('retry-after');
+      return json(
+        { error: { message: provider.errorMessage(data, response.status) } },
+        response.status,
+        retryAfter ? { 'retry-after': retryAfter } : {}
+      );
     }
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify(data)
-    };
+    const recordUsage = member
+      ? (usage) => budgetTracker.add(member.user, org.monthlyBudget, usage)
+      : undefined;
+    const price = priceOf(priceTable(), modelName);
+    return new Response(relayStream(response, provider, abortController, { template, price, recordUsage }), {
+      headers: {
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache'
+      }
+    });
 
   } catch (error) {
+    if (error instanceof ProviderError) {
+      return json({ error: { message: error.message } }, error.status);
+    }
     console.error('Function error:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message })
-    };
+    return json({ error: { message: error.message } }, 500);
   }
-}
+};
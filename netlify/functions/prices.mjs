@@ -0,0 +1,15 @@
+import { priceTable } from '../lib/pricing.mjs';
+
+const json = (body, status, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', ...headers }
+});
+
+// The prices the generate function reports costs at, so the app can estimate a
+// request's cost before sending it
+export default async (req) => {
+  if (req.method !== 'GET') {
+    return json({ error: { message: 'Method not allowed' } }, 405);
+  }
+  return json({ currency: 'USD', prices: priceTable() }, 200, { 'cache-control': 'public, max-age=300' });
+};
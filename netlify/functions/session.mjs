@@ -0,0 +1,80 @@
+import { orgConfig, orgConfigError, authenticate, findMember, sessionCookie, clearedSessionCookie } from '../lib/org.mjs';
+import { createRateLimiter } from '../lib/rateLimit.mjs';
+import { getProvider } from '../lib/providers.mjs';
+
+const envNumber = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+
+// Sign-in attempts per minute from one IP address, so team tokens cannot be guessed
+const SIGN_IN_LIMIT = { name: 'sign-in', capacity: envNumber('RATE_LIMIT_SIGN_IN', 5), perMinute: envNumber('RATE_LIMIT_SIGN_IN', 5) };
+const MAX_BODY_BYTES = 4096;
+
+const rateLimiter = createRateLimiter();
+
+// Read once per function instance; environment changes take effect on the next deploy
+const org = orgConfig();
+const orgError = org && orgConfigError(org);
+
+const json = (body, status, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', 'cache-control': 'no-store', ...headers }
+});
+
+// GET tells the app whether the server holds the API key (organisation mode) and who is
+// signed in; POST { token } exchanges a team token for a session cookie; DELETE signs out
+export default async (req, context) => {
+  // configuration tells the app this is the server's fault, not a missing sign-in
+  if (orgError) {
+    return json({ error: { message: orgError, configuration: true } }, 500);
+  }
+
+  if (req.method === 'GET') {
+    if (!org) return json({ org: false }, 200);
+    const member = authenticate(req, org);
+    return json({
+      org: true,
+      user: member?.user || null,
+      provider: org.provider,
+      model: org.model || getProvider(org.provider).defaultModel,
+      // Tokens used so far are reported by the generate function after each request
+      budget: org.monthlyBudget > 0 ? { limit: org.monthlyBudget } : null
+    }, 200);
+  }
+
+  if (!org) {
+    return json({ error: { message: 'This server does not use team sign-in' } }, 404);
+  }
+  if (req.method === 'DELETE') {
+    return json({ user: null }, 200, { 'set-cookie': clearedSessionCookie() });
+  }
+  if (req.method !== 'POST') {
+    return json({ error: { message: 'Method not allowed' } }, 405);
+  }
+
+  const limited = await rateLimiter.take([
+    { ...SIGN_IN_LIMIT, key: context?.ip || req.headers.get('x-nf-client-connection-ip') }
+  ]);
+  if (!limited.allowed) {
+    return json(
+      { error: { message: `Too many sign-in attempts. Try again in ${limited.retryAfter} seconds.`, retryAfter: limited.retryAfter } },
+      429,
+      { 'retry-after': String(limited.retryAfter) }
+    );
+  }
+
+  const body = Number(req.headers.get('content-length')) > MAX_BODY_BYTES ? null : await req.text();
+  if (body === null || body.length > MAX_BODY_BYTES) {
+    return json({ error: { message: 'Request is too large' } }, 413);
+  }
+  let token;
+  try {
+    ({ token } = JSON.parse(body) ?? {});
+  } catch {
+    return json({ error: { message: 'Request body is not valid JSON' } }, 400);
+  }
+
+  const member = findMember(org, token);
+  if (!member) {
+    return json({ error: { message: 'Unknown team token' } }, 401);
+  }
+  return json({ user: member.user }, 200, { 'set-cookie': sessionCookie(org, member) });
+};
@@ -0,0 +1,35 @@
+// Screens the free text users type (requirements and change requests) for attempts to
+// override the prompt templates or to smuggle dangerous Python into the script.
+
+const DANGEROUS_PATTERNS = [
+  /ign[o0]re\s*(all\s*)?(previous|prior|above)\s*(instructions?|prompts?|rules?)/i,
+  /(you\s*(are|'re)\s*now|act\s*as|pretend\s*(to\s*be|you\s*are))/i,
+  /system\s*(override|prompt|mode|instruction)/i,
+  /forget\s*(everything|all|previous|prior)/i,
+  /(new|different|updated)\s*instructions?/i,
+  /disregard\s*.*(above|prior|previous)/i,
+  /instead,?\s*(output|generate|create|write)/i,
+  /(override|bypass|disable)\s*(safety|security|filter)/i,
+  /reveal\s*(your\s*)?(prompt|instructions|system)/i
+];
+
+const DANGEROUS_CODE = [
+  /import\s+(os|subprocess|sys|eval|exec)/i,
+  /__import__/i,
+  /exec\s*\(/i,
+  /eval\s*\(/i
+];
+
+export const INJECTION_MESSAGE = 'Invalid input detected. Please describe your data workflow only.';
+
+export const detectPromptInjection = (input) => {
+  // Normalize input to catch Unicode and HTML entity bypasses
+  const normalized = input
+    .normalize('NFKD') // Normalize Unicode
+    .replace(/&nbsp;/gi, ' ') // HTML entities
+    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width characters
+    .toLowerCase();
+
+  return DANGEROUS_PATTERNS.some(pattern => pattern.test(normalized)) ||
+    DANGEROUS_CODE.some(pattern => pattern.test(input));
+};
@@ -0,0 +1,174 @@
+// Organisation mode: the server holds the provider API key and callers sign in with team
+// tokens an administrator issues, either per request (Authorization: Bearer <token>) or once
+// through the session function, which sets a signed cookie. Off unless ORG_API_KEY is set.
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { MemoryStore } from './rateLimit.mjs';
+import { PROVIDERS, ProviderError, validateBaseUrl } from './providers.mjs';
+
+export const SESSION_COOKIE = 'pycture_session';
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+// Compares digests, which always have the same length, so the time taken says nothing about the secret
+const sameSecret = (a, b) => timingSafeEqual(digest(a), digest(b));
+
+// ORG_TOKENS is "name=token,name=token"; entries without both parts are ignored. Tokens may
+// contain "=" (base64 padding), so each entry is split at its first one only.
+const parseTokens = (value = '') => value
+  .split(',')
+  .map(entry => {
+    const at = entry.indexOf('=');
+    return at === -1 ? [] : [entry.slice(0, at).trim(), entry.slice(at + 1).trim()];
+  })
+  .filter(([user, token]) => user && token)
+  .map(([user, token]) => ({ user, token }));
+
+/**
+ * The organisation settings from the environment, or null when organisation mode is off.
+ * The session secret defaults to one derived from the API key, so rotating the key also
+ * signs everyone out.
+ */
+export const orgConfig = (env = process.env) => {
+  if (!env.ORG_API_KEY) return null;
+  return {
+    apiKey: env.ORG_API_KEY,
+    provider: env.ORG_PROVIDER || 'anthropic',
+    model: env.ORG_MODEL || undefined,
+    baseUrl: env.ORG_BASE_URL || undefined,
+    members: parseTokens(env.ORG_TOKENS),
+    secret: env.ORG_SESSION_SECRET || digest(`pycture-session:${env.ORG_API_KEY}`).toString('hex'),
+    sessionDays: Number(env.ORG_SESSION_DAYS || 7),
+    // Tokens (input plus output) each user may spend per calendar month; 0 is unlimited
+    monthlyBudget: Number(env.ORG_MONTHLY_TOKEN_BUDGET || 0)
+  };
+};
+
+/**
+ * What is wrong with the organisation settings, as one message for the administrator, or
+ * null when nothing is. The functions check once when they load and answer every request
+ * with it, rather than failing further in or looking like a server without organisation mode.
+ */
+export const orgConfigError = (config) => {
+  const problems = [];
+  if (!Object.hasOwn(PROVIDERS, config.provider)) {
+    problems.push(`ORG_PROVIDER "${config.provider}" is not one of ${Object.keys(PROVIDERS).join(', ')}`);
+  } else if (config.provider === 'openai-compatible' && !config.baseUrl) {
+    problems.push('ORG_BASE_URL is required for openai-compatible');
+  }
+  if (config.baseUrl) {
+    try {
+      validateBaseUrl(config.baseUrl);
+    } catch (error) {
+      if (!(error instanceof ProviderError)) throw error;
+      problems.push(`ORG_BASE_URL is not usable: ${error.message}`);
+    }
+  }
+  if (config.members.length === 0) problems.push('ORG_TOKENS lists no members (name=token,name=token)');
+  if (!(config.sessionDays > 0)) problems.push('ORG_SESSION_DAYS must be a positive number');
+  if (!(config.monthlyBudget >= 0)) problems.push('ORG_MONTHLY_TOKEN_BUDGET must be a number of tokens, or 0 for no limit');
+
+  return problems.length > 0 ? `Organisation mode is misconfigured: ${problems.join('; ')}.` : null;
+};
+
+// The member a team token belongs to, or null. Every entry is compared so the time taken
+// does not depend on which one matched.
+export const findMember = (config, token) => {
+  if (typeof token !== 'string' || !token) return null;
+  return config.members.reduce((found, member) => (sameSecret(member.token, token) ? member : found), null);
+};
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Cookies carry a fingerprint of the member's token, so issuing them a new one ends their old sessions
+const tokenFingerprint = (token) => digest(token).toString('base64url').slice(0, 16);
+
+const cookieAttributes = 'Path=/; HttpOnly; Secure; SameSite=Strict';
+
+// Set-Cookie value that signs the member in for config.sessionDays
+export const sessionCookie = (config, member, now = Date.now()) => {
+  const maxAge = Math.round(config.sessionDays * 86400);
+  const payload = Buffer.from(JSON.stringify({
+    u: member.user,
+    t: tokenFingerprint(member.token),
+    exp: now + maxAge * 1000
+  })).toString('base64url');
+  return `${SESSION_COOKIE}=${payload}.${sign(payload, config.secret)}; Max-Age=${maxAge}; ${cookieAttributes}`;
+};
+
+export const clearedSessionCookie = () => `${SESSION_COOKIE}=; Max-Age=0; ${cookieAttributes}`;
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+};
+
+// The member a session cookie was issued to, while it is unexpired, correctly signed and
+// their token is unchanged
+const sessionMember = (config, cookie, now) => {
+  const [payload, signature] = cookie.split('.');
+  if (!payload || !signature || !sameSecret(signature, sign(payload, config.secret))) return null;
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!(session.exp > now)) return null;
+
+  const member = config.members.find(candidate => candidate.user === session.u);
+  return member && tokenFingerprint(member.token) === session.t ? member : null;
+};
+
+/**
+ * The member making a request, from a bearer token or the session cookie, or null when
+ * the request is not signed in.
+ */
+export const authenticate = (req, config, now = Date.now()) => {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.get('authorization') || '');
+  if (bearer) return findMember(config, bearer[1].trim());
+
+  const cookie = readCookie(req, SESSION_COOKIE);
+  return cookie ? sessionMember(config, cookie, now) : null;
+};
+
+// The first moment of the next calendar month (UTC), when budgets start over
+export const budgetResetsAt = (now = Date.now()) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+/**
+ * Monthly token spending per member over a store with the rate limiter's interface
+ * (see MemoryStore in rateLimit.mjs). In memory, each function instance counts on its
+ * own and forgets on a cold start; use a shared store for budgets that hold across them.
+ *
+ * status(user, limit) returns { limit, used, resetsAt }; add(user, limit, usage) adds a
+ * provider's { input_tokens, output_tokens } and returns the new status.
+ */
+export const createBudgetTracker = (store = new MemoryStore()) => {
+  const key = (user, now) => `budget:${user}:${new Date(now).toISOString().slice(0, 7)}`;
+  const status = (limit, used, now) => ({ limit, used, resetsAt: new Date(budgetResetsAt(now)).toISOString() });
+
+  return {
+    async status(user, limit, now = Date.now()) {
+      const entry = await store.get(key(user, now));
+      return status(limit, entry?.used || 0, now);
+    },
+
+    async add(user, limit, usage, now = Date.now()) {
+      const tokens = (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+      const entry = await store.get(key(user, now));
+      const used = (entry?.used || 0) + tokens;
+      if (tokens > 0) {
+        // Kept a day past the reset so a clock slightly behind still finds it
+        await store.set(key(user, now), { used }, Math.ceil((budgetResetsAt(now) - now) / 1000) + 86400);
+      }
+      return status(limit, used, now);
+    }
+  };
+};
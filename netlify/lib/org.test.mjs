@@ -0,0 +1,127 @@
+import { describe, expect, it } from 'vitest';
+import {
+  orgConfig, orgConfigError, findMember, sessionCookie, clearedSessionCookie, authenticate, budgetResetsAt, createBudgetTracker, SESSION_COOKIE
+} from './org.mjs';
+
+const ENV = { ORG_API_KEY: 'sk-org', ORG_TOKENS: 'alice=a1, bob = b2=,carol=, =x,dave' };
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+const request = (headers = {}) => new Request('https://pycture.example/.netlify/functions/generate', { headers });
+// The name=value part of a Set-Cookie header, as the browser sends it back
+const cookieOf = (setCookie) => setCookie.split(';')[0];
+
+describe('orgConfig', () => {
+  it('is off without an API key', () => {
+    expect(orgConfig({ ORG_TOKENS: 'alice=a1' })).toBeNull();
+  });
+
+  it('reads members and defaults', () => {
+    expect(orgConfig(ENV)).toMatchObject({
+      apiKey: 'sk-org',
+      provider: 'anthropic',
+      model: undefined,
+      members: [{ user: 'alice', token: 'a1' }, { user: 'bob', token: 'b2=' }],
+      sessionDays: 7,
+      monthlyBudget: 0
+    });
+  });
+
+  it('keeps "=" inside tokens', () => {
+    expect(orgConfig({ ORG_API_KEY: 'k', ORG_TOKENS: 'eve=dGVzdA==,frank=a=b' }).members).toEqual([
+      { user: 'eve', token: 'dGVzdA==' },
+      { user: 'frank', token: 'a=b' }
+    ]);
+  });
+
+  it('derives the session secret from the API key unless one is set', () => {
+    expect(orgConfig(ENV).secret).not.toBe(orgConfig({ ...ENV, ORG_API_KEY: 'sk-rotated' }).secret);
+    expect(orgConfig({ ...ENV, ORG_SESSION_SECRET: 'fixed' }).secret).toBe('fixed');
+  });
+});
+
+describe('orgConfigError', () => {
+  it('accepts working settings', () => {
+    expect(orgConfigError(orgConfig(ENV))).toBeNull();
+    expect(orgConfigError(orgConfig({ ...ENV, ORG_PROVIDER: 'openai-compatible', ORG_BASE_URL: 'https://llm.example.com/v1' }))).toBeNull();
+  });
+
+  it('names every setting that is wrong', () => {
+    expect(orgConfigError(orgConfig({ ORG_API_KEY: 'k', ORG_PROVIDER: 'anthropics', ORG_SESSION_DAYS: 'a week' }))).toBe(
+      'Organisation mode is misconfigured: ORG_PROVIDER "anthropics" is not one of anthropic, openai, openai-compatible; '
+      + 'ORG_TOKENS lists no members (name=token,name=token); ORG_SESSION_DAYS must be a positive number.'
+    );
+  });
+
+  it('checks the base URL an OpenAI-compatible provider needs', () => {
+    expect(orgConfigError(orgConfig({ ...ENV, ORG_PROVIDER: 'openai-compatible' }))).toMatch(/ORG_BASE_URL is required/);
+    expect(orgConfigError(orgConfig({ ...ENV, ORG_PROVIDER: 'openai-compatible', ORG_BASE_URL: 'http://llm.example.com' })))
+      .toMatch(/ORG_BASE_URL is not usable: Base URL must use https/);
+  });
+
+  it('rejects a budget that is not a number', () => {
+    expect(orgConfigError(orgConfig({ ...ENV, ORG_MONTHLY_TOKEN_BUDGET: '1M' }))).toMatch(/ORG_MONTHLY_TOKEN_BUDGET must be a number/);
+  });
+});
+
+describe('findMember', () => {
+  const config = orgConfig(ENV);
+
+  it('finds the member a token belongs to', () => {
+    expect(findMember(config, 'b2=')).toEqual({ user: 'bob', token: 'b2=' });
+    expect(findMember(config, 'b2')).toBeNull();
+    expect(findMember(config, '')).toBeNull();
+    expect(findMember(config, { token: 'a1' })).toBeNull();
+  });
+});
+
+describe('authenticate', () => {
+  const config = orgConfig(ENV);
+  const alice = config.members[0];
+
+  it('accepts a bearer token', () => {
+    expect(authenticate(request({ authorization: 'Bearer a1' }), config)).toEqual(alice);
+    expect(authenticate(request({ authorization: 'Bearer nope' }), config)).toBeNull();
+    expect(authenticate(request(), config)).toBeNull();
+  });
+
+  it('accepts the session cookie it issued until it expires', () => {
+    const cookie = cookieOf(sessionCookie(config, alice, NOW));
+    expect(cookie.startsWith(`${SESSION_COOKIE}=`)).toBe(true);
+    expect(authenticate(request({ cookie: `theme=dark; ${cookie}` }), config, NOW + 1000)).toEqual(alice);
+    expect(authenticate(request({ cookie }), config, NOW + 8 * 86400 * 1000)).toBeNull();
+  });
+
+  it('rejects tampered cookies and sessions of changed tokens', () => {
+    const cookie = cookieOf(sessionCookie(config, alice, NOW));
+    const [payload, signature] = cookie.slice(SESSION_COOKIE.length + 1).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), u: 'bob' })).toString('base64url');
+
+    expect(authenticate(request({ cookie: `${SESSION_COOKIE}=${forged}.${signature}` }), config, NOW)).toBeNull();
+    expect(authenticate(request({ cookie }), orgConfig({ ...ENV, ORG_TOKENS: 'alice=new-token' }), NOW)).toBeNull();
+    expect(authenticate(request({ cookie }), orgConfig({ ...ENV, ORG_SESSION_SECRET: 'other' }), NOW)).toBeNull();
+  });
+
+  it('signs out with an expired cookie', () => {
+    expect(clearedSessionCookie()).toMatch(new RegExp(`^${SESSION_COOKIE}=; Max-Age=0; .*HttpOnly`));
+  });
+});
+
+describe('budgets', () => {
+  it('reset at the start of the next month (UTC)', () => {
+    expect(new Date(budgetResetsAt(NOW)).toISOString()).toBe('2026-02-01T00:00:00.000Z');
+    expect(new Date(budgetResetsAt(Date.UTC(2026, 11, 31, 23))).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+
+  it('add up the tokens each member uses per month', async () => {
+    const tracker = createBudgetTracker();
+    await tracker.add('alice', 1000, { input_tokens: 300, output_tokens: 200 }, NOW);
+
+    expect(await tracker.add('alice', 1000, { input_tokens: 100, output_tokens: 50 }, NOW)).toEqual({
+      limit: 1000,
+      used: 650,
+      resetsAt: '2026-02-01T00:00:00.000Z'
+    });
+    expect((await tracker.status('bob', 1000, NOW)).used).toBe(0);
+    expect((await tracker.status('alice', 1000, Date.UTC(2026, 1, 1, 1))).used).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+// Model prices for estimating what a generation cost, in US dollars per million tokens.
+// The app estimates requests with priceOf and costOf too (frontend/src/lib/usage.js), so
+// nothing here may need Node at import time.
+
+// List prices of the models the app offers. Estimates only: they leave out discounts,
+// prompt caching and taxes, and go stale when providers change their prices.
+export const DEFAULT_PRICES = {
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+  'claude-opus-4-1-20250805': { input: 15, output: 75 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+const isPrice = (price) => [price?.input, price?.output].every(rate => typeof rate === 'number' && rate >= 0);
+
+/**
+ * The price table: DEFAULT_PRICES with MODEL_PRICES laid over it. MODEL_PRICES is JSON in
+ * the same shape, e.g. {"llama3.1:70b": {"input": 0, "output": 0}}, for negotiated rates or
+ * self-hosted models; entries that are not { input, output } numbers are ignored.
+ */
+export const priceTable = (env = process.env) => {
+  if (!env.MODEL_PRICES) return DEFAULT_PRICES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.MODEL_PRICES);
+  } catch (error) {
+    console.error('MODEL_PRICES is not valid JSON:', error.message);
+    return DEFAULT_PRICES;
+  }
+  const valid = Object.entries(overrides ?? {}).filter(([, price]) => isPrice(price));
+  return { ...DEFAULT_PRICES, ...Object.fromEntries(valid) };
+};
+
+// A model's { input, output } from a price table, or null
+export const priceOf = (prices, model) => (Object.hasOwn(prices, model ?? '') ? prices[model] : null);
+
+// Dollars for a provider's { input_tokens, output_tokens }, or null when the model has no price
+export const costOf = (price, usage = {}) => {
+  if (!price) return null;
+  const cost = ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_PRICES, priceTable, priceOf, costOf } from './pricing.mjs';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('priceTable', () => {
+  it('lays valid MODEL_PRICES entries over the defaults', () => {
+    expect(priceTable({})).toBe(DEFAULT_PRICES);
+    const prices = priceTable({ MODEL_PRICES: '{"llama3.1:70b": {"input": 0, "output": 0}, "gpt-4o": {"input": 2, "output": 8}, "bad": {"input": -1, "output": 1}, "worse": 3}' });
+    expect(prices['llama3.1:70b']).toEqual({ input: 0, output: 0 });
+    expect(prices['gpt-4o']).toEqual({ input: 2, output: 8 });
+    expect(prices['claude-opus-4-1-20250805']).toEqual(DEFAULT_PRICES['claude-opus-4-1-20250805']);
+    expect(prices).not.toHaveProperty('bad');
+    expect(prices).not.toHaveProperty('worse');
+  });
+
+  it('keeps the defaults when MODEL_PRICES is not JSON', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(priceTable({ MODEL_PRICES: '{gpt-4o: 1}' })).toBe(DEFAULT_PRICES);
+    expect(error).toHaveBeenCalledOnce();
+    expect(priceTable({ MODEL_PRICES: 'null' })).toEqual(DEFAULT_PRICES);
+  });
+});
+
+describe('priceOf', () => {
+  it("finds only the table's own models", () => {
+    expect(priceOf(DEFAULT_PRICES, 'gpt-4.1')).toEqual({ input: 2, output: 8 });
+    expect(priceOf(DEFAULT_PRICES, 'gpt-5')).toBeNull();
+    expect(priceOf(DEFAULT_PRICES, 'constructor')).toBeNull();
+    expect(priceOf(DEFAULT_PRICES, undefined)).toBeNull();
+  });
+});
+
+describe('costOf', () => {
+  it('charges input and output tokens at their own rates per million', () => {
+    expect(costOf({ input: 3, output: 15 }, { input_tokens: 12000, output_tokens: 4000 })).toBe(0.096);
+    expect(costOf({ input: 15, output: 75 }, { input_tokens: 1_000_000 })).toBe(15);
+  });
+
+  it('rounds to millionths of a dollar', () => {
+    expect(costOf({ input: 2.5, output: 10 }, { input_tokens: 1, output_tokens: 1 })).toBe(0.000013);
+    expect(costOf({ input: 1, output: 5 }, { input_tokens: 1 })).toBe(0.000001);
+  });
+
+  it('is null without a price and zero without usage', () => {
+    expect(costOf(null, { input_tokens: 100 })).toBeNull();
+    expect(costOf({ input: 3, output: 15 })).toBe(0);
+  });
+});
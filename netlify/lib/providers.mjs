@@ -0,0 +1,185 @@
+// Provider adapters: how to shape a streaming request for each LLM API and how to
+// read its stream back into text deltas, a normalized stop reason and token usage.
+// Requests force a call to the given tool, so the deltas are the tool's JSON arguments.
+
+export class ProviderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Hostnames a user-supplied base URL may not point at. This only checks the literal
+// hostname; names that resolve to private addresses are not caught here.
+const PRIVATE_HOSTS = [
+  /^localhost$/i,
+  /\.(localhost|local|internal)$/i,
+  /^0\./,
+  /^10\./,
+  /^127\./,
+  /^169\.254\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^192\.168\./,
+  /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./,
+  /^\[(::1?|::ffff:.*|f[cd][0-9a-f]{2}:.*|fe80:.*)\]$/i
+];
+
+export const validateBaseUrl = (baseUrl) => {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    throw new ProviderError('Base URL is not a valid URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new ProviderError('Base URL must use https');
+  }
+  if (url.username || url.password) {
+    throw new ProviderError('Base URL must not contain credentials');
+  }
+  if (PRIVATE_HOSTS.some(pattern => pattern.test(url.hostname))) {
+    throw new ProviderError('Base URL must be a publicly reachable host');
+  }
+
+  return url.href.replace(/\/+$/, '');
+};
+
+// OpenAI reports why generation stopped as finish_reason; map it to Anthropic's names
+const OPENAI_STOP_REASONS = { stop: 'end_turn', length: 'max_tokens', content_filter: 'refusal', tool_calls: 'tool_use' };
+
+const openAITools = (tool) => ({
+  tools: [{ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.schema } }],
+  tool_choice: { type: 'function', function: { name: tool.name } }
+});
+
+const readOpenAIEvent = (payload, state) => {
+  if (payload.error) {
+    throw new ProviderError(payload.error.message || 'Stream error', 502);
+  }
+  if (payload.usage) {
+    state.usage = {
+      input_tokens: payload.usage.prompt_tokens,
+      output_tokens: payload.usage.completion_tokens
+    };
+  }
+
+  const choice = payload.choices?.[0];
+  if (choice?.finish_reason) {
+    state.stopReason = OPENAI_STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+  }
+  // Servers that ignore tool_choice answer in plain content, which is still checked as JSON
+  return choice?.delta?.tool_calls?.[0]?.function?.arguments || choice?.delta?.content || '';
+};
+
+const openAIErrorMessage = (data, status) => data?.error?.message || `API error: ${status}`;
+
+export const PROVIDERS = {
+  anthropic: {
+    defaultModel: 'claude-sonnet-4-5-20250929',
+    requiresKey: true,
+
+    buildRequest: ({ apiKey, model, prompt, maxTokens, tool }) => ({
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        stream: true,
+        tools: [{ name: tool.name, description: tool.description, input_schema: tool.schema }],
+        tool_choice: { type: 'tool', name: tool.name },
+        messages: [{ role: 'user', content: prompt }]
+      }
+    }),
+
+    readEvent: (payload, state) => {
+      switch (payload.type) {
+        case 'message_start':
+          Object.assign(state.usage, payload.message.usage);
+          return '';
+        case 'content_block_delta':
+          return payload.delta.type === 'input_json_delta' ? payload.delta.partial_json : '';
+        case 'message_delta':
+          state.stopReason = payload.delta.stop_reason;
+          Object.assign(state.usage, payload.usage);
+          return '';
+        case 'error':
+          throw new ProviderError(payload.error?.message || 'Anthropic stream error', 502);
+        default:
+          return '';
+      }
+    },
+
+    errorMessage: (data, status) => data?.error?.message || `API error: ${status}`
+  },
+
+  openai: {
+    defaultModel: 'gpt-4.1',
+    requiresKey: true,
+
+    buildRequest: ({ apiKey, model, prompt, maxTokens, tool }) => ({
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: {
+        authorization: `Bearer ${apiKey}`,
+        'content-type': 'application/json'
+      },
+      body: {
+        model,
+        max_completion_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...openAITools(tool),
+        messages: [{ role: 'user', content: prompt }]
+      }
+    }),
+
+    readEvent: readOpenAIEvent,
+    errorMessage: openAIErrorMessage
+  },
+
+  // Self-hosted servers (vLLM, Ollama, LiteLLM, ...) speaking the chat completions API.
+  // Only widely supported fields are sent, and the key is optional.
+  'openai-compatible': {
+    defaultModel: null,
+    requiresKey: false,
+
+    buildRequest: ({ apiKey, model, prompt, maxTokens, baseUrl, tool }) => {
+      if (!baseUrl) {
+        throw new ProviderError('Missing baseUrl for OpenAI-compatible provider');
+      }
+      if (!model) {
+        throw new ProviderError('Missing model for OpenAI-compatible provider');
+      }
+
+      return {
+        url: `${validateBaseUrl(baseUrl)}/chat/completions`,
+        headers: {
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+          'content-type': 'application/json'
+        },
+        body: {
+          model,
+          max_tokens: maxTokens,
+          stream: true,
+          ...openAITools(tool),
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+
+    readEvent: readOpenAIEvent,
+    errorMessage: openAIErrorMessage
+  }
+};
+
+export const getProvider = (name = 'anthropic') => {
+  if (!Object.hasOwn(PROVIDERS, name)) {
+    throw new ProviderError(`Unknown provider: ${name}`);
+  }
+  return PROVIDERS[name];
+};
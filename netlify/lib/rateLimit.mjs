@@ -0,0 +1,80 @@
+// Token-bucket rate limits for the functions. Each limit is a bucket per client (an IP
+// address or a hashed API key) holding up to `capacity` requests and refilling at
+// `perMinute`; a request spends one token from every bucket it falls under.
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Buckets kept in the function instance's memory. Each instance (and each cold start)
+ * counts on its own, so this slows a single client down rather than enforcing an exact
+ * global limit; use an external store for that.
+ *
+ * A store only needs get(key) → bucket | null and set(key, bucket, ttlSeconds), both of
+ * which may return promises. Buckets are small JSON objects ({ tokens, updatedAt }) and
+ * may be dropped once ttlSeconds has passed, e.g. with a Redis SET ... EX or a Netlify
+ * Blobs entry checked against its age. Writes are last-one-wins, which can let a burst
+ * of simultaneous requests through but never blocks a client that is within its limit.
+ */
+export class MemoryStore {
+  constructor({ maxKeys = 10000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  get(key) {
+    const entry = this.buckets.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.bucket;
+  }
+
+  set(key, bucket, ttlSeconds) {
+    // Re-inserting keeps the Map in least-recently-used order, so the oldest key goes first
+    this.buckets.delete(key);
+    this.buckets.set(key, { bucket, expiresAt: Date.now() + ttlSeconds * 1000 });
+    if (this.buckets.size > this.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+  }
+}
+
+// API keys are never stored, only a digest that tells them apart
+export const keyId = (apiKey) => createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+
+// Tokens in a bucket after refilling up to now
+const refill = (bucket, { capacity, perMinute }, now) => (bucket
+  ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute)
+  : capacity);
+
+/**
+ * Build a limiter over a store. take(checks) spends a token from each
+ * { name, key, capacity, perMinute } bucket and returns { allowed: true }, or, when any
+ * bucket is empty, spends nothing and returns { allowed: false, limit, retryAfter } with
+ * the name of the limit hit and the whole seconds until it has a token again.
+ * Checks with a falsy key or a perMinute of 0 are skipped.
+ */
+export const createRateLimiter = (store = new MemoryStore()) => ({
+  async take(checks) {
+    const now = Date.now();
+    const active = checks.filter(check => check.key && check.perMinute > 0);
+    const buckets = await Promise.all(active.map(check => store.get(`${check.name}:${check.key}`)));
+    const tokens = active.map((check, i) => refill(buckets[i], check, now));
+
+    const empty = active.findIndex((_, i) => tokens[i] < 1);
+    if (empty !== -1) {
+      const check = active[empty];
+      return {
+        allowed: false,
+        limit: check.name,
+        retryAfter: Math.max(1, Math.ceil(((1 - tokens[empty]) / check.perMinute) * 60))
+      };
+    }
+
+    await Promise.all(active.map((check, i) => store.set(
+      `${check.name}:${check.key}`,
+      { tokens: tokens[i] - 1, updatedAt: now },
+      // A bucket left alone this long is full again, the same as no bucket at all
+      Math.ceil((check.capacity / check.perMinute) * 60)
+    )));
+    return { allowed: true };
+  }
+});
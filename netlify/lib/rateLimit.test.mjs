@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MemoryStore, createRateLimiter, keyId } from './rateLimit.mjs';
+
+const ip = (key, capacity = 2, perMinute = 6) => ({ name: 'ip', key, capacity, perMinute });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createRateLimiter', () => {
+  it('allows a burst up to the capacity, then says when to retry', async () => {
+    const limiter = createRateLimiter();
+    expect(await limiter.take([ip('1.2.3.4')])).toEqual({ allowed: true });
+    expect(await limiter.take([ip('1.2.3.4')])).toEqual({ allowed: true });
+    // Six a minute: one token every ten seconds
+    expect(await limiter.take([ip('1.2.3.4')])).toEqual({ allowed: false, limit: 'ip', retryAfter: 10 });
+    expect(await limiter.take([ip('5.6.7.8')])).toEqual({ allowed: true });
+  });
+
+  it('refills over time', async () => {
+    const limiter = createRateLimiter();
+    await limiter.take([ip('1.2.3.4')]);
+    await limiter.take([ip('1.2.3.4')]);
+
+    vi.advanceTimersByTime(4000);
+    expect(await limiter.take([ip('1.2.3.4')])).toMatchObject({ allowed: false, retryAfter: 6 });
+    vi.advanceTimersByTime(6000);
+    expect(await limiter.take([ip('1.2.3.4')])).toEqual({ allowed: true });
+  });
+
+  it('spends nothing when any bucket is empty', async () => {
+    const limiter = createRateLimiter();
+    const key = { name: 'key', key: 'abc', capacity: 1, perMinute: 1 };
+    expect(await limiter.take([ip('1.2.3.4'), key])).toEqual({ allowed: true });
+    expect(await limiter.take([ip('1.2.3.4'), key])).toMatchObject({ allowed: false, limit: 'key', retryAfter: 60 });
+    // The refused request left the IP bucket's last token in place
+    expect(await limiter.take([ip('1.2.3.4')])).toEqual({ allowed: true });
+  });
+
+  it('skips checks without a key or with no limit', async () => {
+    const limiter = createRateLimiter();
+    for (let i = 0; i < 5; i++) {
+      expect(await limiter.take([ip(null), ip('1.2.3.4', 1, 0)])).toEqual({ allowed: true });
+    }
+  });
+
+  it('works over an asynchronous store', async () => {
+    const buckets = new Map();
+    const store = { get: async (key) => buckets.get(key) ?? null, set: async (key, bucket) => { buckets.set(key, bucket); } };
+    const limiter = createRateLimiter(store);
+
+    await limiter.take([ip('1.2.3.4', 1)]);
+    expect(buckets.get('ip:1.2.3.4')).toEqual({ tokens: 0, updatedAt: Date.now() });
+    expect(await limiter.take([ip('1.2.3.4', 1)])).toMatchObject({ allowed: false });
+  });
+});
+
+describe('MemoryStore', () => {
+  it('forgets buckets once their time is up', () => {
+    const store = new MemoryStore();
+    store.set('ip:a', { tokens: 0, updatedAt: 0 }, 10);
+    expect(store.get('ip:a')).toEqual({ tokens: 0, updatedAt: 0 });
+    vi.advanceTimersByTime(10000);
+    expect(store.get('ip:a')).toBeNull();
+  });
+
+  it('drops the least recently written key when full', () => {
+    const store = new MemoryStore({ maxKeys: 2 });
+    store.set('a', { tokens: 1 }, 60);
+    store.set('b', { tokens: 1 }, 60);
+    store.set('a', { tokens: 0 }, 60);
+    store.set('c', { tokens: 1 }, 60);
+    expect(['a', 'b', 'c'].map(key => store.get(key))).toEqual([{ tokens: 0 }, null, { tokens: 1 }]);
+  });
+});
+
+describe('keyId', () => {
+  it('tells keys apart without keeping them', () => {
+    expect(keyId('sk-ant-secret')).toMatch(/^[0-9a-f]{32}$/);
+    expect(keyId('sk-ant-secret')).toBe(keyId('sk-ant-secret'));
+    expect(keyId('sk-ant-other')).not.toBe(keyId('sk-ant-secret'));
+  });
+});
@@ -0,0 +1,226 @@
+// The structured result every conversion must return, declared once as a JSON Schema.
+// Providers receive it as a tool / function definition, and the relay checks the
+// model's arguments against it before anything reaches the browser. The structured
+// input each task accepts from the browser is declared and checked the same way.
+
+const stringList = (description) => ({ type: 'array', description, items: { type: 'string' } });
+
+export const CONVERSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    script: { type: 'string', minLength: 1, description: 'The complete script: Python, or the SQL models for the SQL target' },
+    steps: {
+      type: 'array',
+      description: 'Each transformation in order, with the code that implements it',
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string', minLength: 1, description: 'What the step does' },
+          code: { type: 'string', description: 'The lines of the script for this step' }
+        },
+        required: ['description', 'code'],
+        additionalProperties: false
+      }
+    },
+    input_files: stringList('File names the script reads from input_files/'),
+    output_files: stringList('File names the script writes to output_files/'),
+    assumptions: stringList('Choices made where the request or data was ambiguous; empty if none'),
+    warnings: stringList('Things the user must check or fix before relying on the output; empty if none'),
+    tests: { type: 'string', minLength: 1, description: 'The pytest module test_pycture_script.py, only when tests are requested' }
+  },
+  // The lists are required too, so "none" is an explicit empty list rather than a missing field.
+  // tests is the one optional field: most requests do not ask for them.
+  required: ['script', 'steps', 'input_files', 'output_files', 'assumptions', 'warnings'],
+  additionalProperties: false
+};
+
+export const CONVERSION_TOOL = {
+  name: 'submit_conversion',
+  description: 'Submit the converted script with its steps, files, assumptions and warnings, plus its tests when requested.',
+  schema: CONVERSION_SCHEMA
+};
+
+const text = (maxLength, description) => ({ type: 'string', maxLength, description });
+
+// What the browser knows about an uploaded file; the descriptions are worked out client-side
+const FILE_INPUT = {
+  type: 'object',
+  properties: {
+    name: text(255, 'File name'),
+    size: { type: 'number', description: 'Size in bytes' },
+    columns: { type: 'array', maxItems: 1000, items: text(500) },
+    rowCount: { type: 'number' },
+    rowCountExact: { type: 'boolean', description: 'False when the row count is extrapolated from a sample' },
+    read: text(2000, 'The pandas call that reads the file with its detected options'),
+    mergedHeader: { type: 'boolean', description: 'The workbook has a two-row merged header to flatten' },
+    sheets: {
+      type: 'array',
+      maxItems: 100,
+      items: {
+        type: 'object',
+        properties: { name: text(255), rowCount: { type: 'number' }, hidden: { type: 'boolean' } },
+        required: ['name', 'rowCount'],
+        additionalProperties: false
+      }
+    },
+    memory: text(5000, 'Estimated memory use, as described by the profiler'),
+    profile: text(50000, 'Column profile, as described by the profiler'),
+    profileRows: { type: 'number', description: 'Rows the profile covers' },
+    sample: { type: 'array', maxItems: 10, items: { type: 'array', maxItems: 1000 } }
+  },
+  required: ['name', 'columns'],
+  additionalProperties: false
+};
+
+const OPTIONS_INPUT = {
+  type: 'object',
+  properties: {
+    tests: { type: 'boolean', description: 'Also ask for pytest tests' },
+    target: { type: 'string', enum: ['pandas', 'polars', 'pyspark', 'sql'], description: 'What to generate; templates before v3 only know pandas' }
+  },
+  additionalProperties: false
+};
+
+const GENERATE_INPUT = {
+  type: 'object',
+  properties: {
+    requirement: text(5000, 'What the user asked for'),
+    files: { type: 'array', maxItems: 50, items: FILE_INPUT },
+    workflow: {
+      type: 'object',
+      properties: {
+        name: text(255),
+        description: { type: 'string', minLength: 1, maxLength: 60000, description: 'The tool graph, as described by the workflow parser' },
+        tools: { type: 'array', maxItems: 500, items: text(255), description: 'Canvas names of the tools the workflow uses' }
+      },
+      required: ['description'],
+      additionalProperties: false
+    },
+    options: OPTIONS_INPUT
+  },
+  required: ['requirement', 'files'],
+  additionalProperties: false
+};
+
+const SCRIPT = { type: 'string', minLength: 1, maxLength: 200000 };
+
+// Browser input per task. Each task's template renders its prompt from this input.
+export const TASK_INPUTS = {
+  generate: GENERATE_INPUT,
+
+  complete_stubs: {
+    type: 'object',
+    properties: {
+      script: SCRIPT,
+      stubs: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 500,
+        items: {
+          type: 'object',
+          properties: { toolId: text(50), tool: text(255), configuration: text(20000) },
+          required: ['toolId', 'tool', 'configuration'],
+          additionalProperties: false
+        }
+      },
+      input_files: { type: 'array', maxItems: 50, items: text(255) },
+      output_files: { type: 'array', maxItems: 50, items: text(255) }
+    },
+    required: ['script', 'stubs', 'input_files', 'output_files'],
+    additionalProperties: false
+  },
+
+  refine: {
+    type: 'object',
+    properties: {
+      // Conversations saved before prompts were built server-side kept their request as text
+      request: GENERATE_INPUT,
+      requestText: text(100000),
+      script: SCRIPT,
+      tests: { type: 'string', maxLength: 200000 },
+      changes: { type: 'array', maxItems: 100, items: text(2000) },
+      message: { type: 'string', minLength: 1, maxLength: 2000, description: 'The change requested' },
+      options: OPTIONS_INPUT
+    },
+    required: ['script', 'changes', 'message'],
+    additionalProperties: false
+  }
+};
+
+// A previous answer that failed the browser's checks, sent back with the task's input
+export const REPAIR_INPUT = {
+  type: 'object',
+  properties: {
+    script: { type: 'string', maxLength: 200000 },
+    tests: { type: 'string', maxLength: 200000 },
+    problems: { type: 'array', minItems: 1, maxItems: 200, items: text(2000) }
+  },
+  required: ['problems'],
+  additionalProperties: false
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Check a value against the subset of JSON Schema used above (type, enum, properties, required,
+ * additionalProperties: false, items, minLength, maxLength, minItems, maxItems). Returns [{ path, message }],
+ * empty when the value is valid; paths look like "steps[2].code".
+ */
+export const validate = (schema, value, path = '') => {
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [{ path: path || '(root)', message: `expected ${schema.type}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.type === 'string' && schema.minLength && value.length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.type === 'string' && schema.maxLength && value.length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `expected at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push({ path, message: `expected at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, join(path, i))));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => !Object.hasOwn(value, key))
+      .forEach(key => errors.push({ path: join(path, key), message: 'is required' }));
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validate(properties[key], item, join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: 'is not an allowed field' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+// One line per problem, for error messages and logs
+export const formatErrors = (errors) => errors.map(({ path, message }) => `${path} ${message}`).join('; ');
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { CONVERSION_SCHEMA, TASK_INPUTS, REPAIR_INPUT, validate, formatErrors } from './schema.mjs';
+
+const RESULT = {
+  script: 'import pandas as pd\n',
+  steps: [{ description: 'Read the sales', code: "df = pd.read_csv('sales.csv')" }],
+  input_files: ['sales.csv'],
+  output_files: [],
+  assumptions: [],
+  warnings: []
+};
+
+describe('validate', () => {
+  it('accepts a complete conversion, with or without tests', () => {
+    expect(validate(CONVERSION_SCHEMA, RESULT)).toEqual([]);
+    expect(validate(CONVERSION_SCHEMA, { ...RESULT, tests: 'def test_x():\n    pass\n' })).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const { warnings, ...missing } = RESULT;
+    expect(validate(CONVERSION_SCHEMA, {
+      ...missing,
+      script: '',
+      steps: [{ description: 'Read', code: 1 }],
+      extra: true
+    })).toEqual([
+      { path: 'warnings', message: 'is required' },
+      { path: 'script', message: 'must not be empty' },
+      { path: 'steps[0].code', message: 'expected string, got integer' },
+      { path: 'extra', message: 'is not an allowed field' }
+    ]);
+  });
+
+  it('stops at a wrong type instead of looking inside it', () => {
+    expect(validate(CONVERSION_SCHEMA, [])).toEqual([{ path: '(root)', message: 'expected object, got array' }]);
+    expect(validate(CONVERSION_SCHEMA, null)).toEqual([{ path: '(root)', message: 'expected object, got null' }]);
+  });
+
+  it('checks enums, lengths and item counts', () => {
+    const errors = validate(TASK_INPUTS.generate, {
+      requirement: 'x'.repeat(5001),
+      files: [],
+      options: { target: 'cobol' }
+    });
+    expect(errors).toEqual([
+      { path: 'requirement', message: 'must be at most 5000 characters' },
+      { path: 'options.target', message: 'must be one of pandas, polars, pyspark, sql' }
+    ]);
+    expect(validate(REPAIR_INPUT, { problems: [] })).toEqual([{ path: 'problems', message: 'expected at least 1 item(s)' }]);
+  });
+
+  it('does not treat inherited keys as declared properties', () => {
+    expect(validate(REPAIR_INPUT, { problems: ['x'], constructor: 'y' })).toEqual([
+      { path: 'constructor', message: 'is not an allowed field' }
+    ]);
+  });
+
+  it('counts integers as numbers', () => {
+    expect(validate(TASK_INPUTS.generate, { requirement: 'Total sales', files: [{ name: 'a.csv', columns: [], size: 10, rowCount: 2.5 }] })).toEqual([]);
+  });
+});
+
+describe('formatErrors', () => {
+  it('puts one problem per clause', () => {
+    expect(formatErrors([{ path: 'script', message: 'must not be empty' }, { path: 'steps', message: 'is required' }]))
+      .toBe('script must not be empty; steps is required');
+  });
+});
@@ -0,0 +1,15 @@
+// Prompt templates by version. New conversions use PROMPT_TEMPLATE when it is set, else
+// DEFAULT_VERSION; a request may name any version here to reproduce or compare a conversion.
+
+import v1 from './v1.mjs';
+import v2 from './v2.mjs';
+import v3 from './v3.mjs';
+
+export const TEMPLATES = Object.fromEntries([v1, v2, v3].map(template => [template.version, template]));
+
+export const DEFAULT_VERSION = 'v3';
+
+export const getTemplate = (version) => {
+  const name = version || process.env.PROMPT_TEMPLATE || DEFAULT_VERSION;
+  return Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null;
+};
@@ -0,0 +1,24 @@
+// Developer palette: tools that change a workflow's shape rather than its values
+
+export default [
+  {
+    tool: 'Dynamic Rename',
+    keywords: /\bdynamic(ally)? renam|\bheaders? (from|in) the first row|\bfirst row (as|contains) (the )?(headers?|column names)|\brename (the )?columns (using|from)/i,
+    semantics: 'Renames fields in bulk. Modes: add or remove a prefix or suffix, take the field names from the first row of data, take them from the rows of a second (right) input mapping old names to new ones, or compute each new name with an expression on [_CurrentField_].',
+    edgeCases: [
+      '"Take field names from first row of data" removes that row, and the columns stay text: convert numeric columns with pd.to_numeric afterwards.',
+      'Normalize the new names like every other column name (lower-cased and stripped).',
+      'Names from the right input that match no column are ignored.'
+    ],
+    pandas: String.raw`# Take field names from the first row of data
+df.columns = df.iloc[0].astype(str).str.lower().str.strip()
+df = df.iloc[1:].reset_index(drop=True)
+
+# Take field names from the right input's rows (old name -> new name)
+names = dict(zip(mapping['old_name'].str.lower().str.strip(), mapping['new_name'].str.lower().str.strip()))
+df = df.rename(columns=names)
+
+# Formula: Replace([_CurrentField_], "_", " ") on every name
+df.columns = [name.replace('_', ' ') for name in df.columns]`
+  }
+];
@@ -0,0 +1,237 @@
+// Reference Polars (lazy API) code for the knowledge base entries, by tool name
+
+export default {
+  'Text Input': String.raw`status_codes = pl.LazyFrame({'code': ['A', 'B', 'C'], 'label': ['Active', 'Blocked', 'Closed']})`,
+
+  Directory: String.raw`frames = [
+    pl.scan_csv(path)
+    .rename(lambda name: name.strip().lower())
+    .with_columns(filename=pl.lit(path.name))
+    for path in sorted(INPUT_DIR.glob('sales_*.csv'))
+]
+lf = pl.concat(frames, how='diagonal_relaxed')`,
+
+  'Output Data': String.raw`OUTPUT_DIR.mkdir(parents=True, exist_ok=True)
+lf.sink_csv(OUTPUT_DIR / 'summary.csv')                           # streams without collecting
+
+df = lf.collect()
+df.write_excel(OUTPUT_DIR / 'report.xlsx', worksheet='Summary')  # needs xlsxwriter
+
+# Take File/Table Name From Field: one file per region
+for (region,), part in df.group_by('region'):
+    part.write_csv(OUTPUT_DIR / f'sales_{region}.csv')`,
+
+  'Date Time Now': String.raw`RUN_TIME = datetime.now()
+now = pl.LazyFrame({'datetime_out': [RUN_TIME.strftime('%Y-%m-%d %H:%M:%S')]})`,
+
+  Filter: String.raw`condition = ((pl.col('region').str.to_lowercase() == 'south') & (pl.col('amount') > 1000)).fill_null(False)
+lf_true = lf.filter(condition)
+lf_false = lf.filter(~condition)`,
+
+  Formula: String.raw`# Expressions in one with_columns run side by side: chain calls when one reads another's result
+lf = lf.with_columns(net=pl.col('gross') - pl.col('discount'))
+lf = lf.with_columns(
+    band=pl.when(pl.col('net') >= 1000).then(pl.lit('High'))
+    .when(pl.col('net') >= 100).then(pl.lit('Medium'))
+    .otherwise(pl.lit('Low')),
+    margin=(pl.col('net') / pl.col('gross')).round(2),  # FixedDecimal 19.2
+)`,
+
+  'Multi-Row Formula': String.raw`lf = lf.with_columns(
+    prev_amount=pl.col('amount').shift(1).over('customer'),          # [Row-1:amount], Null for the first record
+    category=pl.col('category').forward_fill().over('customer'),     # recursive fill-down
+)
+
+# Recursive with no expression equivalent: collect, loop in input order, continue lazily
+df = lf.collect()
+last = {}
+streak = []
+for customer, amount in zip(df['customer'], df['amount']):
+    last[customer] = last.get(customer, 0) + 1 if amount is not None and amount > 0 else 0
+    streak.append(last[customer])
+lf = df.with_columns(streak=pl.Series(streak)).lazy()`,
+
+  'Multi-Field Formula': String.raw`import polars.selectors as cs
+
+lf = lf.with_columns(cs.string().str.strip_chars())                    # Trim([_CurrentField_]) on all text fields
+lf = lf.with_columns(pl.col('q1', 'q2', 'q3').mul(1.1).name.suffix('_usd'))  # copies with a suffix`,
+
+  Select: String.raw`lf = (
+    lf.select('order_id', 'customer', 'amount', 'order_date')   # the kept fields, in the tool's order
+    .rename({'amount': 'sales'})
+    .with_columns(
+        pl.col('order_id').cast(pl.Int64),
+        pl.col('order_date').str.to_date('%Y-%m-%d', strict=False),
+    )
+)
+lf = lf.drop('internal_note')  # with *Unknown kept: drop the deselected fields instead`,
+
+  Sort: String.raw`lf = lf.sort(['region', 'amount'], descending=[False, True], maintain_order=True)
+lf = lf.sort(pl.col('customer').str.to_lowercase(), maintain_order=True)  # dictionary order`,
+
+  Unique: String.raw`first = pl.struct('customer', 'order_date').is_first_distinct()
+lf_unique = lf.filter(first)
+lf_duplicates = lf.filter(~first)`,
+
+  Sample: String.raw`first_per_region = lf.filter(pl.int_range(pl.len()).over('region') < 5)  # First 5 per region
+skipped = lf.slice(10)                                                       # Skip the first 10
+every_third = lf.gather_every(3)                                             # 1 of every 3
+first_percent = lf.filter(pl.int_range(pl.len()) < pl.len() * 20 // 100)     # First 20%`,
+
+  'Random % Sample': String.raw`df = lf.collect().with_row_index('_row')
+sample = df.sample(n=100, seed=1).sort('_row').drop('_row')          # 100 records, in input order
+sample = df.sample(fraction=0.1, seed=1).sort('_row').drop('_row')   # 10% of the records`,
+
+  'Record ID': String.raw`lf = lf.with_row_index('recordid', offset=1)
+lf = lf.with_columns(pl.col('recordid').cast(pl.String).str.zfill(6))  # String type, size 6`,
+
+  'Data Cleansing': String.raw`import polars.selectors as cs
+
+lf = lf.with_columns(cs.string().fill_null(''), cs.numeric().fill_null(0))  # Replace nulls
+lf = lf.with_columns(
+    cs.string()
+    .str.strip_chars()                          # Leading and trailing whitespace
+    .str.replace_all(r'\s+', ' ')              # Tabs, line breaks, duplicate whitespace
+    .str.replace_all(r'[^\w\s]', '')           # Punctuation
+    .str.to_uppercase()                         # Modify case: upper
+)
+lf = lf.filter(~pl.all_horizontal(pl.all().is_null()))  # Remove null rows`,
+
+  Imputation: String.raw`# Both expressions read the original column, so the indicator sees the nulls
+lf = lf.with_columns(
+    amount_indicator=pl.col('amount').is_null().cast(pl.Int8),
+    amount=pl.col('amount').fill_null(pl.col('amount').mean()),
+)`,
+
+  'Generate Rows': String.raw`# One record per day from start_date to end_date for each input record
+lf = (
+    lf.filter(pl.col('start_date') <= pl.col('end_date'))
+    .with_columns(day=pl.date_ranges('start_date', 'end_date', interval='1d'))
+    .explode('day')
+)
+
+# Init: 1  Condition: [n] <= [quantity]  Loop: [n] + 1
+lf = lf.filter(pl.col('quantity') >= 1).with_columns(n=pl.int_ranges(1, pl.col('quantity') + 1)).explode('n')`,
+
+  Tile: String.raw`# Equal Records: 4 tiles per region, in the current order
+lf = lf.with_columns(tile_num=pl.int_range(pl.len()).over('region') * 4 // pl.len().over('region') + 1)
+lf = lf.with_columns(tile_sequencenum=pl.int_range(1, pl.len() + 1).over('region', 'tile_num'))
+
+# Equal Sum: 4 tiles with roughly equal total amount
+lf = lf.with_columns(tile_num=(pl.col('amount').cum_sum() / pl.col('amount').sum() * 4).ceil().clip(1, 4).cast(pl.Int64))
+
+# Unique Value: one tile per distinct value, numbered in order of appearance
+lf = lf.with_columns(_first=pl.col('category').is_first_distinct().cum_sum())
+lf = lf.with_columns(tile_num=pl.col('_first').first().over('category')).drop('_first')`,
+
+  Join: String.raw`# Unlike pandas, Polars does not match null keys by default
+left_names = left.collect_schema().names()
+right_renamed = right.rename({c: f'right_{c}' for c in right.collect_schema().names() if c in left_names})
+joined = left.join(right_renamed, left_on='customer_id', right_on='id', how='inner')   # J
+left_only = left.join(right, left_on='customer_id', right_on='id', how='anti')       # L
+right_only = right.join(left, left_on='id', right_on='customer_id', how='anti')      # R`,
+
+  'Join Multiple': String.raw`from functools import reduce
+
+frames = [orders, customers.rename({'id': 'customer_id'}), segments]
+joined = reduce(lambda a, b: a.join(b, on='customer_id', how='full', coalesce=True), frames)
+# "Output only records that join from all inputs": how='inner'`,
+
+  Union: String.raw`stacked = pl.concat([q1, q2, q3], how='diagonal_relaxed')   # by name, all fields, types widened
+
+frames = [q1, q2, q3]
+names = [set(f.collect_schema().names()) for f in frames]
+common = [c for c in q1.collect_schema().names() if all(c in n for n in names)]
+common_only = pl.concat([f.select(common) for f in frames], how='vertical_relaxed')`,
+
+  'Append Fields': String.raw`totals = lf.select(total_amount=pl.col('amount').sum())
+lf = lf.join(totals, how='cross').with_columns(share=pl.col('amount') / pl.col('total_amount'))`,
+
+  'Find Replace': String.raw`# Entire field, append fields: a left lookup that keeps every record once
+lookup = codes.unique('code', keep='first', maintain_order=True).select('code', 'description')
+lf = lf.join(lookup, left_on='product_code', right_on='code', how='left')
+
+# Any part of the field, case-insensitive, replace every found item
+pairs = replacements.collect()
+lf = lf.with_columns(
+    pl.col('address').str.replace_many(pairs['find'].to_list(), pairs['replace'].to_list(), ascii_case_insensitive=True)
+)`,
+
+  'Fuzzy Match': String.raw`from rapidfuzz import fuzz, process
+
+# No Polars equivalent: score the collected names with rapidfuzz
+choices = reference.select(pl.col('name').drop_nulls().unique()).collect()['name'].to_list()
+df = lf.collect()
+matches = [
+    process.extractOne(name, choices, scorer=fuzz.token_sort_ratio, score_cutoff=80) if name is not None else None
+    for name in df['name']
+]
+df = df.with_columns(
+    matched_name=pl.Series([match[0] if match else None for match in matches], dtype=pl.String),
+    match_score=pl.Series([match[1] if match else None for match in matches], dtype=pl.Float64),
+)`,
+
+  RegEx: String.raw`# Polars uses Rust regex: no look-around or backreferences; replacements use $1 as Alteryx does
+lf = lf.with_columns(
+    phone=pl.col('phone').str.replace_all(r'[^\d]', ''),                                     # Replace
+    valid_email=pl.col('email').str.contains(r'(?i)^[\w.+-]+@[\w-]+\.[\w.]+$').fill_null(False),  # Match (anchored)
+    area=pl.col('phone_raw').str.extract(r'\((\d{3})\)\s*(\d{3}-\d{4})', 1),                  # Parse
+    number=pl.col('phone_raw').str.extract(r'\((\d{3})\)\s*(\d{3}-\d{4})', 2),
+)
+lf = lf.with_columns(tag=pl.col('tags').str.extract_all(r'#\w+')).explode('tag')              # Tokenize to rows`,
+
+  'Text To Columns': String.raw`# To 3 columns on commas or semicolons, extra text left in the last column
+lf = lf.with_columns(
+    pl.col('address').str.replace_all(';', ',', literal=True).str.splitn(',', 3)
+    .struct.rename_fields(['address1', 'address2', 'address3'])
+).unnest('address')
+
+# To rows
+lf = lf.with_columns(item=pl.col('items').str.split(',')).explode('item')`,
+
+  DateTime: String.raw`lf = lf.with_columns(
+    order_date=pl.col('order_date_text').str.to_date('%d/%m/%Y', strict=False),   # dd/MM/yyyy
+)
+lf = lf.with_columns(month_label=pl.col('order_date').dt.strftime('%B %Y'))       # Month yyyy`,
+
+  Summarize: String.raw`summary = (
+    lf.group_by('region', 'month')
+    .agg(
+        sum_amount=pl.col('amount').sum(),
+        count=pl.len(),
+        countdistinct_customer=pl.col('customer').n_unique(),
+        avg_amount=pl.col('amount').mean(),
+        concat_product=pl.col('product').drop_nulls().cast(pl.String).str.join(','),
+    )
+    .sort('region', 'month', nulls_last=False)
+)`,
+
+  'Cross Tab': String.raw`import re
+
+# pivot has no lazy form: collect, pivot, and continue lazily
+wide = lf.collect().pivot(on='month', index='region', values='amount', aggregate_function='sum').sort('region')
+wide = wide.rename(lambda name: re.sub(r'\W', '_', name).lower().strip()).lazy()`,
+
+  Transpose: String.raw`long = (
+    lf.with_row_index('_row')
+    .unpivot(index=['_row', 'region'], on=['q1', 'q2', 'q3'], variable_name='name', value_name='value')
+    .sort('_row', maintain_order=True)   # keep each record's fields together
+    .drop('_row')
+)`,
+
+  'Running Total': String.raw`lf = lf.with_columns(runtot_amount=pl.col('amount').cum_sum().over('customer'))`,
+
+  'Count Records': String.raw`count = lf.select(count=pl.len())`,
+
+  'Dynamic Rename': String.raw`# Take field names from the first row of data
+df = lf.collect()
+names = [str(value).strip().lower() for value in df.row(0)]
+lf = df.slice(1).rename(dict(zip(df.columns, names))).lazy()
+
+# Take field names from the right input's rows (old name -> new name)
+pairs = mapping.collect()
+lf = lf.rename(dict(zip(pairs['old_name'].str.to_lowercase(), pairs['new_name'].str.to_lowercase())), strict=False)
+
+# Formula: Replace([_CurrentField_], "_", " ") on every name
+lf = lf.rename(lambda name: name.replace('_', ' '))`
+};
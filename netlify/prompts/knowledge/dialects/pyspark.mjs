@@ -0,0 +1,234 @@
+// Reference PySpark DataFrame code for the knowledge base entries, by tool name. Where record
+// order matters the snippets order by _row, a column added with F.monotonically_increasing_id()
+// right after reading.
+
+export default {
+  'Text Input': String.raw`status_codes = spark.createDataFrame([('A', 'Active'), ('B', 'Blocked'), ('C', 'Closed')], 'code string, label string')`,
+
+  Directory: String.raw`df = (
+    spark.read.csv(str(INPUT_DIR / 'sales_*.csv'), header=True, inferSchema=True)
+    .withColumn('filename', F.element_at(F.split(F.input_file_name(), '/'), -1))
+)
+df = df.toDF(*[name.strip().lower() for name in df.columns])
+# Files with different headers: read each, normalize, then unionByName(..., allowMissingColumns=True)`,
+
+  'Output Data': String.raw`# Spark writes a folder of part files; coalesce(1) gives a single CSV in it
+df.coalesce(1).write.mode('overwrite').csv(str(OUTPUT_DIR / 'summary'), header=True)
+
+# Take File/Table Name From Field: one sub-folder per region (region=South/...)
+df.write.mode('overwrite').partitionBy('region').csv(str(OUTPUT_DIR / 'sales'), header=True)
+
+# Excel: only for small results, through pandas
+df.toPandas().to_excel(OUTPUT_DIR / 'report.xlsx', sheet_name='Summary', index=False)`,
+
+  'Date Time Now': String.raw`RUN_TIME = datetime.now()
+now = spark.createDataFrame([(RUN_TIME.strftime('%Y-%m-%d %H:%M:%S'),)], 'datetime_out string')`,
+
+  Filter: String.raw`condition = F.coalesce((F.lower(F.col('region')) == 'south') & (F.col('amount') > 1000), F.lit(False))
+df_true = df.filter(condition)
+df_false = df.filter(~condition)`,
+
+  Formula: String.raw`df = df.withColumn('net', F.col('gross') - F.col('discount'))
+df = df.withColumn(
+    'band',
+    F.when(F.col('net') >= 1000, 'High').when(F.col('net') >= 100, 'Medium').otherwise('Low'),
+)
+df = df.withColumn('margin', F.round(F.col('net') / F.col('gross'), 2))  # FixedDecimal 19.2`,
+
+  'Multi-Row Formula': String.raw`from pyspark.sql import Window
+
+by_customer = Window.partitionBy('customer').orderBy('_row')
+df = df.withColumn('prev_amount', F.lag('amount', 1).over(by_customer))  # [Row-1:amount], Null for the first record
+
+# Recursive fill-down: last non-null value so far
+df = df.withColumn(
+    'category',
+    F.last('category', ignorenulls=True).over(by_customer.rowsBetween(Window.unboundedPreceding, Window.currentRow)),
+)`,
+
+  'Multi-Field Formula': String.raw`text_fields = [name for name, kind in df.dtypes if kind == 'string']
+df = df.select(*[F.trim(F.col(c)).alias(c) if c in text_fields else F.col(c) for c in df.columns])  # Trim all text fields
+df = df.withColumns({f'{c}_usd': F.col(c) * 1.1 for c in ['q1', 'q2', 'q3']})                        # copies with a suffix`,
+
+  Select: String.raw`df = df.select(
+    F.col('order_id').cast('long'),
+    'customer',
+    F.col('amount').alias('sales'),
+    F.to_date('order_date', 'yyyy-MM-dd').alias('order_date'),
+)
+df = df.drop('internal_note')  # with *Unknown kept: drop the deselected fields instead`,
+
+  Sort: String.raw`df = df.orderBy(F.col('region').asc_nulls_first(), F.col('amount').desc_nulls_last(), '_row')
+df = df.orderBy(F.lower('customer'), '_row')  # dictionary order`,
+
+  Unique: String.raw`from pyspark.sql import Window
+
+first = Window.partitionBy('customer', 'order_date').orderBy('_row')
+df = df.withColumn('_dup', F.row_number().over(first))
+df_unique = df.filter('_dup = 1').drop('_dup')
+df_duplicates = df.filter('_dup > 1').drop('_dup')`,
+
+  Sample: String.raw`from pyspark.sql import Window
+
+df = df.withColumn('_n', F.row_number().over(Window.partitionBy('region').orderBy('_row')))
+first_per_region = df.filter('_n <= 5').drop('_n')                          # First 5 per region
+df = df.withColumn('_n', F.row_number().over(Window.orderBy('_row')))
+skipped = df.filter('_n > 10').drop('_n')                                   # Skip the first 10
+every_third = df.filter('_n % 3 = 1').drop('_n')                            # 1 of every 3`,
+
+  'Random % Sample': String.raw`sample = df.orderBy(F.rand(seed=1)).limit(100).orderBy('_row')   # 100 records, in input order
+sample = df.sample(fraction=0.1, seed=1).orderBy('_row')          # about 10% of the records`,
+
+  'Record ID': String.raw`from pyspark.sql import Window
+
+df = df.withColumn('recordid', F.row_number().over(Window.orderBy('_row')))
+df = df.withColumn('recordid', F.lpad(F.col('recordid').cast('string'), 6, '0'))  # String type, size 6`,
+
+  'Data Cleansing': String.raw`text_fields = [name for name, kind in df.dtypes if kind == 'string']
+number_fields = [name for name, kind in df.dtypes if kind in ('int', 'bigint', 'double', 'float') or kind.startswith('decimal')]
+df = df.fillna('', subset=text_fields).fillna(0, subset=number_fields)  # Replace nulls
+for c in text_fields:
+    df = df.withColumn(c, F.upper(F.regexp_replace(F.regexp_replace(F.trim(c), r'\s+', ' '), r'[^\w\s]', '')))
+df = df.dropna(how='all')  # Remove null rows`,
+
+  Imputation: String.raw`mean_amount = df.select(F.avg('amount')).first()[0]
+df = df.withColumn('amount_indicator', F.col('amount').isNull().cast('int'))
+df = df.fillna({'amount': mean_amount})`,
+
+  'Generate Rows': String.raw`# One record per day from start_date to end_date for each input record
+df = df.filter(F.col('start_date') <= F.col('end_date'))
+df = df.withColumn('day', F.explode(F.sequence('start_date', 'end_date', F.expr('interval 1 day'))))
+
+# Init: 1  Condition: [n] <= [quantity]  Loop: [n] + 1
+df = df.filter(F.col('quantity') >= 1).withColumn('n', F.explode(F.sequence(F.lit(1), F.col('quantity'))))`,
+
+  Tile: String.raw`from pyspark.sql import Window
+
+# Equal Records: 4 tiles per region, in the current order
+df = df.withColumn('tile_num', F.ntile(4).over(Window.partitionBy('region').orderBy('_row')))
+df = df.withColumn('tile_sequencenum', F.row_number().over(Window.partitionBy('region', 'tile_num').orderBy('_row')))
+
+# Equal Sum: 4 tiles with roughly equal total amount
+running = F.sum('amount').over(Window.orderBy('_row').rowsBetween(Window.unboundedPreceding, Window.currentRow))
+total = F.sum('amount').over(Window.partitionBy())
+df = df.withColumn('tile_num', F.greatest(F.lit(1), F.least(F.lit(4), F.ceil(running / total * 4))))
+
+# Unique Value: one tile per distinct value
+df = df.withColumn('tile_num', F.dense_rank().over(Window.orderBy('category')))`,
+
+  Join: String.raw`# Like Alteryx, Spark does not match null keys; eqNullSafe would
+right = right.toDF(*[f'right_{c}' if c in left.columns else c for c in right.columns])
+condition = left['customer_id'] == right['id']
+joined = left.join(right, condition, 'inner')         # J
+left_only = left.join(right, condition, 'left_anti')  # L
+right_only = right.join(left, condition, 'left_anti') # R`,
+
+  'Join Multiple': String.raw`from functools import reduce
+
+frames = [orders, customers.withColumnRenamed('id', 'customer_id'), segments]
+joined = reduce(lambda a, b: a.join(b, on='customer_id', how='full'), frames)
+# "Output only records that join from all inputs": how='inner'`,
+
+  Union: String.raw`from functools import reduce
+
+stacked = reduce(lambda a, b: a.unionByName(b, allowMissingColumns=True), [q1, q2, q3])  # by name, all fields
+
+common = [c for c in q1.columns if c in q2.columns and c in q3.columns]
+common_only = reduce(lambda a, b: a.unionByName(b), [f.select(common) for f in [q1, q2, q3]])`,
+
+  'Append Fields': String.raw`totals = df.agg(F.sum('amount').alias('total_amount'))
+df = df.crossJoin(totals).withColumn('share', F.col('amount') / F.col('total_amount'))`,
+
+  'Find Replace': String.raw`import re
+
+from pyspark.sql import Window
+
+# Entire field, append fields: a left lookup that keeps every record once
+lookup = (
+    codes.withColumn('_n', F.row_number().over(Window.partitionBy('code').orderBy('_row')))
+    .filter('_n = 1')
+    .select('code', 'description')
+)
+df = df.join(lookup, df['product_code'] == lookup['code'], 'left').drop('code')
+
+# Any part of the field, replace every found item (a short list, applied in order)
+for find, replace in replacements.select('find', 'replace').collect():
+    df = df.withColumn('address', F.regexp_replace('address', '(?i)' + re.escape(find), replace))`,
+
+  'Fuzzy Match': String.raw`import pandas as pd
+from rapidfuzz import fuzz, process
+
+# Spark has no fuzzy matcher: score each name against the (small) reference list in a pandas UDF
+choices = spark.sparkContext.broadcast([row.name for row in reference.select('name').distinct().collect() if row.name])
+
+@F.pandas_udf('struct<matched_name:string,match_score:double>')
+def best_match(names: pd.Series) -> pd.DataFrame:
+    matches = [
+        process.extractOne(name, choices.value, scorer=fuzz.token_sort_ratio, score_cutoff=80) if name else None
+        for name in names
+    ]
+    return pd.DataFrame({
+        'matched_name': [match[0] if match else None for match in matches],
+        'match_score': [float(match[1]) if match else None for match in matches],
+    })
+
+df = df.withColumn('match', best_match('name')).select('*', 'match.*').drop('match')`,
+
+  RegEx: String.raw`# Spark uses Java regex; replacements use $1 as Alteryx does
+df = df.withColumn('phone', F.regexp_replace('phone', r'[^\d]', ''))                                  # Replace
+df = df.withColumn('valid_email', F.coalesce(F.col('email').rlike(r'(?i)^[\w.+-]+@[\w-]+\.[\w.]+$'), F.lit(False)))  # Match
+pattern = r'\((\d{3})\)\s*(\d{3}-\d{4})'
+df = df.withColumn('area', F.regexp_extract('phone_raw', pattern, 1))                                  # Parse: '' when no match
+df = df.withColumn('area', F.when(F.col('area') != '', F.col('area')))                                 # ... Null as Alteryx
+df = df.withColumn('tag', F.explode(F.regexp_extract_all('tags', F.lit(r'(#\w+)'), 1)))               # Tokenize to rows`,
+
+  'Text To Columns': String.raw`# To 3 columns on commas or semicolons, extra text left in the last column (limit=3)
+parts = F.split('address', '[,;]', 3)
+df = df.select('*', *[parts.getItem(i).alias(f'address{i + 1}') for i in range(3)])
+
+# To rows
+df = df.withColumn('item', F.explode(F.split('items', ',')))`,
+
+  DateTime: String.raw`# Spark uses Java patterns: dd/MM/yyyy, MMMM yyyy
+df = df.withColumn('order_date', F.to_date('order_date_text', 'dd/MM/yyyy'))     # Null when it does not parse
+df = df.withColumn('month_label', F.date_format('order_date', 'MMMM yyyy'))`,
+
+  Summarize: String.raw`summary = (
+    df.groupBy('region', 'month')
+    .agg(
+        F.sum('amount').alias('sum_amount'),
+        F.count(F.lit(1)).alias('count'),
+        F.countDistinct('customer').alias('countdistinct_customer'),
+        F.avg('amount').alias('avg_amount'),
+        F.concat_ws(',', F.collect_list('product')).alias('concat_product'),  # order not guaranteed: sort_array or a window by _row
+    )
+    .orderBy(F.col('region').asc_nulls_first(), F.col('month').asc_nulls_first())
+)`,
+
+  'Cross Tab': String.raw`import re
+
+wide = df.groupBy('region').pivot('month').agg(F.sum('amount')).orderBy('region')
+wide = wide.toDF(*[re.sub(r'\W', '_', name).lower().strip() for name in wide.columns])`,
+
+  Transpose: String.raw`long = df.unpivot(['_row', 'region'], ['q1', 'q2', 'q3'], 'name', 'value')  # Spark 3.4+; older: F.expr('stack(...)')
+long = long.orderBy('_row')`,
+
+  'Running Total': String.raw`from pyspark.sql import Window
+
+so_far = Window.partitionBy('customer').orderBy('_row').rowsBetween(Window.unboundedPreceding, Window.currentRow)
+df = df.withColumn('runtot_amount', F.sum('amount').over(so_far))`,
+
+  'Count Records': String.raw`count = spark.createDataFrame([(df.count(),)], 'count long')`,
+
+  'Dynamic Rename': String.raw`# Take field names from the first row of data
+first = df.orderBy('_row').first()
+names = [str(first[c]).strip().lower() if c != '_row' else c for c in df.columns]
+df = df.filter(F.col('_row') != first['_row']).toDF(*names)
+
+# Take field names from the right input's rows (old name -> new name)
+renames = {row.old_name.lower(): row.new_name.lower() for row in mapping.collect()}
+df = df.toDF(*[renames.get(c, c) for c in df.columns])
+
+# Formula: Replace([_CurrentField_], "_", " ") on every name
+df = df.toDF(*[name.replace('_', ' ') for name in df.columns])`
+};
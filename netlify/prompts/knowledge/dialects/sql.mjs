@@ -0,0 +1,278 @@
+// Reference ANSI SQL for the knowledge base entries, by tool name. Where record order matters
+// the snippets order by _row, the load order column the source tables are assumed to have.
+
+export default {
+  'Text Input': String.raw`status_codes as (
+    select * from (values ('A', 'Active'), ('B', 'Blocked'), ('C', 'Closed')) as t (code, label)
+)`,
+
+  Directory: String.raw`-- Load every matching file into one table with its file name (e.g. COPY INTO ... with the
+-- file name metadata column), or union the per-file tables:
+sales as (
+    select *, 'sales_2023.csv' as filename from sales_2023
+    union all
+    select *, 'sales_2024.csv' as filename from sales_2024
+)`,
+
+  'Output Data': String.raw`-- Each output is a model: the final select of the model file, materialized by dbt
+-- (or by create table <name> as ...). File formats and sheets are the loader's concern.
+-- model: summary
+with ...
+select * from final;`,
+
+  'Date Time Now': String.raw`run_time as (
+    select current_timestamp as datetime_out
+)`,
+
+  Filter: String.raw`filter_south as (
+    select *, coalesce(lower(region) = 'south' and amount > 1000, false) as _keep
+    from orders
+),
+filter_true as (select * from filter_south where _keep),
+filter_false as (select * from filter_south where not _keep)`,
+
+  Formula: String.raw`add_net as (
+    select *, gross - discount as net from orders
+),
+add_band as (
+    select
+        *,
+        case when net >= 1000 then 'High' when net >= 100 then 'Medium' else 'Low' end as band,
+        round(net / nullif(gross, 0), 2) as margin
+    from add_net
+)`,
+
+  'Multi-Row Formula': String.raw`previous_amount as (
+    select
+        *,
+        lag(amount) over (partition by customer order by _row) as prev_amount,  -- [Row-1:amount]
+        -- recursive fill-down (last non-null so far)
+        last_value(category ignore nulls) over (
+            partition by customer order by _row rows between unbounded preceding and current row
+        ) as category_filled
+    from orders
+)`,
+
+  'Multi-Field Formula': String.raw`trimmed as (
+    select
+        trim(customer) as customer,
+        trim(region) as region,   -- one expression per selected field
+        amount,
+        q1 * 1.1 as q1_usd,
+        q2 * 1.1 as q2_usd
+    from orders
+)`,
+
+  Select: String.raw`selected as (
+    select
+        cast(order_id as bigint) as order_id,
+        customer,
+        amount as sales,
+        cast(order_date as date) as order_date
+    from orders
+)`,
+
+  Sort: String.raw`-- Only the final select's order is kept: sort there, or carry a sort key to it
+select * from final order by region asc nulls first, amount desc nulls last, _row`,
+
+  Unique: String.raw`numbered as (
+    select *, row_number() over (partition by customer, order_date order by _row) as _dup
+    from orders
+),
+unique_records as (select * from numbered where _dup = 1),
+duplicate_records as (select * from numbered where _dup > 1)`,
+
+  Sample: String.raw`numbered as (
+    select
+        *,
+        row_number() over (partition by region order by _row) as _n_region,
+        row_number() over (order by _row) as _n
+    from orders
+),
+first_per_region as (select * from numbered where _n_region <= 5),  -- First 5 per region
+skipped as (select * from numbered where _n > 10),                 -- Skip the first 10
+every_third as (select * from numbered where mod(_n - 1, 3) = 0)    -- 1 of every 3`,
+
+  'Random % Sample': String.raw`-- The random function and seeding differ by warehouse (random(), rand(), TABLESAMPLE)
+sampled as (
+    select * from orders order by random() fetch first 100 rows only
+)`,
+
+  'Record ID': String.raw`with_id as (
+    select row_number() over (order by _row) as recordid, * from orders
+),
+with_text_id as (
+    select lpad(cast(recordid as varchar(6)), 6, '0') as recordid_text, * from with_id
+)`,
+
+  'Data Cleansing': String.raw`cleansed as (
+    select
+        upper(regexp_replace(regexp_replace(trim(coalesce(customer, '')), '\s+', ' '), '[^A-Za-z0-9_ ]', '')) as customer,
+        coalesce(amount, 0) as amount
+    from orders
+    where not (customer is null and amount is null)  -- Remove null rows
+)`,
+
+  Imputation: String.raw`imputed as (
+    select
+        *,
+        case when amount is null then 1 else 0 end as amount_indicator,
+        coalesce(amount, avg(amount) over ()) as amount_imputed
+    from orders
+)`,
+
+  'Generate Rows': String.raw`-- Init: 1  Condition: [n] <= [quantity]  Loop: [n] + 1
+-- (with recursive must open the model's with clause)
+with recursive generated (order_id, quantity, n) as (
+    select order_id, quantity, 1 from orders where quantity >= 1
+    union all
+    select order_id, quantity, n + 1 from generated where n + 1 <= quantity
+)`,
+
+  Tile: String.raw`tiled as (
+    select
+        *,
+        ntile(4) over (partition by region order by _row) as tile_num,        -- Equal Records
+        dense_rank() over (order by category) as category_tile                -- Unique Value
+    from orders
+),
+sequenced as (
+    select *, row_number() over (partition by region, tile_num order by _row) as tile_sequencenum
+    from tiled
+)`,
+
+  Join: String.raw`joined as (                                       -- J: name clashing right fields right_<name>
+    select o.*, c.name as right_name, c.segment
+    from orders as o
+    inner join customers as c on o.customer_id = c.id
+),
+left_only as (                                    -- L
+    select o.* from orders as o
+    left join customers as c on o.customer_id = c.id
+    where c.id is null
+),
+right_only as (                                   -- R
+    select c.* from customers as c
+    left join orders as o on o.customer_id = c.id
+    where o.customer_id is null
+)`,
+
+  'Join Multiple': String.raw`joined as (
+    select coalesce(o.customer_id, c.id, s.customer_id) as customer_id, o.amount, c.name, s.segment
+    from orders as o
+    full outer join customers as c on c.id = o.customer_id
+    full outer join segments as s on s.customer_id = coalesce(o.customer_id, c.id)
+)`,
+
+  Union: String.raw`stacked as (                                      -- by name: list the columns, null for missing ones
+    select region, amount, cast(null as varchar) as channel from q1
+    union all
+    select region, amount, channel from q2
+)`,
+
+  'Append Fields': String.raw`with_total as (
+    select o.*, t.total_amount, o.amount / nullif(t.total_amount, 0) as share
+    from orders as o
+    cross join (select sum(amount) as total_amount from orders) as t
+)`,
+
+  'Find Replace': String.raw`lookup as (                                       -- first match per code keeps every record once
+    select code, description from (
+        select *, row_number() over (partition by code order by _row) as _n from codes
+    ) as ranked where _n = 1
+),
+described as (
+    select p.*, l.description
+    from products as p
+    left join lookup as l on p.product_code = l.code
+)`,
+
+  'Fuzzy Match': String.raw`-- Fuzzy scoring is warehouse-specific (Snowflake JAROWINKLER_SIMILARITY / EDITDISTANCE,
+-- Postgres pg_trgm similarity, BigQuery EDIT_DISTANCE): name the function in the assumptions
+scored as (
+    select a.*, b.name as matched_name, jarowinkler_similarity(a.name, b.name) as match_score
+    from customers as a
+    cross join reference as b
+),
+best as (
+    select * from (
+        select *, row_number() over (partition by customer_id order by match_score desc) as _n
+        from scored where match_score >= 80
+    ) as ranked where _n = 1
+)`,
+
+  RegEx: String.raw`-- regexp_replace / regexp_like / regexp_substr differ by warehouse; these are the common forms
+parsed as (
+    select
+        *,
+        regexp_replace(phone, '[^0-9]', '') as phone_digits,                        -- Replace
+        coalesce(regexp_like(email, '^[A-Za-z0-9._+-]+@[A-Za-z0-9-]+\.[A-Za-z0-9.]+$'), false) as valid_email,  -- Match
+        regexp_substr(phone_raw, '[0-9]{3}', 1, 1) as area                          -- Parse
+    from customers
+)`,
+
+  'Text To Columns': String.raw`-- split_part is Postgres/Snowflake/Redshift; BigQuery uses split(...)[safe_offset(n)]
+split_address as (
+    select
+        *,
+        split_part(address, ',', 1) as address1,
+        split_part(address, ',', 2) as address2,
+        split_part(address, ',', 3) as address3
+    from customers
+)`,
+
+  DateTime: String.raw`-- to_date format strings follow the warehouse (Postgres/Snowflake: 'DD/MM/YYYY')
+dated as (
+    select *, to_date(order_date_text, 'DD/MM/YYYY') as order_date
+    from orders
+)`,
+
+  Summarize: String.raw`summary as (
+    select
+        region,
+        month,
+        sum(amount) as sum_amount,
+        count(*) as count,
+        count(distinct customer) as countdistinct_customer,
+        avg(amount) as avg_amount,
+        string_agg(product, ',' order by _row) as concat_product  -- listagg in Snowflake/Redshift
+    from orders
+    group by region, month
+)`,
+
+  'Cross Tab': String.raw`-- One column per header value: list the values the data has
+wide as (
+    select
+        region,
+        sum(case when month = 'Jan' then amount end) as jan,
+        sum(case when month = 'Feb' then amount end) as feb,
+        sum(case when month = 'Mar' then amount end) as mar
+    from orders
+    group by region
+)`,
+
+  Transpose: String.raw`long as (
+    select o._row, o.region, v.name, v.value
+    from orders as o
+    cross join lateral (
+        values ('q1', cast(o.q1 as varchar)), ('q2', cast(o.q2 as varchar)), ('q3', cast(o.q3 as varchar))
+    ) as v (name, value)
+)`,
+
+  'Running Total': String.raw`running as (
+    select
+        *,
+        sum(amount) over (partition by customer order by _row rows between unbounded preceding and current row) as runtot_amount
+    from orders
+)`,
+
+  'Count Records': String.raw`record_count as (
+    select count(*) as count from orders
+)`,
+
+  'Dynamic Rename': String.raw`-- SQL column names are fixed when the model is written: list the renames the workflow
+-- produces (read them from the mapping input or first row now) and say so in the assumptions
+renamed as (
+    select old_name_1 as new_name_1, old_name_2 as new_name_2 from orders
+)`
+};
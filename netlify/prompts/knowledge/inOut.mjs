@@ -0,0 +1,63 @@
+// In/Out palette: reading and writing beyond the uploaded files' own "Read with" calls
+
+export default [
+  {
+    tool: 'Text Input',
+    keywords: /\b(hard[- ]?coded|inline|typed[- ]in) (table|values|list|data)|\btext input/i,
+    semantics: 'Holds a small table typed into the workflow, often a lookup or parameter list.',
+    edgeCases: [
+      'Build the DataFrame from the literal rows; keep codes with leading zeros as strings.',
+      'Normalize its column names like every loaded file.'
+    ],
+    pandas: String.raw`status_codes = pd.DataFrame({'code': ['A', 'B', 'C'], 'label': ['Active', 'Blocked', 'Closed']})`
+  },
+  {
+    tool: 'Directory',
+    aliases: ['Dynamic Input'],
+    keywords: /\b(all|every|multiple|several) (the )?(\w+ )?files\b|\bfolder\b|\bdirectory\b|\bwildcard/i,
+    semantics: 'Directory lists the files in a folder that match a wildcard, optionally including subfolders, with their full path, name and timestamps. It usually feeds Dynamic Input, which reads every listed file with the same layout and stacks the results.',
+    edgeCases: [
+      'Sort the file list, so runs are repeatable.',
+      '"Include subdirectories" is rglob instead of glob.',
+      'Add the source file name as a column when the workflow keeps it ("Output File Name as Field").',
+      'Normalize the columns of every file before stacking, so differently cased headers line up.'
+    ],
+    pandas: String.raw`frames = []
+for path in sorted(INPUT_DIR.glob('sales_*.csv')):
+    part = pd.read_csv(path)
+    part.columns = part.columns.str.lower().str.strip()
+    frames.append(part.assign(filename=path.name))
+df = pd.concat(frames, ignore_index=True)`
+  },
+  {
+    tool: 'Output Data',
+    keywords: /\b(write|save|export) .*\b(sheet|workbook|excel)|\bone (file|sheet) (per|for each)\b|\bappend to (the )?(existing )?(sheet|file)/i,
+    semantics: 'Writes the records to a file whose format follows the extension. Excel outputs can overwrite the file, overwrite or create one sheet, or append to an existing sheet; "Take File/Table Name From Field" writes one file per value of a field.',
+    edgeCases: [
+      'Create the output folder first.',
+      'Writing one sheet into an existing workbook needs pd.ExcelWriter(mode="a", if_sheet_exists=...), which fails when the file does not exist yet.',
+      '.yxdb and database outputs have no pandas writer: write CSV and say so in the warnings.',
+      'Write without the index (index=False).'
+    ],
+    pandas: String.raw`OUTPUT_DIR.mkdir(parents=True, exist_ok=True)
+df.to_csv(OUTPUT_DIR / 'summary.csv', index=False)
+
+# Overwrite one sheet of an existing workbook
+with pd.ExcelWriter(OUTPUT_DIR / 'report.xlsx', mode='a', engine='openpyxl', if_sheet_exists='replace') as writer:
+    df.to_excel(writer, sheet_name='Summary', index=False)
+
+# Take File/Table Name From Field: one file per region
+for region, part in df.groupby('region'):
+    part.to_csv(OUTPUT_DIR / f'sales_{region}.csv', index=False)`
+  },
+  {
+    tool: 'Date Time Now',
+    keywords: /\b(today'?s|current) date\b|\bdate (of|when) the run|\brun date|\btimestamp/i,
+    semantics: 'Outputs one record with the current date or time, formatted as the tool is configured, usually appended to other records or used in file names.',
+    edgeCases: [
+      'Take the time once at the start of the run, so every record and file name agrees.'
+    ],
+    pandas: String.raw`RUN_TIME = pd.Timestamp.now()
+now = pd.DataFrame({'datetime_out': [RUN_TIME.strftime('%Y-%m-%d %H:%M:%S')]})`
+  }
+];
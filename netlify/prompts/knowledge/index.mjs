@@ -0,0 +1,63 @@
+// Alteryx tool knowledge base: one entry per tool with its semantics, edge cases and a
+// reference pandas snippet, grouped in files by the Alteryx tool palette. Prompts include
+// only the entries for the tools a workflow uses or the user's text mentions. dialects/
+// holds the same snippets for the other targets (Polars, PySpark, SQL), by tool name.
+//
+// Entries are part of every template version that includes them (v2 and v3 share these), so
+// editing one changes prompts that conversions were recorded with. prompts.test.mjs pins each
+// version's prompts; to change an entry, first freeze a copy of the current entries for the
+// versions that use them, and point the new version at the edited ones.
+
+import inOut from './inOut.mjs';
+import preparation from './preparation.mjs';
+import join from './join.mjs';
+import parse from './parse.mjs';
+import transform from './transform.mjs';
+import developer from './developer.mjs';
+import polars from './dialects/polars.mjs';
+import pyspark from './dialects/pyspark.mjs';
+import sql from './dialects/sql.mjs';
+
+// In palette order, which is the order entries appear in a prompt
+export const KNOWLEDGE_BASE = [...inOut, ...preparation, ...join, ...parse, ...transform, ...developer];
+
+/**
+ * The entries relevant to a request: those for the named tools (canvas names such as
+ * "Multi-Row Formula", matched case-insensitively, or an entry's aliases) and those whose
+ * keywords appear in any of the texts.
+ */
+export const selectKnowledge = ({ tools = [], texts = [] }) => {
+  const used = new Set(tools.map(tool => tool.toLowerCase()));
+  const text = texts.filter(Boolean).join('\n');
+
+  return KNOWLEDGE_BASE.filter(entry =>
+    [entry.tool, ...(entry.aliases || [])].some(name => used.has(name.toLowerCase())) ||
+    (text !== '' && entry.keywords.test(text)));
+};
+
+// Targets the reference snippets can be written in
+const DIALECTS = {
+  pandas: { label: 'pandas', language: 'python' },
+  polars: { label: 'Polars', language: 'python', snippets: polars },
+  pyspark: { label: 'PySpark', language: 'python', snippets: pyspark },
+  sql: { label: 'SQL', language: 'sql', snippets: sql }
+};
+
+// The entry's snippet for the target, or its pandas snippet to translate when it has none
+const reference = (entry, target) => {
+  const dialect = DIALECTS[target];
+  const code = target === 'pandas' ? entry.pandas : dialect.snippets[entry.tool];
+
+  return code
+    ? `Reference ${dialect.label}:\n\`\`\`${dialect.language}\n${code}\n\`\`\``
+    : `Reference pandas (translate to ${dialect.label}):\n\`\`\`python\n${entry.pandas}\n\`\`\``;
+};
+
+export const describeKnowledge = (entries, target = 'pandas') => entries.map(entry => `### ${entry.tool}
+
+${entry.semantics}
+
+Edge cases:
+${entry.edgeCases.map(note => `- ${note}`).join('\n')}
+
+${reference(entry, target)}`).join('\n\n');
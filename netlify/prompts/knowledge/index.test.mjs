@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { KNOWLEDGE_BASE, selectKnowledge, describeKnowledge } from './index.mjs';
+import polars from './dialects/polars.mjs';
+import pyspark from './dialects/pyspark.mjs';
+import sql from './dialects/sql.mjs';
+
+const toolsOf = (entries) => entries.map(entry => entry.tool);
+
+describe('KNOWLEDGE_BASE', () => {
+  it('has one complete entry per tool', () => {
+    const tools = toolsOf(KNOWLEDGE_BASE);
+    expect(new Set(tools).size).toBe(tools.length);
+    KNOWLEDGE_BASE.forEach(entry => expect(entry).toMatchObject({
+      tool: expect.any(String),
+      keywords: expect.any(RegExp),
+      semantics: expect.any(String),
+      edgeCases: expect.arrayContaining([expect.any(String)]),
+      pandas: expect.any(String)
+    }));
+  });
+
+  it('has a snippet in every dialect for each tool, and none for unknown tools', () => {
+    const tools = toolsOf(KNOWLEDGE_BASE).sort();
+    [polars, pyspark, sql].forEach(snippets => expect(Object.keys(snippets).sort()).toEqual(tools));
+  });
+});
+
+describe('selectKnowledge', () => {
+  it('picks the tools a workflow uses by canvas name or alias, in palette order', () => {
+    expect(toolsOf(selectKnowledge({ tools: ['multi-row formula', 'Dynamic Input', 'Browse'] }))).toEqual(['Directory', 'Multi-Row Formula']);
+  });
+
+  it('picks the tools the texts describe', () => {
+    expect(toolsOf(selectKnowledge({ texts: ['Remove duplicate rows, then sort by date'] }))).toEqual(['Sort', 'Unique']);
+    expect(toolsOf(selectKnowledge({ tools: ['Join'], texts: [undefined, 'stack all the monthly files'] }))).toEqual(['Directory', 'Join', 'Union']);
+  });
+
+  it('picks nothing without tools or text', () => {
+    expect(selectKnowledge({})).toEqual([]);
+    expect(selectKnowledge({ texts: ['', null] })).toEqual([]);
+  });
+});
+
+describe('describeKnowledge', () => {
+  const [join] = selectKnowledge({ tools: ['Join'] });
+
+  it('gives the semantics, edge cases and pandas reference', () => {
+    const text = describeKnowledge([join]);
+    expect(text.startsWith(`### Join\n\n${join.semantics}\n\nEdge cases:\n- ${join.edgeCases[0]}\n`)).toBe(true);
+    expect(text.endsWith(`Reference pandas:\n\`\`\`python\n${join.pandas}\n\`\`\``)).toBe(true);
+  });
+
+  it("uses the target's snippet, or asks for the pandas one to be translated", () => {
+    expect(describeKnowledge([join], 'sql')).toContain(`Reference SQL:\n\`\`\`sql\n${sql.Join}\n\`\`\``);
+    expect(describeKnowledge([join], 'polars')).toContain(`Reference Polars:\n\`\`\`python\n${polars.Join}\n\`\`\``);
+
+    const unlisted = { ...join, tool: 'Make Group' };
+    expect(describeKnowledge([unlisted], 'pyspark')).toContain(`Reference pandas (translate to PySpark):\n\`\`\`python\n${join.pandas}\n\`\`\``);
+  });
+
+  it('separates entries with a blank line', () => {
+    const entries = selectKnowledge({ tools: ['Filter', 'Sort'] });
+    expect(describeKnowledge(entries).split('\n\n### ')).toHaveLength(2);
+    expect(describeKnowledge([])).toBe('');
+  });
+});
@@ -0,0 +1,105 @@
+// Join palette: combining records and fields from several inputs, exactly or by lookup
+
+export default [
+  {
+    tool: 'Join',
+    keywords: /\bjoin|\bmerge|\blook ?up|\bmatch(ing)? (on|by)\b|\bcombine .* (on|by) /i,
+    semantics: 'Matches Left and Right records on one or more key fields, or pairs them by record position. It has three outputs: J (matched records with the fields of both sides), L (left records with no match) and R (right records with no match). An inner join is J, a left outer join is J plus L, and a full outer join is J plus L plus R.',
+    edgeCases: [
+      'Right-side fields whose names clash with left-side fields are prefixed "Right_" (right_ after lower-casing).',
+      'Keys must have the same dtype on both sides: cast explicitly, and keep codes with leading zeros as strings.',
+      'pandas merge matches NaN keys to each other, which SQL does not; decide deliberately and drop null keys first if they must not match.',
+      'One-to-many and many-to-many keys multiply records; pass validate="one_to_one" or "many_to_one" where the data should be unique.',
+      'For several keys, find the unmatched records by comparing pd.MultiIndex.from_frame(...) of the key columns with isin().',
+      'Join by record position pairs row i with row i; the extra rows of the longer input go to L or R.'
+    ],
+    pandas: String.raw`right_renamed = right.rename(columns={c: f'right_{c}' for c in right.columns if c in left.columns})
+joined = left.merge(right_renamed, left_on='customer_id', right_on='id', how='inner')  # J
+left_only = left[~left['customer_id'].isin(right['id'])]                            # L
+right_only = right[~right['id'].isin(left['customer_id'])]                           # R
+
+left_outer = pd.concat([joined, left_only], ignore_index=True)                       # J + L`
+  },
+  {
+    tool: 'Join Multiple',
+    keywords: /\bjoin (three|3|four|4|several|multiple|all) /i,
+    semantics: 'Joins three or more inputs on common key fields, or by record position. By default it is a full outer join; "Output only records that join from all inputs" makes it an inner join. Clashing field names are prefixed with the number of the input they came from.',
+    edgeCases: [
+      'Rename the keys to one name on every input before chaining merges.',
+      'Check the many-to-many option: the tool can warn or fail on Cartesian joins, where pandas silently multiplies records.',
+      'Keep the field names the workflow uses downstream when renaming clashes.'
+    ],
+    pandas: String.raw`from functools import reduce
+
+frames = [orders, customers.rename(columns={'id': 'customer_id'}), segments]
+joined = reduce(lambda a, b: a.merge(b, on='customer_id', how='outer'), frames)
+# "Output only records that join from all inputs": how='inner'`
+  },
+  {
+    tool: 'Union',
+    keywords: /\bunion|\bstack|\bappend (the )?(rows|records|files|tables)|\bconcatenat(e|ing) (the )?(files|tables|data)/i,
+    semantics: 'Stacks the records of all its inputs, in the order of their connections (#1, #2, ...). By default fields are matched by name and the output has every field any input has, with Null where an input lacks it. Fields can also be matched by position, or configured manually.',
+    edgeCases: [
+      '"Output the common subset of fields" keeps only the fields every input has: pd.concat(join="inner").',
+      'By position, every input takes the first input\'s field names.',
+      'A field with different types across inputs widens (an integer and a string field become a string field); pandas makes it object.'
+    ],
+    pandas: String.raw`stacked = pd.concat([q1, q2, q3], ignore_index=True)                  # by name, all fields
+common = pd.concat([q1, q2, q3], ignore_index=True, join='inner')      # only the shared fields
+by_position = pd.concat([d.set_axis(q1.columns[:d.shape[1]], axis=1) for d in [q1, q2]], ignore_index=True)`
+  },
+  {
+    tool: 'Append Fields',
+    keywords: /\bappend (the )?(fields|columns|totals?)|\bcross join|\bcartesian|\b(every|each) (row|record) .* (total|grand total|parameter)|\bshare of (the )?total|\bpercent(age)? of (the )?total/i,
+    semantics: 'Adds the fields of every Source (S) record to every Target (T) record: a Cartesian product with len(T) * len(S) records. It is typically used to attach a single-row total or parameter to each record.',
+    edgeCases: [
+      'Source fields whose names clash with target fields are prefixed "Source_" (source_ after lower-casing).',
+      'An empty source gives an empty output.',
+      'The tool warns or fails when the source has more than 16 records; a large source usually means a join was intended.'
+    ],
+    pandas: String.raw`totals = pd.DataFrame({'total_amount': [df['amount'].sum()]})
+df = df.merge(totals, how='cross')
+df['share'] = df['amount'] / df['total_amount']`
+  },
+  {
+    tool: 'Find Replace',
+    keywords: /\bfind (and )?replace|\breplace (the )?(values|codes|text|words) (using|from|with values from)|\blookup table|\bmapping table/i,
+    semantics: 'Searches a field of the Find (F) input for the values of a field in the Replace (R) input. The value must be found at the beginning of the field, anywhere in it, or as the entire field, optionally case-insensitively and as whole words. Found text is either replaced with a field from R, or fields from R are appended to the record (a lookup).',
+    edgeCases: [
+      'Records with no match pass through unchanged, with Null in appended fields; the record count never changes.',
+      'With several matching R records, only the first is used: drop duplicate lookup keys before merging.',
+      '"Replace multiple found items" (any part of the field) replaces every occurrence of every value; otherwise only the first found item is replaced.',
+      'Try longer search values first, so "North East" wins over "North".'
+    ],
+    pandas: String.raw`# Entire field, append fields: a left lookup that keeps every record once
+lookup = codes.drop_duplicates('code')[['code', 'description']]
+df = df.merge(lookup, left_on='product_code', right_on='code', how='left').drop(columns='code')
+
+# Any part of the field, case-insensitive, replace every found item
+import re
+pairs = {str(find).lower(): replace for find, replace in zip(replacements['find'], replacements['replace'])}
+pattern = re.compile('|'.join(sorted(map(re.escape, pairs), key=len, reverse=True)), re.IGNORECASE)
+df['address'] = df['address'].str.replace(pattern, lambda m: pairs[m.group(0).lower()], regex=True)`
+  },
+  {
+    tool: 'Fuzzy Match',
+    keywords: /\bfuzzy|\bsimilar (names|records|text)|\bapproximate match|\bnear[- ]duplicate|\bmisspell|\btypos?\b/i,
+    semantics: 'Finds records that are probably the same despite spelling differences. Purge mode finds duplicates within one input; Merge mode only compares records from different sources. A match key (such as Soundex, Double Metaphone or digits only) limits which records are compared, a match function (Jaro, Levenshtein, word-based) scores each pair, and pairs scoring at or above the threshold (80% by default) are output with their record IDs and match score.',
+    edgeCases: [
+      'There is no pandas equivalent: use the rapidfuzz package, and say in the warnings that its scores differ from Alteryx\'s, so the threshold needs checking against the data.',
+      'Compare cleaned values (lower-cased, stripped, punctuation removed), as the tool\'s pre-processing does.',
+      'Comparing every pair is quadratic; block on a cheap key (first letter, postcode) for large inputs.',
+      'The tool is usually followed by Make Group to cluster matched pairs; keep the record IDs so the clusters can be joined back.'
+    ],
+    pandas: String.raw`from rapidfuzz import fuzz, process
+
+# Merge mode: the best match in the reference list for each name, scored 0-100 like the threshold
+choices = reference['name'].dropna().astype(str).unique().tolist()
+matches = [
+    process.extractOne(name, choices, scorer=fuzz.token_sort_ratio, score_cutoff=80) if isinstance(name, str) else None
+    for name in df['name']
+]
+df['matched_name'] = [match[0] if match else None for match in matches]
+df['match_score'] = [match[1] if match else None for match in matches]`
+  }
+];
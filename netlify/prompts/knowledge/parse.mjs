@@ -0,0 +1,54 @@
+// Parse palette: splitting and extracting text, and converting text to dates
+
+export default [
+  {
+    tool: 'RegEx',
+    keywords: /\bregex|\bregular expression|\bpattern|\bextract (the )?(\w+ )?(from|out of)|\bvalid(ate)? (email|phone|postcode|zip)/i,
+    semantics: 'Applies a regular expression to a field with one of four output methods: Replace (replace matches with text that may use $1 group references), Tokenize (split the matches into columns or rows), Parse (capture groups into new, named and typed fields) and Match (add a boolean field telling whether the whole field matches).',
+    edgeCases: [
+      '"Case Insensitive" is ticked by default: pass case=False or re.IGNORECASE unless the tool unticks it.',
+      'Match tests the entire field, not a substring: use str.fullmatch, and fill Null with False.',
+      'Replacement text references groups as $1; Python uses \\1 or \\g<1>.',
+      'Alteryx uses Perl-style syntax; Python\'s re covers the common parts, but possessive quantifiers and \\K are not supported.',
+      'Parse gives Null in every new field for records that do not match.',
+      'Tokenize with a marked group keeps only the group; without one, each whole match is a token.'
+    ],
+    pandas: String.raw`import re
+
+df['phone'] = df['phone'].str.replace(r'[^\d]', '', regex=True)                                        # Replace
+df['valid_email'] = df['email'].str.fullmatch(r'[\w.+-]+@[\w-]+\.[\w.]+', case=False).fillna(False)    # Match
+df[['area', 'number']] = df['phone_raw'].str.extract(r'\((\d{3})\)\s*(\d{3}-\d{4})', flags=re.IGNORECASE)  # Parse
+df['tag'] = df['tags'].str.findall(r'#(\w+)')                                                          # Tokenize...
+df = df.explode('tag', ignore_index=True)                                                              # ...to rows`
+  },
+  {
+    tool: 'Text To Columns',
+    keywords: /\bsplit|\btext to columns|\bdelimit|\bseparated (by|with)|\bcomma[- ]separated/i,
+    semantics: 'Splits a field on delimiters into a fixed number of columns named after the field (address1, address2, ...) or into rows, one per token, with the other fields repeated. Every character typed as a delimiter is a delimiter on its own, and \\t stands for tab.',
+    edgeCases: [
+      'Splitting to N columns leaves the extra text in the last column by default; the tool can instead drop it or fail.',
+      'Records with fewer tokens get Null in the remaining columns; reindex so all N columns always exist.',
+      'Tokens are not trimmed.',
+      'Consecutive delimiters produce empty tokens unless "Skip empty columns" is ticked; options can also ignore delimiters inside quotes, single quotes or parentheses.'
+    ],
+    pandas: String.raw`# To 3 columns on commas or semicolons, extra text left in the last column
+parts = df['address'].str.split(r'[,;]', n=2, expand=True, regex=True).reindex(columns=range(3))
+df[['address1', 'address2', 'address3']] = parts
+
+# To rows
+df = df.assign(item=df['items'].str.split(',')).explode('item', ignore_index=True)`
+  },
+  {
+    tool: 'DateTime',
+    aliases: ['Date Time'],
+    keywords: /\b(parse|convert)\b.{0,40}\bdates?\b|\bdate format|\bstring to date|\bdate to string|\bto_datetime/i,
+    semantics: 'Converts text to a date, time or datetime field, or a date back to text, using a format pattern, and writes the result to a new field. Alteryx patterns map to strftime codes: yyyy → %Y, yy → %y, MM → %m, dd → %d, Month → %B, Mon → %b, HH → %H, hh → %I, mm → %M, ss → %S, ap → %p.',
+    edgeCases: [
+      'Text that does not fit the pattern becomes Null with a conversion warning: use errors="coerce".',
+      'Alteryx dates are written as yyyy-MM-dd and datetimes as yyyy-MM-dd HH:mm:ss when output as text.',
+      'Pass format= explicitly: the data\'s day/month order must not be guessed.'
+    ],
+    pandas: String.raw`df['order_date'] = pd.to_datetime(df['order_date_text'], format='%d/%m/%Y', errors='coerce')  # dd/MM/yyyy
+df['month_label'] = df['order_date'].dt.strftime('%B %Y')                                       # Month yyyy`
+  }
+];
@@ -0,0 +1,240 @@
+// Preparation palette: row filters, formulas, field selection, ordering, sampling and cleansing
+
+export default [
+  {
+    tool: 'Filter',
+    keywords: /\bfilter|\bwhere\b|\bkeep (only )?(the )?(rows|records)|\bexclud|\bremove (the )?(rows|records)/i,
+    semantics: 'Splits the records into a True (T) and a False (F) output by a boolean expression or a basic condition on one field. Every record goes to exactly one output, in its input order.',
+    edgeCases: [
+      'A condition that evaluates to Null sends the record to F. Fill the mask with False before splitting, so df[~mask] holds both the false and the null rows.',
+      'String comparisons (=, !=, Contains, StartsWith) are case-insensitive; compare lower-cased values.',
+      'IsEmpty([field]) is true for Null and for "": s.isna() | (s == "").',
+      'Only write the outputs that are connected downstream.'
+    ],
+    pandas: String.raw`mask = (df['region'].str.lower() == 'south') & (df['amount'] > 1000)
+mask = mask.fillna(False).astype(bool)
+df_true = df[mask]
+df_false = df[~mask]`
+  },
+  {
+    tool: 'Formula',
+    keywords: /\bformula|\bcalculat|\bnew (column|field)|\bderive/i,
+    semantics: 'Evaluates its expressions top to bottom on every record. Each expression updates an existing field or creates a new one with a declared type and size, and later expressions see the results of earlier ones.',
+    edgeCases: [
+      'Assign the expressions in the listed order; an expression that reads a field updated above sees the new value.',
+      'IF c1 THEN a ELSEIF c2 THEN b ELSE d ENDIF is np.select([c1, c2], [a, b], default=d); IIF(c, a, b) is np.where(c, a, b). A Null condition takes the ELSE branch.',
+      'A FixedDecimal field of size 19.2 holds 2 decimals: round the result with .round(2).',
+      'String fields have a maximum length; text longer than the declared size is truncated (.str[:size]).',
+      'Arithmetic with a Null operand gives Null, which pandas matches with NaN.'
+    ],
+    pandas: String.raw`df = df.copy()
+df['net'] = df['gross'] - df['discount']
+df['band'] = np.select(
+    [df['net'] >= 1000, df['net'] >= 100],
+    ['High', 'Medium'],
+    default='Low'
+)
+df['margin'] = (df['net'] / df['gross']).round(2)  # FixedDecimal 19.2`
+  },
+  {
+    tool: 'Multi-Row Formula',
+    keywords: /\b(previous|prior|next|last) (row|record)|\brow\s*[-+]\s*1\b|\blag\b|\blead\b|\bfill (down|forward)|\bforward[- ]fill/i,
+    semantics: 'Evaluates one expression per record that can read other records with [Row-1:Field] and [Row+1:Field] (up to the configured number of rows away), updating an existing field or creating a new one. Records are processed in their incoming order; Group By fields restart the row window for every group.',
+    edgeCases: [
+      'Rows that do not exist (before the first record, after the last, or across a group boundary) take the "Values for rows that don\'t exist" option: 0 or empty, Null, or the closest valid row. Use shift(fill_value=...) or leave NaN to match.',
+      'When the expression updates the field it reads, [Row-1:Field] is the already updated value of the previous row, which makes it recursive (running balances, fill-down). shift() cannot express that: use cumsum(), ffill() or similar when they are equivalent, otherwise a loop in input order.',
+      'Never sort: keep the input order and group with groupby(sort=False, dropna=False); Null group keys form their own group.'
+    ],
+    pandas: String.raw`# [Row-1:amount] of the same customer, Null for each customer's first record
+df['prev_amount'] = df.groupby('customer', sort=False, dropna=False)['amount'].shift(1)
+
+# Updating the field it reads: IF IsNull([category]) THEN [Row-1:category] ELSE [category] ENDIF fills down
+df['category'] = df.groupby('customer', sort=False, dropna=False)['category'].ffill()
+
+# Recursive with no vectorized equivalent: IF [amount] > 0 THEN [Row-1:streak] + 1 ELSE 0 ENDIF
+# (rows that don't exist = 0), evaluated in input order per customer
+last = {}
+streak = []
+for customer, amount in zip(df['customer'], df['amount']):
+    last[customer] = last.get(customer, 0) + 1 if amount > 0 else 0
+    streak.append(last[customer])
+df['streak'] = streak`
+  },
+  {
+    tool: 'Multi-Field Formula',
+    keywords: /\b(all|every|each) (text |string |numeric |number )?(columns|fields)\b|\bmulti[- ]field/i,
+    semantics: 'Applies one expression to each selected field, where [_CurrentField_] is the field being processed and [_CurrentFieldName_] its name. The result replaces the field, or is written to a copy named with a prefix or suffix. The tool can also change the output type of the selected fields.',
+    edgeCases: [
+      'Fields can be selected by type ("All Text", "All Numeric") and by "Dynamic or Unknown Fields": choose the columns by dtype at run time rather than listing them.',
+      '"Copy output fields and add prefix/suffix" keeps the originals and adds the copies after them.',
+      'Each field is processed on its own; the expression cannot read another selected field\'s new value.'
+    ],
+    pandas: String.raw`# Trim([_CurrentField_]) on all text fields, in place
+text_columns = df.select_dtypes(include=['object', 'string']).columns
+df[text_columns] = df[text_columns].apply(lambda s: s.str.strip())
+
+# [_CurrentField_] * 1.1 on the quarter fields, copied with a "_usd" suffix
+for column in ['q1', 'q2', 'q3']:
+    df[f'{column}_usd'] = df[column] * 1.1`
+  },
+  {
+    tool: 'Select',
+    keywords: /\b(rename|drop|reorder|retype|change the type of) (the )?(columns?|fields?)\b|\bselect (only )?(the )?(columns|fields)/i,
+    semantics: 'Keeps, drops, renames, reorders and retypes fields. The output has the kept fields in the order the tool lists them. The "*Unknown" row decides what happens to fields that were not there when the workflow was built (kept by default).',
+    edgeCases: [
+      'When *Unknown is kept, drop the deselected fields rather than listing the kept ones, so new columns still pass through.',
+      'Field names in the configuration keep their case; the script\'s columns are lower-cased and stripped, so normalize configured names the same way.',
+      'A type change to a sized String truncates longer text; a change to a date type needs an explicit format (pd.to_datetime(format=..., errors="coerce")).',
+      'Integer fields that can hold Null need the nullable "Int64" dtype.'
+    ],
+    pandas: String.raw`df = df[['order_id', 'customer', 'amount', 'order_date']]  # the kept fields, in the tool's order
+df = df.rename(columns={'amount': 'sales'})
+df['order_id'] = df['order_id'].astype('Int64')
+df['order_date'] = pd.to_datetime(df['order_date'], format='%Y-%m-%d', errors='coerce')
+
+# With *Unknown kept: drop the deselected fields instead
+df = df.drop(columns=['internal_note'])`
+  },
+  {
+    tool: 'Sort',
+    keywords: /\bsort|\border(ed)? by\b|\bascending|\bdescending|\brank(ed)? by\b/i,
+    semantics: 'Orders the records by one or more fields, each ascending or descending. Records with equal sort values keep their input order.',
+    edgeCases: [
+      'Use a stable sort (kind="stable") so ties keep their input order.',
+      '"Use dictionary order" sorts text case-insensitively (a, B, c) instead of by character code (B, a, c): sort with key=lambda s: s.str.lower().',
+      'Decide where nulls go with na_position rather than relying on the default.'
+    ],
+    pandas: String.raw`df = df.sort_values(['region', 'amount'], ascending=[True, False], kind='stable')
+
+# "Use dictionary order": case-insensitive text order
+df = df.sort_values('customer', key=lambda s: s.str.lower(), kind='stable')`
+  },
+  {
+    tool: 'Unique',
+    keywords: /\bunique|\bduplicat|\bdedup|\bdistinct (rows|records)/i,
+    semantics: 'Compares records on the selected fields. The first record of every combination goes to the Unique (U) output and each later one to the Duplicates (D) output, both in input order.',
+    edgeCases: [
+      'Null values compare equal to each other, as in DataFrame.duplicated().',
+      'Keep the first occurrence, not the last, and do not sort.',
+      'Only the selected fields decide what is a duplicate; all fields are kept in both outputs.'
+    ],
+    pandas: String.raw`duplicate = df.duplicated(subset=['customer', 'order_date'], keep='first')
+df_unique = df[~duplicate]
+df_duplicates = df[duplicate]`
+  },
+  {
+    tool: 'Sample',
+    keywords: /\bfirst \d+ (rows|records)|\blast \d+ (rows|records)|\bskip (the )?first|\btop \d+|\bevery \d+(st|nd|rd|th)? (row|record)/i,
+    semantics: 'Keeps the first N records, the last N, all but the first N, 1 of every N, or the first N percent, optionally within each group of the Group By fields. Input order is kept.',
+    edgeCases: [
+      'Grouped samples work per group in input order (groupby(sort=False, dropna=False)), not on a sorted frame.',
+      'N percent is the first rows of the input, not a random selection; that is the Random % Sample tool.'
+    ],
+    pandas: String.raw`first_per_region = df.groupby('region', sort=False, dropna=False).head(5)  # First 5 per region
+skipped = df.iloc[10:]                                                       # Skip the first 10
+every_third = df.iloc[::3]                                                   # 1 of every 3
+first_percent = df.head(int(len(df) * 20 / 100))                             # First 20%`
+  },
+  {
+    tool: 'Random % Sample',
+    keywords: /\brandom(ly)? (sample|select|pick)|\bsample of \d+/i,
+    semantics: 'Keeps a random selection of a fixed number of records or a percentage of them. A seed ("Deterministic output") makes the selection repeatable. The selected records keep their input order.',
+    edgeCases: [
+      'Pass random_state so reruns select the same records; the selection will not be the same records Alteryx picked.',
+      'Restore the input order after sampling with sort_index().'
+    ],
+    pandas: String.raw`sample = df.sample(n=100, random_state=1).sort_index()       # 100 records
+sample = df.sample(frac=0.1, random_state=1).sort_index()     # 10% of the records`
+  },
+  {
+    tool: 'Record ID',
+    keywords: /\b(record|row) (id|number)s?\b|\bnumber (the )?(rows|records)|\bsequence number/i,
+    semantics: 'Adds a field numbering the records in input order, starting at 1 by default. The field is an integer or a zero-padded string of the configured size, placed as the first or last column.',
+    edgeCases: [
+      'Number the records in their current order; do not sort first unless the workflow does.',
+      'A String type with size 6 pads with zeros: 000001.'
+    ],
+    pandas: String.raw`df.insert(0, 'recordid', range(1, len(df) + 1))
+
+# String type, size 6
+df.insert(0, 'recordid', [str(i).zfill(6) for i in range(1, len(df) + 1)])`
+  },
+  {
+    tool: 'Data Cleansing',
+    keywords: /\bclean(s?e|ing)\b|\bwhitespace|\btrim|\bpunctuation|\bnull rows|\bblank rows/i,
+    semantics: 'Cleans the selected fields: replaces Nulls with blanks (text fields) or 0 (numeric fields); removes leading and trailing whitespace, tabs, line breaks and duplicate whitespace, all whitespace, letters, numbers or punctuation; and changes case. It can also drop rows and columns that are entirely null.',
+    edgeCases: [
+      'Null replacement applies by type: "" for text fields, 0 for numeric fields.',
+      '"Tabs, line breaks and duplicate whitespace" collapses each run of whitespace into one space.',
+      '"Remove null rows" drops records where every field is Null or empty; "Remove null columns" drops columns that are entirely Null.',
+      'Only the selected fields are cleaned.'
+    ],
+    pandas: String.raw`text = df.select_dtypes(include=['object', 'string']).columns
+numbers = df.select_dtypes(include='number').columns
+df[text] = df[text].fillna('')                                                         # Replace nulls with blanks
+df[numbers] = df[numbers].fillna(0)                                                    # Replace nulls with 0
+df[text] = df[text].apply(lambda s: s.str.strip())                                     # Leading and trailing whitespace
+df[text] = df[text].apply(lambda s: s.str.replace(r'\s+', ' ', regex=True))           # Tabs, line breaks, duplicate whitespace
+df[text] = df[text].apply(lambda s: s.str.replace(r'[^\w\s]', '', regex=True))         # Punctuation
+df[text] = df[text].apply(lambda s: s.str.upper())                                     # Modify case: upper
+df = df[~df.replace('', np.nan).isna().all(axis=1)]                                    # Remove null rows`
+  },
+  {
+    tool: 'Imputation',
+    keywords: /\bimput|\bfill (in )?(the )?(missing|null|empty)|\breplace (missing|null)s? with (the )?(mean|average|median|mode)/i,
+    semantics: 'Replaces Null (or a chosen value) in the selected numeric fields with the field\'s mean, median, mode or a user-specified value. It can add an indicator field flagging the imputed records.',
+    edgeCases: [
+      'The statistic is computed over the non-null values of the whole column, before any replacement, not per group.',
+      'Series.mode() can return several values; take the first.',
+      'Add the indicator before filling, while the nulls are still visible.'
+    ],
+    pandas: String.raw`mean = df['amount'].mean()
+df['amount_indicator'] = df['amount'].isna().astype(int)
+df['amount'] = df['amount'].fillna(mean)`
+  },
+  {
+    tool: 'Generate Rows',
+    keywords: /\bgenerate (rows|records|dates)|\bone (row|record) (per|for each) (day|month|date|week)|\bexpand .* (range|between)|\bdate range/i,
+    semantics: 'Creates records in a loop: an initialization expression gives the first value, a condition expression is checked before each record, and a loop expression computes the next value. With an input, every input record is repeated for each generated value; without one, the records are created from scratch.',
+    edgeCases: [
+      'The condition is checked before the first value too: a record whose condition fails (or is Null) straight away produces no output records at all.',
+      'Date loops usually step with DateTimeAdd([field], 1, "days"); pd.date_range covers them.',
+      'explode() turns empty ranges into a NaN row; drop those to match.'
+    ],
+    pandas: String.raw`# One record per day from start_date to end_date for each input record
+# Init: [start_date]  Condition: [day] <= [end_date]  Loop: DateTimeAdd([day], 1, "days")
+df = df[df['start_date'].notna() & df['end_date'].notna()]
+df['day'] = [pd.date_range(start, end, freq='D') for start, end in zip(df['start_date'], df['end_date'])]
+df = df.explode('day', ignore_index=True)
+df = df[df['day'].notna()]
+df['day'] = pd.to_datetime(df['day'])
+
+# Init: 1  Condition: [n] <= [quantity]  Loop: [n] + 1
+df['n'] = [range(1, int(quantity) + 1) for quantity in df['quantity'].fillna(0)]
+df = df.explode('n', ignore_index=True).dropna(subset=['n'])`
+  },
+  {
+    tool: 'Tile',
+    keywords: /\btile|\bquartile|\bdecile|\bpercentile group|\bbucket|\bbin(s|ning)?\b|\bequal[- ]sized groups/i,
+    semantics: 'Assigns each record a tile number (Tile_Num) and its position within the tile (Tile_SequenceNum), optionally within each group. Methods: Equal Records (N tiles with record counts differing by at most one, in the current order), Equal Sum (N tiles with roughly equal totals of a field, in the current order), Unique Value (one tile per distinct value), Manual (user cutoffs) and Smart Tile (bands by standard deviations from the mean).',
+    edgeCases: [
+      'Equal Records and Equal Sum tile the records in their current order; sort first only when the workflow does.',
+      'Unique Value numbers the distinct values in order of first appearance.',
+      'For Manual cutoffs, check which tile a value equal to a cutoff belongs to; pd.cut(right=True) puts it in the lower tile.',
+      'Smart Tile compares (x - mean) / std with -1, 1 and similar bounds; reproduce it with pd.cut on that score.'
+    ],
+    pandas: String.raw`# Equal Records: 4 tiles per region, in the current order
+grouped = df.groupby('region', sort=False, dropna=False)
+position = grouped.cumcount()
+size = grouped['region'].transform('size')
+df['tile_num'] = position * 4 // size + 1
+df['tile_sequencenum'] = df.groupby(['region', 'tile_num'], sort=False, dropna=False).cumcount() + 1
+
+# Equal Sum: 4 tiles with roughly equal total amount
+share = df['amount'].cumsum() / df['amount'].sum()
+df['tile_num'] = np.ceil(share * 4).clip(1, 4).astype(int)
+
+# Unique Value: one tile per distinct value, numbered in order of appearance
+df['tile_num'] = pd.factorize(df['category'])[0] + 1`
+  }
+];
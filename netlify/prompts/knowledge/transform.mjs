@@ -0,0 +1,69 @@
+// Transform palette: aggregating, pivoting and accumulating
+
+export default [
+  {
+    tool: 'Summarize',
+    keywords: /\bsummar|\baggregat|\bgroup(ed)? by\b|\btotals? (by|per|for each)\b|\bsum of\b|\baverage|\bcount (of|the number of)\b/i,
+    semantics: 'Groups the records by the Group By fields and computes actions on other fields: Sum, Count, Count Distinct, Count Non Null, Count Null, Min, Max, Avg, Median, Mode, StdDev, Variance, First, Last and Concatenate. It outputs one record per group, sorted by the group fields, or a single record when nothing is grouped.',
+    edgeCases: [
+      'Null group keys form their own group: groupby(dropna=False).',
+      'Count counts all records, nulls included ("size"); Count Non Null is pandas "count".',
+      'Output fields are named after the action and field, e.g. Sum_Amount (sum_amount after lower-casing) and Count.',
+      'pandas sum() of an all-null group is 0; pass min_count=1 where the result must stay Null.',
+      'Concatenate joins the non-null values with "," by default, in input order.'
+    ],
+    pandas: String.raw`summary = df.groupby(['region', 'month'], as_index=False, dropna=False).agg(
+    sum_amount=('amount', 'sum'),
+    count=('amount', 'size'),
+    countdistinct_customer=('customer', 'nunique'),
+    avg_amount=('amount', 'mean'),
+    concat_product=('product', lambda s: ','.join(s.dropna().astype(str))),
+)`
+  },
+  {
+    tool: 'Cross Tab',
+    keywords: /\bcross[- ]?tab|\bpivot|\bwide format|\b(values|months|categories) (as|into) columns|\bone column (per|for each)\b/i,
+    semantics: 'Pivots the data: the Group By fields stay as rows, each distinct value of the Header field becomes a column, and the Data field is aggregated into it with the chosen method (Sum, Count, Avg, First, Last, Concatenate, ...). Rows are sorted by the group fields.',
+    edgeCases: [
+      'New column names are the header values with spaces and other characters that are not letters, digits or underscores replaced by "_".',
+      'Combinations with no records are Null, not 0; only fill them when the request asks for it.',
+      'pivot_table drops columns that are entirely empty; pass dropna=False to keep them.',
+      'Downstream tools refer to the new columns by the header values, so normalize them like every other column name.'
+    ],
+    pandas: String.raw`import re
+
+wide = pd.pivot_table(df, index=['region'], columns='month', values='amount', aggfunc='sum').reset_index()
+wide.columns = [re.sub(r'\W', '_', str(c)).lower().strip() for c in wide.columns]`
+  },
+  {
+    tool: 'Transpose',
+    keywords: /\btranspose|\bunpivot|\bmelt|\blong format|\bcolumns (in|into) rows|\bwide to long/i,
+    semantics: 'Unpivots the selected data fields into two columns, Name (the field name) and Value, repeating the key fields. Each input record becomes one record per data field, in field order, and the records stay together.',
+    edgeCases: [
+      'melt() orders the output by field first; sort by the original index (stably) to keep each record\'s fields together as Alteryx does.',
+      'When the data fields have different types, Value becomes text; pandas makes it object.',
+      'With "Dynamic or Unknown Fields" selected, every column that is not a key is a data field.'
+    ],
+    pandas: String.raw`long = df.melt(id_vars=['region'], value_vars=['q1', 'q2', 'q3'], var_name='name', value_name='value', ignore_index=False)
+long = long.sort_index(kind='stable').reset_index(drop=True)`
+  },
+  {
+    tool: 'Running Total',
+    keywords: /\brunning (total|sum|balance)|\bcumulative|\byear[- ]to[- ]date|\bytd\b|\bmonth[- ]to[- ]date/i,
+    semantics: 'Adds a cumulative sum of each selected numeric field in a new field named RunTot_<field>, optionally restarting for every group of the Group By fields. Records are processed in their incoming order.',
+    edgeCases: [
+      'The tool does not sort; sort first only where the workflow does (e.g. by date).',
+      'pandas cumsum() leaves NaN on null records; fill with 0 first when every record needs a total.'
+    ],
+    pandas: String.raw`df['runtot_amount'] = df.groupby('customer', sort=False, dropna=False)['amount'].cumsum()`
+  },
+  {
+    tool: 'Count Records',
+    keywords: /\bcount (the )?(rows|records)|\bnumber of (rows|records)|\brow count|\brecord count/i,
+    semantics: 'Outputs a single record with one field, Count, holding the number of input records.',
+    edgeCases: [
+      'An empty input still produces one record, with Count 0.'
+    ],
+    pandas: String.raw`count = pd.DataFrame({'count': [len(df)]})`
+  }
+];
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { TEMPLATES, getTemplate, DEFAULT_VERSION } from './index.mjs';
+import { KNOWLEDGE_BASE } from './knowledge/index.mjs';
+import { TASK_INPUTS, REPAIR_INPUT, validate } from '../lib/schema.mjs';
+
+// Conversions record the template version they were made with, so a version's prompts must never
+// change. The snapshots pin every task of every version; the workflow names every tool in the
+// knowledge base, so editing a shared entry fails here too.
+
+const FILES = [{
+  name: 'Sales Q1.csv',
+  size: 2500000,
+  columns: ['Region', 'Amount', 'Order Date'],
+  rowCount: 25000,
+  rowCountExact: true,
+  read: "pd.read_csv(INPUT_DIR / 'Sales Q1.csv', sep=';')",
+  memory: '  - Estimated pandas memory: 3.1 MB as read, 0.4 MB with suggested dtypes',
+  profile: '    - region: string, 0 nulls, 4 distinct, top: "North" (9,000)\n    - amount: float, 12 nulls, 20,000 distinct, range 0.5 to 9,800',
+  profileRows: 25000,
+  sample: [['North', 10.5, '2024-01-02'], ['South', null, '2024-01-03']]
+}];
+
+const REQUEST = {
+  requirement: 'Total the amounts per region and remove duplicate orders',
+  files: FILES,
+  workflow: {
+    name: 'Sales',
+    description: '[1] Input Data: Sales Q1.csv\n[2] Filter: [Amount] > 0 (True → 3)\n[3] Summarize: Sum(Amount) by Region',
+    tools: KNOWLEDGE_BASE.map(entry => entry.tool)
+  }
+};
+
+const SCRIPT = "import pandas as pd\n\ndf = pd.read_csv('input_files/Sales Q1.csv', sep=';')\ndf.columns = df.columns.str.lower().str.strip()\n";
+
+const STUBS = {
+  script: `${SCRIPT}# >>> STUB [3] Transpose\ndf_3 = df.copy()  # passthrough\n# <<< END STUB [3]\n`,
+  stubs: [{ toolId: '3', tool: 'Transpose', configuration: '<Configuration><KeyFields><Field field="Region" /></KeyFields></Configuration>' }],
+  input_files: ['Sales Q1.csv'],
+  output_files: ['totals.csv']
+};
+
+// The other tasks only need a few entries; the generate snapshots pin them all
+const SMALL_REQUEST = { ...REQUEST, workflow: { ...REQUEST.workflow, tools: ['Filter', 'Summarize'] } };
+
+const refineInput = (target, legacy = false) => ({
+  ...(legacy ? { requestText: 'Total the amounts per region' } : { request: SMALL_REQUEST }),
+  script: SCRIPT,
+  tests: 'from pycture_script import main\n\ndef test_main():\n    pass\n',
+  changes: ['Use a left join'],
+  message: 'Also output the totals per month',
+  options: { tests: true, target }
+});
+
+const REPAIR = { script: SCRIPT, problems: ["Line 3: column 'amout' is not in Sales Q1.csv"] };
+
+describe('prompt fixtures', () => {
+  it('are valid task inputs', () => {
+    expect(validate(TASK_INPUTS.generate, { ...REQUEST, options: { tests: true, target: 'sql' } })).toEqual([]);
+    expect(validate(TASK_INPUTS.complete_stubs, STUBS)).toEqual([]);
+    expect(validate(TASK_INPUTS.refine, refineInput('pandas'))).toEqual([]);
+    expect(validate(TASK_INPUTS.refine, refineInput('pandas', true))).toEqual([]);
+    expect(validate(REPAIR_INPUT, REPAIR)).toEqual([]);
+  });
+});
+
+describe.each(Object.keys(TEMPLATES))('template %s', (version) => {
+  const template = TEMPLATES[version];
+  const targets = template.targets || ['pandas'];
+
+  it.each(targets)('generates %s', (target) => {
+    expect(template.tasks.generate({ ...REQUEST, options: { tests: true, target } })).toMatchSnapshot();
+  });
+
+  it('completes stubs', () => {
+    expect(template.tasks.complete_stubs(STUBS)).toMatchSnapshot();
+  });
+
+  it.each(targets)('refines %s', (target) => {
+    expect(template.tasks.refine(refineInput(target))).toMatchSnapshot();
+  });
+
+  it('refines a conversation saved with its request as text', () => {
+    expect(template.tasks.refine(refineInput('pandas', true))).toMatchSnapshot();
+  });
+
+  it('asks for a repair', () => {
+    const input = { ...SMALL_REQUEST, options: { target: 'pandas' } };
+    expect(template.repair(template.tasks.generate(input), REPAIR, input)).toMatchSnapshot();
+  });
+});
+
+describe('getTemplate', () => {
+  it('finds versions by name and defaults to the latest', () => {
+    expect(getTemplate('v2')).toBe(TEMPLATES.v2);
+    expect(getTemplate()).toBe(TEMPLATES[DEFAULT_VERSION]);
+    expect(getTemplate('v0')).toBeNull();
+    expect(getTemplate('toString')).toBeNull();
+  });
+});
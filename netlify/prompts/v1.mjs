@@ -0,0 +1,232 @@
+// Prompt template v1: the Alteryx conversion guide and the prompts for generating,
+// completing stubs, refining and repairing a script. A template is never edited once
+// conversions have been recorded with its version; changes go into a new version file.
+
+const KNOWLEDGE = `# ALTERYX TO PYTHON CONVERSION GUIDE
+
+You are an expert at converting Alteryx workflows to Python pandas code.
+
+## CORE PRINCIPLES
+1. Use pandas as primary library
+2. Write clean, well-commented code
+3. Include error handling
+4. Make file paths configurable
+5. Add progress print statements
+6. **ALWAYS normalize column names after loading: df.columns = df.columns.str.lower().str.strip()**
+
+## COMMON TOOL MAPPINGS
+
+### Input/Output
+- Input Data → pd.read_csv() or pd.read_excel()
+- Output Data → df.to_csv() or df.to_excel()
+
+### Preparation
+- Filter → df[condition]
+- Select → df[['col1', 'col2']]
+- Sort → df.sort_values()
+- Sample → df.head() or df.sample()
+- Unique → df.drop_duplicates()
+
+### Join/Union
+- Join → pd.merge(df1, df2, on='key')
+- Union → pd.concat([df1, df2])
+
+### Transform
+- Formula → df['new'] = calculation
+- Summarize → df.groupby().agg()
+- Cross Tab → pd.pivot_table()
+
+### Data Cleansing
+- Data Cleansing → str.strip(), str.upper(), fillna()
+- Imputation → fillna(method='ffill') or fillna(mean())
+
+## CODE STRUCTURE
+
+Always include:
+1. Imports (pandas, numpy, pathlib)
+2. Configuration (file paths as variables)
+3. **Column normalization: df.columns = df.columns.str.lower().str.strip()**
+4. Error handling (try/except)
+5. Progress messages (print statements)
+6. Create output directories (Path().mkdir())
+`;
+
+// The offline translator's stub markers (STUB_START / STUB_END in the frontend's pandasTranslator.js)
+const STUB_START = '# >>> STUB';
+const STUB_END = '# <<< END STUB';
+
+const count = (value) => (typeof value === 'number' ? value.toLocaleString('en-US') : value);
+
+const describeFile = (file, index) => {
+  let readLine = '';
+  if (file.sheets) {
+    readLine = `\n  - Sheets: ${file.sheets.map(sheet => `${sheet.name} (${count(sheet.rowCount)} rows${sheet.hidden ? ', hidden' : ''})`).join(', ')}`;
+  }
+  if (file.read) {
+    readLine += `\n  - Read with: ${file.read}`;
+    if (file.mergedHeader) {
+      readLine += ' then flatten the two-row merged header by joining the levels with a space, skipping "Unnamed:" parts';
+    }
+  }
+
+  return `
+File ${index + 1}: ${file.name}
+  - Size: ${((file.size || 0) / 1024 / 1024).toFixed(2)} MB${readLine}
+  - Columns: ${file.columns.join(', ')}
+  - ${file.rowCountExact ? 'Rows' : 'Approximate Rows'}: ${count(file.rowCount ?? 0)}${file.memory ? `\n${file.memory}` : ''}${file.profile ? `
+  - Column profile (all ${count(file.profileRows)} rows):
+${file.profile}` : ''}`;
+};
+
+// Each file's sample rows as column → value records, the starting point for test fixtures
+const describeSamples = (files) => files
+  .filter(file => file.sample?.length > 0)
+  .map(file => `${file.name}:\n${file.sample
+    .map(row => `  ${JSON.stringify(Object.fromEntries(file.columns.map((column, i) => [column, row[i] ?? null])))}`)
+    .join('\n')}`)
+  .join('\n\n');
+
+// Asks for the script as importable step functions plus a pytest module that exercises them
+const testsTask = (files = []) => {
+  const samples = describeSamples(files);
+  return `
+## TESTS
+
+Also write pytest tests, so the converted logic can be checked:
+- Structure the script as importable functions: one function per step that takes the DataFrames it needs and returns its result, without reading or writing files. A main() function reads the inputs, calls the step functions in order and writes the outputs, and is only called under if __name__ == '__main__':.
+- Each step's code is the function that implements it.
+- Submit test_pycture_script.py in the tests field. It imports the step functions with from pycture_script import ..., builds small fixture DataFrames (a few rows each, with the lower-cased, stripped column names the script works with) from the sample rows and column profiles, calls each step function, and asserts the shape, the column names and key aggregates (totals, counts, group keys) of its result, worked out by hand from the fixture rows. Cover edge cases the profiles show, such as nulls.
+- The tests must not read from input_files/ or write to output_files/.
+${samples ? `
+Sample rows:
+${samples}
+` : ''}`;
+};
+
+// The user's request as the model sees it; refinements repeat it as the original request
+const describeRequest = ({ requirement, files, workflow }) => {
+  const fileInfoText = files.length > 0 ? files.map(describeFile).join('\n') : 'None';
+
+  // Include the parsed tool graph when a workflow file was uploaded
+  const workflowSection = workflow ? `
+## ALTERYX WORKFLOW
+
+The user uploaded an Alteryx workflow. Convert it tool by tool, following the connections between tool IDs.
+Start each step description with the ID of the tool it implements in square brackets, e.g. "[4] Keep rows where amount > 0", so steps can be linked back to the workflow canvas.
+Lines starting with "pandas for" are exact translations of the tool's Alteryx expressions, produced by a transpiler that follows Alteryx null, string and date semantics. Use them as given (substituting the tool's input DataFrame for df) instead of re-translating the expression.
+
+${workflow.description}
+` : '';
+
+  return `Files uploaded:
+${fileInfoText}
+${workflowSection}
+User requirement: ${requirement || 'Convert the uploaded Alteryx workflow to Python.'}`;
+};
+
+const generate = (input) => `${KNOWLEDGE}
+
+## USER REQUEST
+
+${describeRequest(input)}
+
+## YOUR TASK
+
+Generate a complete Python script that:
+1. Loads the data files mentioned, using the exact "Read with" call (sep, encoding, quotechar, sheet_name, header) where one is given
+2. Implements the requested workflow, using the column profiles (where given) to pick dtypes, date formats for pd.to_datetime(format=...), null handling and join keys
+3. **CRITICAL**: Includes df.columns = df.columns.str.lower().str.strip() after EVERY read_csv/read_excel
+4. Saves the output appropriately
+
+Submit the result with the submit_conversion tool, including:
+- A step-by-step explanation with code snippets (e.g. "Filter for South Region" with df = df[df['region'] == 'South'])
+- List of input files needed
+- List of output files that will be created
+- Assumptions you made where the request or the data was ambiguous
+- Warnings about anything the user must check before relying on the output
+${input.options?.tests ? testsTask(input.files) : ''}`;
+
+const completeStubs = ({ script, stubs, input_files: inputFiles, output_files: outputFiles }) => `${KNOWLEDGE}
+
+## DRAFT SCRIPT
+
+This script was converted from an Alteryx workflow by a rule-based translator. Blocks between "${STUB_START} [id]" and "${STUB_END} [id]" are passthrough placeholders for tools it could not translate.
+
+${script}
+
+## TOOLS TO IMPLEMENT
+
+${stubs.map(stub => `[${stub.toolId}] ${stub.tool}\n${stub.configuration}`).join('\n\n')}
+
+## YOUR TASK
+
+Replace each stub block with working pandas code for that tool. Keep every other line of the script unchanged, keep the variable names the stub assigns, and keep df.columns = df.columns.str.lower().str.strip() after every read_csv/read_excel.
+
+Submit the result with the submit_conversion tool. Only include steps for the tools you implemented, each description starting with the tool id (e.g. "[3] Filter rows where amount is above 1000"). Keep input_files ${JSON.stringify(inputFiles)} and output_files ${JSON.stringify(outputFiles)}.`;
+
+const refine = ({ request, requestText, script, tests, changes, message, options }) => {
+  const original = request ? describeRequest(request) : requestText;
+
+  return `${KNOWLEDGE}
+${original ? `
+## ORIGINAL REQUEST
+
+${original}
+` : ''}
+## CURRENT SCRIPT
+
+\`\`\`python
+${script}
+\`\`\`
+${tests ? `
+## CURRENT TESTS
+
+\`\`\`python
+${tests}
+\`\`\`
+` : ''}${changes.length > 0 ? `
+## CHANGES ALREADY MADE
+
+${changes.map((change, i) => `${i + 1}. ${change}`).join('\n')}
+` : ''}
+## CHANGE REQUESTED
+
+${message}
+
+## YOUR TASK
+
+Revise the current script to make the requested change. Keep everything else unchanged, and keep df.columns = df.columns.str.lower().str.strip() after every read_csv/read_excel.
+
+Submit the complete revised result with the submit_conversion tool: the full script, every step (not only the changed ones), the input and output files, and the assumptions and warnings that apply to the revised script.${tests
+  ? '\nUpdate the tests to match the revised script and submit them in the tests field too.'
+  : options?.tests ? `\n${testsTask(request?.files)}` : ''}`;
+};
+
+// The task's prompt plus the rejected answer and what the browser's checks found wrong with it
+const repair = (prompt, { script, tests, problems }) => `${prompt}
+
+## YOUR PREVIOUS ANSWER
+
+${script ? `This script failed automatic checks:
+
+\`\`\`python
+${script}
+\`\`\`${tests ? `
+
+with these tests:
+
+\`\`\`python
+${tests}
+\`\`\`` : ''}` : 'Your previous answer was rejected before its script could be checked.'}
+
+## PROBLEMS TO FIX
+
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Fix every problem above and submit the complete corrected result with the submit_conversion tool. Keep everything that was not mentioned unchanged.`;
+
+export default {
+  version: 'v1',
+  tasks: { generate, complete_stubs: completeStubs, refine },
+  repair
+};
@@ -0,0 +1,371 @@
+// Prompt template v3: v2 with a choice of target (options.target): pandas, Polars with the
+// lazy API, PySpark DataFrame code, or ANSI SQL models in dbt style. The guide, the task, the
+// tests and the knowledge base snippets follow the target; pandas prompts are essentially v2's.
+// A template is never edited once conversions have been recorded with its version; changes
+// go into a new version file.
+
+import { selectKnowledge, describeKnowledge } from './knowledge/index.mjs';
+
+const SEMANTICS = 'Reproduce Alteryx semantics exactly (null handling, record order, output anchors, field naming), following the tool reference below where one is given';
+
+// Everything about the prompts that depends on the target
+const DIALECTS = {
+  pandas: {
+    name: 'pandas',
+    language: 'python',
+    expertise: 'Python pandas code',
+    artifact: 'Python script',
+    principles: [
+      'Use pandas as primary library',
+      'Write clean, well-commented code',
+      'Include error handling',
+      'Make file paths configurable',
+      'Add progress print statements',
+      '**ALWAYS normalize column names after loading: df.columns = df.columns.str.lower().str.strip()**',
+      SEMANTICS
+    ],
+    structure: [
+      'Imports (pandas, numpy, pathlib)',
+      'Configuration (file paths as variables)',
+      '**Column normalization: df.columns = df.columns.str.lower().str.strip()**',
+      'Error handling (try/except)',
+      'Progress messages (print statements)',
+      'Create output directories (Path().mkdir())'
+    ],
+    load: 'Loads the data files mentioned, using the exact "Read with" call (sep, encoding, quotechar, sheet_name, header) where one is given',
+    types: 'dtypes, date formats for pd.to_datetime(format=...)',
+    normalize: 'df.columns = df.columns.str.lower().str.strip() after EVERY read_csv/read_excel',
+    save: 'Saves the output appropriately',
+    example: "df = df[df['region'] == 'South']",
+    outputs: 'List of output files that will be created',
+    transpiled: 'Use them as given (substituting the tool\'s input DataFrame for df) instead of re-translating the expression.',
+    fixtures: 'builds small fixture DataFrames'
+  },
+  polars: {
+    name: 'Polars',
+    language: 'python',
+    expertise: 'Python Polars code using the lazy API',
+    artifact: 'Python script using the Polars lazy API',
+    principles: [
+      'Use Polars with the lazy API: pl.scan_csv (pl.read_excel(...).lazy() for workbooks), chained LazyFrame operations, and one collect() or sink_* per output',
+      'Write clean, well-commented code',
+      'Include error handling',
+      'Make file paths configurable',
+      'Add progress print statements',
+      '**ALWAYS normalize column names after loading: lf = lf.rename(lambda name: name.strip().lower())**',
+      'Use expressions (pl.col, pl.when, .over()) rather than Python loops or map_elements; collect early only where an operation has no lazy form (pivot, record-by-record loops)',
+      `${SEMANTICS}; pass maintain_order=True where record order matters`
+    ],
+    structure: [
+      'Imports (polars as pl, pathlib)',
+      'Configuration (file paths as variables)',
+      '**Column normalization: lf = lf.rename(lambda name: name.strip().lower())**',
+      'Error handling (try/except)',
+      'Progress messages (print statements)',
+      'Create output directories (Path().mkdir())'
+    ],
+    load: 'Loads the data files mentioned with pl.scan_csv (or pl.read_excel(...).lazy()), carrying the options of the "Read with" call over to Polars (sep as separator, encoding, quotechar as quote_char, sheet_name, header rows) where one is given',
+    types: 'schema_overrides, date formats for str.to_date / str.to_datetime(format=...)',
+    normalize: 'lf = lf.rename(lambda name: name.strip().lower()) after EVERY scan or read',
+    save: 'Collects each output once (or sinks it) and writes it with write_csv, write_excel or write_parquet',
+    example: "lf = lf.filter(pl.col('region') == 'South')",
+    outputs: 'List of output files that will be created',
+    transpiled: 'They are pandas: translate each to the equivalent Polars expression, keeping its null, string and date semantics.',
+    fixtures: 'builds small fixture pl.DataFrame tables',
+    testNotes: 'Pass fixtures with .lazy() to steps that take a LazyFrame, and collect() results before asserting.'
+  },
+  pyspark: {
+    name: 'PySpark',
+    language: 'python',
+    expertise: 'PySpark DataFrame code',
+    artifact: 'PySpark script using the DataFrame API',
+    principles: [
+      'Use the PySpark DataFrame API with pyspark.sql.functions as F and Window; get the session with SparkSession.builder.getOrCreate()',
+      'Write clean, well-commented code',
+      'Include error handling',
+      'Make file paths configurable',
+      'Add progress print statements',
+      '**ALWAYS normalize column names after loading: df = df.toDF(*[name.strip().lower() for name in df.columns])**',
+      'Spark DataFrames have no record order: where the workflow depends on it, add a _row column with F.monotonically_increasing_id() right after reading and order windows and sorts by it',
+      'Use built-in functions rather than Python UDFs, and never collect() or toPandas() whole tables',
+      SEMANTICS
+    ],
+    structure: [
+      'Imports (pyspark.sql SparkSession and Window, pyspark.sql.functions as F, pathlib)',
+      'Configuration (file paths as variables)',
+      '**Column normalization: df = df.toDF(*[name.strip().lower() for name in df.columns])**',
+      'Error handling (try/except)',
+      'Progress messages (print statements)',
+      'Stop the session at the end (spark.stop())'
+    ],
+    load: 'Loads the data files mentioned with spark.read (header=True, with inferSchema=True or an explicit schema), carrying the options of the "Read with" call over (sep, encoding, quote) where one is given; Spark has no Excel reader, so read workbooks with pandas and spark.createDataFrame',
+    types: 'an explicit schema, date formats (Java patterns) for F.to_date / F.to_timestamp',
+    normalize: 'df = df.toDF(*[name.strip().lower() for name in df.columns]) after EVERY read',
+    save: 'Writes each output with df.write.mode(\'overwrite\'), using coalesce(1) where one CSV part file is wanted',
+    example: "df = df.filter(F.col('region') == 'South')",
+    outputs: 'List of output files (or folders) that will be created',
+    transpiled: 'They are pandas: translate each to the equivalent PySpark expression, keeping its null, string and date semantics.',
+    fixtures: 'builds small fixture DataFrames with spark.createDataFrame',
+    testNotes: 'Create the SparkSession in a session-scoped pytest fixture (master local[1]) and collect() results before asserting.'
+  },
+  sql: {
+    name: 'SQL',
+    language: 'sql',
+    expertise: 'ANSI SQL models in dbt style',
+    artifact: 'set of ANSI SQL models',
+    principles: [
+      'Write ANSI SQL that runs on any modern warehouse; where a function differs between warehouses (regular expressions, date parsing, string splitting), use the common form and list the choice in the assumptions',
+      'Each input file is a source table named as given under "Table"',
+      'Write one model per output: a line "-- model: <name>" (lower snake_case), then a single SELECT built from CTEs (an import CTE per source table, one CTE per step named after it, and a final select), ending with a semicolon',
+      '**ALWAYS use lower-case snake_case column names: alias every source column in the import CTEs (select "Order ID" as order_id)**',
+      'Tables have no record order: where the workflow depends on it, assume a _row load-order column on the source tables, order windows by it, and say so in the assumptions',
+      'Write clean, well-commented SQL (a comment on every CTE)',
+      SEMANTICS
+    ],
+    structure: [
+      'The model header (-- model: <name>)',
+      'Import CTEs (one per source table)',
+      '**Column normalization: lower-case snake_case aliases in the import CTEs**',
+      'One CTE per step, with a comment naming the step',
+      'A final select listing the output columns'
+    ],
+    load: 'Reads each source table in an import CTE',
+    types: 'casts, date formats for the date parsing',
+    normalize: 'lower-case snake_case column aliases in every import CTE',
+    save: 'Ends each model with a final select, one model per output',
+    example: "filter_south as (select * from orders where region = 'South')",
+    outputs: 'The names of the models, as output_files',
+    transpiled: 'They are pandas: translate each to the equivalent SQL expression, keeping its null, string and date semantics.'
+  }
+};
+
+const dialectOf = (options) => DIALECTS[options?.target] || DIALECTS.pandas;
+
+const guide = (dialect) => `# ALTERYX TO ${dialect.language === 'sql' ? 'SQL' : 'PYTHON'} CONVERSION GUIDE
+
+You are an expert at converting Alteryx workflows to ${dialect.expertise}.
+
+## CORE PRINCIPLES
+${dialect.principles.map((principle, i) => `${i + 1}. ${principle}`).join('\n')}
+
+## CODE STRUCTURE
+
+Always include:
+${dialect.structure.map((part, i) => `${i + 1}. ${part}`).join('\n')}
+`;
+
+// The knowledge base entries for the tools in the workflow and those the user's text mentions
+const toolReference = (selection, dialect) => {
+  const entries = selectKnowledge(selection);
+  const target = Object.keys(DIALECTS).find(target => DIALECTS[target] === dialect);
+
+  return entries.length > 0 ? `
+## TOOL REFERENCE
+
+How the Alteryx tools in this request behave, with reference ${dialect.name}. ${dialect === DIALECTS.pandas ? '' : `Edge cases may name pandas functions: use the ${dialect.name} equivalent. `}Adapt the snippets to the actual data and variable names.
+
+${describeKnowledge(entries, target)}
+` : '';
+};
+
+// The offline translator's stub markers (STUB_START / STUB_END in the frontend's pandasTranslator.js)
+const STUB_START = '# >>> STUB';
+const STUB_END = '# <<< END STUB';
+
+const count = (value) => (typeof value === 'number' ? value.toLocaleString('en-US') : value);
+
+// The table an input file is loaded into for SQL: its lower-cased name without the extension,
+// other characters replaced by "_" (tableName in the frontend's targets.js follows the same rule)
+const tableName = (fileName) => fileName.replace(/\.[^.]*$/, '').toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+
+const describeFile = (file, index, dialect) => {
+  let readLine = '';
+  if (file.sheets) {
+    readLine = `\n  - Sheets: ${file.sheets.map(sheet => `${sheet.name} (${count(sheet.rowCount)} rows${sheet.hidden ? ', hidden' : ''})`).join(', ')}`;
+  }
+  if (dialect.language === 'sql') {
+    readLine += `\n  - Table: ${tableName(file.name)}`;
+  } else if (file.read) {
+    readLine += `\n  - Read with: ${file.read}`;
+    if (file.mergedHeader) {
+      readLine += ' then flatten the two-row merged header by joining the levels with a space, skipping "Unnamed:" parts';
+    }
+  }
+
+  return `
+File ${index + 1}: ${file.name}
+  - Size: ${((file.size || 0) / 1024 / 1024).toFixed(2)} MB${readLine}
+  - Columns: ${file.columns.join(', ')}
+  - ${file.rowCountExact ? 'Rows' : 'Approximate Rows'}: ${count(file.rowCount ?? 0)}${file.memory ? `\n${file.memory}` : ''}${file.profile ? `
+  - Column profile (all ${count(file.profileRows)} rows):
+${file.profile}` : ''}`;
+};
+
+// Each file's sample rows as column → value records, the starting point for test fixtures
+const describeSamples = (files) => files
+  .filter(file => file.sample?.length > 0)
+  .map(file => `${file.name}:\n${file.sample
+    .map(row => `  ${JSON.stringify(Object.fromEntries(file.columns.map((column, i) => [column, row[i] ?? null])))}`)
+    .join('\n')}`)
+  .join('\n\n');
+
+// Asks for the script as importable step functions plus a pytest module that exercises them.
+// SQL models have no tests.
+const testsTask = (files = [], dialect = DIALECTS.pandas) => {
+  if (!dialect.fixtures) return '';
+
+  const samples = describeSamples(files);
+  return `
+## TESTS
+
+Also write pytest tests, so the converted logic can be checked:
+- Structure the script as importable functions: one function per step that takes the DataFrames it needs and returns its result, without reading or writing files. A main() function reads the inputs, calls the step functions in order and writes the outputs, and is only called under if __name__ == '__main__':.
+- Each step's code is the function that implements it.
+- Submit test_pycture_script.py in the tests field. It imports the step functions with from pycture_script import ..., ${dialect.fixtures} (a few rows each, with the lower-cased, stripped column names the script works with) from the sample rows and column profiles, calls each step function, and asserts the shape, the column names and key aggregates (totals, counts, group keys) of its result, worked out by hand from the fixture rows. Cover edge cases the profiles show, such as nulls.
+- The tests must not read from input_files/ or write to output_files/.${dialect.testNotes ? `\n- ${dialect.testNotes}` : ''}
+${samples ? `
+Sample rows:
+${samples}
+` : ''}`;
+};
+
+// The user's request as the model sees it; refinements repeat it as the original request
+const describeRequest = ({ requirement, files, workflow }, dialect) => {
+  const fileInfoText = files.length > 0 ? files.map((file, index) => describeFile(file, index, dialect)).join('\n') : 'None';
+
+  // Include the parsed tool graph when a workflow file was uploaded
+  const workflowSection = workflow ? `
+## ALTERYX WORKFLOW
+
+The user uploaded an Alteryx workflow. Convert it tool by tool, following the connections between tool IDs.
+Start each step description with the ID of the tool it implements in square brackets, e.g. "[4] Keep rows where amount > 0", so steps can be linked back to the workflow canvas.
+Lines starting with "pandas for" are exact translations of the tool's Alteryx expressions, produced by a transpiler that follows Alteryx null, string and date semantics. ${dialect.transpiled}
+
+${workflow.description}
+` : '';
+
+  return `Files uploaded:
+${fileInfoText}
+${workflowSection}
+User requirement: ${requirement || `Convert the uploaded Alteryx workflow to ${dialect.language === 'sql' ? 'SQL' : 'Python'}.`}`;
+};
+
+const generate = (input) => {
+  const dialect = dialectOf(input.options);
+
+  return `${guide(dialect)}${toolReference({ tools: input.workflow?.tools, texts: [input.requirement] }, dialect)}
+
+## USER REQUEST
+
+${describeRequest(input, dialect)}
+
+## YOUR TASK
+
+Generate a complete ${dialect.artifact} that:
+1. ${dialect.load}
+2. Implements the requested workflow, using the column profiles (where given) to pick ${dialect.types}, null handling and join keys
+3. **CRITICAL**: Includes ${dialect.normalize}
+4. ${dialect.save}
+
+Submit the result with the submit_conversion tool, including:
+- A step-by-step explanation with code snippets (e.g. "Filter for South Region" with ${dialect.example})
+- List of input files needed
+- ${dialect.outputs}
+- Assumptions you made where the request or the data was ambiguous
+- Warnings about anything the user must check before relying on the output
+${input.options?.tests ? testsTask(input.files, dialect) : ''}`;
+};
+
+// The offline translator writes pandas, so stubs are always completed in pandas
+const completeStubs = ({ script, stubs, input_files: inputFiles, output_files: outputFiles }) => `${guide(DIALECTS.pandas)}${toolReference({ tools: stubs.map(stub => stub.tool) }, DIALECTS.pandas)}
+
+## DRAFT SCRIPT
+
+This script was converted from an Alteryx workflow by a rule-based translator. Blocks between "${STUB_START} [id]" and "${STUB_END} [id]" are passthrough placeholders for tools it could not translate.
+
+${script}
+
+## TOOLS TO IMPLEMENT
+
+${stubs.map(stub => `[${stub.toolId}] ${stub.tool}\n${stub.configuration}`).join('\n\n')}
+
+## YOUR TASK
+
+Replace each stub block with working pandas code for that tool. Keep every other line of the script unchanged, keep the variable names the stub assigns, and keep df.columns = df.columns.str.lower().str.strip() after every read_csv/read_excel.
+
+Submit the result with the submit_conversion tool. Only include steps for the tools you implemented, each description starting with the tool id (e.g. "[3] Filter rows where amount is above 1000"). Keep input_files ${JSON.stringify(inputFiles)} and output_files ${JSON.stringify(outputFiles)}.`;
+
+// Refinements keep the target of the script being refined, which the client sends in options
+const refine = ({ request, requestText, script, tests, changes, message, options }) => {
+  const dialect = dialectOf(options);
+  const original = request ? describeRequest(request, dialect) : requestText;
+
+  const reference = toolReference({
+    tools: request?.workflow?.tools,
+    texts: [request?.requirement, requestText, ...changes, message]
+  }, dialect);
+
+  return `${guide(dialect)}${reference}
+${original ? `
+## ORIGINAL REQUEST
+
+${original}
+` : ''}
+## CURRENT SCRIPT
+
+\`\`\`${dialect.language}
+${script}
+\`\`\`
+${tests ? `
+## CURRENT TESTS
+
+\`\`\`python
+${tests}
+\`\`\`
+` : ''}${changes.length > 0 ? `
+## CHANGES ALREADY MADE
+
+${changes.map((change, i) => `${i + 1}. ${change}`).join('\n')}
+` : ''}
+## CHANGE REQUESTED
+
+${message}
+
+## YOUR TASK
+
+Revise the current script to make the requested change. Keep everything else unchanged, and keep ${dialect.normalize}.
+
+Submit the complete revised result with the submit_conversion tool: the full script, every step (not only the changed ones), the input and output files, and the assumptions and warnings that apply to the revised script.${tests
+  ? '\nUpdate the tests to match the revised script and submit them in the tests field too.'
+  : options?.tests ? `\n${testsTask(request?.files, dialect)}` : ''}`;
+};
+
+// The task's prompt plus the rejected answer and what the browser's checks found wrong with it
+const repair = (prompt, { script, tests, problems }, input) => `${prompt}
+
+## YOUR PREVIOUS ANSWER
+
+${script ? `This script failed automatic checks:
+
+\`\`\`${dialectOf(input?.options).language}
+${script}
+\`\`\`${tests ? `
+
+with these tests:
+
+\`\`\`python
+${tests}
+\`\`\`` : ''}` : 'Your previous answer was rejected before its script could be checked.'}
+
+## PROBLEMS TO FIX
+
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Fix every problem above and submit the complete corrected result with the submit_conversion tool. Keep everything that was not mentioned unchanged.`;
+
+export default {
+  version: 'v3',
+  targets: Object.keys(DIALECTS),
+  tasks: { generate, complete_stubs: completeStubs, refine },
+  repair
+};